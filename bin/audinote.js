@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// bin/audinote.js
+require("dotenv").config();
+const { run, EXIT_CODES } = require("../src/cli");
+
+run(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+        process.stderr.write(`audinote: ${error.message}\n`);
+        process.exit(EXIT_CODES.usage);
+    });
@@ -0,0 +1,59 @@
+import sys
+import json
+from vosk import Model, SpkModel, SetLogLevel
+from vosk_recognizer import transcribe_file
+
+# Suppress Vosk logs by setting log level to -1
+SetLogLevel(-1)
+
+# Model paths to load before accepting requests
+PRELOAD_MODELS = sys.argv[1:]
+
+# Loaded models, kept for the lifetime of the worker
+models = {}
+spk_models = {}
+
+
+def get_model(model_path):
+    if model_path not in models:
+        models[model_path] = Model(model_path)
+    return models[model_path]
+
+
+def get_spk_model(model_path):
+    if model_path not in spk_models:
+        spk_models[model_path] = SpkModel(model_path)
+    return spk_models[model_path]
+
+
+def emit(message):
+    # One JSON message per line on stdout (line-delimited JSON protocol)
+    sys.stdout.write(json.dumps(message) + "\n")
+    sys.stdout.flush()
+
+
+for path in PRELOAD_MODELS:
+    get_model(path)
+
+emit({"type": "ready"})
+
+# Each request is one line: {"id": ..., "audio": <wav path>, "model": <model path>},
+# plus "spkModel": <speaker model path> when speaker diarization is requested
+for line in sys.stdin:
+    if not line.strip():
+        continue
+
+    request_id = None
+    try:
+        request = json.loads(line)
+        request_id = request["id"]
+        model = get_model(request["model"])
+        spk_model = get_spk_model(request["spkModel"]) if request.get("spkModel") else None
+
+        def report_progress(percent):
+            emit({"id": request_id, "type": "progress", "percent": percent})
+
+        result = transcribe_file(model, request["audio"], report_progress, spk_model)
+        emit({"id": request_id, "type": "result", **result})
+    except Exception as error:
+        emit({"id": request_id, "type": "error", "message": str(error)})
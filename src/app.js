@@ -1,23 +1,46 @@
 // src/app.js
+const path = require("path");
 const express = require("express");
 const multer = require("multer");
 const transcriptionRoutes = require("./routes/transcriptionRoutes");
 const youtubeTranscriptionRoutes = require("./routes/youtubeTranscriptionRoutes");
+const urlTranscriptionRoutes = require("./routes/urlTranscriptionRoutes");
+const jobRoutes = require("./routes/jobRoutes");
+const transcriptRoutes = require("./routes/transcriptRoutes");
+const modelRoutes = require("./routes/modelRoutes");
+const engineRoutes = require("./routes/engineRoutes");
+const uploadRoutes = require("./routes/uploadRoutes");
+const podcastRoutes = require("./routes/podcastRoutes");
 
-const { errorHandler } = require("./utils/errorHandler");
+const { errorHandler, AppError } = require("./utils/errorHandler");
+const { uploadLimits } = require("./config");
 
 const app = express();
 
 // Middleware to parse JSON bodies
 app.use(express.json());
 
-// Middleware for file uploads
-const upload = multer({ dest: "uploads/" });
-app.use(upload.single("audio"));
+// Middleware for file uploads; multer stops reading once the size limit is passed
+const upload = multer({ dest: path.join(__dirname, "../uploads"), limits: { fileSize: uploadLimits.maxBytes } });
+app.use((req, res, next) => {
+    upload.single("audio")(req, res, (err) => {
+        if (err && err.code === "LIMIT_FILE_SIZE") {
+            return next(new AppError(`The file is too large. The maximum size is ${uploadLimits.maxBytes} bytes.`, 413));
+        }
+        next(err);
+    });
+});
 
 // Use Transcription Routes
 app.use("/transcribe", transcriptionRoutes);
 app.use("/transcribe/youtube", youtubeTranscriptionRoutes);
+app.use("/transcribe/url", urlTranscriptionRoutes);
+app.use("/jobs", jobRoutes);
+app.use("/transcripts", transcriptRoutes);
+app.use("/models", modelRoutes);
+app.use("/engines", engineRoutes);
+app.use("/uploads", uploadRoutes);
+app.use("/podcasts", podcastRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -0,0 +1,368 @@
+// src/cli.js
+const fs = require("fs");
+const fsp = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { resolveAudioFilters } = require("./services/audioProcessor");
+const { validateMediaFile } = require("./services/mediaValidator");
+const { downloadRemoteMedia } = require("./services/mediaDownloader");
+const { writeResultFile } = require("./services/transcriptExporter");
+const { getYouTubeVideoId } = require("./services/youtubePlaylist");
+const { noopReporter } = require("./services/jobQueue");
+const { getModel, loadModels } = require("./services/modelRegistry");
+const { getEngine } = require("./services/engines");
+const { validateTranscriptionRequest } = require("./services/requestValidator");
+const { runFileTranscription, runYouTubeTranscription } = require("./services/transcriptionPipeline");
+const { AppError, cleanupErrorResources } = require("./utils/errorHandler");
+const { deleteFile } = require("./utils/fileUtils");
+const { parseBooleanParam, parseTimeRange } = require("./utils/requestParams");
+const { allowedExtensions, defaultLanguage } = require("./config");
+const logger = require("./utils/logger");
+const { version } = require("../package.json");
+
+// Copies of local recordings, which the pipeline deletes once it is done
+const WORKING_DIR = path.join(os.tmpdir(), "audinote");
+const DEFAULT_FORMAT = "txt";
+
+// 0 when every input was transcribed, 1 when any failed, 2 when the command line is wrong
+const EXIT_CODES = { success: 0, failed: 1, usage: 2 };
+
+// Options taking a value, by command-line name, with the request parameter they set
+const VALUE_OPTIONS = {
+    "--lang": "language",
+    "-l": "language",
+    "--model": "model",
+    "--format": "format",
+    "-f": "format",
+    "--engine": "engine",
+    "--filter-preset": "filterPreset",
+    "--filters": "filters",
+    "--start": "start",
+    "--end": "end",
+    "--audio-track": "audioTrack",
+    "--output": "output",
+    "-o": "output"
+};
+
+// Options without a value
+const FLAGS = {
+    "--diarize": "diarize",
+    "--translate": "translate",
+    "--verbose": "verbose",
+    "-v": "verbose",
+    "--help": "help",
+    "-h": "help",
+    "--version": "version"
+};
+
+const USAGE = `Usage: audinote [options] <file|url|glob>...
+
+Transcribes local recordings, YouTube videos and media URLs, writing
+<name>.<format> next to each file (or into the current directory for URLs).
+Quote globs such as "recordings/**/*.mp3" to expand them here rather than in the shell.
+
+Options:
+  -l, --lang <code>          Language of the speech, or "auto" to detect it (default: ${defaultLanguage})
+      --model <name>         Installed model to use instead of the language default
+  -f, --format <format>      json, txt, srt or vtt (default: ${DEFAULT_FORMAT})
+      --engine <name>        Transcription engine
+      --filter-preset <name> Named audio filter chain
+      --filters <a,b>        Audio filters, overriding the preset
+      --start <time>         Transcribe from this time (seconds or hh:mm:ss)
+      --end <time>           Transcribe up to this time
+      --audio-track <track>  Audio track of a video, by index or language
+      --diarize              Label segments by speaker
+      --translate            Translate the speech to English
+  -o, --output <dir>         Write transcripts into this directory
+  -v, --verbose              Log every step
+  -h, --help                 Show this help
+      --version              Show the version
+
+Exit codes: 0 all inputs transcribed, 1 some inputs failed, 2 invalid command line.
+`;
+
+/**
+ * Parses the command-line arguments.
+ * @param {string[]} argv - The arguments after the program name.
+ * @returns {Object} The inputs, the request parameters set by options, and the flags.
+ * @throws {AppError} 400 for unknown options and options missing their value.
+ */
+const parseArgs = (argv) => {
+    const parsed = { inputs: [], options: {}, flags: {} };
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (!arg.startsWith("-") || arg === "-") {
+            parsed.inputs.push(arg);
+            continue;
+        }
+        if (arg === "--") {
+            parsed.inputs.push(...argv.slice(index + 1));
+            break;
+        }
+
+        const [name, inlineValue] = arg.includes("=") ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)] : [arg];
+        if (FLAGS[name] && inlineValue === undefined) {
+            parsed.flags[FLAGS[name]] = true;
+        } else if (VALUE_OPTIONS[name]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++index];
+            if (value === undefined) {
+                throw new AppError(`${name} needs a value.`, 400);
+            }
+            parsed.options[VALUE_OPTIONS[name]] = value;
+        } else {
+            throw new AppError(`Unknown option: ${arg}`, 400);
+        }
+    }
+    return parsed;
+};
+
+/**
+ * Turns a glob into a regular expression for paths relative to its base directory.
+ * "**" matches across directories, "*" and "?" within one.
+ * @param {string} pattern - The glob, relative to its base directory.
+ * @returns {RegExp} The matching expression.
+ */
+const globToRegExp = (pattern) => {
+    const source = pattern
+        .split(/(\*\*\/|\*\*|\*|\?)/)
+        .map((part) => {
+            switch (part) {
+                case "**/": return "(?:.*/)?";
+                case "**": return ".*";
+                case "*": return "[^/]*";
+                case "?": return "[^/]";
+                default: return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+            }
+        })
+        .join("");
+    return new RegExp(`^${source}$`);
+};
+
+/**
+ * Lists the recordings matching a glob. Arguments without *, ? or ** are
+ * returned as they are, so a missing file is reported when it is transcribed.
+ * @param {string} pattern - A file path or a glob such as "recordings/**\/*.mp3".
+ * @returns {string[]} The matching files with allowedExtensions, sorted.
+ */
+const expandGlob = (pattern) => {
+    if (!/[*?]/.test(pattern)) {
+        return [pattern];
+    }
+
+    // Walk from the deepest directory named before the first wildcard
+    const segments = pattern.split("/");
+    const firstWildcard = segments.findIndex(segment => /[*?]/.test(segment));
+    const baseDir = segments.slice(0, firstWildcard).join("/") || (pattern.startsWith("/") ? "/" : ".");
+    const matcher = globToRegExp(segments.slice(firstWildcard).join("/"));
+    const isRecording = new RegExp(`\\.(${allowedExtensions.join("|")})$`, "i");
+
+    const matches = [];
+    const walk = (dir, relative) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch {
+            return;
+        }
+        for (const entry of entries) {
+            const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                walk(path.join(dir, entry.name), entryRelative);
+            } else if (entry.isFile() && matcher.test(entryRelative) && isRecording.test(entry.name)) {
+                matches.push(firstWildcard === 0 ? entryRelative : path.join(baseDir, entryRelative));
+            }
+        }
+    };
+    walk(baseDir, "");
+    return matches.sort();
+};
+
+/**
+ * Builds the pipeline parameters from the parsed options, as transcribeUpload does for a request body.
+ * @param {Object} options - The request parameters set on the command line.
+ * @param {Object} flags - The flags set on the command line.
+ * @returns {Object} Language, model, format, diarize, translate, audio filters, engine and range.
+ */
+const readOptions = (options, flags) => ({
+    // A named model implies its language
+    language: options.language || (options.model ? getModel(options.model).language : defaultLanguage),
+    model: options.model,
+    format: options.format || DEFAULT_FORMAT,
+    diarize: parseBooleanParam(flags.diarize),
+    translate: parseBooleanParam(flags.translate),
+    audioFilters: resolveAudioFilters(options),
+    engine: getEngine(options.engine).name,
+    range: parseTimeRange(options)
+});
+
+/**
+ * Creates a reporter that prints each pipeline step of an input to stderr.
+ * @param {string} input - The file or URL being transcribed.
+ * @param {Object} stderr - Stream for progress messages.
+ * @returns {Object} The reporter.
+ */
+const createReporter = (input, stderr) => ({
+    ...noopReporter,
+    setStatus: (status) => stderr.write(`${input}: ${status}\n`),
+    setEstimate: (estimate) => stderr.write(`${input}: about ${estimate.hours}h ${estimate.minutes}m ${estimate.seconds}s\n`)
+});
+
+/**
+ * Checks a file in the working directory and runs the upload pipeline on it.
+ * @param {Object} file - The file, with path, originalname, size and the url it came from, if any.
+ * @param {Object} params - The pipeline parameters.
+ * @param {string} [audioTrack] - The requested audio track.
+ * @param {Object} reporter - Receives status changes and the processing estimate.
+ * @returns {Promise<Object>} The pipeline result.
+ */
+const transcribeFile = async (file, params, audioTrack, reporter) => {
+    const media = await validateMediaFile(file, audioTrack)
+        .then((result) => {
+            if (params.range && params.range.start >= result.durationSeconds) {
+                throw new AppError(
+                    `The start time (${params.range.start} seconds) is past the end of the recording (${Math.round(result.durationSeconds)} seconds).`,
+                    400
+                );
+            }
+            return result;
+        })
+        .catch((error) => {
+            deleteFile(file.path);
+            throw error;
+        });
+
+    return runFileTranscription({
+        ...params,
+        filePath: file.path,
+        originalName: file.originalname,
+        sourceUrl: file.url,
+        ...(!file.url && { sourceDetails: { type: "cli" } }),
+        audioTrack: media.audioTrack,
+        waitForCapacity: true
+    }, reporter);
+};
+
+/**
+ * Transcribes one file or URL and writes its transcript.
+ * @param {string} input - A local path, a YouTube URL or another media URL.
+ * @param {Object} params - The pipeline parameters.
+ * @param {Object} settings - The output directory and requested audio track.
+ * @param {Object} reporter - Receives status changes and the processing estimate.
+ * @returns {Promise<string>} Resolves with the transcript path.
+ */
+const transcribeInput = async (input, params, { output, audioTrack }, reporter) => {
+    let result;
+    let name;
+    let dir = output || process.cwd();
+
+    if (/^https?:\/\//i.test(input) && getYouTubeVideoId(input)) {
+        result = await runYouTubeTranscription({ ...params, url: input, waitForCapacity: true }, reporter);
+        name = `youtube-${getYouTubeVideoId(input)}`;
+    } else if (/^https?:\/\//i.test(input)) {
+        const file = await downloadRemoteMedia(input, reporter.setProgress);
+        result = await transcribeFile(file, params, audioTrack, reporter);
+        name = path.parse(file.originalname).name || "transcript";
+    } else {
+        if (!fs.existsSync(input) || !fs.statSync(input).isFile()) {
+            throw new AppError(`No such file: ${input}`, 404);
+        }
+
+        // The pipeline deletes its input, so it gets a copy; whatever happens, the copy is removed
+        const originalName = path.basename(input);
+        const workingCopy = path.join(WORKING_DIR, `${Date.now()}-${originalName}`);
+        try {
+            await fsp.copyFile(input, workingCopy);
+            const { size } = await fsp.stat(workingCopy);
+            result = await transcribeFile({ path: workingCopy, originalname: originalName, size }, params, audioTrack, reporter);
+        } finally {
+            deleteFile(workingCopy);
+        }
+        name = path.parse(originalName).name;
+        dir = output || path.dirname(input);
+    }
+
+    return writeResultFile(result, path.join(dir, `${name}.${params.format}`));
+};
+
+/**
+ * Runs the audinote command: transcribes every input in turn, printing each
+ * transcript path to stdout and each failure to stderr.
+ * @param {string[]} argv - The arguments after the program name.
+ * @param {Object} [streams] - stdout and stderr, the process streams by default.
+ * @returns {Promise<number>} The exit code.
+ */
+const run = async (argv, { stdout = process.stdout, stderr = process.stderr } = {}) => {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        stderr.write(`audinote: ${error.message}\nRun audinote --help for usage.\n`);
+        return EXIT_CODES.usage;
+    }
+
+    const { inputs, options, flags } = args;
+    if (flags.help) {
+        stdout.write(USAGE);
+        return EXIT_CODES.success;
+    }
+    if (flags.version) {
+        stdout.write(`${version}\n`);
+        return EXIT_CODES.success;
+    }
+    if (inputs.length === 0) {
+        stderr.write(USAGE);
+        return EXIT_CODES.usage;
+    }
+
+    // Progress goes to stderr; the log only shows errors unless asked for more
+    logger.level = flags.verbose ? "debug" : "error";
+    loadModels();
+
+    let params;
+    try {
+        const validationError = validateTranscriptionRequest({ ...options, ...flags });
+        if (validationError) {
+            throw validationError;
+        }
+        params = readOptions(options, flags);
+    } catch (error) {
+        stderr.write(`audinote: ${error.message}\n`);
+        return EXIT_CODES.usage;
+    }
+
+    fs.mkdirSync(WORKING_DIR, { recursive: true });
+    if (options.output) {
+        fs.mkdirSync(options.output, { recursive: true });
+    }
+
+    let failures = 0;
+    for (const pattern of inputs) {
+        const files = expandGlob(pattern);
+        if (files.length === 0) {
+            stderr.write(`${pattern}: no recordings match\n`);
+            failures++;
+            continue;
+        }
+
+        for (const input of files) {
+            try {
+                const transcriptPath = await transcribeInput(input, params, options, createReporter(input, stderr));
+                stdout.write(`${transcriptPath}\n`);
+            } catch (error) {
+                cleanupErrorResources(error);
+                stderr.write(`${input}: failed: ${error.message}\n`);
+                failures++;
+            }
+        }
+    }
+
+    return failures > 0 ? EXIT_CODES.failed : EXIT_CODES.success;
+};
+
+module.exports = {
+    run,
+    parseArgs,
+    expandGlob,
+    EXIT_CODES
+};
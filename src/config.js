@@ -1,5 +1,10 @@
+const path = require("path");
+
+// Paths are resolved from the package root so the CLI works from any directory
+const ROOT_DIR = path.join(__dirname, "..");
+
 module.exports = {
-    // Accepted audio MIME types for uploads
+    // Accepted audio and video MIME types for uploads
     allowedMimeTypes: [
         "audio/mpeg",
         "audio/mp3",
@@ -9,22 +14,61 @@ module.exports = {
         "audio/mp4",
         "audio/x-m4a",
         "audio/aac",
+        "video/mp4",
+        "video/x-matroska",
+        "video/webm",
+        "video/quicktime",
         "application/octet-stream"
     ],
-    // Valid file extensions (used for validation)
-    allowedExtensions: ["mp3", "wav", "m4a", "aac"],
-    // Supported transcription languages
-    allowedLanguages: ["en", "es"],
+    // Valid file extensions, also the formats accepted after sniffing the file content.
+    // Video files are accepted for their audio tracks
+    allowedExtensions: ["mp3", "wav", "m4a", "aac", "mp4", "mkv", "webm", "mov"],
+    // Uploads beyond these limits are refused with a 413 before conversion
+    uploadLimits: {
+        maxBytes: 2 * 1024 * 1024 * 1024, // 2 GB, also the limit for resumable uploads
+        maxDurationSeconds: 6 * 60 * 60 // 6 hours
+    },
+    // Language used when a request names neither a language nor a model.
+    // Supported languages are those with an installed model (see modelsDir)
     defaultLanguage: "en",
     // FFmpeg config
     ffmpegPath: "ffmpeg",
     ffmpegOptions: {
         sampleRate: "16000", // Hz
         channels: "1", // Mono
-        codec: "pcm_s16le" // WAV format
+        codec: "pcm_s16le", // WAV format
+        // Filters a request can apply before transcription, by name, in the order given.
+        // silenceremove shortens the audio, so timestamps no longer match the original
+        filters: {
+            highpass: "highpass=f=100", // Removes rumble and hum below 100 Hz
+            afftdn: "afftdn=nf=-25", // FFT noise reduction
+            loudnorm: "loudnorm=I=-16:TP=-1.5:LRA=11", // EBU R128 loudness normalization
+            silenceremove: "silenceremove=start_periods=1:start_threshold=-50dB:stop_periods=-1:stop_duration=1:stop_threshold=-50dB"
+        },
+        // Named filter chains for the "filterPreset" parameter
+        filterPresets: {
+            none: [],
+            phone: ["highpass", "afftdn", "loudnorm"],
+            normalize: ["loudnorm"],
+            trimmed: ["silenceremove", "loudnorm"]
+        },
+        defaultFilterPreset: "none"
     },
     audioFormat: "wav", // Final output format for processing
 
+    // Transcript export formats accepted via the "format" parameter
+    exportFormats: ["json", "txt", "srt", "vtt"],
+    defaultExportFormat: "json",
+
+    // Subtitle cue rules for SRT/WebVTT export
+    subtitles: {
+        maxLineLength: 42, // Characters per line
+        maxLinesPerCue: 2,
+        maxCueDurationSeconds: 7,
+        minCueDurationSeconds: 1,
+        maxWordGapSeconds: 1.5 // A longer pause starts a new cue
+    },
+
     // Centralized error messages for service modules
     errorMessages: {
         fileNotFound: "Input file does not exist",
@@ -38,9 +82,134 @@ module.exports = {
         processingSpeedFactor: 30 // Audio is processed 30x faster than real-time
     },
 
-    // Vosk language model paths
+    // Live transcription over WebSocket (16 kHz mono PCM, see ffmpegOptions)
+    streaming: {
+        path: "/transcribe/stream",
+        maxChunkBytes: 64 * 1024, // Largest binary message accepted from a client
+        maxSessions: 4 // Live sessions open at once, each with its own recognizer process
+    },
+
+    // Resumable uploads (POST /uploads, PATCH /uploads/:id, POST /uploads/:id/complete)
+    resumableUploads: {
+        dir: path.join(ROOT_DIR, "uploads/resumable"), // Partial files and their session records
+        expiryHours: 24 // Unfinished uploads are deleted after this long without activity
+    },
+
+    // Playlist and channel transcription (POST /transcribe/youtube/playlist)
+    youtubeBatch: {
+        maxItems: 100 // Videos taken from the start of a playlist or channel
+    },
+
+    // Remote media downloads (POST /transcribe/url). Listed hosts include their subdomains;
+    // hosts that resolve to private, loopback or link-local addresses are always refused
+    remoteMedia: {
+        allowedHosts: [], // When not empty, only these hosts are downloaded from, and their web pages go through yt-dlp
+        deniedHosts: [], // Never downloaded from
+        maxBytes: 2 * 1024 * 1024 * 1024, // 2 GB, as for uploads
+        maxRedirects: 5,
+        timeoutSeconds: 30 // A direct download that stalls for this long is abandoned
+    },
+
+    // Podcast feed subscriptions (POST /podcasts). Feeds are fetched with the remoteMedia checks
+    podcasts: {
+        dir: "podcasts", // Subscription records
+        pollIntervalMinutes: 60,
+        maxNewEpisodesPerPoll: 5, // Further new episodes wait for the next poll, oldest first
+        maxEpisodeAttempts: 3, // Failed episodes are retried on later polls until they have had this many attempts
+        maxFeedBytes: 10 * 1024 * 1024 // 10 MB
+    },
+
+    // Watch-folder mode: recordings with allowedExtensions dropped into dir are transcribed without a request
+    watchFolder: {
+        enabled: false,
+        dir: "watch/incoming",
+        processedDir: "watch/processed", // Recordings are moved here once transcribed
+        failedDir: "watch/failed", // ... or here, next to a .error.txt explaining why
+        outputDir: null, // Where transcripts are written; null puts them next to the processed recording
+        pollIntervalSeconds: 5, // A file is picked up once its size is unchanged between two scans
+        format: "txt", // One of exportFormats
+        options: { language: "en", filterPreset: "none" } // Any transcription request options
+    },
+
+    // Completion callbacks (callbackUrl on POST /transcribe and POST /transcribe/youtube).
+    // Bodies are signed with the X-Audinote-Signature header: sha256=<hex HMAC-SHA256 of the body>
+    webhooks: {
+        secret: process.env.WEBHOOK_SECRET || null, // Callbacks are refused until a secret is set
+        maxAttempts: 5,
+        initialDelaySeconds: 5, // Doubled after each failed attempt
+        timeoutSeconds: 10
+    },
+
+    // Background transcription jobs
+    jobs: {
+        concurrency: 1, // Jobs processed at the same time
+        retentionMinutes: 60 // How long finished jobs remain queryable
+    },
+
+    // Long-lived Vosk worker processes that keep models loaded between requests
+    recognizerPool: {
+        enabled: true, // When false, each transcription spawns its own Python process
+        size: 2, // Number of worker processes
+        preloadLanguages: ["en"], // Models loaded when each worker starts
+        restartDelayMs: 1000, // Wait before restarting a crashed worker, doubled after each crash in a row
+        maxStartupFailures: 3, // Exits before becoming ready, in a row, after which transcriptions fail instead of waiting
+        requestTimeoutSeconds: 60 * 60 // A transcription without a result by then fails and its worker is restarted
+    },
+
+    // Limits on simultaneous ffmpeg, yt-dlp and recognizer processes
+    concurrency: {
+        limits: {
+            download: 2, // yt-dlp downloads
+            conversion: 2, // ffmpeg conversions
+            transcription: 2 // Transcriptions (match recognizerPool.size)
+        },
+        maxQueued: 10, // Requests waiting per stage before new ones get a 429
+        defaultTaskSeconds: 30 // Initial task duration used for Retry-After estimates
+    },
+
+    // Long recordings are split at silences and the chunks transcribed in parallel
+    chunking: {
+        enabled: true,
+        minDurationSeconds: 900, // Shorter recordings are transcribed in one piece
+        targetChunkSeconds: 300, // Preferred chunk length; the cut goes at the nearest silence
+        maxChunkSeconds: 420, // Cut without a silence when none is found by then
+        overlapSeconds: 2, // Audio shared by neighbouring chunks; words heard twice are dropped
+        parallelism: 2, // Chunks of one recording transcribed at once; all but the first need a free transcription slot
+        silenceThresholdDb: -35, // Quieter than this counts as silence
+        minSilenceSeconds: 0.4
+    },
+
+    // Automatic language detection (requested with language=auto)
+    languageDetection: {
+        sampleSeconds: 20 // Audio transcribed with every model to compare the results
+    },
+
+    // Speaker diarization from Vosk speaker vectors (requested with diarize=true)
+    diarization: {
+        speakerModelPath: path.join(ROOT_DIR, "models/vosk-model-spk-0.4"),
+        distanceThreshold: 0.45, // Cosine distance below which utterances are merged into one speaker
+        maxSpeakers: 8 // Upper bound on distinct speakers per transcript
+    },
+
+    // Speech recognition engines (see GET /engines); requests pick one with the "engine" parameter
+    transcription: {
+        defaultEngine: "vosk",
+        engines: ["vosk", "whisper"] // Engines requests may select; add "fake" for deterministic test output
+    },
+
+    // whisper.cpp command-line backend
+    whisper: {
+        binaryPath: "whisper-cli", // "main" in older whisper.cpp builds
+        modelPath: path.join(ROOT_DIR, "models/ggml-base.bin"), // Multilingual ggml model
+        threads: 4
+    },
+
+    // Directory scanned at startup for Vosk models (vosk-model-<lang>-...)
+    modelsDir: path.join(ROOT_DIR, "models"),
+
+    // Preferred model per language; other installed models are picked with the "model" parameter
     modelPaths: {
-        en: "models/vosk-model-en-us-0.22",
-        es: "models/vosk-model-es-0.42"
+        en: path.join(ROOT_DIR, "models/vosk-model-en-us-0.22"),
+        es: path.join(ROOT_DIR, "models/vosk-model-es-0.42")
     }
 };
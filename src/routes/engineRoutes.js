@@ -0,0 +1,13 @@
+// routes/engineRoutes.js
+const express = require("express");
+const { listEngines } = require("../services/engines");
+
+const router = express.Router();
+
+// Endpoint: GET /engines
+router.get("/", (req, res) => {
+    const engines = listEngines();
+    res.json({ success: true, count: engines.length, engines });
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+// routes/jobRoutes.js
+const express = require("express");
+const { getJob, subscribeToJob, JOB_STATUS } = require("../services/jobQueue");
+const { AppError } = require("../utils/errorHandler");
+
+const router = express.Router();
+
+// Endpoint: GET /jobs/:id
+router.get("/:id", (req, res, next) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return next(new AppError(`Job not found: ${req.params.id}`, 404));
+    }
+
+    res.json({ success: true, ...job });
+});
+
+// Endpoint: GET /jobs/:id/events (Server-Sent Events stream of status and progress changes)
+router.get("/:id/events", (req, res, next) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return next(new AppError(`Job not found: ${req.params.id}`, 404));
+    }
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive"
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const isFinished = (status) => status === JOB_STATUS.done || status === JOB_STATUS.failed;
+
+    // Start with the current state so late subscribers are in sync
+    if (isFinished(job.status)) {
+        send(job.status, job);
+        return res.end();
+    }
+    send("status", job);
+
+    const unsubscribe = subscribeToJob(job.id, (event, data) => {
+        send(event, data);
+        if (isFinished(event)) {
+            unsubscribe();
+            res.end();
+        }
+    });
+
+    req.on("close", unsubscribe);
+});
+
+module.exports = router;
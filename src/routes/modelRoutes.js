@@ -0,0 +1,19 @@
+// routes/modelRoutes.js
+const express = require("express");
+const { getModels, getLanguages } = require("../services/modelRegistry");
+
+const router = express.Router();
+
+// Endpoint: GET /models
+router.get("/", (req, res) => {
+    const models = getModels().map(({ name, language, sizeBytes, default: isDefault }) => ({
+        name,
+        language,
+        sizeBytes,
+        default: isDefault
+    }));
+
+    res.json({ success: true, count: models.length, languages: getLanguages(), models });
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+// routes/podcastRoutes.js
+const express = require("express");
+const { resolveAudioFilters } = require("../services/audioProcessor");
+const { fetchFeed } = require("../services/podcastFeeds");
+const {
+    createSubscription,
+    getSubscriptionDetails,
+    listSubscriptions,
+    removeSubscription
+} = require("../services/podcastSubscriptions");
+const { pollSubscription } = require("../services/podcastPolling");
+const { getModel } = require("../services/modelRegistry");
+const { getEngine } = require("../services/engines");
+const { validateTranscriptionRequest } = require("../services/requestValidator");
+const { AppError } = require("../utils/errorHandler");
+const { parseBooleanParam, parseTimeRange } = require("../utils/requestParams");
+const { defaultLanguage } = require("../config");
+
+const router = express.Router();
+
+// Endpoint: POST /podcasts - subscribes to { feedUrl } with the usual transcription options.
+// backfill is the number of episodes already in the feed to transcribe as well
+router.post("/", async (req, res, next) => {
+    const { feedUrl } = req.body || {};
+    if (!feedUrl) {
+        return next(new AppError("Feed URL is required.", 400));
+    }
+
+    const validationError = validateTranscriptionRequest(req.body);
+    if (validationError) {
+        return next(validationError);
+    }
+
+    // Each episode gets its own transcript, exported later through GET /transcripts/:id
+    if (req.body.format && req.body.format !== "json") {
+        return next(new AppError("Podcast transcripts are saved as JSON. Export them with GET /transcripts/:id?format=...", 400));
+    }
+    if (parseTimeRange(req.body)) {
+        return next(new AppError("start and end cannot be used with podcast subscriptions.", 400));
+    }
+
+    const backfill = req.body.backfill === undefined ? 0 : Number(req.body.backfill);
+    if (!Number.isInteger(backfill) || backfill < 0) {
+        return next(new AppError("backfill must be a whole number of episodes.", 400));
+    }
+
+    try {
+        const feed = await fetchFeed(feedUrl);
+        const options = {
+            // A named model implies its language
+            language: req.body.language || (req.body.model ? getModel(req.body.model).language : defaultLanguage),
+            model: req.body.model,
+            diarize: parseBooleanParam(req.body.diarize),
+            translate: parseBooleanParam(req.body.translate),
+            audioFilters: resolveAudioFilters(req.body),
+            engine: getEngine(req.body.engine).name
+        };
+
+        const subscription = createSubscription({ feedUrl, feed, options, backfill });
+        const queued = await pollSubscription(subscription.id, feed);
+
+        res.status(201).json({ success: true, ...getSubscriptionDetails(subscription.id), queued });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Endpoint: GET /podcasts - all subscriptions
+router.get("/", (req, res) => {
+    res.json({ success: true, subscriptions: listSubscriptions() });
+});
+
+// Endpoint: GET /podcasts/:id - a subscription and its episodes
+router.get("/:id", (req, res, next) => {
+    try {
+        res.json({ success: true, ...getSubscriptionDetails(req.params.id) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Endpoint: POST /podcasts/:id/poll - checks the feed now instead of waiting for the schedule
+router.post("/:id/poll", async (req, res, next) => {
+    try {
+        const queued = await pollSubscription(req.params.id);
+        res.json({ success: true, queued });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Endpoint: DELETE /podcasts/:id - unsubscribes; existing transcripts are kept
+router.delete("/:id", (req, res, next) => {
+    try {
+        removeSubscription(req.params.id);
+        res.json({ success: true, message: "Unsubscribed." });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
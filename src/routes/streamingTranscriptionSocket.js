@@ -0,0 +1,97 @@
+// routes/streamingTranscriptionSocket.js
+const { WebSocketServer } = require("ws");
+const { createStreamingSession } = require("../services/streamingTranscriber");
+const { getLanguages } = require("../services/modelRegistry");
+const { defaultLanguage, ffmpegOptions, streaming } = require("../config");
+const logger = require("../utils/logger");
+
+// Open live sessions; each one keeps a recognizer process running
+let activeSessions = 0;
+
+/**
+ * Handles a live transcription client. Binary messages carry PCM audio; the
+ * text message {"type":"end"} flushes the last utterance and closes the socket.
+ * Clients over streaming.maxSessions are turned away with close code 1013.
+ * @param {WebSocket} socket - The client connection.
+ * @param {http.IncomingMessage} req - The upgrade request.
+ */
+const handleConnection = (socket, req) => {
+    const { searchParams } = new URL(req.url, "http://localhost");
+    const language = searchParams.get("language") || defaultLanguage;
+
+    const send = (message) => {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    };
+
+    if (!getLanguages().includes(language)) {
+        send({ type: "error", message: `Invalid language. Supported languages: ${getLanguages().join(', ')}` });
+        return socket.close(1008, "Invalid language");
+    }
+
+    if (activeSessions >= streaming.maxSessions) {
+        logger.warn(`⚠️ Refusing live transcription client: ${activeSessions} sessions already open`);
+        send({ type: "error", message: "Server is busy with other live transcriptions. Try again later." });
+        return socket.close(1013, "Try again later");
+    }
+
+    activeSessions++;
+    logger.info(`🔌 Live transcription client connected (${language})`);
+
+    const session = createStreamingSession(language, {
+        onReady: () => send({
+            type: "ready",
+            language,
+            sampleRate: Number(ffmpegOptions.sampleRate),
+            channels: Number(ffmpegOptions.channels),
+            encoding: ffmpegOptions.codec
+        }),
+        onPartial: (text) => send({ type: "partial", text }),
+        onFinal: (result) => send({ type: "final", ...result }),
+        onError: (error) => {
+            send({ type: "error", message: error.message });
+            socket.close(1011, "Transcription failed");
+        },
+        onClose: () => socket.close(1000, "Transcription finished")
+    });
+
+    socket.on("message", (data, isBinary) => {
+        if (isBinary) {
+            return session.write(data);
+        }
+
+        // Text messages are control commands
+        let command = null;
+        try {
+            command = JSON.parse(data.toString());
+        } catch (parseError) {
+            logger.debug(`Ignoring malformed live transcription command: ${parseError.message}`);
+        }
+
+        if (command && command.type === "end") {
+            session.end();
+        } else {
+            send({ type: "error", message: "Unknown command. Send binary PCM audio or {\"type\":\"end\"}." });
+        }
+    });
+
+    socket.on("close", () => {
+        activeSessions--;
+        logger.info("🔌 Live transcription client disconnected");
+        session.end();
+    });
+};
+
+/**
+ * Attaches the live transcription WebSocket endpoint to an HTTP server.
+ * @param {http.Server} server - The server returned by app.listen().
+ * @returns {WebSocketServer} The WebSocket server.
+ */
+const attachStreamingTranscription = (server) => {
+    const wss = new WebSocketServer({ server, path: streaming.path, maxPayload: streaming.maxChunkBytes });
+    wss.on("connection", handleConnection);
+    return wss;
+};
+
+module.exports = { attachStreamingTranscription };
@@ -0,0 +1,68 @@
+// routes/transcriptRoutes.js
+const express = require("express");
+const { listTranscripts, getTranscript, deleteTranscript } = require("../services/transcriptStore");
+const { formatTranscript } = require("../utils/subtitleFormatter");
+const { AppError } = require("../utils/errorHandler");
+const { exportFormats } = require("../config");
+
+const router = express.Router();
+
+// Content types for transcripts downloaded in a non-JSON format
+const contentTypes = {
+    txt: "text/plain; charset=utf-8",
+    srt: "application/x-subrip; charset=utf-8",
+    vtt: "text/vtt; charset=utf-8"
+};
+
+// Endpoint: GET /transcripts
+router.get("/", async (req, res, next) => {
+    try {
+        const transcripts = await listTranscripts();
+        res.json({ success: true, count: transcripts.length, transcripts });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Endpoint: GET /transcripts/:id
+router.get("/:id", async (req, res, next) => {
+    const { format } = req.query;
+    if (format && !exportFormats.includes(format)) {
+        return next(new AppError(`Invalid format. Supported formats: ${exportFormats.join(', ')}`, 400));
+    }
+
+    try {
+        const transcript = await getTranscript(req.params.id);
+        if (!transcript) {
+            return next(new AppError(`Transcript not found: ${req.params.id}`, 404));
+        }
+
+        if (format && format !== "json") {
+            const { text, segments, words } = transcript;
+            return res
+                .type(contentTypes[format])
+                .attachment(`${transcript.id}.${format}`)
+                .send(formatTranscript({ text, segments, words }, format));
+        }
+
+        res.json({ success: true, ...transcript });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Endpoint: DELETE /transcripts/:id
+router.delete("/:id", async (req, res, next) => {
+    try {
+        const deleted = await deleteTranscript(req.params.id);
+        if (!deleted) {
+            return next(new AppError(`Transcript not found: ${req.params.id}`, 404));
+        }
+
+        res.json({ success: true, id: req.params.id });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
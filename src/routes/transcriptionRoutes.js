@@ -1,11 +1,17 @@
 // routes/transcriptionRoutes.js
 const express = require("express");
-const { processAudio } = require("../services/audioProcessor");
-const { transcribeAudio } = require("../services/transcriber");
+const { resolveAudioFilters } = require("../services/audioProcessor");
+const { validateMediaFile, checkRangeStart } = require("../services/mediaValidator");
+const { runFileTranscription } = require("../services/transcriptionPipeline");
 const { AppError } = require("../utils/errorHandler");
 const { deleteFile } = require("../utils/fileUtils");
-const { allowedMimeTypes, allowedExtensions, allowedLanguages, defaultLanguage } = require("../config");
-const { getAudioDuration, formatTime, calculateEstimatedProcessingTime, calculateTimeDifference } = require("../services/timeEstimator");
+const { defaultLanguage, defaultExportFormat } = require("../config");
+const { createJob } = require("../services/jobQueue");
+const { validateCallbackUrl, notifyOnCompletion } = require("../services/webhookNotifier");
+const { getModel } = require("../services/modelRegistry");
+const { getEngine } = require("../services/engines");
+const { validateTranscriptionRequest } = require("../services/requestValidator");
+const { parseBooleanParam, parseTimeRange, validateFileType } = require("../utils/requestParams");
 const logger = require("../utils/logger");
 
 const router = express.Router();
@@ -18,75 +24,116 @@ const validateRequest = (req, res, next) => {
 
     logger.debug(`📂 File received: ${req.file.originalname} (MIME: ${req.file.mimetype})`);
 
-    const hasAllowedExtension = new RegExp(`\\.(${allowedExtensions.join('|')})$`, "i").test(req.file.originalname);
-
-    if (!allowedMimeTypes.includes(req.file.mimetype) && !hasAllowedExtension) {
-        deleteFile(req.file.path);
-        return next(new AppError(
-            `Invalid file type: ${req.file.mimetype}. Only audio files (${allowedExtensions.join(', ').toUpperCase()}) are allowed.`,
-            400
-        ));
-    }
-
-    if (req.body.language && !allowedLanguages.includes(req.body.language)) {
+    const validationError = validateFileType(req.file.originalname, req.file.mimetype)
+        || validateTranscriptionRequest(req.body)
+        || validateCallbackUrl(req.body.callbackUrl);
+    if (validationError) {
         deleteFile(req.file.path);
-        return next(new AppError(`Invalid language. Supported languages: ${allowedLanguages.join(', ')}`, 400));
+        return next(validationError);
     }
 
-    next();
+    // Look inside the file before ffmpeg spends time converting it
+    validateMediaFile(req.file, req.body.audioTrack)
+        .then((media) => {
+            checkRangeStart(parseTimeRange(req.body), media.durationSeconds);
+            req.media = media;
+            next();
+        })
+        .catch((error) => {
+            deleteFile(req.file.path);
+            next(error);
+        });
 };
 
-router.post("/", validateRequest, async (req, res, next) => {
-    let wavFile = null;
-    const startTime = Date.now();
-
-    try {
-        logger.info(`📥 Processing file: ${req.file.originalname}`);
-
-        // Convert uploaded file to WAV
-        wavFile = await processAudio(req.file.path);
-
-        // Get audio duration using FFmpeg
-        const durationSeconds = await getAudioDuration(wavFile);
-        const durationFormatted = formatTime(durationSeconds);
-
-        logger.info(`🎵 MP3 duration: ${durationFormatted.minutes} minutes ${durationFormatted.seconds} seconds.`);
-
-        // Calculate estimated processing time
-        const estimatedTime = calculateEstimatedProcessingTime(durationSeconds);
-        logger.info(`⏳ Estimated processing time: ${estimatedTime.hours}h ${estimatedTime.minutes}m ${estimatedTime.seconds}s`);
-
-        // Transcribe the processed file
-        const language = req.body.language || defaultLanguage;
-        const transcription = await transcribeAudio(wavFile, language);
-
-        // Compute actual processing time
-        const endTime = Date.now();
-        const actualProcessingTimeSeconds = Math.round((endTime - startTime) / 1000);
-        const actualTime = formatTime(actualProcessingTimeSeconds);
+/**
+ * Reads the transcription options of an upload or remote media request.
+ * @param {Object} body - The validated request body.
+ * @returns {Object} Language, model, format, diarize, translate, audio filters, engine and range.
+ */
+const readTranscriptionParams = (body) => ({
+    // A named model implies its language
+    language: body.language || (body.model ? getModel(body.model).language : defaultLanguage),
+    model: body.model,
+    format: body.format || defaultExportFormat,
+    diarize: parseBooleanParam(body.diarize),
+    translate: parseBooleanParam(body.translate),
+    audioFilters: resolveAudioFilters(body),
+    engine: getEngine(body.engine).name,
+    range: parseTimeRange(body)
+});
 
-        // Calculate the difference between estimated and actual time
-        const difference = calculateTimeDifference(actualProcessingTimeSeconds, estimatedTime);
+/**
+ * Describes an upload or remote media job for its metadata.
+ * @param {Object} params - The pipeline parameters.
+ * @returns {Object} The options the job was started with.
+ */
+const toJobMetadata = (params) => ({
+    ...(params.originalName && { filename: params.originalName }),
+    ...(params.sourceUrl && { url: params.sourceUrl }),
+    language: params.language,
+    model: params.model,
+    format: params.format,
+    diarize: params.diarize,
+    translate: params.translate,
+    engine: params.engine,
+    audioFilters: params.audioFilters,
+    ...(params.range && { range: params.range })
+});
 
-        logger.info(`🚀 Actual processing time: ${actualTime.hours}h ${actualTime.minutes}m ${actualTime.seconds}s`);
-        logger.info(`📉 Difference: ${difference.differenceText}`);
+/**
+ * Transcribes the file in req.file with the options in req.body, either right
+ * away or as a background job when async or callbackUrl is set. Shared with completed
+ * resumable uploads and downloaded remote media, whose req.file also carries the url.
+ * @param {Object} req - Express request with a validated req.file.
+ * @param {Object} res - Express response.
+ * @param {Function} next - Express next middleware.
+ */
+const transcribeUpload = async (req, res, next) => {
+    const params = {
+        filePath: req.file.path,
+        originalName: req.file.originalname,
+        sourceUrl: req.file.url,
+        ...readTranscriptionParams(req.body),
+        audioTrack: req.media && req.media.audioTrack
+    };
+
+    // A callback replaces polling, so the caller gets a job right away
+    const { callbackUrl } = req.body;
+    if (parseBooleanParam(req.body.async) || callbackUrl) {
+        const job = createJob(params.sourceUrl ? "url" : "upload", (reporter) => notifyOnCompletion(
+            callbackUrl,
+            job.id,
+            runFileTranscription({ ...params, waitForCapacity: true }, reporter)
+        ), {
+            ...toJobMetadata(params),
+            audioTrack: params.audioTrack && params.audioTrack.index
+        });
 
-        res.json({
+        return res.status(202).json({
             success: true,
-            language,
-            audioDuration: durationFormatted,
-            estimatedProcessingTime: estimatedTime,
-            actualProcessingTime: actualTime,
-            timeDifference: difference.timeObject,
-            timeDifferenceText: difference.differenceText,
-            ...transcription
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/jobs/${job.id}`
         });
-    } catch (error) {
-        if (wavFile) {
-            error.cleanup = wavFile;
+    }
+
+    try {
+        const result = await runFileTranscription(params);
+
+        // Non-JSON formats are sent back as a file download
+        if (result.exportFile) {
+            return res.download(result.exportFile);
         }
+        res.json(result);
+    } catch (error) {
         next(error);
     }
-});
+};
+
+router.post("/", validateRequest, transcribeUpload);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.validateRequest = validateRequest;
+module.exports.transcribeUpload = transcribeUpload;
+module.exports.readTranscriptionParams = readTranscriptionParams;
+module.exports.toJobMetadata = toJobMetadata;
@@ -0,0 +1,104 @@
+// routes/uploadRoutes.js
+const express = require("express");
+const { createUploadSession, writeChunk, getUploadStatus, completeUpload, cancelUpload } = require("../services/uploadSessions");
+const { validateTranscriptionRequest } = require("../services/requestValidator");
+const { validateCallbackUrl } = require("../services/webhookNotifier");
+const { validateRequest, transcribeUpload } = require("./transcriptionRoutes");
+const { AppError } = require("../utils/errorHandler");
+const { validateFileType } = require("../utils/requestParams");
+
+const router = express.Router();
+
+/**
+ * Reads a "Content-Range: bytes start-end/total" header.
+ * @param {string} header - The header value.
+ * @returns {Object|null} The first byte, length and total, or null when malformed.
+ */
+const parseContentRange = (header) => {
+    const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(header || "");
+    if (!match || Number(match[2]) < Number(match[1])) {
+        return null;
+    }
+    return { start: Number(match[1]), length: Number(match[2]) - Number(match[1]) + 1, total: Number(match[3]) };
+};
+
+// Endpoint: POST /uploads - starts an upload of { filename, size, mimetype }
+router.post("/", (req, res, next) => {
+    const { filename, mimetype } = req.body || {};
+    const size = Number(req.body && req.body.size);
+
+    if (!filename) {
+        return next(new AppError("A filename is required.", 400));
+    }
+
+    const fileError = validateFileType(filename, mimetype);
+    if (fileError) {
+        return next(fileError);
+    }
+
+    try {
+        const upload = createUploadSession({ filename, size, mimetype });
+        res.status(201).json({ success: true, ...upload, uploadUrl: `/uploads/${upload.uploadId}` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Endpoint: GET /uploads/:id - received and missing byte ranges
+router.get("/:id", (req, res, next) => {
+    try {
+        res.json({ success: true, ...getUploadStatus(req.params.id) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Endpoint: PATCH /uploads/:id - raw bytes for the range in Content-Range
+router.patch("/:id", async (req, res, next) => {
+    const range = parseContentRange(req.get("Content-Range"));
+    if (!range) {
+        return next(new AppError("A Content-Range header of the form \"bytes start-end/total\" is required.", 400));
+    }
+    if (Number(req.get("Content-Length")) !== range.length) {
+        return next(new AppError("Content-Length must match the size of the Content-Range.", 400));
+    }
+
+    try {
+        const status = getUploadStatus(req.params.id);
+        if (range.total !== status.size) {
+            return next(new AppError(`Content-Range total ${range.total} does not match the upload size ${status.size}.`, 400));
+        }
+
+        res.json({ success: true, ...await writeChunk(req.params.id, range.start, range.length, req) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Endpoint: POST /uploads/:id/complete - transcribes the finished upload with the usual options
+router.post("/:id/complete", (req, res, next) => {
+    // Check the options first so a typo does not cost the uploaded file
+    const validationError = validateTranscriptionRequest(req.body) || validateCallbackUrl(req.body.callbackUrl);
+    if (validationError) {
+        return next(validationError);
+    }
+
+    try {
+        req.file = completeUpload(req.params.id);
+        next();
+    } catch (error) {
+        next(error);
+    }
+}, validateRequest, transcribeUpload);
+
+// Endpoint: DELETE /uploads/:id - cancels an upload
+router.delete("/:id", (req, res, next) => {
+    try {
+        cancelUpload(req.params.id);
+        res.json({ success: true, message: "Upload cancelled." });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+// routes/urlTranscriptionRoutes.js
+const express = require("express");
+const { downloadRemoteMedia } = require("../services/mediaDownloader");
+const { limiters } = require("../services/concurrencyLimiter");
+const { createJob } = require("../services/jobQueue");
+const { validateCallbackUrl, notifyOnCompletion } = require("../services/webhookNotifier");
+const { validateTranscriptionRequest } = require("../services/requestValidator");
+const { runUrlTranscription } = require("../services/transcriptionPipeline");
+const { validateRequest, transcribeUpload, readTranscriptionParams, toJobMetadata } = require("./transcriptionRoutes");
+const { AppError } = require("../utils/errorHandler");
+const { parseBooleanParam } = require("../utils/requestParams");
+
+const router = express.Router();
+
+// Endpoint: POST /transcribe/url - downloads { url } and transcribes it like an upload,
+// with the same options. Direct audio and video links (podcast episodes, mp3 and mp4
+// files) are fetched over HTTP; pages on remoteMedia.allowedHosts go through yt-dlp
+router.post("/", async (req, res, next) => {
+    const { url } = req.body || {};
+    if (!url) {
+        return next(new AppError("Media URL is required.", 400));
+    }
+
+    // Check the options first so a typo does not cost a download
+    const validationError = validateTranscriptionRequest(req.body) || validateCallbackUrl(req.body.callbackUrl);
+    if (validationError) {
+        return next(validationError);
+    }
+
+    // Background jobs download inside the job, so the caller gets its job ID
+    // without waiting for the download or for a free download slot
+    const { callbackUrl } = req.body;
+    if (parseBooleanParam(req.body.async) || callbackUrl) {
+        const params = { ...readTranscriptionParams(req.body), url, audioTrack: req.body.audioTrack };
+        const job = createJob("url", (reporter) => notifyOnCompletion(
+            callbackUrl,
+            job.id,
+            runUrlTranscription({ ...params, waitForCapacity: true }, reporter)
+        ), {
+            ...toJobMetadata(params),
+            url,
+            ...(params.audioTrack !== undefined && { audioTrack: params.audioTrack })
+        });
+
+        return res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/jobs/${job.id}`
+        });
+    }
+
+    try {
+        req.file = await limiters.download.run(() => downloadRemoteMedia(url));
+        next();
+    } catch (error) {
+        next(error);
+    }
+}, validateRequest, transcribeUpload);
+
+module.exports = router;
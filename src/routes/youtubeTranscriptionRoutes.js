@@ -1,100 +1,128 @@
 // routes/youtubeTranscriptionRoutes.js
 const express = require("express");
-const { processAudio } = require("../services/audioProcessor");
-const { transcribeAudio } = require("../services/transcriber");
+const { resolveAudioFilters } = require("../services/audioProcessor");
+const { runYouTubeTranscription, runPlaylistTranscription } = require("../services/transcriptionPipeline");
 const { AppError } = require("../utils/errorHandler");
-const { deleteFile } = require("../utils/fileUtils");
-const path = require("path");
-const fs = require("fs");
-const { spawn } = require("child_process");
-const { getVideoDuration, formatTime, calculateEstimatedProcessingTime, calculateTimeDifference } = require("../services/timeEstimator");
-const logger = require("../utils/logger"); // ✅ Added logger
+const { createJob } = require("../services/jobQueue");
+const { validateCallbackUrl, notifyOnCompletion } = require("../services/webhookNotifier");
+const { getModel } = require("../services/modelRegistry");
+const { getEngine } = require("../services/engines");
+const { parseBooleanParam, parseTimeRange } = require("../utils/requestParams");
+const { downloadAudioWithYtDlp } = require("../services/mediaDownloader");
+const { validateTranscriptionRequest } = require("../services/requestValidator");
+const { defaultLanguage, defaultExportFormat } = require("../config");
 
 const router = express.Router();
 
-// Function to download audio using yt-dlp
-const downloadAudioWithYtDlp = (url, outputPath) => {
-    return new Promise((resolve, reject) => {
-        const ytDlp = spawn("yt-dlp", ["-f", "bestaudio", "-o", outputPath, url]);
-
-        ytDlp.stdout.on("data", (data) => {
-            logger.debug(`yt-dlp: ${data}`);
-        });
-
-        ytDlp.stderr.on("data", (data) => {
-            logger.warn(`yt-dlp error: ${data}`);
-        });
+/**
+ * Reads the transcription options shared by single videos and playlists.
+ * @param {Object} body - The validated request body.
+ * @returns {Object} Language, model, format, diarize, translate, audio filters, range, caption use and engine.
+ */
+const readTranscriptionParams = (body) => ({
+    // A named model implies its language
+    language: body.language || (body.model ? getModel(body.model).language : defaultLanguage),
+    model: body.model,
+    format: body.format || defaultExportFormat,
+    diarize: parseBooleanParam(body.diarize),
+    translate: parseBooleanParam(body.translate),
+    audioFilters: resolveAudioFilters(body),
+    range: parseTimeRange(body),
+    useCaptions: parseBooleanParam(body.useCaptions),
+    engine: getEngine(body.engine).name
+});
 
-        ytDlp.on("close", (code) => {
-            if (code === 0) {
-                resolve();
-            } else {
-                reject(new AppError(`yt-dlp exited with code ${code}`, 500));
-            }
-        });
-    });
-};
+/**
+ * Describes a YouTube job for its metadata.
+ * @param {Object} params - The pipeline parameters.
+ * @returns {Object} The options the job was started with.
+ */
+const toJobMetadata = (params) => ({
+    url: params.url,
+    language: params.language,
+    model: params.model,
+    format: params.format,
+    diarize: params.diarize,
+    translate: params.translate,
+    engine: params.engine,
+    audioFilters: params.audioFilters,
+    ...(params.range && { range: params.range }),
+    ...(params.useCaptions && { useCaptions: true })
+});
 
 // Endpoint: POST /youtube
 router.post("/", async (req, res, next) => {
-    const { url, language } = req.body;
+    const { url } = req.body;
     if (!url) {
         return next(new AppError("YouTube URL is required.", 400));
     }
 
-    const tempFilename = path.join("uploads", `${Date.now()}-youtube.mp3`);
+    const validationError = validateTranscriptionRequest(req.body) || validateCallbackUrl(req.body.callbackUrl);
+    if (validationError) {
+        return next(validationError);
+    }
 
-    try {
-        logger.info(`📥 Downloading YouTube audio from: ${url}`);
-        const startTime = Date.now(); // Start time tracking
+    const params = { url, ...readTranscriptionParams(req.body) };
 
-        // Get the video duration
-        const durationSeconds = await getVideoDuration(url);
-        const durationFormatted = formatTime(durationSeconds);
-        logger.info(`🎬 YT video lasts ${durationFormatted.minutes} minutes ${durationFormatted.seconds} seconds.`);
+    // A callback replaces polling, so the caller gets a job right away
+    const { callbackUrl } = req.body;
+    if (parseBooleanParam(req.body.async) || callbackUrl) {
+        const job = createJob("youtube", (reporter) => notifyOnCompletion(
+            callbackUrl,
+            job.id,
+            runYouTubeTranscription({ ...params, waitForCapacity: true }, reporter)
+        ), toJobMetadata(params));
 
-        // Estimate processing time
-        const estimatedTime = calculateEstimatedProcessingTime(durationSeconds);
-        logger.info(`⏳ Estimated processing time: ${estimatedTime.hours}h ${estimatedTime.minutes}m ${estimatedTime.seconds}s`);
+        return res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/jobs/${job.id}`
+        });
+    }
 
-        // Download the audio
-        await downloadAudioWithYtDlp(url, tempFilename);
-        logger.info("✅ YouTube audio download complete.");
+    try {
+        const result = await runYouTubeTranscription(params);
 
-        // Convert to WAV
-        const wavFile = await processAudio(tempFilename);
+        // Non-JSON formats are sent back as a file download
+        if (result.exportFile) {
+            return res.download(result.exportFile);
+        }
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
 
-        // Transcribe
-        const transcriptionLanguage = language || require("../config").defaultLanguage;
-        const transcription = await transcribeAudio(wavFile, transcriptionLanguage);
+// Endpoint: POST /youtube/playlist - transcribes every video of a playlist or channel in a background job
+router.post("/playlist", (req, res, next) => {
+    const { url } = req.body;
+    if (!url) {
+        return next(new AppError("Playlist or channel URL is required.", 400));
+    }
 
-        // Calculate actual processing time
-        const endTime = Date.now();
-        const actualProcessingTimeSeconds = Math.round((endTime - startTime) / 1000);
-        const actualTime = formatTime(actualProcessingTimeSeconds);
+    const validationError = validateTranscriptionRequest(req.body);
+    if (validationError) {
+        return next(validationError);
+    }
 
-        // Time difference
-        const difference = calculateTimeDifference(actualProcessingTimeSeconds, estimatedTime);
+    // Each video gets its own transcript, exported later through GET /transcripts/:id
+    if (req.body.format && req.body.format !== "json") {
+        return next(new AppError("Playlist transcripts are saved as JSON. Export them with GET /transcripts/:id?format=...", 400));
+    }
+    if (parseTimeRange(req.body)) {
+        return next(new AppError("start and end cannot be used with playlists.", 400));
+    }
 
-        logger.info(`🚀 Actual processing time: ${actualTime.hours}h ${actualTime.minutes}m ${actualTime.seconds}s`);
-        logger.info(`📉 Difference: ${difference.differenceText}`);
+    const params = { url, ...readTranscriptionParams(req.body) };
+    const job = createJob("youtube-playlist", (reporter) => runPlaylistTranscription(params, reporter), toJobMetadata(params));
 
-        res.json({
-            success: true,
-            language: transcriptionLanguage,
-            videoDuration: durationFormatted,
-            estimatedProcessingTime: estimatedTime,
-            actualProcessingTime: actualTime,
-            timeDifference: difference.timeObject,
-            timeDifferenceText: difference.differenceText,
-            ...transcription
-        });
-    } catch (error) {
-        if (fs.existsSync(tempFilename)) {
-            deleteFile(tempFilename);
-        }
-        next(error);
-    }
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`
+    });
 });
 
 router.downloadAudioWithYtDlp = downloadAudioWithYtDlp;
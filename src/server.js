@@ -1,9 +1,36 @@
 // src/server.js
 require("dotenv").config();
 const app = require("./app");
+const { attachStreamingTranscription } = require("./routes/streamingTranscriptionSocket");
+const { startPodcastPolling } = require("./services/podcastPolling");
+const { startWatchFolder } = require("./services/watchFolder");
+const { getRecognizerPool } = require("./services/recognizerPool");
+const { loadModels } = require("./services/modelRegistry");
+const { streaming, recognizerPool, podcasts, watchFolder } = require("./config");
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => {
+// Discover installed Vosk models before accepting requests
+loadModels();
+
+const server = app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
 });
+
+// Live transcription shares the HTTP server through WebSocket upgrades
+attachStreamingTranscription(server);
+console.log(`🎙 Live transcription available on ws://localhost:${PORT}${streaming.path}`);
+
+// Load the Vosk models up front so the first request doesn't pay for it
+if (recognizerPool.enabled) {
+    getRecognizerPool();
+}
+
+// Check subscribed podcast feeds for new episodes
+startPodcastPolling();
+console.log(`🎙️ Polling podcast feeds every ${podcasts.pollIntervalMinutes} minutes`);
+
+// Transcribe recordings dropped into the watch folder
+if (watchFolder.enabled) {
+    startWatchFolder();
+}
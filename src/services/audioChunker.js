@@ -0,0 +1,139 @@
+/**
+ * @file audioChunker.js
+ * @description Splits long WAV files into overlapping chunks that are cut at
+ * silences, so each chunk can be transcribed on its own.
+ */
+
+const { spawn } = require("child_process");
+const { ffmpegPath, errorMessages } = require("../config");
+const { AppError } = require("../utils/errorHandler");
+const { roundValue } = require("../utils/timeFormatter");
+
+/**
+ * Finds the silent stretches of a WAV file with ffmpeg's silencedetect filter.
+ * @param {string} wavFile - The converted WAV file.
+ * @param {Object} options - Detection settings.
+ * @param {number} options.silenceThresholdDb - Volume below which audio counts as silence.
+ * @param {number} options.minSilenceSeconds - Shortest pause reported.
+ * @returns {Promise<Object[]>} - Resolves with { start, end } for every silence, in order.
+ */
+const detectSilences = (wavFile, { silenceThresholdDb, minSilenceSeconds }) => {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, [
+            "-hide_banner",
+            "-i", wavFile,
+            "-af", `silencedetect=noise=${silenceThresholdDb}dB:d=${minSilenceSeconds}`,
+            "-f", "null",
+            "-"
+        ]);
+
+        let output = "";
+
+        ffmpeg.stderr.on("data", (data) => {
+            output += data.toString();
+        });
+
+        ffmpeg.on("error", (err) => {
+            reject(new AppError(`${errorMessages.ffmpegFailed}: ${err.message}`, 500));
+        });
+
+        ffmpeg.on("close", (code) => {
+            if (code !== 0) {
+                return reject(new AppError(`${errorMessages.ffmpegFailed} with code ${code}`, 500));
+            }
+
+            const silences = [];
+            output.split("\n").forEach((line) => {
+                const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+                const endMatch = line.match(/silence_end: ([\d.]+)/);
+
+                if (startMatch) {
+                    silences.push({ start: Math.max(0, Number(startMatch[1])), end: null });
+                } else if (endMatch && silences.length > 0) {
+                    silences[silences.length - 1].end = Number(endMatch[1]);
+                }
+            });
+
+            // A silence that runs to the end of the file has no end line
+            resolve(silences.filter(silence => silence.end !== null));
+        });
+    });
+};
+
+/**
+ * Plans where to cut a recording. Each cut goes at the middle of the silence
+ * closest to the target length, or at the target length when no silence falls
+ * between half the target and the maximum length. Neighbouring chunks share
+ * overlapSeconds of audio around each cut; keepFrom/keepTo mark the part of a
+ * chunk whose words belong in the final transcript.
+ * @param {number} durationSeconds - Length of the recording.
+ * @param {Object[]} silences - Silences with start and end times.
+ * @param {Object} options - Chunk settings.
+ * @param {number} options.targetChunkSeconds - Preferred chunk length.
+ * @param {number} options.maxChunkSeconds - Longest chunk allowed.
+ * @param {number} options.overlapSeconds - Audio shared by neighbouring chunks.
+ * @returns {Object[]} - Chunks with start, end, keepFrom and keepTo in seconds.
+ */
+const planChunks = (durationSeconds, silences, { targetChunkSeconds, maxChunkSeconds, overlapSeconds }) => {
+    const cuts = [0];
+    const midpoints = silences.map(silence => (silence.start + silence.end) / 2);
+
+    while (durationSeconds - cuts[cuts.length - 1] > maxChunkSeconds) {
+        const previous = cuts[cuts.length - 1];
+        const target = previous + targetChunkSeconds;
+        const candidates = midpoints.filter(point => point > previous + targetChunkSeconds / 2 && point <= previous + maxChunkSeconds);
+        const best = candidates.sort((a, b) => Math.abs(a - target) - Math.abs(b - target))[0];
+
+        cuts.push(roundValue(best !== undefined ? best : target));
+    }
+    cuts.push(durationSeconds);
+
+    return cuts.slice(0, -1).map((cut, index) => {
+        const next = cuts[index + 1];
+        const isLast = index === cuts.length - 2;
+        return {
+            start: roundValue(Math.max(0, cut - overlapSeconds / 2)),
+            end: roundValue(Math.min(durationSeconds, next + overlapSeconds / 2)),
+            keepFrom: cut,
+            keepTo: isLast ? Infinity : next
+        };
+    });
+};
+
+/**
+ * Copies one chunk of a WAV file into its own file.
+ * @param {string} wavFile - The converted WAV file.
+ * @param {Object} chunk - Chunk with start and end times.
+ * @param {number} index - Chunk number, used in the file name.
+ * @returns {Promise<string>} - Resolves with the chunk file path.
+ */
+const extractChunk = (wavFile, chunk, index) => {
+    return new Promise((resolve, reject) => {
+        const chunkFile = `${wavFile}.chunk${index}.wav`;
+        const ffmpeg = spawn(ffmpegPath, [
+            "-y",
+            "-ss", String(chunk.start),
+            "-t", String(roundValue(chunk.end - chunk.start)),
+            "-i", wavFile,
+            "-c", "copy",
+            chunkFile
+        ]);
+
+        ffmpeg.on("error", (err) => {
+            reject(new AppError(`${errorMessages.ffmpegFailed}: ${err.message}`, 500));
+        });
+
+        ffmpeg.on("close", (code) => {
+            if (code !== 0) {
+                return reject(new AppError(`${errorMessages.ffmpegFailed} with code ${code}`, 500, chunkFile));
+            }
+            resolve(chunkFile);
+        });
+    });
+};
+
+module.exports = {
+    detectSilences,
+    planChunks,
+    extractChunk
+};
@@ -1,6 +1,7 @@
 /**
  * @file audioProcessor.js
- * @description Processes an audio file by converting it to WAV format using FFmpeg.
+ * @description Processes an audio or video file by converting its audio to WAV format using FFmpeg,
+ * optionally running it through the filters configured in ffmpegOptions.filters.
  */
 
 const { spawn } = require("child_process");
@@ -10,12 +11,50 @@ const { deleteFile } = require("../utils/fileUtils");
 const { ffmpegOptions, audioFormat, ffmpegPath, errorMessages } = require("../config");
 const logger = require("../utils/logger");
 
+/**
+ * Works out which filters a request asked for. An explicit filter list wins
+ * over a preset; without either, the default preset applies.
+ * @param {Object} options - The requested filters.
+ * @param {string} [options.filterPreset] - Name of a preset in ffmpegOptions.filterPresets.
+ * @param {string|string[]} [options.filters] - Filter names, as an array or a comma-separated string.
+ * @returns {string[]} - The filter names, in the order they run.
+ * @throws {AppError} 400 for an unknown preset or filter.
+ */
+const resolveAudioFilters = ({ filterPreset, filters } = {}) => {
+    if (filters !== undefined && filters !== "") {
+        const names = (Array.isArray(filters) ? filters : String(filters).split(","))
+            .map(name => String(name).trim())
+            .filter(Boolean);
+        const unknown = names.filter(name => !ffmpegOptions.filters[name]);
+        if (unknown.length > 0) {
+            throw new AppError(
+                `Unknown audio filter: ${unknown.join(", ")}. Supported filters: ${Object.keys(ffmpegOptions.filters).join(", ")}`,
+                400
+            );
+        }
+        return [...new Set(names)];
+    }
+
+    const preset = filterPreset || ffmpegOptions.defaultFilterPreset;
+    if (!ffmpegOptions.filterPresets[preset]) {
+        throw new AppError(
+            `Unknown filter preset: ${preset}. Supported presets: ${Object.keys(ffmpegOptions.filterPresets).join(", ")}`,
+            400
+        );
+    }
+    return ffmpegOptions.filterPresets[preset];
+};
+
 /**
  * Processes an audio file by converting it to WAV format using FFmpeg.
- * @param {string} filePath - The path to the input audio file.
+ * @param {string} filePath - The path to the input audio or video file.
+ * @param {Object} [options] - Optional settings.
+ * @param {number} [options.audioTrack] - Audio stream to extract (0 is the first audio stream); FFmpeg picks one when omitted.
+ * @param {string[]} [options.filters] - Names of filters to apply, from resolveAudioFilters.
+ * @param {Object} [options.range] - Part of the media to keep, with start and optional end in seconds.
  * @returns {Promise<string>} - Resolves with the path to the converted WAV file.
  */
-const processAudio = (filePath) => {
+const processAudio = (filePath, { audioTrack, filters = [], range } = {}) => {
     return new Promise((resolve, reject) => {
         if (!fs.existsSync(filePath)) {
             return reject(new AppError(errorMessages.fileNotFound, 500, filePath));
@@ -34,7 +73,12 @@ const processAudio = (filePath) => {
         };
 
         const ffmpeg = spawn(ffmpegPath, [
+            // Seeking before the input skips straight to the start of the range
+            ...(range && range.start > 0 ? ["-ss", String(range.start)] : []),
             "-i", filePath,
+            ...(range && range.end !== undefined ? ["-t", String(range.end - range.start)] : []),
+            ...(audioTrack !== undefined ? ["-map", `0:a:${audioTrack}`] : []),
+            ...(filters.length > 0 ? ["-af", filters.map(name => ffmpegOptions.filters[name]).join(",")] : []),
             "-ar", ffmpegOptions.sampleRate,
             "-ac", ffmpegOptions.channels,
             "-c:a", ffmpegOptions.codec,
@@ -73,4 +117,4 @@ const processAudio = (filePath) => {
     });
 };
 
-module.exports = { processAudio };
+module.exports = { processAudio, resolveAudioFilters };
@@ -0,0 +1,172 @@
+/**
+ * @file chunkedTranscriber.js
+ * @description Transcribes long recordings by splitting them at silences,
+ * transcribing the chunks in parallel and stitching the results back together.
+ */
+
+const { chunking } = require("../config");
+const { detectSilences, planChunks, extractChunk } = require("./audioChunker");
+const { limiters } = require("./concurrencyLimiter");
+const { deleteFile } = require("../utils/fileUtils");
+const { roundValue } = require("../utils/timeFormatter");
+const logger = require("../utils/logger");
+
+/**
+ * Returns the value that occurs most often.
+ * @param {Array} values - The values to count.
+ * @returns {*} - The most common value, or undefined for an empty list.
+ */
+const mostCommon = (values) => {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([value]) => value)[0];
+};
+
+/**
+ * Joins chunk transcriptions into one. Times are shifted by each chunk's start,
+ * and a word is kept only by the chunk whose keep range holds its midpoint, so
+ * words heard in the overlap between two chunks appear once. Segments are cut
+ * down to their kept words.
+ * @param {Object[]} chunks - Chunks from planChunks.
+ * @param {Object[]} results - Engine output for each chunk, in the same order.
+ * @returns {Object} - Object with text, segments, words and language.
+ */
+const stitchChunkResults = (chunks, results) => {
+    const segments = [];
+    const words = [];
+
+    chunks.forEach((chunk, index) => {
+        const result = results[index];
+        const chunkWords = result.words || [];
+        const shift = item => ({ ...item, start: roundValue(item.start + chunk.start), end: roundValue(item.end + chunk.start) });
+        const isKept = (item) => {
+            const midpoint = chunk.start + (item.start + item.end) / 2;
+            return midpoint >= chunk.keepFrom && midpoint < chunk.keepTo;
+        };
+        const isInside = segment => word => word.start >= segment.start && word.end <= segment.end;
+
+        words.push(...chunkWords.filter(isKept).map(shift));
+
+        (result.segments || []).forEach((segment) => {
+            const segmentWords = chunkWords.filter(isInside(segment));
+
+            // Engines without word timings keep or drop whole segments
+            if (segmentWords.length === 0) {
+                if (isKept(segment)) {
+                    segments.push(shift(segment));
+                }
+                return;
+            }
+
+            const keptWords = segmentWords.filter(isKept).map(shift);
+            if (keptWords.length === 0) {
+                return;
+            }
+            if (keptWords.length === segmentWords.length) {
+                return segments.push(shift(segment));
+            }
+
+            segments.push({
+                ...segment,
+                start: keptWords[0].start,
+                end: keptWords[keptWords.length - 1].end,
+                text: keptWords.map(word => word.word).join(" "),
+                confidence: roundValue(keptWords.reduce((sum, word) => sum + word.confidence, 0) / keptWords.length)
+            });
+        });
+    });
+
+    return {
+        text: segments.map(segment => segment.text).join(" "),
+        segments,
+        words,
+        language: mostCommon(results.map(result => result.language).filter(Boolean))
+    };
+};
+
+/**
+ * Transcribes a long WAV file chunk by chunk with the given engine. The caller
+ * holds a limiters.transcription slot, in which chunks are transcribed one
+ * after another. Up to chunking.parallelism - 1 more chunks run alongside, each
+ * in a transcription slot that is free when it starts, so a recording never
+ * takes recognizers that other requests are waiting for. Every chunk file is
+ * deleted afterwards; the WAV file itself is left in place.
+ * @param {Object} engine - The transcription engine.
+ * @param {string} wavFile - The converted WAV file.
+ * @param {number} durationSeconds - Length of the recording.
+ * @param {Object} options - Options passed on to engine.transcribe.
+ * @param {Function} [options.onProgress] - Called with the percentage of the whole recording processed.
+ * @returns {Promise<Object>} - Resolves with the stitched text, segments, words and language.
+ */
+const transcribeInChunks = async (engine, wavFile, durationSeconds, { onProgress, ...options }) => {
+    const silences = await detectSilences(wavFile, chunking);
+    const chunks = planChunks(durationSeconds, silences, chunking);
+    logger.info(`✂️ Splitting ${Math.round(durationSeconds)}s of audio into ${chunks.length} chunks at silences`);
+
+    // Overall progress weighs each chunk by its length
+    const chunkProgress = chunks.map(() => 0);
+    const reportProgress = (index, percent) => {
+        chunkProgress[index] = percent;
+        if (onProgress) {
+            const done = chunks.reduce((sum, chunk, i) => sum + (chunk.end - chunk.start) * chunkProgress[i], 0);
+            const total = chunks.reduce((sum, chunk) => sum + (chunk.end - chunk.start), 0);
+            onProgress(Math.floor(done / total));
+        }
+    };
+
+    const remaining = chunks.map((chunk, index) => index);
+    const results = [];
+    const chunkFiles = [];
+    const lanes = [];
+    let activeLanes = 0;
+    let failure = null;
+
+    // Takes chunks from the queue until it is empty or a chunk has failed
+    const runLane = async () => {
+        while (remaining.length > 0 && !failure) {
+            const index = remaining.shift();
+            try {
+                const chunkFile = await extractChunk(wavFile, chunks[index], index);
+                chunkFiles.push(chunkFile);
+
+                results[index] = await engine.transcribe(chunkFile, { ...options, onProgress: percent => reportProgress(index, percent) });
+                reportProgress(index, 100);
+            } catch (error) {
+                failure = failure || error;
+            }
+            openLanes();
+        }
+    };
+
+    // The first lane runs in the caller's slot, the others only in free ones
+    const openLanes = () => {
+        while (activeLanes < chunking.parallelism && remaining.length > 0 && !failure) {
+            const lane = activeLanes === 0 ? runLane() : limiters.transcription.tryRun(runLane);
+            if (!lane) {
+                return;
+            }
+            activeLanes++;
+            lanes.push(lane.finally(() => {
+                activeLanes--;
+            }));
+        }
+    };
+
+    // Settle every lane before cleaning up so no file is deleted while in use
+    openLanes();
+    for (let settled = 0; settled < lanes.length; settled++) {
+        await lanes[settled];
+    }
+    chunkFiles.forEach(chunkFile => deleteFile(chunkFile));
+
+    if (failure) {
+        throw failure;
+    }
+
+    return stitchChunkResults(chunks, results);
+};
+
+module.exports = {
+    transcribeInChunks,
+    stitchChunkResults
+};
@@ -0,0 +1,120 @@
+/**
+ * @file concurrencyLimiter.js
+ * @description Caps how many yt-dlp, ffmpeg and recognizer tasks run at once.
+ * Work over the cap waits in a bounded queue; once that queue is full the
+ * request is refused with a 429 and a Retry-After estimate.
+ */
+
+const { concurrency } = require("../config");
+const { AppError } = require("../utils/errorHandler");
+const logger = require("../utils/logger");
+
+// Weight given to the latest task when updating the average duration
+const DURATION_SMOOTHING = 0.2;
+
+/**
+ * Creates a limiter for one pipeline stage.
+ * @param {Object} options - Limiter settings.
+ * @param {string} options.name - Stage name used in logs and error messages.
+ * @param {number} options.maxConcurrent - Tasks allowed to run at the same time.
+ * @param {number} options.maxQueued - Tasks allowed to wait before new ones are refused.
+ * @param {number} options.defaultTaskSeconds - Task duration assumed until one has finished.
+ * @returns {Object} Limiter with run(task, options), tryRun(task) and getStats() functions.
+ */
+const createConcurrencyLimiter = ({ name, maxConcurrent, maxQueued, defaultTaskSeconds }) => {
+    const waiting = [];
+    let running = 0;
+    let averageTaskSeconds = defaultTaskSeconds;
+
+    /**
+     * Estimates how long a newly queued task would wait for a free slot.
+     * @returns {number} Whole seconds, at least 1.
+     */
+    const estimateWaitSeconds = () => {
+        const rounds = Math.ceil((waiting.length + 1) / maxConcurrent);
+        return Math.max(1, Math.ceil(rounds * averageTaskSeconds));
+    };
+
+    /**
+     * Runs a task in a slot and starts the next waiting task when it settles.
+     * @param {Function} task - Returns a promise for the work.
+     * @returns {Promise<*>} The task result.
+     */
+    const execute = async (task) => {
+        running++;
+        const startTime = Date.now();
+
+        try {
+            return await task();
+        } finally {
+            running--;
+            const taskSeconds = (Date.now() - startTime) / 1000;
+            averageTaskSeconds += (taskSeconds - averageTaskSeconds) * DURATION_SMOOTHING;
+
+            if (waiting.length > 0) {
+                waiting.shift()();
+            }
+        }
+    };
+
+    /**
+     * Runs a task as soon as a slot is free.
+     * @param {Function} task - Returns a promise for the work.
+     * @param {Object} [options] - Run options.
+     * @param {boolean} [options.waitForCapacity=false] - Wait even when the queue is full (background jobs).
+     * @returns {Promise<*>} The task result, or a 429 AppError carrying retryAfter seconds.
+     */
+    const run = (task, { waitForCapacity = false } = {}) => {
+        if (running < maxConcurrent && waiting.length === 0) {
+            return execute(task);
+        }
+
+        if (!waitForCapacity && waiting.length >= maxQueued) {
+            const retryAfter = estimateWaitSeconds();
+            logger.warn(`⚠️ ${name} queue is full (${running} running, ${waiting.length} waiting)`);
+
+            const error = new AppError(`Server is busy with other ${name} tasks. Retry in ${retryAfter} seconds.`, 429);
+            error.retryAfter = retryAfter;
+            return Promise.reject(error);
+        }
+
+        logger.info(`⏳ Waiting for a free ${name} slot (${waiting.length} ahead)`);
+        return new Promise((resolve, reject) => {
+            waiting.push(() => execute(task).then(resolve, reject));
+        });
+    };
+
+    /**
+     * Runs a task only when a slot is free right now and nothing is waiting for one.
+     * @param {Function} task - Returns a promise for the work.
+     * @returns {Promise<*>|null} The task result, or null when the task was not started.
+     */
+    const tryRun = (task) => {
+        if (running < maxConcurrent && waiting.length === 0) {
+            return execute(task);
+        }
+        return null;
+    };
+
+    return {
+        run,
+        tryRun,
+        getStats: () => ({ running, waiting: waiting.length, averageTaskSeconds })
+    };
+};
+
+// One limiter per pipeline stage, shared by every route
+const limiters = Object.fromEntries(Object.entries(concurrency.limits).map(([name, maxConcurrent]) => [
+    name,
+    createConcurrencyLimiter({
+        name,
+        maxConcurrent,
+        maxQueued: concurrency.maxQueued,
+        defaultTaskSeconds: concurrency.defaultTaskSeconds
+    })
+]));
+
+module.exports = {
+    createConcurrencyLimiter,
+    limiters
+};
@@ -0,0 +1,141 @@
+/**
+ * @file diarizer.js
+ * @description Labels recognized utterances by speaker by clustering the
+ * speaker vectors Vosk produces when a speaker model (SpkModel) is loaded.
+ */
+
+const { diarization } = require("../config");
+
+/**
+ * Computes the cosine distance between two vectors.
+ * @param {number[]} a - The first vector.
+ * @param {number[]} b - The second vector.
+ * @returns {number} Distance from 0 (same direction) to 2 (opposite).
+ */
+const cosineDistance = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) {
+        return 1;
+    }
+    return 1 - dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Groups speaker vectors with agglomerative clustering: the two closest
+ * clusters are merged until none are closer than the distance threshold
+ * and no more than maxSpeakers remain. Pairwise distances are computed once
+ * and each cluster remembers its nearest neighbour, so a merge only revisits
+ * the rows it touched instead of scanning every pair again.
+ * @param {number[][]} vectors - One speaker vector per utterance.
+ * @param {Object} options - Clustering settings.
+ * @param {number} options.distanceThreshold - Largest distance still treated as the same speaker.
+ * @param {number} options.maxSpeakers - Upper bound on the number of clusters.
+ * @returns {number[][]} Vector indexes per cluster, ordered by first appearance.
+ */
+const clusterSpeakerVectors = (vectors, { distanceThreshold, maxSpeakers }) => {
+    const clusters = vectors.map((vector, index) => ({ centroid: vector, members: [index] }));
+    const distances = clusters.map(() => new Float64Array(clusters.length));
+    for (let i = 0; i < clusters.length; i++) {
+        for (let j = i + 1; j < clusters.length; j++) {
+            distances[i][j] = distances[j][i] = cosineDistance(clusters[i].centroid, clusters[j].centroid);
+        }
+    }
+    const active = new Set(clusters.keys());
+
+    // Nearest active neighbour of cluster i, or null when it is the last one
+    const findNearest = (i) => {
+        let nearest = null;
+        active.forEach((j) => {
+            if (j !== i && (!nearest || distances[i][j] < nearest.distance)) {
+                nearest = { index: j, distance: distances[i][j] };
+            }
+        });
+        return nearest;
+    };
+    const nearest = clusters.map((cluster, i) => findNearest(i));
+
+    while (active.size > 1) {
+        let closest = null;
+        active.forEach((i) => {
+            if (!closest || nearest[i].distance < closest.distance) {
+                closest = { i, j: nearest[i].index, distance: nearest[i].distance };
+            }
+        });
+
+        if (closest.distance > distanceThreshold && active.size <= maxSpeakers) {
+            break;
+        }
+
+        // Keep the earlier cluster so its index stays the lower of the pair
+        const targetIndex = Math.min(closest.i, closest.j);
+        const sourceIndex = Math.max(closest.i, closest.j);
+        const target = clusters[targetIndex];
+        const source = clusters[sourceIndex];
+        const total = target.members.length + source.members.length;
+        target.centroid = target.centroid.map((value, k) =>
+            (value * target.members.length + source.centroid[k] * source.members.length) / total
+        );
+        target.members.push(...source.members);
+        active.delete(sourceIndex);
+
+        active.forEach((k) => {
+            if (k !== targetIndex) {
+                distances[targetIndex][k] = distances[k][targetIndex] = cosineDistance(target.centroid, clusters[k].centroid);
+            }
+        });
+
+        active.forEach((k) => {
+            if (k === targetIndex || nearest[k].index === targetIndex || nearest[k].index === sourceIndex) {
+                nearest[k] = findNearest(k);
+            } else if (distances[k][targetIndex] < nearest[k].distance) {
+                nearest[k] = { index: targetIndex, distance: distances[k][targetIndex] };
+            }
+        });
+    }
+
+    return [...active]
+        .map(index => clusters[index].members.sort((a, b) => a - b))
+        .sort((a, b) => a[0] - b[0]);
+};
+
+/**
+ * Adds a "Speaker N" label to each recognizer utterance. Utterances too short
+ * to carry a speaker vector inherit the label of the one before them.
+ * @param {Object[]} utterances - Recognizer results, each with an optional spk vector.
+ * @param {Object} [options] - Clustering settings, defaulting to config.diarization.
+ * @returns {Object[]} The utterances with a speaker property where one could be assigned.
+ */
+const diarizeUtterances = (utterances, options = diarization) => {
+    const withVectors = utterances
+        .map((utterance, index) => ({ index, vector: utterance.spk }))
+        .filter(({ vector }) => Array.isArray(vector) && vector.length > 0);
+
+    const labels = new Array(utterances.length).fill(null);
+    clusterSpeakerVectors(withVectors.map(({ vector }) => vector), options).forEach((members, cluster) => {
+        members.forEach((member) => {
+            labels[withVectors[member].index] = `Speaker ${cluster + 1}`;
+        });
+    });
+
+    let previousSpeaker = null;
+    return utterances.map((utterance, index) => {
+        const speaker = labels[index] || previousSpeaker;
+        previousSpeaker = speaker;
+        return speaker ? { ...utterance, speaker } : utterance;
+    });
+};
+
+module.exports = {
+    cosineDistance,
+    clusterSpeakerVectors,
+    diarizeUtterances
+};
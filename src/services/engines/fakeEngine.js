@@ -0,0 +1,64 @@
+/**
+ * @file fakeEngine.js
+ * @description Deterministic transcription engine for tests and local development:
+ * returns the same evenly timed transcript for every file without loading a model.
+ */
+
+const FAKE_TEXT = "this is a fake transcription produced for testing";
+const WORD_SECONDS = 0.5;
+const WORDS_PER_SEGMENT = 5;
+
+/**
+ * Returns the fixed transcript, reporting progress as a real engine would.
+ * @param {string} wavFile - The path to the WAV file (not read).
+ * @param {Object} options - Transcription settings.
+ * @param {string} options.language - Language code; "auto" is reported as "en".
+ * @param {Function} [options.onProgress] - Called with the percentage of audio processed.
+ * @returns {Promise<Object>} - Resolves with text, segments, words and language.
+ */
+const transcribe = async (wavFile, { language, onProgress }) => {
+    const words = FAKE_TEXT.split(" ").map((word, index) => ({
+        word,
+        start: index * WORD_SECONDS,
+        end: (index + 1) * WORD_SECONDS,
+        confidence: 1
+    }));
+
+    const segments = [];
+    for (let i = 0; i < words.length; i += WORDS_PER_SEGMENT) {
+        const segmentWords = words.slice(i, i + WORDS_PER_SEGMENT);
+        segments.push({
+            start: segmentWords[0].start,
+            end: segmentWords[segmentWords.length - 1].end,
+            text: segmentWords.map(word => word.word).join(" "),
+            confidence: 1
+        });
+    }
+
+    if (onProgress) {
+        onProgress(100);
+    }
+
+    return {
+        text: FAKE_TEXT,
+        segments,
+        words,
+        language: language === "auto" ? "en" : language
+    };
+};
+
+module.exports = {
+    name: "fake",
+    description: "Deterministic output for tests; does not listen to the audio",
+    isAvailable: () => true,
+    getCapabilities: () => ({
+        wordTimestamps: true,
+        wordConfidence: true,
+        diarization: false,
+        translation: false,
+        languageDetection: true,
+        modelSelection: false,
+        languages: null
+    }),
+    transcribe
+};
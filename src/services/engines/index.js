@@ -0,0 +1,62 @@
+/**
+ * @file index.js
+ * @description Registry of transcription engines. Every engine exposes the same
+ * interface: name, description, isAvailable(), getCapabilities() and
+ * transcribe(wavFile, { language, model, onProgress, diarize, translate }).
+ */
+
+const { transcription } = require("../../config");
+const { AppError } = require("../../utils/errorHandler");
+const voskEngine = require("./voskEngine");
+const whisperEngine = require("./whisperEngine");
+const fakeEngine = require("./fakeEngine");
+
+const ENGINES = {
+    [voskEngine.name]: voskEngine,
+    [whisperEngine.name]: whisperEngine,
+    [fakeEngine.name]: fakeEngine
+};
+
+/**
+ * Returns the engine names requests may select: the default engine plus the configured ones.
+ * @returns {string[]} Enabled engine names.
+ */
+const getEnabledEngineNames = () => {
+    return [...new Set([transcription.defaultEngine, ...transcription.engines])].filter(name => ENGINES[name]);
+};
+
+/**
+ * Looks up an enabled engine.
+ * @param {string} [name] - Engine name, defaulting to config.transcription.defaultEngine.
+ * @returns {Object} The engine.
+ * @throws {AppError} 400 when the engine is unknown or not enabled.
+ */
+const getEngine = (name = transcription.defaultEngine) => {
+    const enabled = getEnabledEngineNames();
+    if (!enabled.includes(name)) {
+        throw new AppError(`Unknown engine: ${name}. Supported engines: ${enabled.join(", ")}`, 400);
+    }
+    return ENGINES[name];
+};
+
+/**
+ * Describes the enabled engines and what each supports.
+ * @returns {Object[]} Engines with name, description, availability, default flag and capabilities.
+ */
+const listEngines = () => {
+    return getEnabledEngineNames().map((name) => {
+        const engine = ENGINES[name];
+        return {
+            name,
+            description: engine.description,
+            available: engine.isAvailable(),
+            default: name === transcription.defaultEngine,
+            capabilities: engine.getCapabilities()
+        };
+    });
+};
+
+module.exports = {
+    getEngine,
+    listEngines
+};
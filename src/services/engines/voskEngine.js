@@ -0,0 +1,191 @@
+/**
+ * @file voskEngine.js
+ * @description Vosk transcription engine: runs the recognizer in the persistent
+ * worker pool or a one-off Python process and shapes its output.
+ */
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { recognizerPool, diarization } = require("../../config");
+const { getRecognizerPool } = require("../recognizerPool");
+const { resolveModel, getLanguages } = require("../modelRegistry");
+const { diarizeUtterances } = require("../diarizer");
+const { AppError } = require("../../utils/errorHandler");
+const { roundValue } = require("../../utils/timeFormatter");
+const logger = require("../../utils/logger");
+
+const PYTHON_PATH = path.join(__dirname, "../../../venv/bin/python3");
+const TRANSCRIPTION_SCRIPT = path.join(__dirname, "../../../transcribe.py");
+
+/**
+ * Retrieves the Vosk model path for a language, or for a specific installed model.
+ * @param {string} lang - The language code (e.g., "en" or "es").
+ * @param {string} [modelName] - An installed model to use instead of the language default.
+ * @returns {string} - The corresponding model path.
+ * @throws {AppError} When no installed model matches.
+ */
+const getModelPath = (lang, modelName) => {
+    const model = resolveModel(lang, modelName);
+    logger.info(`🗣 Using language model: ${model.name} (${model.language})`);
+    return model.path;
+};
+
+/**
+ * Shapes the recognizer output into text, timed segments and words. Speaker
+ * labels added by the diarizer are copied onto segments and words.
+ * @param {Object} output - Parsed JSON printed by transcribe.py.
+ * @returns {Object} - Object with text, segments and words.
+ */
+const buildTranscriptionResult = (output) => {
+    const segments = [];
+    const words = [];
+
+    (output.results || []).forEach((utterance) => {
+        const utteranceWords = (utterance.result || []).map((word) => ({
+            word: word.word,
+            start: roundValue(word.start),
+            end: roundValue(word.end),
+            confidence: roundValue(word.conf),
+            ...(utterance.speaker && { speaker: utterance.speaker })
+        }));
+
+        if (utteranceWords.length === 0) {
+            return;
+        }
+
+        const totalConfidence = utteranceWords.reduce((sum, word) => sum + word.confidence, 0);
+        words.push(...utteranceWords);
+        segments.push({
+            start: utteranceWords[0].start,
+            end: utteranceWords[utteranceWords.length - 1].end,
+            text: utterance.text,
+            confidence: roundValue(totalConfidence / utteranceWords.length),
+            ...(utterance.speaker && { speaker: utterance.speaker })
+        });
+    });
+
+    return {
+        text: (output.text || "").trim(),
+        segments,
+        words
+    };
+};
+
+/**
+ * Runs transcribe.py in its own Python process, loading the model for this request only.
+ * @param {string} wavFile - The path to the WAV file to transcribe.
+ * @param {string} modelPath - The Vosk model to load.
+ * @param {Object} [options] - Optional settings.
+ * @param {Function} [options.onProgress] - Called with the percentage of audio processed.
+ * @param {string} [options.speakerModelPath] - Speaker model to load for diarization.
+ * @returns {Promise<Object>} - Resolves with the parsed recognizer output.
+ */
+const runTranscriptionScript = (wavFile, modelPath, { onProgress, speakerModelPath } = {}) => {
+    return new Promise((resolve, reject) => {
+        const pythonProcess = spawn(
+            PYTHON_PATH,
+            [TRANSCRIPTION_SCRIPT, wavFile, modelPath, ...(speakerModelPath ? [speakerModelPath] : [])],
+            { stdio: ["pipe", "pipe", "pipe"] }
+        );
+
+        let output = "";
+
+        pythonProcess.stdout.on("data", (data) => {
+            output += data.toString();
+        });
+
+        pythonProcess.stderr.on("data", (data) => {
+            const lines = data.toString().split("\n").filter(line => line.trim());
+            const errorLines = [];
+
+            lines.forEach((line) => {
+                const progressMatch = line.match(/^PROGRESS (\d+)$/);
+                if (progressMatch) {
+                    if (onProgress) {
+                        onProgress(Number(progressMatch[1]));
+                    }
+                } else if (!line.includes("LOG (VoskAPI:")) {
+                    errorLines.push(line);
+                }
+            });
+
+            if (errorLines.length > 0) {
+                logger.error(`❌ Python error: ${errorLines.join("\n")}`);
+            }
+        });
+
+        pythonProcess.on("close", (code) => {
+            if (code !== 0) {
+                return reject(new Error("❌ Transcription process failed."));
+            }
+
+            try {
+                resolve(JSON.parse(output));
+            } catch (parseError) {
+                reject(new Error(`❌ Failed to parse transcription output: ${parseError.message}`));
+            }
+        });
+    });
+};
+
+/**
+ * Runs the recognizer on a WAV file, using the persistent recognizer pool
+ * when enabled and a one-off Python process otherwise. The file is left in place.
+ * @param {string} wavFile - The path to the WAV file to recognize.
+ * @param {string} modelPath - The Vosk model to use.
+ * @param {Object} [options] - Optional settings.
+ * @param {Function} [options.onProgress] - Called with the percentage of audio processed.
+ * @param {string} [options.speakerModelPath] - Speaker model to load for diarization.
+ * @returns {Promise<Object>} - Resolves with the raw recognizer output.
+ */
+const recognizeSpeech = (wavFile, modelPath, options = {}) => {
+    return recognizerPool.enabled
+        ? getRecognizerPool().transcribe(wavFile, modelPath, options)
+        : runTranscriptionScript(wavFile, modelPath, options);
+};
+
+/**
+ * Transcribes a WAV file with Vosk.
+ * @param {string} wavFile - The path to the WAV file to transcribe.
+ * @param {Object} options - Transcription settings.
+ * @param {string} options.language - The language of the audio.
+ * @param {string} [options.model] - Installed model to use instead of the language default.
+ * @param {Function} [options.onProgress] - Called with the percentage of audio processed.
+ * @param {boolean} [options.diarize=false] - Label segments and words by speaker.
+ * @returns {Promise<Object>} - Resolves with text, segments, words and language.
+ */
+const transcribe = async (wavFile, { language, model, onProgress, diarize = false }) => {
+    const modelPath = getModelPath(language, model);
+    const speakerModelPath = diarize ? diarization.speakerModelPath : undefined;
+
+    if (speakerModelPath && !fs.existsSync(speakerModelPath)) {
+        throw new AppError(`Speaker diarization is unavailable: speaker model not found at ${speakerModelPath}`, 500);
+    }
+
+    let output = await recognizeSpeech(wavFile, modelPath, { onProgress, speakerModelPath });
+    if (diarize) {
+        output = { ...output, results: diarizeUtterances(output.results || []) };
+    }
+
+    return { ...buildTranscriptionResult(output), language };
+};
+
+module.exports = {
+    name: "vosk",
+    description: "Kaldi-based Vosk models, run offline in Python workers",
+    isAvailable: () => getLanguages().length > 0,
+    getCapabilities: () => ({
+        wordTimestamps: true,
+        wordConfidence: true,
+        diarization: true,
+        translation: false,
+        languageDetection: false,
+        modelSelection: true,
+        languages: getLanguages()
+    }),
+    transcribe,
+    recognizeSpeech,
+    getModelPath,
+    buildTranscriptionResult
+};
@@ -0,0 +1,171 @@
+/**
+ * @file whisperEngine.js
+ * @description whisper.cpp transcription engine: runs the whisper.cpp CLI on a
+ * WAV file and shapes its full JSON output into segments and words.
+ */
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const { whisper } = require("../../config");
+const { AppError } = require("../../utils/errorHandler");
+const { roundValue } = require("../../utils/timeFormatter");
+const logger = require("../../utils/logger");
+
+/**
+ * Merges whisper tokens into words. A token starting with a space begins a new
+ * word; special tokens such as "[_BEG_]" and timestamps are skipped.
+ * @param {Object[]} tokens - Tokens with text, offsets (ms) and probability p.
+ * @returns {Object[]} - Words with start, end and confidence.
+ */
+const mergeTokens = (tokens) => {
+    const words = [];
+
+    tokens
+        .filter(token => token.text && !token.text.startsWith("[_"))
+        .forEach((token) => {
+            const last = words[words.length - 1];
+            if (!last || token.text.startsWith(" ")) {
+                words.push({ text: token.text.trim(), from: token.offsets.from, to: token.offsets.to, probabilities: [token.p] });
+                return;
+            }
+            last.text += token.text;
+            last.to = token.offsets.to;
+            last.probabilities.push(token.p);
+        });
+
+    return words
+        .filter(word => word.text)
+        .map(word => ({
+            word: word.text,
+            start: roundValue(word.from / 1000),
+            end: roundValue(word.to / 1000),
+            confidence: roundValue(word.probabilities.reduce((sum, p) => sum + p, 0) / word.probabilities.length)
+        }));
+};
+
+/**
+ * Shapes whisper.cpp full JSON output (-ojf) into text, timed segments and words.
+ * @param {Object} output - Parsed whisper.cpp JSON output.
+ * @returns {Object} - Object with text, segments, words and the language whisper used.
+ */
+const buildWhisperResult = (output) => {
+    const segments = [];
+    const words = [];
+
+    (output.transcription || []).forEach((entry) => {
+        const text = entry.text.trim();
+        if (!text) {
+            return;
+        }
+
+        const segmentWords = mergeTokens(entry.tokens || []);
+        words.push(...segmentWords);
+        segments.push({
+            start: roundValue(entry.offsets.from / 1000),
+            end: roundValue(entry.offsets.to / 1000),
+            text,
+            ...(segmentWords.length > 0 && {
+                confidence: roundValue(segmentWords.reduce((sum, word) => sum + word.confidence, 0) / segmentWords.length)
+            })
+        });
+    });
+
+    return {
+        text: segments.map(segment => segment.text).join(" "),
+        segments,
+        words,
+        language: output.result && output.result.language
+    };
+};
+
+/**
+ * Runs the whisper.cpp CLI and reads the JSON file it writes next to the WAV file.
+ * @param {string} wavFile - The path to the WAV file to transcribe.
+ * @param {Object} options - Transcription settings.
+ * @param {string} options.language - Language code, or "auto" to let whisper detect it.
+ * @param {boolean} [options.translate=false] - Translate the speech to English.
+ * @param {Function} [options.onProgress] - Called with the percentage of audio processed.
+ * @returns {Promise<Object>} - Resolves with the parsed whisper.cpp output.
+ */
+const runWhisper = (wavFile, { language, translate = false, onProgress }) => {
+    return new Promise((resolve, reject) => {
+        const outputBase = `${wavFile}.whisper`;
+        const args = [
+            "-m", whisper.modelPath,
+            "-f", wavFile,
+            "-l", language,
+            "-t", String(whisper.threads),
+            "-ojf",
+            "-of", outputBase,
+            "-pp",
+            ...(translate ? ["-tr"] : [])
+        ];
+        const whisperProcess = spawn(whisper.binaryPath, args);
+
+        whisperProcess.stderr.on("data", (data) => {
+            data.toString().split("\n").forEach((line) => {
+                const progressMatch = line.match(/progress\s*=\s*(\d+)%/);
+                if (progressMatch && onProgress) {
+                    onProgress(Number(progressMatch[1]));
+                }
+            });
+        });
+
+        whisperProcess.on("error", (err) => {
+            reject(new AppError(`whisper.cpp could not be started: ${err.message}`, 503));
+        });
+
+        whisperProcess.on("close", (code) => {
+            const outputFile = `${outputBase}.json`;
+            if (code !== 0) {
+                return reject(new Error(`❌ whisper.cpp exited with code ${code}.`));
+            }
+
+            try {
+                resolve(JSON.parse(fs.readFileSync(outputFile, "utf8")));
+            } catch (readError) {
+                reject(new Error(`❌ Failed to read whisper.cpp output: ${readError.message}`));
+            } finally {
+                fs.rm(outputFile, { force: true }, () => {});
+            }
+        });
+    });
+};
+
+/**
+ * Transcribes a WAV file with whisper.cpp.
+ * @param {string} wavFile - The path to the WAV file to transcribe.
+ * @param {Object} options - Transcription settings.
+ * @param {string} options.language - Language code, or "auto" to let whisper detect it.
+ * @param {boolean} [options.translate=false] - Translate the speech to English.
+ * @param {Function} [options.onProgress] - Called with the percentage of audio processed.
+ * @returns {Promise<Object>} - Resolves with text, segments, words and language.
+ * @throws {AppError} 503 when the whisper model is not installed.
+ */
+const transcribe = async (wavFile, { language, translate = false, onProgress }) => {
+    if (!fs.existsSync(whisper.modelPath)) {
+        throw new AppError(`The whisper engine is unavailable: model not found at ${whisper.modelPath}`, 503);
+    }
+
+    logger.info(`🗣 Using whisper model: ${whisper.modelPath}${translate ? " (translating to English)" : ""}`);
+    const result = buildWhisperResult(await runWhisper(wavFile, { language, translate, onProgress }));
+
+    return { ...result, language: result.language || language };
+};
+
+module.exports = {
+    name: "whisper",
+    description: "OpenAI Whisper models run locally with the whisper.cpp CLI",
+    isAvailable: () => fs.existsSync(whisper.modelPath),
+    getCapabilities: () => ({
+        wordTimestamps: true,
+        wordConfidence: true,
+        diarization: false,
+        translation: true,
+        languageDetection: true,
+        modelSelection: false,
+        languages: null // Any language the multilingual model knows
+    }),
+    transcribe,
+    buildWhisperResult
+};
@@ -0,0 +1,246 @@
+/**
+ * @file jobQueue.js
+ * @description In-memory queue that runs transcription pipelines in the background
+ */
+
+const { randomUUID } = require("crypto");
+const { EventEmitter } = require("events");
+const { jobs: jobOptions } = require("../config");
+const { cleanupErrorResources } = require("../utils/errorHandler");
+const { formatTime } = require("../utils/timeFormatter");
+const logger = require("../utils/logger");
+
+// Lifecycle of a job: queued -> (downloading) -> converting -> transcribing -> done | failed.
+// Playlist jobs start by listing their videos, and skip videos transcribed before
+const JOB_STATUS = {
+    queued: "queued",
+    listing: "listing",
+    downloading: "downloading",
+    converting: "converting",
+    detectingLanguage: "detecting-language",
+    transcribing: "transcribing",
+    done: "done",
+    skipped: "skipped",
+    failed: "failed"
+};
+
+// Reporter for pipelines that run inside a request instead of a job
+const noopReporter = {
+    setStatus: () => {},
+    setProgress: () => {},
+    setEstimate: () => {},
+    setItems: () => {}
+};
+
+const jobs = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // Any number of clients may follow a job
+const pendingJobs = [];
+let runningJobs = 0;
+
+/**
+ * Returns the public representation of a job.
+ * @param {Object} job - The job to serialize.
+ * @returns {Object} Job details safe to send in a response.
+ */
+const serializeJob = (job) => {
+    let estimatedTimeRemaining = null;
+    let schedule = null;
+    if (job.estimatedCompletionAt && !job.finishedAt) {
+        const remainingSeconds = (Date.parse(job.estimatedCompletionAt) - Date.now()) / 1000;
+        estimatedTimeRemaining = formatTime(Math.max(0, Math.ceil(remainingSeconds)));
+
+        // Compare progress so far with the estimate computed before processing started
+        schedule = remainingSeconds >= 0 ? "on-track" : "overdue";
+    }
+
+    const elapsedTime = job.startedAt
+        ? formatTime(((job.finishedAt ? Date.parse(job.finishedAt) : Date.now()) - Date.parse(job.startedAt)) / 1000)
+        : null;
+
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        metadata: job.metadata,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        elapsedTime,
+        estimatedProcessingTime: job.estimatedProcessingTime,
+        estimatedCompletionAt: job.estimatedCompletionAt,
+        estimatedTimeRemaining,
+        schedule,
+        ...(job.items && { items: job.items }),
+        ...(job.callback && { callback: job.callback }),
+        result: job.result,
+        error: job.error
+    };
+};
+
+/**
+ * Notifies subscribers of a change to a job.
+ * @param {Object} job - The job that changed.
+ * @param {string} event - The event name ("status", "progress", "done" or "failed").
+ */
+const publish = (job, event) => {
+    jobEvents.emit(job.id, event, serializeJob(job));
+};
+
+/**
+ * Builds the reporter handed to a job task so it can publish its progress.
+ * @param {Object} job - The job being processed.
+ * @returns {Object} Reporter with setStatus, setProgress, setEstimate and setItems functions.
+ */
+const createReporter = (job) => ({
+    setStatus: (status) => {
+        job.status = status;
+        job.progress = { stage: status, percent: null };
+        logger.debug(`🧾 Job ${job.id} is now ${status}`);
+        publish(job, "status");
+    },
+    setProgress: (percent) => {
+        if (job.progress.percent === percent) {
+            return;
+        }
+        job.progress = { stage: job.status, percent };
+        publish(job, "progress");
+    },
+    setEstimate: (estimatedTime) => {
+        job.estimatedProcessingTime = estimatedTime;
+        const startedAt = Date.parse(job.startedAt);
+        job.estimatedCompletionAt = new Date(startedAt + estimatedTime.totalSeconds * 1000).toISOString();
+    },
+    // Batch jobs report the state of each of their items
+    setItems: (items) => {
+        job.items = items.map(item => ({ ...item }));
+        publish(job, "progress");
+    }
+});
+
+/**
+ * Forgets a finished job once the retention window has passed.
+ * @param {Object} job - The finished job.
+ */
+const scheduleExpiry = (job) => {
+    const timer = setTimeout(() => jobs.delete(job.id), jobOptions.retentionMinutes * 60 * 1000);
+    timer.unref();
+};
+
+/**
+ * Runs a single job and records its outcome.
+ * @param {Object} job - The job to run.
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+    runningJobs++;
+    job.startedAt = new Date().toISOString();
+    logger.info(`🏁 Starting job ${job.id} (${job.type})`);
+
+    try {
+        job.result = await job.task(createReporter(job));
+        job.status = JOB_STATUS.done;
+        job.progress = { stage: JOB_STATUS.done, percent: 100 };
+        logger.info(`✅ Job ${job.id} completed`);
+    } catch (error) {
+        job.status = JOB_STATUS.failed;
+        job.error = {
+            message: error.message,
+            statusCode: error.statusCode || 500
+        };
+        logger.error(`❌ Job ${job.id} failed: ${error.message}`);
+        cleanupErrorResources(error);
+    } finally {
+        job.finishedAt = new Date().toISOString();
+        delete job.task;
+        publish(job, job.status);
+        runningJobs--;
+        scheduleExpiry(job);
+        processQueue();
+    }
+};
+
+/**
+ * Starts queued jobs while there is free capacity.
+ */
+const processQueue = () => {
+    while (runningJobs < jobOptions.concurrency && pendingJobs.length > 0) {
+        runJob(pendingJobs.shift());
+    }
+};
+
+/**
+ * Queues a task for background processing.
+ * @param {string} type - The kind of job (e.g. "upload" or "youtube").
+ * @param {Function} task - Async function receiving a reporter and resolving with the job result.
+ * @param {Object} [metadata={}] - Descriptive details stored with the job.
+ * @returns {Object} The public representation of the newly created job.
+ */
+const createJob = (type, task, metadata = {}) => {
+    const job = {
+        id: randomUUID(),
+        type,
+        status: JOB_STATUS.queued,
+        progress: { stage: JOB_STATUS.queued, percent: null },
+        metadata,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        estimatedProcessingTime: null,
+        estimatedCompletionAt: null,
+        result: null,
+        error: null,
+        task
+    };
+
+    jobs.set(job.id, job);
+    pendingJobs.push(job);
+    logger.info(`🧾 Queued ${type} job ${job.id}`);
+
+    // Defer so the caller can respond before the job starts
+    setImmediate(processQueue);
+    return serializeJob(job);
+};
+
+/**
+ * Looks up a job by ID.
+ * @param {string} id - The job ID.
+ * @returns {Object|null} The public representation of the job, or null if unknown.
+ */
+const getJob = (id) => {
+    const job = jobs.get(id);
+    return job ? serializeJob(job) : null;
+};
+
+/**
+ * Records the state of the callback sent for a job, shown with the job until it expires.
+ * @param {string} id - The job ID.
+ * @param {Object} callback - The delivery status, the attempts made and the last error, if any.
+ */
+const recordCallback = (id, callback) => {
+    const job = jobs.get(id);
+    if (job) {
+        job.callback = { ...callback };
+    }
+};
+
+/**
+ * Subscribes to changes of a job.
+ * @param {string} id - The job ID.
+ * @param {Function} listener - Called with the event name and the job's public representation.
+ * @returns {Function} Unsubscribes the listener.
+ */
+const subscribeToJob = (id, listener) => {
+    jobEvents.on(id, listener);
+    return () => jobEvents.off(id, listener);
+};
+
+module.exports = {
+    JOB_STATUS,
+    noopReporter,
+    createJob,
+    getJob,
+    recordCallback,
+    subscribeToJob
+};
@@ -0,0 +1,97 @@
+/**
+ * @file languageDetector.js
+ * @description Detects the spoken language by transcribing a short sample
+ * with each language's default model and keeping the one that recognizes it best.
+ */
+
+const { spawn } = require("child_process");
+const { ffmpegPath, languageDetection, errorMessages } = require("../config");
+const { recognizeSpeech } = require("./engines/voskEngine");
+const { getLanguages, getDefaultModel } = require("./modelRegistry");
+const { AppError } = require("../utils/errorHandler");
+const { deleteFile } = require("../utils/fileUtils");
+const logger = require("../utils/logger");
+
+// Value of the "language" parameter that requests detection
+const AUTO_LANGUAGE = "auto";
+
+/**
+ * Copies the first seconds of a WAV file into a separate sample file.
+ * @param {string} wavFile - The converted WAV file.
+ * @param {number} seconds - Length of the sample.
+ * @returns {Promise<string>} - Resolves with the sample file path.
+ */
+const extractSample = (wavFile, seconds) => {
+    return new Promise((resolve, reject) => {
+        const sampleFile = `${wavFile}.sample.wav`;
+        const ffmpeg = spawn(ffmpegPath, ["-y", "-i", wavFile, "-t", String(seconds), "-c", "copy", sampleFile]);
+
+        ffmpeg.on("error", (err) => {
+            reject(new AppError(`${errorMessages.ffmpegFailed}: ${err.message}`, 500));
+        });
+
+        ffmpeg.on("close", (code) => {
+            if (code !== 0) {
+                return reject(new AppError(`${errorMessages.ffmpegFailed} with code ${code}`, 500, sampleFile));
+            }
+            resolve(sampleFile);
+        });
+    });
+};
+
+/**
+ * Scores recognizer output by the average confidence of its words.
+ * @param {Object} output - Raw recognizer output with results[].result[].conf.
+ * @returns {number} - Score between 0 and 1 (0 when nothing was recognized).
+ */
+const scoreRecognition = (output) => {
+    const words = (output.results || []).flatMap(utterance => utterance.result || []);
+    if (words.length === 0) {
+        return 0;
+    }
+    return words.reduce((sum, word) => sum + word.conf, 0) / words.length;
+};
+
+/**
+ * Detects the language of a WAV file from a short sample.
+ * @param {string} wavFile - The converted WAV file.
+ * @returns {Promise<Object>} - Resolves with { language, confidence, scores }, where
+ * confidence is the winning score's share of all scores.
+ */
+const detectLanguage = async (wavFile) => {
+    const candidates = getLanguages();
+    if (candidates.length === 0) {
+        throw new AppError("Language detection is unavailable: no language models are installed.", 500);
+    }
+    logger.info(`🔍 Detecting language among: ${candidates.join(", ")}`);
+
+    const sampleFile = await extractSample(wavFile, languageDetection.sampleSeconds);
+    const scores = {};
+
+    try {
+        // One model at a time keeps memory use to a single extra model
+        for (const lang of candidates) {
+            scores[lang] = scoreRecognition(await recognizeSpeech(sampleFile, getDefaultModel(lang).path));
+        }
+    } finally {
+        deleteFile(sampleFile);
+    }
+
+    const [language, bestScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    const totalScore = Object.values(scores).reduce((sum, score) => sum + score, 0);
+
+    if (bestScore === 0) {
+        throw new AppError("Could not detect the language: no speech was recognized in the sample.", 422);
+    }
+
+    const confidence = Math.round((bestScore / totalScore) * 1000) / 1000;
+    logger.info(`🗣 Detected language: ${language} (confidence ${confidence})`);
+
+    return { language, confidence, scores };
+};
+
+module.exports = {
+    AUTO_LANGUAGE,
+    detectLanguage,
+    scoreRecognition
+};
@@ -0,0 +1,255 @@
+/**
+ * @file mediaDownloader.js
+ * @description Downloads remote media for transcription: audio and video files
+ * are fetched directly over HTTP, and web pages on the allowed hosts are handed
+ * to yt-dlp, which finds the media on YouTube and the other sites it supports.
+ */
+
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const path = require("path");
+const { pipeline } = require("stream");
+const { spawn } = require("child_process");
+const { remoteMedia, uploadLimits } = require("../config");
+const { checkRemoteUrl, guardedLookup } = require("./urlGuard");
+const { getVideoDuration } = require("./videoDurationDetector");
+const { calculateEstimatedProcessingTime } = require("./processingTimeEstimator");
+const { AppError } = require("../utils/errorHandler");
+const { deleteFile } = require("../utils/fileUtils");
+const logger = require("../utils/logger");
+
+const DOWNLOAD_DIR = path.join(__dirname, "../../uploads");
+fs.mkdirSync(DOWNLOAD_DIR, { recursive: true });
+
+// Responses with these content types are saved as they are; anything else is treated as a web page
+const MEDIA_CONTENT_TYPE = /^(audio\/|video\/|application\/(octet-stream|ogg)\b)/i;
+
+/**
+ * Downloads audio using yt-dlp, reporting the download percentage to onProgress.
+ * @param {string} url - The video or page URL.
+ * @param {string} outputPath - Output file, or a yt-dlp output template.
+ * @param {Function} [onProgress] - Called with the download percentage.
+ * @param {Object} [options]
+ * @param {Object} [options.range] - Download only this section, with start and optional end in seconds.
+ * @param {number} [options.maxBytes] - Skip formats larger than this.
+ * @param {string} [options.format="bestaudio"] - yt-dlp format selector.
+ * @param {boolean} [options.noPlaylist=false] - Download only the video when the URL also names a playlist.
+ * @returns {Promise<void>} Resolves once yt-dlp exits successfully.
+ */
+const downloadAudioWithYtDlp = (url, outputPath, onProgress, { range, maxBytes, format = "bestaudio", noPlaylist = false } = {}) => {
+    return new Promise((resolve, reject) => {
+        const section = range ? ["--download-sections", `*${range.start}-${range.end !== undefined ? range.end : "inf"}`] : [];
+        const sizeLimit = maxBytes ? ["--max-filesize", String(maxBytes)] : [];
+        const playlist = noPlaylist ? ["--no-playlist"] : [];
+        const ytDlp = spawn("yt-dlp", ["-f", format, "--newline", ...section, ...sizeLimit, ...playlist, "-o", outputPath, url]);
+
+        ytDlp.stdout.on("data", (data) => {
+            logger.debug(`yt-dlp: ${data}`);
+
+            // With --newline each progress update arrives as its own "[download]  42.3%" line
+            const progressMatches = [...data.toString().matchAll(/\[download\]\s+([\d.]+)%/g)];
+            if (progressMatches.length > 0 && onProgress) {
+                onProgress(Math.floor(Number(progressMatches[progressMatches.length - 1][1])));
+            }
+        });
+
+        ytDlp.stderr.on("data", (data) => {
+            logger.warn(`yt-dlp error: ${data}`);
+        });
+
+        ytDlp.on("error", (err) => {
+            reject(new AppError(`yt-dlp could not be started: ${err.message}`, 500));
+        });
+
+        ytDlp.on("close", (code) => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new AppError(`yt-dlp exited with code ${code}`, 500));
+            }
+        });
+    });
+};
+
+/**
+ * Requests a URL over HTTP, following redirects and checking every hop with
+ * checkRemoteUrl. The connection itself goes through guardedLookup, so the
+ * checked host cannot switch addresses.
+ * @param {URL} url - A URL that passed checkRemoteUrl.
+ * @param {number} [redirects=0] - Redirects followed so far.
+ * @returns {Promise<Object>} Resolves with the final url and the unread response once the server answers 200.
+ * @throws {AppError} 502 for HTTP errors, failed connections and redirect loops, 504 when the server stalls.
+ */
+const openRemote = (url, redirects = 0) => {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === "https:" ? https : http;
+
+        const request = client.get(url, { lookup: guardedLookup, timeout: remoteMedia.timeoutSeconds * 1000 }, (response) => {
+            const { statusCode, headers } = response;
+
+            if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                response.resume();
+                if (redirects >= remoteMedia.maxRedirects) {
+                    return reject(new AppError(`Too many redirects from ${url.href}.`, 502));
+                }
+                return checkRemoteUrl(new URL(headers.location, url).href)
+                    .then(next => openRemote(next, redirects + 1))
+                    .then(resolve, reject);
+            }
+
+            if (statusCode !== 200) {
+                response.resume();
+                return reject(new AppError(`${url.hostname} answered with HTTP ${statusCode}.`, 502));
+            }
+            resolve({ url, response });
+        });
+
+        request.on("timeout", () => {
+            request.destroy(new AppError(`${url.hostname} stopped responding.`, 504));
+        });
+        request.on("error", (error) => {
+            reject(error instanceof AppError ? error : new AppError(`Download from ${url.hostname} failed: ${error.message}`, 502));
+        });
+    });
+};
+
+/**
+ * Downloads a URL over HTTP when it serves an audio or video file.
+ * @param {URL} url - A URL that passed checkRemoteUrl.
+ * @param {string} outputPath - Where to save the file.
+ * @param {Function} [onProgress] - Called with the download percentage when the size is known.
+ * @returns {Promise<Object|null>} Resolves with { path, originalname, mimetype, size }, or null when the URL serves a web page.
+ * @throws {AppError} 413 past remoteMedia.maxBytes; see openRemote for the others.
+ */
+const downloadDirect = async (url, outputPath, onProgress) => {
+    const { url: finalUrl, response } = await openRemote(url);
+    const { headers } = response;
+
+    const contentType = (headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+    if (!MEDIA_CONTENT_TYPE.test(contentType)) {
+        response.destroy();
+        return null;
+    }
+
+    const tooLarge = new AppError(`The remote file is too large. The maximum size is ${remoteMedia.maxBytes} bytes.`, 413);
+    const total = Number(headers["content-length"]) || null;
+    if (total && total > remoteMedia.maxBytes) {
+        response.destroy();
+        throw tooLarge;
+    }
+
+    return new Promise((resolve, reject) => {
+        // Servers may send more than they announce, so the cap is also checked while reading
+        let received = 0;
+        response.on("data", (chunk) => {
+            received += chunk.length;
+            if (received > remoteMedia.maxBytes) {
+                response.destroy(tooLarge);
+            } else if (total && onProgress) {
+                onProgress(Math.floor((received / total) * 100));
+            }
+        });
+
+        pipeline(response, fs.createWriteStream(outputPath), (error) => {
+            if (error) {
+                deleteFile(outputPath);
+                return reject(error instanceof AppError ? error : new AppError(`Download from ${finalUrl.hostname} failed: ${error.message}`, 502));
+            }
+
+            logger.info(`✅ Downloaded ${received} bytes from ${finalUrl.hostname}`);
+            // Redirects from tracking services lead to the real file name
+            resolve({
+                path: outputPath,
+                originalname: path.posix.basename(finalUrl.pathname) || finalUrl.hostname,
+                mimetype: contentType,
+                size: received
+            });
+        });
+    });
+};
+
+/**
+ * Downloads the media on a web page with yt-dlp, after the same duration check
+ * YouTube downloads get, so overly long recordings are refused before download.
+ * yt-dlp makes its own connections, following redirects and embedded media past
+ * guardedLookup, so downloadRemoteMedia only calls this for remoteMedia.allowedHosts.
+ * @param {URL} url - A URL that passed checkRemoteUrl.
+ * @param {string} baseName - File name prefix inside the download directory.
+ * @param {Function} [onProgress] - Called with the download percentage.
+ * @returns {Promise<Object>} Resolves with { path, originalname, mimetype, size }.
+ * @throws {AppError} 400 when yt-dlp finds no media, 413 when the media is too long or too large.
+ */
+const downloadPageMedia = async (url, baseName, onProgress) => {
+    const durationSeconds = await getVideoDuration(url.href);
+    if (durationSeconds > uploadLimits.maxDurationSeconds) {
+        throw new AppError(`The recording is too long. The maximum duration is ${uploadLimits.maxDurationSeconds} seconds.`, 413);
+    }
+
+    const estimatedTime = calculateEstimatedProcessingTime(durationSeconds);
+    logger.info(`⏳ Estimated processing time: ${estimatedTime.hours}h ${estimatedTime.minutes}m ${estimatedTime.seconds}s`);
+
+    // Sites without separate audio streams only offer combined formats
+    const downloadError = await downloadAudioWithYtDlp(url.href, path.join(DOWNLOAD_DIR, `${baseName}.%(ext)s`), onProgress, {
+        format: "bestaudio/best",
+        maxBytes: remoteMedia.maxBytes,
+        noPlaylist: true
+    }).then(() => null, error => error);
+
+    const files = fs.readdirSync(DOWNLOAD_DIR).filter(file => file.startsWith(`${baseName}.`));
+    const file = files.find(name => !name.endsWith(".part"));
+    if (downloadError || !file) {
+        files.forEach(name => deleteFile(path.join(DOWNLOAD_DIR, name)));
+        // yt-dlp succeeds without a file when every format is over --max-filesize
+        throw downloadError
+            ? new AppError(`No media found at ${url.href}.`, 400)
+            : new AppError(`The remote file is too large. The maximum size is ${remoteMedia.maxBytes} bytes.`, 413);
+    }
+
+    const filePath = path.join(DOWNLOAD_DIR, file);
+    logger.info(`✅ yt-dlp download from ${url.hostname} complete`);
+    return {
+        path: filePath,
+        originalname: `${url.hostname}${path.extname(file)}`,
+        mimetype: "application/octet-stream",
+        size: fs.statSync(filePath).size
+    };
+};
+
+/**
+ * Downloads the media at a URL, directly for audio and video files and through
+ * yt-dlp for web pages on remoteMedia.allowedHosts.
+ * @param {string} url - The URL from the request.
+ * @param {Function} [onProgress] - Called with the download percentage.
+ * @returns {Promise<Object>} Resolves with the file in the shape multer gives req.file
+ * (path, originalname, mimetype, size), plus the url it came from.
+ * @throws {AppError} 415 for web pages when no hosts are allowed; see checkRemoteUrl, downloadDirect and downloadPageMedia.
+ */
+const downloadRemoteMedia = async (url, onProgress) => {
+    const target = await checkRemoteUrl(url);
+    const baseName = `${Date.now()}-remote`;
+
+    logger.info(`📥 Downloading media from: ${target.href}`);
+    const file = await downloadDirect(target, path.join(DOWNLOAD_DIR, baseName), onProgress);
+    if (file) {
+        return { ...file, url: target.href };
+    }
+
+    // Only hosts the operator listed are trusted not to send yt-dlp to a private address
+    if (remoteMedia.allowedHosts.length === 0) {
+        throw new AppError(
+            `${target.href} is a web page, not an audio or video file. Pages are only downloaded from the hosts in remoteMedia.allowedHosts.`,
+            415
+        );
+    }
+
+    const pageFile = await downloadPageMedia(target, baseName, onProgress);
+    return { ...pageFile, url: target.href };
+};
+
+module.exports = {
+    downloadAudioWithYtDlp,
+    downloadRemoteMedia,
+    downloadDirect,
+    openRemote
+};
@@ -0,0 +1,212 @@
+/**
+ * @file mediaValidator.js
+ * @description Checks uploaded files before any conversion work is spent on them:
+ * size, the format their first bytes reveal, and what ffprobe finds inside. Video
+ * containers are accepted for their audio tracks, and a request may pick one.
+ */
+
+const fs = require("fs/promises");
+const ffmpeg = require("fluent-ffmpeg");
+const { allowedExtensions, uploadLimits } = require("../config");
+const { AppError } = require("../utils/errorHandler");
+const logger = require("../utils/logger");
+
+// Bytes read from the start of a file to recognize its format
+const SNIFF_BYTES = 16;
+
+// File extensions each detected format may arrive with
+const FORMAT_EXTENSIONS = {
+    mp3: ["mp3"],
+    wav: ["wav"],
+    aac: ["aac"],
+    mp4: ["m4a", "mp4", "mov"],
+    matroska: ["mkv", "webm"],
+    ogg: ["ogg"],
+    flac: ["flac"]
+};
+
+// Top-level atoms an MP4 or QuickTime file may start with
+const MP4_ATOMS = ["ftyp", "moov", "mdat", "wide", "free"];
+
+/**
+ * Recognizes a media format from the first bytes of a file.
+ * @param {Buffer} header - The first bytes of the file.
+ * @returns {string|null} The format ("mp3", "wav", "aac", "mp4", "matroska", "ogg", "flac"), or null when unknown.
+ */
+const detectFormat = (header) => {
+    const ascii = (start, end) => header.toString("latin1", start, end);
+
+    if (ascii(0, 3) === "ID3") {
+        return "mp3";
+    }
+    if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") {
+        return "wav";
+    }
+    if (MP4_ATOMS.includes(ascii(4, 8))) {
+        return "mp4";
+    }
+    if (ascii(0, 4) === "OggS") {
+        return "ogg";
+    }
+    if (ascii(0, 4) === "fLaC") {
+        return "flac";
+    }
+    if (header.length >= 4 && header.readUInt32BE(0) === 0x1a45dfa3) {
+        return "matroska";
+    }
+    // MPEG frame sync: ADTS AAC has layer bits 00, MP3 frames do not
+    if (header.length >= 2 && header[0] === 0xff && (header[1] & 0xe0) === 0xe0) {
+        return (header[1] & 0x06) === 0 ? "aac" : "mp3";
+    }
+    return null;
+};
+
+/**
+ * Reads the start of a file and recognizes its format.
+ * @param {string} filePath - The uploaded file.
+ * @returns {Promise<string|null>} The detected format, or null when unknown.
+ */
+const sniffFormat = async (filePath) => {
+    const file = await fs.open(filePath, "r");
+    try {
+        const { buffer, bytesRead } = await file.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+        return detectFormat(buffer.subarray(0, bytesRead));
+    } finally {
+        await file.close();
+    }
+};
+
+/**
+ * Runs ffprobe on a file.
+ * @param {string} filePath - The uploaded file.
+ * @returns {Promise<Object>} Resolves with the ffprobe metadata.
+ * @throws {AppError} 422 when ffprobe cannot read the file.
+ */
+const probeMedia = (filePath) => {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => {
+            if (err) {
+                logger.warn(`⚠️ ffprobe could not read ${filePath}: ${err.message}`);
+                return reject(new AppError("The file could not be read as audio. It may be damaged or incomplete.", 422));
+            }
+            resolve(metadata);
+        });
+    });
+};
+
+/**
+ * Checks whether a detected format matches one of the accepted file types.
+ * @param {string|null} format - The detected format.
+ * @returns {boolean} True if the format is accepted.
+ */
+const isAcceptedFormat = (format) => {
+    return (FORMAT_EXTENSIONS[format] || []).some(extension => allowedExtensions.includes(extension));
+};
+
+/**
+ * Describes the audio streams ffprobe found in a file.
+ * @param {Object[]} streams - The ffprobe streams.
+ * @returns {Object[]} For each audio track: index among the audio tracks, language, title, codec, channels and whether it is the default.
+ */
+const describeAudioTracks = (streams) => {
+    return streams
+        .filter(stream => stream.codec_type === "audio")
+        .map((stream, index) => ({
+            index,
+            language: (stream.tags && stream.tags.language) || null,
+            title: (stream.tags && stream.tags.title) || null,
+            codec: stream.codec_name || null,
+            channels: stream.channels || null,
+            default: Boolean(stream.disposition && stream.disposition.default)
+        }));
+};
+
+/**
+ * Picks the audio track to transcribe.
+ * @param {Object[]} tracks - Tracks from describeAudioTracks.
+ * @param {number|string} [requested] - A track index, or a language tag such as "eng".
+ * @returns {Object} The chosen track: the requested one, else the default track, else the first.
+ * @throws {AppError} 400 when the requested track does not exist.
+ */
+const selectAudioTrack = (tracks, requested) => {
+    if (requested === undefined || requested === null || requested === "") {
+        return tracks.find(track => track.default) || tracks[0];
+    }
+
+    const track = /^\d+$/.test(String(requested))
+        ? tracks[Number(requested)]
+        : tracks.find(candidate => candidate.language && candidate.language.toLowerCase() === String(requested).toLowerCase());
+
+    if (!track) {
+        const available = tracks.map(candidate => `${candidate.index}${candidate.language ? ` (${candidate.language})` : ""}`);
+        throw new AppError(`Audio track not found: ${requested}. Available tracks: ${available.join(", ")}`, 400);
+    }
+    return track;
+};
+
+/**
+ * Checks an uploaded file's size, content and duration, and picks its audio track.
+ * @param {Object} file - The uploaded file, as multer describes it.
+ * @param {string} file.path - Where the file is stored.
+ * @param {number} file.size - Its size in bytes.
+ * @param {number|string} [audioTrack] - The requested audio track, by index or language.
+ * @returns {Promise<Object>} Resolves with the detected format, duration in seconds,
+ * every audio track and the track chosen for transcription.
+ * @throws {AppError} 400 when the requested track does not exist, 413 when the file
+ * is too large or too long, 415 when its content is not an accepted format, 422 when
+ * it holds no readable audio stream.
+ */
+const validateMediaFile = async ({ path: filePath, size }, audioTrack) => {
+    if (size > uploadLimits.maxBytes) {
+        throw new AppError(`The file is too large. The maximum size is ${uploadLimits.maxBytes} bytes.`, 413);
+    }
+
+    const format = await sniffFormat(filePath);
+    if (!isAcceptedFormat(format)) {
+        throw new AppError(
+            `Unsupported media type${format ? ` (${format})` : ""}. The file content must be ${allowedExtensions.join(", ").toUpperCase()} audio or video.`,
+            415
+        );
+    }
+
+    const metadata = await probeMedia(filePath);
+    const audioTracks = describeAudioTracks(metadata.streams || []);
+    if (audioTracks.length === 0) {
+        throw new AppError("The file contains no audio stream.", 422);
+    }
+
+    const durationSeconds = Number(metadata.format && metadata.format.duration);
+    if (durationSeconds > uploadLimits.maxDurationSeconds) {
+        throw new AppError(
+            `The recording is too long (${Math.round(durationSeconds)} seconds). The maximum is ${uploadLimits.maxDurationSeconds} seconds.`,
+            413
+        );
+    }
+
+    const selectedTrack = selectAudioTrack(audioTracks, audioTrack);
+
+    logger.debug(`🔎 Upload looks like ${format}, ${durationSeconds} seconds, using audio track ${selectedTrack.index} of ${audioTracks.length}`);
+    return { format, durationSeconds, audioTracks, audioTrack: selectedTrack };
+};
+
+/**
+ * Checks that a requested time range starts inside the recording.
+ * @param {Object|null} range - The range from parseTimeRange, if any.
+ * @param {number} durationSeconds - Length of the recording.
+ * @throws {AppError} 400 when the range starts at or after the end of the recording.
+ */
+const checkRangeStart = (range, durationSeconds) => {
+    if (range && range.start >= durationSeconds) {
+        throw new AppError(
+            `The start time (${range.start} seconds) is past the end of the recording (${Math.round(durationSeconds)} seconds).`,
+            400
+        );
+    }
+};
+
+module.exports = {
+    validateMediaFile,
+    checkRangeStart,
+    detectFormat,
+    selectAudioTrack
+};
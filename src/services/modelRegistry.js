@@ -0,0 +1,183 @@
+/**
+ * @file modelRegistry.js
+ * @description Discovers the Vosk models installed under config.modelsDir,
+ * validates their structure and resolves which model serves a request.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { modelsDir, modelPaths, diarization } = require("../config");
+const { AppError } = require("../utils/errorHandler");
+const logger = require("../utils/logger");
+
+// Files every Vosk model needs, plus one of the two supported graph layouts
+const REQUIRED_FILES = ["am/final.mdl", "conf/mfcc.conf"];
+const GRAPH_LAYOUTS = [["graph/HCLG.fst"], ["graph/HCLr.fst", "graph/Gr.fst"]];
+
+let models = null;
+
+/**
+ * Lists what is missing from a model directory.
+ * @param {string} modelPath - The model directory.
+ * @returns {string[]} Missing files; empty when the model is complete.
+ */
+const validateModelDir = (modelPath) => {
+    const exists = file => fs.existsSync(path.join(modelPath, file));
+    const missing = REQUIRED_FILES.filter(file => !exists(file));
+
+    if (!GRAPH_LAYOUTS.some(layout => layout.every(exists))) {
+        missing.push(GRAPH_LAYOUTS.map(layout => layout.join(" + ")).join(" or "));
+    }
+    return missing;
+};
+
+/**
+ * Reads the language from a standard Vosk model name, e.g. "vosk-model-small-en-us-0.15".
+ * @param {string} name - The model directory name.
+ * @returns {string|null} The language code, or null for unrecognized names.
+ */
+const parseModelLanguage = (name) => {
+    const match = name.match(/^vosk-model-(?:small-)?([a-z]{2,3})(?:-|$)/i);
+    return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * Adds up the size of every file in a directory tree.
+ * @param {string} dir - The directory.
+ * @returns {number} Total size in bytes.
+ */
+const getDirectorySize = (dir) => {
+    return fs.readdirSync(dir, { withFileTypes: true }).reduce((total, entry) => {
+        const entryPath = path.join(dir, entry.name);
+        return total + (entry.isDirectory() ? getDirectorySize(entryPath) : fs.statSync(entryPath).size);
+    }, 0);
+};
+
+/**
+ * Scans the models directory and the configured model paths, keeping every
+ * valid model. The configured path for a language becomes its default model;
+ * otherwise the largest model for the language is used.
+ * @returns {Object[]} Models with name, language, path, sizeBytes and default flag.
+ */
+const loadModels = () => {
+    const candidates = new Map();
+
+    if (fs.existsSync(modelsDir)) {
+        fs.readdirSync(modelsDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .forEach((entry) => {
+                const modelPath = path.join(modelsDir, entry.name);
+                candidates.set(path.resolve(modelPath), { path: modelPath, language: parseModelLanguage(entry.name) });
+            });
+    } else {
+        logger.warn(`⚠️ Models directory not found: ${modelsDir}`);
+    }
+
+    // Configured paths may live outside the models directory and name the language explicitly
+    Object.entries(modelPaths).forEach(([language, modelPath]) => {
+        candidates.set(path.resolve(modelPath), { path: modelPath, language, configured: true });
+    });
+
+    const speakerModel = diarization && path.resolve(diarization.speakerModelPath);
+    const found = [];
+
+    candidates.forEach((candidate, resolvedPath) => {
+        if (resolvedPath === speakerModel) {
+            return;
+        }
+        if (!fs.existsSync(candidate.path)) {
+            return logger.warn(`⚠️ Configured ${candidate.language} model not found: ${candidate.path}`);
+        }
+
+        const missing = validateModelDir(candidate.path);
+        if (missing.length > 0) {
+            return logger.warn(`⚠️ Skipping invalid Vosk model ${candidate.path}: missing ${missing.join(", ")}`);
+        }
+        if (!candidate.language) {
+            return logger.warn(`⚠️ Skipping Vosk model ${candidate.path}: cannot tell its language from the name`);
+        }
+
+        found.push({
+            name: path.basename(candidate.path),
+            language: candidate.language,
+            path: candidate.path,
+            sizeBytes: getDirectorySize(candidate.path),
+            configured: Boolean(candidate.configured)
+        });
+    });
+
+    models = found
+        .sort((a, b) => a.language.localeCompare(b.language) || b.sizeBytes - a.sizeBytes)
+        .map(({ configured, ...model }, index, list) => {
+            const sameLanguage = list.filter(other => other.language === model.language);
+            const preferred = sameLanguage.find(other => other.configured) || sameLanguage[0];
+            return { ...model, default: preferred.path === model.path };
+        });
+
+    logger.info(`📦 Found ${models.length} Vosk model(s): ${models.map(model => model.name).join(", ") || "none"}`);
+    return models;
+};
+
+/**
+ * Returns the installed models, scanning on first use.
+ * @returns {Object[]} The installed models.
+ */
+const getModels = () => models || loadModels();
+
+/**
+ * Returns the languages that have at least one installed model.
+ * @returns {string[]} Language codes.
+ */
+const getLanguages = () => [...new Set(getModels().map(model => model.language))];
+
+/**
+ * Looks up an installed model by name.
+ * @param {string} name - The model directory name.
+ * @returns {Object|null} The model, or null when it is not installed.
+ */
+const getModel = (name) => getModels().find(model => model.name === name) || null;
+
+/**
+ * Returns the default model for a language.
+ * @param {string} language - The language code.
+ * @returns {Object|null} The model, or null when none is installed.
+ */
+const getDefaultModel = (language) => getModels().find(model => model.language === language && model.default) || null;
+
+/**
+ * Resolves the model for a request: the named model when one is given,
+ * otherwise the language's default model.
+ * @param {string} [language] - The requested language.
+ * @param {string} [modelName] - The requested model name.
+ * @returns {Object} The model.
+ * @throws {AppError} 400 when the model is unknown, belongs to another language, or no model serves the language.
+ */
+const resolveModel = (language, modelName) => {
+    if (modelName) {
+        const model = getModel(modelName);
+        if (!model) {
+            throw new AppError(`Unknown model: ${modelName}. Installed models: ${getModels().map(m => m.name).join(", ") || "none"}`, 400);
+        }
+        if (language && model.language !== language) {
+            throw new AppError(`Model ${modelName} is for language "${model.language}", not "${language}".`, 400);
+        }
+        return model;
+    }
+
+    const model = getDefaultModel(language);
+    if (!model) {
+        throw new AppError(`No model installed for language "${language}". Installed languages: ${getLanguages().join(", ") || "none"}`, 400);
+    }
+    return model;
+};
+
+module.exports = {
+    loadModels,
+    getModels,
+    getLanguages,
+    getModel,
+    getDefaultModel,
+    resolveModel,
+    validateModelDir,
+    parseModelLanguage
+};
@@ -0,0 +1,138 @@
+/**
+ * @file podcastFeeds.js
+ * @description Fetches podcast RSS feeds and reads their episodes, that is the
+ * items with an audio or video <enclosure>
+ */
+
+const { podcasts } = require("../config");
+const { checkRemoteUrl } = require("./urlGuard");
+const { openRemote } = require("./mediaDownloader");
+const { AppError } = require("../utils/errorHandler");
+const logger = require("../utils/logger");
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
+/**
+ * Decodes the XML entities in a piece of text.
+ * @param {string} value - Text with entities such as &amp; or &#8217;.
+ * @returns {string} The decoded text.
+ */
+const decodeEntities = (value) => {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, name) => {
+        if (name[0] === "#") {
+            const codePoint = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+            return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+        }
+        return XML_ENTITIES[name.toLowerCase()];
+    });
+};
+
+/**
+ * Reads the text of the first element with the given tag name.
+ * @param {string} xml - The XML to search.
+ * @param {string} tag - The tag name, without namespace unless it has one.
+ * @returns {string|null} The trimmed text, or null when there is no such element.
+ */
+const readElement = (xml, tag) => {
+    const match = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, "i").exec(xml);
+    if (!match) {
+        return null;
+    }
+
+    const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(match[1]);
+    return (cdata ? cdata[1] : decodeEntities(match[1])).trim();
+};
+
+/**
+ * Reads an attribute from an element's opening tag.
+ * @param {string} tag - The opening tag, e.g. <enclosure url="..." />.
+ * @param {string} name - The attribute name.
+ * @returns {string|null} The decoded value, or null when the attribute is missing.
+ */
+const readAttribute = (tag, name) => {
+    const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, "i").exec(tag);
+    return match ? decodeEntities(match[1] !== undefined ? match[1] : match[2]) : null;
+};
+
+/**
+ * Reads the episodes of an RSS feed. Items without an enclosure are left out;
+ * an item without a <guid> is identified by its enclosure URL.
+ * @param {string} xml - The feed content.
+ * @returns {Object} The feed title and its episodes, newest first, each with guid, title,
+ * publishedAt, link and enclosure (url, type, length).
+ * @throws {AppError} 400 when the content is not an RSS feed.
+ */
+const parseFeed = (xml) => {
+    if (!/<rss[\s>]/i.test(xml) || !/<channel[\s>]/i.test(xml)) {
+        throw new AppError("The URL does not serve an RSS feed.", 400);
+    }
+
+    const items = xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || [];
+    const episodes = items
+        .map((item) => {
+            const enclosureTag = /<enclosure\s[^>]*>/i.exec(item);
+            const url = enclosureTag && readAttribute(enclosureTag[0], "url");
+            if (!url) {
+                return null;
+            }
+
+            const published = Date.parse(readElement(item, "pubDate"));
+            return {
+                guid: readElement(item, "guid") || url,
+                title: readElement(item, "title"),
+                publishedAt: Number.isNaN(published) ? null : new Date(published).toISOString(),
+                link: readElement(item, "link"),
+                enclosure: {
+                    url,
+                    type: readAttribute(enclosureTag[0], "type"),
+                    length: Number(readAttribute(enclosureTag[0], "length")) || null
+                }
+            };
+        })
+        .filter(Boolean)
+        // Feeds are usually newest first already; undated episodes keep their place at the end
+        .sort((a, b) => (b.publishedAt || "").localeCompare(a.publishedAt || ""));
+
+    // The channel title is the first one before any item
+    return {
+        title: readElement(xml.split(/<item[\s>]/i)[0], "title"),
+        episodes
+    };
+};
+
+/**
+ * Downloads and parses a feed, with the same URL checks as remote media.
+ * @param {string} url - The feed URL.
+ * @returns {Promise<Object>} Resolves with the parsed feed, see parseFeed.
+ * @throws {AppError} 413 when the feed is larger than podcasts.maxFeedBytes; see checkRemoteUrl, openRemote and parseFeed for the others.
+ */
+const fetchFeed = async (url) => {
+    const { response } = await openRemote(await checkRemoteUrl(url));
+
+    const xml = await new Promise((resolve, reject) => {
+        const chunks = [];
+        let received = 0;
+
+        response.on("data", (chunk) => {
+            received += chunk.length;
+            if (received > podcasts.maxFeedBytes) {
+                response.destroy(new AppError(`The feed is too large. The maximum size is ${podcasts.maxFeedBytes} bytes.`, 413));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        response.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+        response.on("error", (error) => {
+            reject(error instanceof AppError ? error : new AppError(`Could not read the feed at ${url}: ${error.message}`, 502));
+        });
+    });
+
+    const feed = parseFeed(xml);
+    logger.debug(`🎙️ Read ${feed.episodes.length} episodes from ${url}`);
+    return feed;
+};
+
+module.exports = {
+    fetchFeed,
+    parseFeed
+};
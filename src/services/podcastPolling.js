@@ -0,0 +1,139 @@
+/**
+ * @file podcastPolling.js
+ * @description Checks subscribed podcast feeds on a schedule and transcribes
+ * each new episode in its own background job.
+ */
+
+const { validateMediaFile } = require("./mediaValidator");
+const { downloadRemoteMedia } = require("./mediaDownloader");
+const { fetchFeed } = require("./podcastFeeds");
+const {
+    EPISODE_STATUS,
+    getSubscription,
+    listSubscriptions,
+    findEpisodesToTranscribe,
+    recordPoll,
+    recordEpisode
+} = require("./podcastSubscriptions");
+const { createJob, getJob, JOB_STATUS } = require("./jobQueue");
+const { limiters } = require("./concurrencyLimiter");
+const { runFileTranscription } = require("./transcriptionPipeline");
+const { deleteFile } = require("../utils/fileUtils");
+const { podcasts } = require("../config");
+const logger = require("../utils/logger");
+
+/**
+ * Downloads and transcribes one episode, recording the outcome on its subscription.
+ * @param {Object} subscription - The subscription, as returned by getSubscription.
+ * @param {Object} episode - The episode from parseFeed.
+ * @param {Object} reporter - Receives status changes, progress and the processing estimate.
+ * @returns {Promise<Object>} The transcription result.
+ */
+const transcribeEpisode = async (subscription, episode, reporter) => {
+    try {
+        reporter.setStatus(JOB_STATUS.downloading);
+        const file = await limiters.download.run(() => downloadRemoteMedia(episode.enclosure.url, reporter.setProgress), { waitForCapacity: true });
+
+        const media = await validateMediaFile(file).catch((error) => {
+            deleteFile(file.path);
+            throw error;
+        });
+
+        const result = await runFileTranscription({
+            ...subscription.options,
+            filePath: file.path,
+            originalName: file.originalname,
+            sourceUrl: file.url,
+            sourceDetails: {
+                type: "podcast",
+                subscriptionId: subscription.id,
+                feedUrl: subscription.feedUrl,
+                podcast: subscription.title,
+                episode: { guid: episode.guid, title: episode.title, publishedAt: episode.publishedAt, link: episode.link }
+            },
+            format: "json",
+            audioTrack: media.audioTrack,
+            waitForCapacity: true
+        }, reporter);
+
+        recordEpisode(subscription.id, episode.guid, { status: EPISODE_STATUS.transcribed, transcriptId: result.transcriptId });
+        return result;
+    } catch (error) {
+        recordEpisode(subscription.id, episode.guid, { status: EPISODE_STATUS.failed, error: error.message });
+        throw error;
+    }
+};
+
+/**
+ * Reads a feed and queues a job for each episode not seen before, each failed
+ * one with attempts left and each queued one whose job is gone, oldest first
+ * and at most podcasts.maxNewEpisodesPerPoll at a time.
+ * @param {string} id - The subscription ID.
+ * @param {Object} [feed] - The feed when it has just been read, to save fetching it again.
+ * @returns {Promise<Object[]>} The queued episodes, each with guid, title and jobId.
+ */
+const pollSubscription = async (id, feed = null) => {
+    const subscription = getSubscription(id);
+
+    let current = feed;
+    if (!current) {
+        try {
+            current = await fetchFeed(subscription.feedUrl);
+        } catch (error) {
+            recordPoll(id, { error: error.message });
+            throw error;
+        }
+    }
+
+    const queued = findEpisodesToTranscribe(id, current.episodes, jobId => getJob(jobId) !== null)
+        .slice(0, podcasts.maxNewEpisodesPerPoll)
+        .map((episode) => {
+            const job = createJob("podcast-episode", (reporter) => transcribeEpisode(subscription, episode, reporter), {
+                subscriptionId: id,
+                podcast: subscription.title,
+                episode: episode.title,
+                guid: episode.guid,
+                url: episode.enclosure.url,
+                ...subscription.options
+            });
+            return { ...episode, jobId: job.id };
+        });
+
+    // Jobs start on a later tick, so the episodes are recorded as queued before any of them finishes
+    recordPoll(id, { title: current.title, queued });
+    if (queued.length > 0) {
+        logger.info(`🎙️ Queued ${queued.length} new episodes of ${current.title || subscription.feedUrl}`);
+    }
+    return queued.map(({ guid, title, jobId }) => ({ guid, title, jobId }));
+};
+
+/**
+ * Polls every subscription in turn. A feed that cannot be read is recorded on
+ * its subscription and does not stop the others.
+ * @returns {Promise<void>}
+ */
+const pollAllSubscriptions = async () => {
+    for (const subscription of listSubscriptions()) {
+        try {
+            await pollSubscription(subscription.id);
+        } catch (error) {
+            logger.warn(`⚠️ Could not poll ${subscription.feedUrl}: ${error.message}`);
+        }
+    }
+};
+
+/**
+ * Polls all subscriptions every podcasts.pollIntervalMinutes.
+ * @returns {Object} The interval timer, which does not keep the process alive.
+ */
+const startPodcastPolling = () => {
+    const timer = setInterval(pollAllSubscriptions, podcasts.pollIntervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    pollSubscription,
+    pollAllSubscriptions,
+    startPodcastPolling
+};
@@ -0,0 +1,280 @@
+/**
+ * @file podcastSubscriptions.js
+ * @description Podcast feed subscriptions and the episodes seen in each feed.
+ * Every subscription is kept in its own JSON record so subscriptions and the
+ * list of handled episodes survive a restart.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { randomUUID } = require("crypto");
+const { podcasts } = require("../config");
+const { AppError } = require("../utils/errorHandler");
+const logger = require("../utils/logger");
+
+// Episode states: waiting for or inside a job, done, failed, or already in the feed when it was subscribed to
+const EPISODE_STATUS = {
+    queued: "queued",
+    transcribed: "transcribed",
+    failed: "failed",
+    skipped: "skipped"
+};
+
+const subscriptions = new Map();
+let loaded = false;
+
+const recordPath = (id) => path.join(podcasts.dir, `${id}.json`);
+
+/**
+ * Creates the index of a subscription's episodes by guid. Guids come from the
+ * feed, so the index has no prototype for one like "__proto__" to collide with.
+ * @param {Object} [episodes={}] - Episode records by guid, as stored.
+ * @returns {Object} The episode records in an object without a prototype.
+ */
+const toEpisodeIndex = (episodes = {}) => Object.assign(Object.create(null), episodes);
+
+/**
+ * Reads the subscription records from disk the first time they are needed.
+ */
+const loadSubscriptions = () => {
+    if (loaded) {
+        return;
+    }
+    loaded = true;
+
+    if (!fs.existsSync(podcasts.dir)) {
+        return;
+    }
+    fs.readdirSync(podcasts.dir)
+        .filter(file => file.endsWith(".json"))
+        .forEach((file) => {
+            try {
+                const subscription = JSON.parse(fs.readFileSync(path.join(podcasts.dir, file), "utf8"));
+                subscription.episodes = toEpisodeIndex(subscription.episodes);
+                subscriptions.set(subscription.id, subscription);
+            } catch (error) {
+                logger.warn(`⚠️ Could not read podcast subscription ${file}: ${error.message}`);
+            }
+        });
+};
+
+/**
+ * Writes a subscription record to disk.
+ * @param {Object} subscription - The subscription.
+ */
+const saveSubscription = (subscription) => {
+    subscription.updatedAt = new Date().toISOString();
+    fs.mkdirSync(podcasts.dir, { recursive: true });
+    fs.writeFileSync(recordPath(subscription.id), JSON.stringify(subscription));
+};
+
+/**
+ * Reduces a feed episode to the details stored for it.
+ * @param {Object} episode - An episode from parseFeed.
+ * @returns {Object} guid, title, publishedAt, link and enclosureUrl.
+ */
+const toEpisodeRecord = ({ guid, title, publishedAt, link, enclosure }) => ({
+    guid,
+    title,
+    publishedAt,
+    link,
+    enclosureUrl: enclosure.url
+});
+
+/**
+ * Describes a subscription for API responses.
+ * @param {Object} subscription - The subscription.
+ * @param {boolean} [withEpisodes=false] - Include every episode except the skipped ones.
+ * @returns {Object} The subscription with episode counts by status.
+ */
+const toSummary = ({ episodes, ...subscription }, withEpisodes = false) => {
+    const list = Object.values(episodes);
+    const counts = Object.values(EPISODE_STATUS).reduce((result, status) => {
+        result[status] = list.filter(episode => episode.status === status).length;
+        return result;
+    }, {});
+
+    return {
+        ...subscription,
+        episodeCounts: counts,
+        ...(withEpisodes && {
+            episodes: list
+                .filter(episode => episode.status !== EPISODE_STATUS.skipped)
+                .sort((a, b) => (b.publishedAt || "").localeCompare(a.publishedAt || ""))
+        })
+    };
+};
+
+/**
+ * Looks up a subscription.
+ * @param {string} id - The subscription ID.
+ * @returns {Object} The subscription record.
+ * @throws {AppError} 404 when there is no such subscription.
+ */
+const findSubscription = (id) => {
+    loadSubscriptions();
+    const subscription = subscriptions.get(id);
+    if (!subscription) {
+        throw new AppError(`Podcast subscription not found: ${id}`, 404);
+    }
+    return subscription;
+};
+
+/**
+ * Subscribes to a feed. Episodes already in the feed are marked as skipped,
+ * except the newest `backfill` of them, which the first poll transcribes.
+ * @param {Object} details - The subscription details.
+ * @param {string} details.feedUrl - The feed URL.
+ * @param {Object} details.feed - The feed as read by parseFeed.
+ * @param {Object} details.options - Transcription options used for every episode.
+ * @param {number} [details.backfill=0] - Number of existing episodes to transcribe.
+ * @returns {Object} The subscription summary.
+ * @throws {AppError} 409 when the feed is already subscribed to.
+ */
+const createSubscription = ({ feedUrl, feed, options, backfill = 0 }) => {
+    loadSubscriptions();
+    const existing = [...subscriptions.values()].find(subscription => subscription.feedUrl === feedUrl);
+    if (existing) {
+        throw new AppError(`Already subscribed to ${feedUrl} (subscription ${existing.id}).`, 409);
+    }
+
+    const subscription = {
+        id: randomUUID(),
+        feedUrl,
+        title: feed.title,
+        options,
+        episodes: toEpisodeIndex(),
+        createdAt: new Date().toISOString(),
+        lastPolledAt: null,
+        lastError: null
+    };
+    feed.episodes.slice(backfill).forEach((episode) => {
+        subscription.episodes[episode.guid] = { ...toEpisodeRecord(episode), status: EPISODE_STATUS.skipped };
+    });
+
+    saveSubscription(subscription);
+    subscriptions.set(subscription.id, subscription);
+
+    logger.info(`🎙️ Subscribed to ${feed.title || feedUrl} (${subscription.id})`);
+    return toSummary(subscription);
+};
+
+/**
+ * Returns a subscription's settings, for polling.
+ * @param {string} id - The subscription ID.
+ * @returns {Object} The subscription record without its episodes.
+ */
+const getSubscription = (id) => {
+    const { episodes, ...subscription } = findSubscription(id);
+    return subscription;
+};
+
+/**
+ * Returns a subscription with its episodes, for API responses.
+ * @param {string} id - The subscription ID.
+ * @returns {Object} The subscription summary with episodes.
+ */
+const getSubscriptionDetails = (id) => toSummary(findSubscription(id), true);
+
+/**
+ * Lists all subscriptions, oldest first.
+ * @returns {Object[]} Subscription summaries.
+ */
+const listSubscriptions = () => {
+    loadSubscriptions();
+    return [...subscriptions.values()]
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(subscription => toSummary(subscription));
+};
+
+/**
+ * Picks the episodes of a feed to hand to jobs: those the subscription has not
+ * seen yet, failed ones with attempts left (podcasts.maxEpisodeAttempts), and
+ * queued ones whose job is gone, as happens when the server stopped before
+ * the job finished.
+ * @param {string} id - The subscription ID.
+ * @param {Object[]} episodes - Episodes from parseFeed, newest first.
+ * @param {Function} [isJobActive] - Tells whether the job with the given ID still exists.
+ * @returns {Object[]} The episodes to transcribe, oldest first.
+ */
+const findEpisodesToTranscribe = (id, episodes, isJobActive = () => true) => {
+    const subscription = findSubscription(id);
+    return episodes.filter((episode) => {
+        const record = subscription.episodes[episode.guid];
+        if (!record) {
+            return true;
+        }
+        if (record.status === EPISODE_STATUS.failed) {
+            return (record.attempts || 1) < podcasts.maxEpisodeAttempts;
+        }
+        return record.status === EPISODE_STATUS.queued && !isJobActive(record.jobId);
+    }).reverse();
+};
+
+/**
+ * Records a poll of the feed.
+ * @param {string} id - The subscription ID.
+ * @param {Object} poll - What the poll found.
+ * @param {string} [poll.title] - The feed's current title.
+ * @param {Object[]} [poll.queued=[]] - Episodes handed to jobs, each with its jobId. Each one counts as an attempt.
+ * @param {string} [poll.error] - Why the feed could not be read.
+ */
+const recordPoll = (id, { title, queued = [], error = null }) => {
+    const subscription = findSubscription(id);
+    subscription.lastPolledAt = new Date().toISOString();
+    subscription.lastError = error;
+    if (title) {
+        subscription.title = title;
+    }
+    queued.forEach(({ jobId, ...episode }) => {
+        const previous = subscription.episodes[episode.guid];
+        subscription.episodes[episode.guid] = {
+            ...toEpisodeRecord(episode),
+            status: EPISODE_STATUS.queued,
+            jobId,
+            attempts: ((previous && previous.attempts) || 0) + 1
+        };
+    });
+    saveSubscription(subscription);
+};
+
+/**
+ * Records the outcome of an episode's transcription. Outcomes for
+ * subscriptions removed in the meantime are dropped.
+ * @param {string} id - The subscription ID.
+ * @param {string} guid - The episode guid.
+ * @param {Object} outcome - The new status, with transcriptId or error.
+ */
+const recordEpisode = (id, guid, outcome) => {
+    loadSubscriptions();
+    const subscription = subscriptions.get(id);
+    if (!subscription || !subscription.episodes[guid]) {
+        return;
+    }
+
+    subscription.episodes[guid] = { ...subscription.episodes[guid], ...outcome };
+    saveSubscription(subscription);
+};
+
+/**
+ * Removes a subscription. Transcripts of its episodes are kept.
+ * @param {string} id - The subscription ID.
+ */
+const removeSubscription = (id) => {
+    findSubscription(id);
+    subscriptions.delete(id);
+    fs.rmSync(recordPath(id), { force: true });
+    logger.info(`🎙️ Unsubscribed from podcast ${id}`);
+};
+
+module.exports = {
+    EPISODE_STATUS,
+    createSubscription,
+    getSubscription,
+    getSubscriptionDetails,
+    listSubscriptions,
+    findEpisodesToTranscribe,
+    recordPoll,
+    recordEpisode,
+    removeSubscription
+};
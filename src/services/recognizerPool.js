@@ -0,0 +1,271 @@
+/**
+ * @file recognizerPool.js
+ * @description Pool of long-lived Python recognizer workers that keep Vosk models loaded.
+ * Node and each worker talk line-delimited JSON over stdin/stdout.
+ */
+
+const { spawn } = require("child_process");
+const path = require("path");
+const { randomUUID } = require("crypto");
+const { recognizerPool: poolOptions } = require("../config");
+const { getDefaultModel } = require("./modelRegistry");
+const logger = require("../utils/logger");
+
+const PYTHON_PATH = path.join(__dirname, "../../venv/bin/python3");
+const WORKER_SCRIPT = path.join(__dirname, "../../recognizer_worker.py");
+const MAX_RESTART_DELAY_MS = 30000;
+
+/**
+ * Creates a pool of recognizer workers.
+ * @param {Object} options - Pool settings.
+ * @param {number} options.size - Number of worker processes.
+ * @param {string[]} [options.preloadModels=[]] - Model paths each worker loads on startup.
+ * @param {number} [options.restartDelayMs=1000] - Base delay before restarting a crashed worker.
+ * @param {number} [options.maxStartupFailures=3] - Times in a row a worker may exit before becoming ready
+ * before the pool gives up and fails every request.
+ * @param {number} [options.requestTimeoutMs=3600000] - Time a request may wait and run before it fails.
+ * @returns {Object} Pool with transcribe(audioFile, modelPath, options) and shutdown() functions.
+ */
+const createRecognizerPool = ({ size, preloadModels = [], restartDelayMs = 1000, maxStartupFailures = 3, requestTimeoutMs = 60 * 60 * 1000 }) => {
+    const workers = [];
+    const restartCounts = new Array(size).fill(0);
+    const startupFailures = new Array(size).fill(0);
+    const pendingRequests = [];
+    let shuttingDown = false;
+    // Set once workers cannot be started, e.g. without a venv or with a broken preloaded model
+    let failure = null;
+
+    /**
+     * Hands queued requests to idle workers.
+     */
+    const dispatch = () => {
+        workers.filter(worker => worker.ready && !worker.request).forEach((worker) => {
+            if (pendingRequests.length === 0) {
+                return;
+            }
+
+            const request = pendingRequests.shift();
+            worker.request = request;
+            worker.process.stdin.write(`${JSON.stringify({
+                id: request.id,
+                audio: request.audioFile,
+                model: request.modelPath,
+                ...(request.speakerModelPath && { spkModel: request.speakerModelPath })
+            })}\n`);
+        });
+    };
+
+    /**
+     * Handles one protocol message from a worker.
+     * @param {Object} worker - The worker that sent the message.
+     * @param {Object} message - The parsed message.
+     */
+    const handleMessage = (worker, message) => {
+        if (message.type === "ready") {
+            worker.ready = true;
+            restartCounts[worker.index] = 0;
+            startupFailures[worker.index] = 0;
+            logger.info(`✅ Recognizer worker ${worker.index} ready`);
+            return dispatch();
+        }
+
+        const request = worker.request;
+        if (!request || message.id !== request.id) {
+            logger.warn(`⚠️ Unexpected message from recognizer worker ${worker.index}: ${message.type}`);
+            return;
+        }
+
+        if (message.type === "progress") {
+            if (request.onProgress) {
+                request.onProgress(message.percent);
+            }
+            return;
+        }
+
+        worker.request = null;
+        if (message.type === "result") {
+            const { id, type, ...output } = message;
+            request.resolve(output);
+        } else {
+            request.reject(new Error(`❌ Transcription process failed: ${message.message}`));
+        }
+        dispatch();
+    };
+
+    /**
+     * Gives up on the pool: fails queued requests and every later one, and stops the workers.
+     * @param {Error} error - The error requests fail with.
+     */
+    const failPool = (error) => {
+        failure = error;
+        logger.error(error.message);
+        pendingRequests.splice(0).forEach(request => request.reject(error));
+        workers.forEach(worker => worker.process.stdin.end());
+    };
+
+    /**
+     * Fails a request that took longer than requestTimeoutMs. A worker still
+     * busy with it is stopped, and replaced like a crashed one.
+     * @param {Object} request - The request that timed out.
+     */
+    const timeOut = (request) => {
+        const queued = pendingRequests.indexOf(request);
+        if (queued !== -1) {
+            pendingRequests.splice(queued, 1);
+        }
+
+        const worker = workers.find(candidate => candidate && candidate.request === request);
+        if (worker) {
+            worker.request = null;
+            worker.process.kill();
+        }
+        request.reject(new Error(`❌ Transcription process failed: no result within ${Math.round(requestTimeoutMs / 1000)} seconds`));
+    };
+
+    /**
+     * Fails the worker's in-flight request and schedules a replacement worker,
+     * unless workers keep exiting before they become ready.
+     * @param {Object} worker - The worker that exited.
+     * @param {number} code - The exit code.
+     */
+    const handleExit = (worker, code) => {
+        const wasReady = worker.ready;
+        worker.ready = false;
+
+        if (worker.request) {
+            worker.request.reject(new Error(`❌ Transcription process failed: recognizer worker exited with code ${code}`));
+            worker.request = null;
+        }
+
+        if (shuttingDown || failure) {
+            return;
+        }
+
+        if (!wasReady && ++startupFailures[worker.index] >= maxStartupFailures) {
+            return failPool(new Error(
+                `❌ Recognizer workers could not be started: worker ${worker.index} exited ${startupFailures[worker.index]} times before becoming ready (last exit code ${code}). Check the Python venv and the preloaded models.`
+            ));
+        }
+
+        // Back off when a worker keeps crashing (e.g. a missing model or venv)
+        const delay = Math.min(restartDelayMs * 2 ** restartCounts[worker.index], MAX_RESTART_DELAY_MS);
+        restartCounts[worker.index]++;
+        logger.warn(`⚠️ Recognizer worker ${worker.index} exited with code ${code}, restarting in ${delay}ms`);
+
+        const timer = setTimeout(() => startWorker(worker.index), delay);
+        timer.unref();
+    };
+
+    /**
+     * Spawns the worker process for a pool slot.
+     * @param {number} index - The pool slot.
+     */
+    const startWorker = (index) => {
+        logger.info(`🧠 Starting recognizer worker ${index}`);
+
+        const worker = {
+            index,
+            ready: false,
+            request: null,
+            buffered: "",
+            process: spawn(PYTHON_PATH, [WORKER_SCRIPT, ...preloadModels], { stdio: ["pipe", "pipe", "pipe"] })
+        };
+        workers[index] = worker;
+
+        worker.process.stdout.on("data", (data) => {
+            worker.buffered += data.toString();
+            const lines = worker.buffered.split("\n");
+            worker.buffered = lines.pop();
+
+            lines.filter(line => line.trim()).forEach((line) => {
+                let message;
+                try {
+                    message = JSON.parse(line);
+                } catch (parseError) {
+                    return logger.error(`❌ Invalid recognizer worker output: ${line}`);
+                }
+                handleMessage(worker, message);
+            });
+        });
+
+        worker.process.stderr.on("data", (data) => {
+            const errorMsg = data.toString();
+            if (!errorMsg.includes("LOG (VoskAPI:")) {
+                logger.error(`❌ Python error (worker ${index}): ${errorMsg}`);
+            }
+        });
+
+        worker.process.stdin.on("error", (err) => {
+            logger.warn(`⚠️ Recognizer worker ${index} input closed: ${err.message}`);
+        });
+
+        // A failed spawn is followed by "close", which handles the restart
+        worker.process.on("error", (err) => {
+            logger.error(`❌ Recognizer worker ${index} failed: ${err.message}`);
+        });
+
+        worker.process.on("close", (code) => handleExit(worker, code));
+    };
+
+    for (let index = 0; index < size; index++) {
+        startWorker(index);
+    }
+
+    return {
+        transcribe: (audioFile, modelPath, { onProgress, speakerModelPath } = {}) => new Promise((resolve, reject) => {
+            if (shuttingDown) {
+                return reject(new Error("❌ Recognizer pool is shut down."));
+            }
+            if (failure) {
+                return reject(failure);
+            }
+
+            const request = { id: randomUUID(), audioFile, modelPath, speakerModelPath, onProgress };
+            const timer = setTimeout(() => timeOut(request), requestTimeoutMs);
+            timer.unref();
+            request.resolve = (output) => {
+                clearTimeout(timer);
+                resolve(output);
+            };
+            request.reject = (error) => {
+                clearTimeout(timer);
+                reject(error);
+            };
+
+            pendingRequests.push(request);
+            dispatch();
+        }),
+        shutdown: () => {
+            shuttingDown = true;
+            pendingRequests.splice(0).forEach(request => request.reject(new Error("❌ Recognizer pool is shut down.")));
+            workers.forEach(worker => worker.process.stdin.end());
+        }
+    };
+};
+
+let sharedPool = null;
+
+/**
+ * Returns the application-wide recognizer pool, starting it on first use.
+ * @returns {Object} The shared pool.
+ */
+const getRecognizerPool = () => {
+    if (!sharedPool) {
+        sharedPool = createRecognizerPool({
+            size: poolOptions.size,
+            preloadModels: poolOptions.preloadLanguages
+                .map(getDefaultModel)
+                .filter(Boolean)
+                .map(model => model.path),
+            restartDelayMs: poolOptions.restartDelayMs,
+            maxStartupFailures: poolOptions.maxStartupFailures,
+            requestTimeoutMs: poolOptions.requestTimeoutSeconds * 1000
+        });
+    }
+    return sharedPool;
+};
+
+module.exports = {
+    createRecognizerPool,
+    getRecognizerPool
+};
@@ -0,0 +1,101 @@
+/**
+ * @file requestValidator.js
+ * @description Checks transcription requests against the installed engines,
+ * models and audio filters before any work is started.
+ */
+
+const { exportFormats } = require("../config");
+const { AppError } = require("../utils/errorHandler");
+const { parseBooleanParam, parseTimeRange } = require("../utils/requestParams");
+const { resolveModel } = require("./modelRegistry");
+const { getEngine } = require("./engines");
+const { AUTO_LANGUAGE } = require("./languageDetector");
+const { resolveAudioFilters } = require("./audioProcessor");
+
+/**
+ * Checks the requested engine, language, model and features against what the
+ * engine supports and, for Vosk, against the installed models.
+ * @param {Object} options - The requested options.
+ * @param {string} [options.engine] - Requested engine name.
+ * @param {string} [options.language] - Requested language code or "auto".
+ * @param {string} [options.model] - Requested model name.
+ * @param {boolean} [options.diarize] - Whether speaker labels were requested.
+ * @param {boolean} [options.translate] - Whether translation to English was requested.
+ * @returns {AppError|null} The validation error, or null when the request is valid.
+ */
+const validateTranscriptionOptions = ({ engine, language, model, diarize, translate }) => {
+    let selectedEngine;
+    try {
+        selectedEngine = getEngine(engine);
+    } catch (error) {
+        return error;
+    }
+    const capabilities = selectedEngine.getCapabilities();
+
+    if (language && language !== AUTO_LANGUAGE) {
+        if (capabilities.languages && !capabilities.languages.includes(language)) {
+            return new AppError(`Invalid language. Supported languages: ${[...capabilities.languages, AUTO_LANGUAGE].join(', ')}`, 400);
+        }
+        if (!capabilities.languages && !/^[a-z]{2,3}$/.test(language)) {
+            return new AppError("Invalid language. Use a two- or three-letter language code or \"auto\".", 400);
+        }
+    }
+
+    if (diarize && !capabilities.diarization) {
+        return new AppError(`The ${selectedEngine.name} engine does not support speaker diarization.`, 400);
+    }
+
+    if (translate && !capabilities.translation) {
+        return new AppError(`The ${selectedEngine.name} engine does not support translation.`, 400);
+    }
+
+    if (model) {
+        if (!capabilities.modelSelection) {
+            return new AppError(`The ${selectedEngine.name} engine does not support model selection.`, 400);
+        }
+        if (language === AUTO_LANGUAGE) {
+            return new AppError("A model cannot be combined with language=auto.", 400);
+        }
+        try {
+            resolveModel(language, model);
+        } catch (error) {
+            return error;
+        }
+    }
+    return null;
+};
+
+/**
+ * Checks the transcription options, audio filters, time range and export format of a request body.
+ * @param {Object} body - The parsed request body.
+ * @returns {AppError|null} The validation error, or null when the request is valid.
+ */
+const validateTranscriptionRequest = (body) => {
+    const optionsError = validateTranscriptionOptions({
+        engine: body.engine,
+        language: body.language,
+        model: body.model,
+        diarize: parseBooleanParam(body.diarize),
+        translate: parseBooleanParam(body.translate)
+    });
+    if (optionsError) {
+        return optionsError;
+    }
+
+    try {
+        resolveAudioFilters(body);
+        parseTimeRange(body);
+    } catch (error) {
+        return error;
+    }
+
+    if (body.format && !exportFormats.includes(body.format)) {
+        return new AppError(`Invalid format. Supported formats: ${exportFormats.join(', ')}`, 400);
+    }
+    return null;
+};
+
+module.exports = {
+    validateTranscriptionOptions,
+    validateTranscriptionRequest
+};
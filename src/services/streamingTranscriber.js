@@ -0,0 +1,120 @@
+/**
+ * @file streamingTranscriber.js
+ * @description Live transcription of raw PCM audio using a long-running Vosk process
+ */
+
+const { spawn } = require("child_process");
+const path = require("path");
+const { getModelPath, buildTranscriptionResult } = require("./engines/voskEngine");
+const { ffmpegOptions } = require("../config");
+const logger = require("../utils/logger");
+
+const PYTHON_PATH = path.join(__dirname, "../../venv/bin/python3");
+const STREAMING_SCRIPT = path.join(__dirname, "../../stream_transcribe.py");
+
+/**
+ * Starts a live transcription session. Audio written to the session must be
+ * 16-bit little-endian mono PCM at config.ffmpegOptions.sampleRate.
+ * @param {string} language - The language of the transcription.
+ * @param {Object} handlers - Callbacks for recognizer output.
+ * @param {Function} [handlers.onReady] - Called once the model is loaded.
+ * @param {Function} handlers.onPartial - Called with the current partial hypothesis text.
+ * @param {Function} handlers.onFinal - Called with a finished utterance (text, segments, words).
+ * @param {Function} handlers.onError - Called with an Error if the recognizer fails.
+ * @param {Function} [handlers.onClose] - Called once the recognizer has exited.
+ * @returns {Object} Session with write(chunk) and end() functions.
+ */
+const createStreamingSession = (language, { onReady, onPartial, onFinal, onError, onClose }) => {
+    logger.info(`🎙 Starting live transcription with model: ${language}`);
+
+    const pythonProcess = spawn(
+        PYTHON_PATH,
+        [STREAMING_SCRIPT, getModelPath(language), ffmpegOptions.sampleRate],
+        { stdio: ["pipe", "pipe", "pipe"] }
+    );
+
+    let buffered = "";
+    let closed = false;
+    let failed = false;
+
+    // A failed spawn emits both "error" and "close", so only report the first failure
+    const fail = (error) => {
+        if (!failed) {
+            failed = true;
+            onError(error);
+        }
+    };
+
+    const handleMessage = (message) => {
+        switch (message.type) {
+            case "ready":
+                if (onReady) {
+                    onReady();
+                }
+                break;
+            case "partial":
+                onPartial(message.text);
+                break;
+            case "final":
+                onFinal(buildTranscriptionResult({ text: message.text, results: [message] }));
+                break;
+            default:
+                logger.warn(`⚠️ Unknown recognizer message: ${message.type}`);
+        }
+    };
+
+    pythonProcess.stdout.on("data", (data) => {
+        buffered += data.toString();
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+
+        lines.filter(line => line.trim()).forEach((line) => {
+            try {
+                handleMessage(JSON.parse(line));
+            } catch (parseError) {
+                logger.error(`❌ Invalid recognizer output: ${line}`);
+            }
+        });
+    });
+
+    pythonProcess.stderr.on("data", (data) => {
+        const errorMsg = data.toString();
+        if (!errorMsg.includes("LOG (VoskAPI:")) {
+            logger.error(`❌ Python error: ${errorMsg}`);
+        }
+    });
+
+    pythonProcess.on("error", (err) => {
+        fail(new Error(`❌ Live transcription failed to start: ${err.message}`));
+    });
+
+    pythonProcess.on("close", (code) => {
+        closed = true;
+        if (code !== 0) {
+            fail(new Error(`❌ Live transcription process exited with code ${code}`));
+        }
+        if (onClose) {
+            onClose();
+        }
+    });
+
+    // Writes after the recognizer exited would raise EPIPE, so they are dropped
+    pythonProcess.stdin.on("error", (err) => {
+        logger.warn(`⚠️ Live transcription input closed: ${err.message}`);
+    });
+
+    return {
+        write: (chunk) => {
+            if (!closed) {
+                pythonProcess.stdin.write(chunk);
+            }
+        },
+        end: () => {
+            if (!closed) {
+                pythonProcess.stdin.end();
+            }
+        }
+    };
+};
+
+module.exports = { createStreamingSession };
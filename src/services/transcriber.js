@@ -1,11 +1,12 @@
 // services/transcriber.js
-const { spawn } = require("child_process");
 const fs = require("fs/promises");
 const path = require("path");
 
-// Import the modelPaths from Config
-const { modelPaths } = require("../config");
+const { chunking } = require("../config");
+const { getEngine } = require("./engines");
+const { transcribeInChunks } = require("./chunkedTranscriber");
 const logger = require("../utils/logger");
+const { roundValue } = require("../utils/timeFormatter");
 
 // Ensure transcriptions directory exists (using synchronous check for directory creation)
 const TRANSCRIPTIONS_DIR = path.join(__dirname, "../../transcriptions");
@@ -15,67 +16,84 @@ if (!fsSync.existsSync(TRANSCRIPTIONS_DIR)) {
 }
 
 /**
- * Retrieves the correct Vosk model path based on the selected language.
- * @param {string} lang - The language code (e.g., "en" or "es").
- * @returns {string} - The corresponding model path.
+ * Moves every segment and word of a transcription later by the given offset.
+ * @param {Object} transcription - Engine output with segments and words.
+ * @param {number} offsetSeconds - Seconds to add to every time.
+ * @returns {Object} - The transcription with shifted times.
  */
-const getModelPath = (lang) => {
-    logger.info(`🗣 Using language model: ${lang}`);
-    return modelPaths[lang] || modelPaths.en;
+const shiftTimestamps = (transcription, offsetSeconds) => {
+    const shift = item => ({ ...item, start: roundValue(item.start + offsetSeconds), end: roundValue(item.end + offsetSeconds) });
+    return {
+        ...transcription,
+        ...(transcription.segments && { segments: transcription.segments.map(shift) }),
+        ...(transcription.words && { words: transcription.words.map(shift) })
+    };
 };
 
 /**
- * Transcribes an audio file using a Python Vosk-based transcription script.
- * @param {string} wavFile - The path to the WAV file to transcribe.
- * @param {string} language - The language of the transcription.
- * @returns {Promise<Object>} - Resolves with the transcription text and saved file path.
+ * Writes the plain text of a transcript into the transcriptions directory.
+ * @param {string} name - File name without the .txt extension; it becomes the transcript ID.
+ * @param {string} text - The transcript text.
+ * @returns {Promise<string>} - Resolves with the path of the written file.
  */
-const transcribeAudio = (wavFile, language) => {
-    return new Promise((resolve, reject) => {
-        logger.info(`📝 Transcribing with model: ${language}`);
-
-        const pythonProcess = spawn(
-            "./venv/bin/python3",
-            ["transcribe.py", wavFile, getModelPath(language)],
-            { stdio: ["pipe", "pipe", "pipe"] }
-        );
+const writeTranscriptFile = async (name, text) => {
+    const transcriptFile = path.join(TRANSCRIPTIONS_DIR, `${name}.txt`);
+    await fs.writeFile(transcriptFile, text);
 
-        let transcription = "";
-
-        pythonProcess.stdout.on("data", (data) => {
-            transcription += data.toString();
-        });
+    logger.info(`📄 Transcription saved: ${transcriptFile}`);
+    return transcriptFile;
+};
 
-        pythonProcess.stderr.on("data", (data) => {
-            const errorMsg = data.toString();
-            if (!errorMsg.includes("LOG (VoskAPI:")) {
-                logger.error(`❌ Python error: ${errorMsg}`);
-            }
-        });
+/**
+ * Transcribes an audio file with the selected engine and deletes the WAV file afterwards.
+ * @param {string} wavFile - The path to the WAV file to transcribe.
+ * @param {string} language - The language of the transcription ("auto" for engines that detect it).
+ * @param {Object} [options] - Optional settings.
+ * @param {Function} [options.onProgress] - Called with the percentage of audio processed.
+ * @param {boolean} [options.diarize=false] - Label segments and words by speaker.
+ * @param {boolean} [options.translate=false] - Translate the speech to English.
+ * @param {string} [options.model] - Installed model to use instead of the language default.
+ * @param {string} [options.engine] - Engine name, defaulting to config.transcription.defaultEngine.
+ * @param {number} [options.durationSeconds] - Length of the recording; long recordings are transcribed in parallel chunks.
+ * @param {number} [options.offsetSeconds=0] - Where the WAV file starts in the original media, added to every timestamp.
+ * @returns {Promise<Object>} - Resolves with the transcription text, timed segments and words, language, engine and saved file path.
+ */
+const transcribeAudio = async (wavFile, language, { onProgress, diarize = false, translate = false, model, engine, durationSeconds, offsetSeconds = 0 } = {}) => {
+    let transcription;
+    let engineName;
+    try {
+        const selectedEngine = getEngine(engine);
+        engineName = selectedEngine.name;
+        logger.info(`📝 Transcribing with ${engineName}: ${model || language}`);
 
-        pythonProcess.on("close", async (code) => {
-            try {
-                try {
-                    await fs.unlink(wavFile);
-                } catch (unlinkError) {
-                    logger.warn(`Failed to delete WAV file: ${unlinkError.message}`);
-                }
+        const engineOptions = { language, model, onProgress, diarize, translate };
 
-                if (code !== 0) {
-                    return reject(new Error("❌ Transcription process failed."));
-                }
+        // Speakers are clustered across the whole recording, so diarized audio is never split
+        if (chunking.enabled && !diarize && durationSeconds >= chunking.minDurationSeconds) {
+            transcription = await transcribeInChunks(selectedEngine, wavFile, durationSeconds, engineOptions);
+        } else {
+            transcription = await selectedEngine.transcribe(wavFile, engineOptions);
+        }
 
-                const transcriptFile = path.join(TRANSCRIPTIONS_DIR, `${path.basename(wavFile)}.txt`);
-                await fs.writeFile(transcriptFile, transcription.trim());
+        // Times stay relative to the original media when only part of it was converted
+        if (offsetSeconds > 0) {
+            transcription = shiftTimestamps(transcription, offsetSeconds);
+        }
+    } finally {
+        try {
+            await fs.unlink(wavFile);
+        } catch (unlinkError) {
+            logger.warn(`Failed to delete WAV file: ${unlinkError.message}`);
+        }
+    }
 
-                logger.info(`📄 Transcription saved: ${transcriptFile}`);
+    const transcriptFile = await writeTranscriptFile(path.basename(wavFile), transcription.text);
 
-                resolve({ text: transcription.trim(), transcriptFile });
-            } catch (err) {
-                reject(err);
-            }
-        });
-    });
+    return { ...transcription, engine: engineName, transcriptFile };
 };
 
-module.exports = { transcribeAudio };
\ No newline at end of file
+module.exports = {
+    transcribeAudio,
+    writeTranscriptFile,
+    TRANSCRIPTIONS_DIR
+};
\ No newline at end of file
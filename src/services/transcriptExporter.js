@@ -0,0 +1,50 @@
+/**
+ * @file transcriptExporter.js
+ * @description Writes transcripts to disk in the requested export format
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const { formatTranscript } = require("../utils/subtitleFormatter");
+const logger = require("../utils/logger");
+
+// Exports go in a subdirectory of the transcripts, so a txt export cannot overwrite the stored transcript
+const EXPORTS_DIR_NAME = "exports";
+
+/**
+ * Exports a transcription into the exports directory next to its saved .txt transcript.
+ * @param {Object} transcription - Result of transcribeAudio (text, segments, words, transcriptFile).
+ * @param {string} format - One of "json", "txt", "srt" or "vtt".
+ * @returns {Promise<string>} - Resolves with the path of the exported file.
+ */
+const exportTranscript = async (transcription, format) => {
+    const { transcriptFile, ...content } = transcription;
+    const exportsDir = path.join(path.dirname(transcriptFile), EXPORTS_DIR_NAME);
+    const exportFile = path.join(exportsDir, `${path.basename(transcriptFile, ".txt")}.${format}`);
+
+    await fs.mkdir(exportsDir, { recursive: true });
+    await fs.writeFile(exportFile, formatTranscript(content, format));
+    logger.info(`📄 Transcript exported as ${format.toUpperCase()}: ${exportFile}`);
+
+    return exportFile;
+};
+
+/**
+ * Writes a pipeline result to a path of the caller's choosing: the exported
+ * file when there is one, otherwise the whole result as JSON.
+ * @param {Object} result - The pipeline result, with exportFile for formats other than JSON.
+ * @param {string} targetPath - Where to write the transcript.
+ * @returns {Promise<string>} - Resolves with targetPath.
+ */
+const writeResultFile = async (result, targetPath) => {
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+
+    if (result.exportFile) {
+        await fs.copyFile(result.exportFile, targetPath);
+    } else {
+        await fs.writeFile(targetPath, JSON.stringify(result, null, 2));
+    }
+    return targetPath;
+};
+
+module.exports = { exportTranscript, writeResultFile, EXPORTS_DIR_NAME };
@@ -0,0 +1,153 @@
+/**
+ * @file transcriptStore.js
+ * @description Stores transcript metadata next to the saved transcripts and reads them back
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const { TRANSCRIPTIONS_DIR } = require("./transcriber");
+const { EXPORTS_DIR_NAME } = require("./transcriptExporter");
+const { exportFormats } = require("../config");
+const { AppError } = require("../utils/errorHandler");
+const logger = require("../utils/logger");
+
+const METADATA_SUFFIX = ".meta.json";
+
+/**
+ * Validates a transcript ID so it cannot escape the transcriptions directory.
+ * @param {string} id - The transcript ID.
+ * @returns {string} The validated ID.
+ */
+const assertValidId = (id) => {
+    if (!id || !/^[\w][\w.-]*$/.test(id) || id.includes("..")) {
+        throw new AppError(`Invalid transcript ID: ${id}`, 400);
+    }
+    return id;
+};
+
+const transcriptPath = (id) => path.join(TRANSCRIPTIONS_DIR, `${id}.txt`);
+const metadataPath = (id) => path.join(TRANSCRIPTIONS_DIR, `${id}${METADATA_SUFFIX}`);
+
+/**
+ * Reads a transcript's metadata file, falling back to file stats for transcripts saved without one.
+ * @param {string} id - The transcript ID.
+ * @returns {Promise<Object|null>} The stored record, or null if the transcript does not exist.
+ */
+const readRecord = async (id) => {
+    try {
+        return JSON.parse(await fs.readFile(metadataPath(id), "utf8"));
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            throw error;
+        }
+    }
+
+    try {
+        const stats = await fs.stat(transcriptPath(id));
+        return { id, source: null, language: null, durationSeconds: null, createdAt: stats.mtime.toISOString() };
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Strips the timing data from a record, leaving only its metadata.
+ * @param {Object} record - The stored record.
+ * @returns {Object} The transcript metadata.
+ */
+const toMetadata = ({ segments, words, ...metadata }) => metadata;
+
+/**
+ * Records metadata for a transcript produced by transcribeAudio.
+ * @param {Object} transcription - Result of transcribeAudio (text, segments, words, transcriptFile).
+ * @param {Object} details - Metadata describing the transcript.
+ * @param {Object} details.source - Where the audio came from, e.g. { type: "upload", filename }.
+ * @param {string} details.language - Transcription language.
+ * @param {number} details.durationSeconds - Duration of the transcribed media.
+ * @param {string[]} [details.audioFilters] - Filters applied to the audio before transcription.
+ * @returns {Promise<Object>} The saved transcript metadata, including its ID.
+ */
+const saveTranscript = async (transcription, { source, language, durationSeconds, audioFilters = [] }) => {
+    const id = path.basename(transcription.transcriptFile, ".txt");
+    const record = {
+        id,
+        source,
+        language,
+        durationSeconds,
+        audioFilters,
+        createdAt: new Date().toISOString(),
+        segments: transcription.segments || [],
+        words: transcription.words || []
+    };
+
+    await fs.writeFile(metadataPath(id), JSON.stringify(record));
+    logger.debug(`🗂 Transcript metadata saved: ${id}`);
+
+    return toMetadata(record);
+};
+
+/**
+ * Lists all saved transcripts, newest first.
+ * @returns {Promise<Object[]>} Metadata for every transcript.
+ */
+const listTranscripts = async () => {
+    const files = await fs.readdir(TRANSCRIPTIONS_DIR);
+    const ids = files.filter(file => file.endsWith(".txt")).map(file => file.slice(0, -".txt".length));
+
+    const records = await Promise.all(ids.map(readRecord));
+    return records
+        .filter(Boolean)
+        .map(toMetadata)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Reads a transcript with its metadata and timing data.
+ * @param {string} id - The transcript ID.
+ * @returns {Promise<Object|null>} The transcript, or null if it does not exist.
+ */
+const getTranscript = async (id) => {
+    assertValidId(id);
+
+    const record = await readRecord(id);
+    if (!record) {
+        return null;
+    }
+
+    const text = await fs.readFile(transcriptPath(id), "utf8");
+    return { segments: [], words: [], ...record, text };
+};
+
+/**
+ * Deletes a transcript along with its metadata and exported files.
+ * @param {string} id - The transcript ID.
+ * @returns {Promise<boolean>} True if the transcript existed.
+ */
+const deleteTranscript = async (id) => {
+    assertValidId(id);
+
+    if (!(await readRecord(id))) {
+        return false;
+    }
+
+    const files = [
+        transcriptPath(id),
+        metadataPath(id),
+        ...exportFormats.map(format => path.join(TRANSCRIPTIONS_DIR, EXPORTS_DIR_NAME, `${id}.${format}`))
+    ];
+
+    await Promise.all(files.map(file => fs.rm(file, { force: true })));
+    logger.info(`🗑 Transcript deleted: ${id}`);
+
+    return true;
+};
+
+module.exports = {
+    saveTranscript,
+    listTranscripts,
+    getTranscript,
+    deleteTranscript
+};
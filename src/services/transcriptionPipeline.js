@@ -0,0 +1,384 @@
+/**
+ * @file transcriptionPipeline.js
+ * @description The transcription pipelines behind the HTTP routes, the CLI,
+ * the watch folder and podcast subscriptions: local files, remote media,
+ * YouTube videos and YouTube playlists, through to the saved transcript.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const { processAudio } = require("./audioProcessor");
+const { transcribeAudio, writeTranscriptFile } = require("./transcriber");
+const { getAudioDuration, getVideoDuration, formatTime, calculateEstimatedProcessingTime, calculateTimeDifference } = require("./timeEstimator");
+const { noopReporter, JOB_STATUS } = require("./jobQueue");
+const { limiters } = require("./concurrencyLimiter");
+const { detectLanguage, AUTO_LANGUAGE } = require("./languageDetector");
+const { getEngine } = require("./engines");
+const { exportTranscript } = require("./transcriptExporter");
+const { saveTranscript, listTranscripts } = require("./transcriptStore");
+const { listPlaylistEntries, getYouTubeVideoId } = require("./youtubePlaylist");
+const { fetchCaptions } = require("./youtubeCaptions");
+const { downloadAudioWithYtDlp, downloadRemoteMedia } = require("./mediaDownloader");
+const { validateMediaFile, checkRangeStart } = require("./mediaValidator");
+const { cleanupErrorResources } = require("../utils/errorHandler");
+const { deleteFile } = require("../utils/fileUtils");
+const logger = require("../utils/logger");
+
+const UPLOADS_DIR = path.join(__dirname, "../../uploads");
+
+/**
+ * Runs the upload pipeline: convert, estimate, transcribe.
+ * @param {Object} params - The pipeline parameters.
+ * @param {string} params.filePath - Path to the uploaded file.
+ * @param {string} params.originalName - Original filename of the upload.
+ * @param {string} [params.sourceUrl] - The URL the file was downloaded from, for remote media.
+ * @param {Object} [params.sourceDetails] - More about the source, stored with the transcript (e.g. podcast episode metadata).
+ * @param {string} params.language - Transcription language, or "auto" to detect it.
+ * @param {string} [params.model] - Installed model to use instead of the language default.
+ * @param {string} params.format - Export format for the transcript.
+ * @param {boolean} params.diarize - Label segments by speaker.
+ * @param {boolean} params.translate - Translate the speech to English.
+ * @param {string} params.engine - Transcription engine name.
+ * @param {string[]} params.audioFilters - Names of the filters applied before transcription.
+ * @param {Object} [params.audioTrack] - The audio track to transcribe, as chosen by validateMediaFile.
+ * @param {Object} [params.range] - Part of the recording to transcribe, with start and optional end in seconds.
+ * @param {boolean} [params.waitForCapacity=false] - Wait for busy stages instead of failing with a 429.
+ * @param {Object} [reporter] - Receives status changes and the processing estimate.
+ * @returns {Promise<Object>} The response payload.
+ */
+const runFileTranscription = async ({ filePath, originalName, sourceUrl, sourceDetails, language, model, format, diarize, translate, engine, audioFilters, audioTrack, range, waitForCapacity = false }, reporter = noopReporter) => {
+    let wavFile = null;
+    const startTime = Date.now();
+
+    try {
+        logger.info(`📥 Processing file: ${originalName}`);
+
+        // Convert uploaded file to WAV, extracting the chosen track from videos,
+        // trimming it to the requested range and applying the requested filters
+        reporter.setStatus(JOB_STATUS.converting);
+        wavFile = await limiters.conversion.run(
+            () => processAudio(filePath, { audioTrack: audioTrack && audioTrack.index, filters: audioFilters, range }),
+            { waitForCapacity }
+        );
+
+        // Get audio duration using FFmpeg
+        const durationSeconds = await getAudioDuration(wavFile);
+        const durationFormatted = formatTime(durationSeconds);
+
+        logger.info(`🎵 MP3 duration: ${durationFormatted.minutes} minutes ${durationFormatted.seconds} seconds.`);
+
+        // Calculate estimated processing time
+        const estimatedTime = calculateEstimatedProcessingTime(durationSeconds);
+        reporter.setEstimate(estimatedTime);
+        logger.info(`⏳ Estimated processing time: ${estimatedTime.hours}h ${estimatedTime.minutes}m ${estimatedTime.seconds}s`);
+
+        // Identify the spoken language from a short sample when asked to,
+        // unless the engine detects it as part of transcription
+        let detection = null;
+        if (language === AUTO_LANGUAGE && !getEngine(engine).getCapabilities().languageDetection) {
+            reporter.setStatus(JOB_STATUS.detectingLanguage);
+            detection = await limiters.transcription.run(() => detectLanguage(wavFile), { waitForCapacity });
+        }
+        const spokenLanguage = detection ? detection.language : language;
+
+        // Transcribe the processed file
+        reporter.setStatus(JOB_STATUS.transcribing);
+        const transcription = await limiters.transcription.run(
+            () => transcribeAudio(wavFile, spokenLanguage, { onProgress: reporter.setProgress, diarize, translate, model, engine, durationSeconds, offsetSeconds: range ? range.start : 0 }),
+            { waitForCapacity }
+        );
+
+        const transcribedLanguage = transcription.language || spokenLanguage;
+
+        // Record metadata so the transcript can be fetched again later
+        const transcript = await saveTranscript(transcription, {
+            source: {
+                ...(sourceUrl ? { type: "url", url: sourceUrl } : { type: "upload" }),
+                filename: originalName,
+                ...sourceDetails,
+                ...(range && { range })
+            },
+            language: transcribedLanguage,
+            durationSeconds,
+            audioFilters
+        });
+
+        // Export subtitles or text when a format other than JSON was requested
+        const exportFile = format === "json" ? null : await exportTranscript(transcription, format);
+
+        // Compute actual processing time
+        const endTime = Date.now();
+        const actualProcessingTimeSeconds = Math.round((endTime - startTime) / 1000);
+        const actualTime = formatTime(actualProcessingTimeSeconds);
+
+        // Calculate the difference between estimated and actual time
+        const difference = calculateTimeDifference(actualProcessingTimeSeconds, estimatedTime);
+
+        logger.info(`🚀 Actual processing time: ${actualTime.hours}h ${actualTime.minutes}m ${actualTime.seconds}s`);
+        logger.info(`📉 Difference: ${difference.differenceText}`);
+
+        return {
+            success: true,
+            language: transcribedLanguage,
+            ...(detection && { detectedLanguage: detection.language, languageConfidence: detection.confidence }),
+            ...(audioTrack && { audioTrack }),
+            ...(range && { range }),
+            audioDuration: durationFormatted,
+            estimatedProcessingTime: estimatedTime,
+            actualProcessingTime: actualTime,
+            timeDifference: difference.timeObject,
+            timeDifferenceText: difference.differenceText,
+            audioFilters,
+            ...transcription,
+            transcriptId: transcript.id,
+            ...(exportFile && { format, exportFile })
+        };
+    } catch (error) {
+        if (wavFile) {
+            error.cleanup = wavFile;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Runs the remote media pipeline: download, check the file, then the upload
+ * pipeline. The download is removed again when the file is refused.
+ * @param {Object} params - The parameters of runFileTranscription, with the media
+ * url instead of the file and the requested audio track instead of the chosen one.
+ * @param {string} params.url - The direct media link, or a page on remoteMedia.allowedHosts.
+ * @param {number|string} [params.audioTrack] - The requested audio track, by index or language.
+ * @param {Object} [reporter] - Receives status changes, download progress and the processing estimate.
+ * @returns {Promise<Object>} The response payload.
+ */
+const runUrlTranscription = async ({ url, audioTrack, ...params }, reporter = noopReporter) => {
+    reporter.setStatus(JOB_STATUS.downloading);
+    const file = await limiters.download.run(() => downloadRemoteMedia(url, reporter.setProgress), { waitForCapacity: params.waitForCapacity });
+
+    let media;
+    try {
+        media = await validateMediaFile(file, audioTrack);
+        checkRangeStart(params.range, media.durationSeconds);
+    } catch (error) {
+        deleteFile(file.path);
+        throw error;
+    }
+
+    return runFileTranscription({
+        ...params,
+        filePath: file.path,
+        originalName: file.originalname,
+        sourceUrl: file.url,
+        audioTrack: media.audioTrack
+    }, reporter);
+};
+
+/**
+ * Runs the YouTube pipeline: estimate, download, convert, transcribe.
+ * @param {Object} params - The pipeline parameters.
+ * @param {string} params.url - The YouTube video URL.
+ * @param {string} params.language - Transcription language, or "auto" to detect it.
+ * @param {string} [params.model] - Installed model to use instead of the language default.
+ * @param {string} params.format - Export format for the transcript.
+ * @param {boolean} params.diarize - Label segments by speaker.
+ * @param {boolean} params.translate - Translate the speech to English.
+ * @param {string} params.engine - Transcription engine name.
+ * @param {string[]} params.audioFilters - Names of the filters applied before transcription.
+ * @param {Object} [params.range] - Part of the video to transcribe, with start and optional end in seconds.
+ * @param {boolean} [params.useCaptions=false] - Use the captions uploaded with the video when there are any.
+ * @param {boolean} [params.waitForCapacity=false] - Wait for busy stages instead of failing with a 429.
+ * @param {Object} [reporter] - Receives status changes and the processing estimate.
+ * @returns {Promise<Object>} The response payload.
+ */
+const runYouTubeTranscription = async ({ url, language, model, format, diarize, translate, engine, audioFilters, range, useCaptions = false, waitForCapacity = false }, reporter = noopReporter) => {
+    const tempFilename = path.join(UPLOADS_DIR, `${Date.now()}-youtube.mp3`);
+    let wavFile = null;
+
+    try {
+        logger.info(`📥 Downloading YouTube audio from: ${url}`);
+        const startTime = Date.now(); // Start time tracking
+
+        // Get the video duration, or the length of the requested section
+        const videoDurationSeconds = await getVideoDuration(url);
+        const durationSeconds = range
+            ? Math.max(0, Math.min(range.end !== undefined ? range.end : videoDurationSeconds, videoDurationSeconds) - range.start)
+            : videoDurationSeconds;
+        const durationFormatted = formatTime(durationSeconds);
+        logger.info(`🎬 YT video lasts ${durationFormatted.minutes} minutes ${durationFormatted.seconds} seconds.`);
+
+        // Estimate processing time
+        const estimatedTime = calculateEstimatedProcessingTime(durationSeconds);
+        reporter.setEstimate(estimatedTime);
+        logger.info(`⏳ Estimated processing time: ${estimatedTime.hours}h ${estimatedTime.minutes}m ${estimatedTime.seconds}s`);
+
+        // Use the captions uploaded with the video when asked to. Translations
+        // use English captions; speaker labels need the audio itself
+        let transcription = null;
+        if (useCaptions && !diarize) {
+            reporter.setStatus(JOB_STATUS.downloading);
+            const captions = await limiters.download.run(() => fetchCaptions(url, translate ? "en" : language), { waitForCapacity });
+
+            if (captions) {
+                // Caption times are already relative to the whole video
+                const isInRange = (segment) => {
+                    const midpoint = (segment.start + segment.end) / 2;
+                    return midpoint >= range.start && (range.end === undefined || midpoint < range.end);
+                };
+                const segments = range ? captions.segments.filter(isInRange) : captions.segments;
+                const text = segments.map(segment => segment.text).join(" ");
+                const transcriptFile = await writeTranscriptFile(`${Date.now()}-youtube-captions`, text);
+                transcription = { ...captions, text, segments, transcriptFile };
+            }
+        }
+        const transcriptSource = transcription ? "youtube-captions" : "speech-recognition";
+
+        let detection = null;
+        let spokenLanguage = language;
+        if (!transcription) {
+            // Download the audio
+            reporter.setStatus(JOB_STATUS.downloading);
+            await limiters.download.run(() => downloadAudioWithYtDlp(url, tempFilename, reporter.setProgress, { range }), { waitForCapacity });
+            logger.info("✅ YouTube audio download complete.");
+
+            // Convert to WAV, applying the requested filters
+            reporter.setStatus(JOB_STATUS.converting);
+            wavFile = await limiters.conversion.run(() => processAudio(tempFilename, { filters: audioFilters }), { waitForCapacity });
+
+            // Identify the spoken language from a short sample when asked to,
+            // unless the engine detects it as part of transcription
+            if (language === AUTO_LANGUAGE && !getEngine(engine).getCapabilities().languageDetection) {
+                reporter.setStatus(JOB_STATUS.detectingLanguage);
+                detection = await limiters.transcription.run(() => detectLanguage(wavFile), { waitForCapacity });
+                spokenLanguage = detection.language;
+            }
+
+            // Transcribe
+            reporter.setStatus(JOB_STATUS.transcribing);
+            transcription = await limiters.transcription.run(
+                () => transcribeAudio(wavFile, spokenLanguage, { onProgress: reporter.setProgress, diarize, translate, model, engine, durationSeconds, offsetSeconds: range ? range.start : 0 }),
+                { waitForCapacity }
+            );
+        }
+
+        const transcribedLanguage = transcription.language || spokenLanguage;
+        const appliedFilters = transcriptSource === "youtube-captions" ? [] : audioFilters;
+
+        // Record metadata so the transcript can be fetched again later
+        const transcript = await saveTranscript(transcription, {
+            source: { type: "youtube", url, ...(range && { range }) },
+            language: transcribedLanguage,
+            durationSeconds,
+            audioFilters: appliedFilters
+        });
+
+        // Export subtitles or text when a format other than JSON was requested
+        const exportFile = format === "json" ? null : await exportTranscript(transcription, format);
+
+        // Calculate actual processing time
+        const endTime = Date.now();
+        const actualProcessingTimeSeconds = Math.round((endTime - startTime) / 1000);
+        const actualTime = formatTime(actualProcessingTimeSeconds);
+
+        // Time difference
+        const difference = calculateTimeDifference(actualProcessingTimeSeconds, estimatedTime);
+
+        logger.info(`🚀 Actual processing time: ${actualTime.hours}h ${actualTime.minutes}m ${actualTime.seconds}s`);
+        logger.info(`📉 Difference: ${difference.differenceText}`);
+
+        return {
+            success: true,
+            language: transcribedLanguage,
+            ...(detection && { detectedLanguage: detection.language, languageConfidence: detection.confidence }),
+            ...(range && { range }),
+            videoDuration: durationFormatted,
+            estimatedProcessingTime: estimatedTime,
+            actualProcessingTime: actualTime,
+            timeDifference: difference.timeObject,
+            timeDifferenceText: difference.differenceText,
+            transcriptSource,
+            audioFilters: appliedFilters,
+            ...transcription,
+            transcriptId: transcript.id,
+            ...(exportFile && { format, exportFile })
+        };
+    } catch (error) {
+        if (fs.existsSync(tempFilename)) {
+            deleteFile(tempFilename);
+        }
+        if (wavFile) {
+            error.cleanup = wavFile;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Runs the YouTube pipeline for every video of a playlist or channel, one video
+ * at a time. Videos already transcribed in full are skipped by video ID, and a
+ * video that fails is recorded without stopping the others.
+ * @param {Object} params - The pipeline parameters, as for runYouTubeTranscription, with the playlist or channel URL.
+ * @param {Object} [reporter] - Receives status changes, overall progress and the state of each video.
+ * @returns {Promise<Object>} The number of videos transcribed, skipped and failed, and the outcome of each.
+ */
+const runPlaylistTranscription = async ({ url, ...options }, reporter = noopReporter) => {
+    logger.info(`📃 Listing the videos of ${url}`);
+    reporter.setStatus(JOB_STATUS.listing);
+    const entries = await limiters.download.run(() => listPlaylistEntries(url), { waitForCapacity: true });
+
+    // Transcripts of whole videos made earlier, by video ID
+    const transcripts = await listTranscripts();
+    const existing = new Map(transcripts
+        .filter(transcript => transcript.source && transcript.source.type === "youtube" && !transcript.source.range)
+        .map(transcript => [getYouTubeVideoId(transcript.source.url), transcript.id]));
+
+    const items = entries.map(entry => (existing.has(entry.videoId)
+        ? { ...entry, status: JOB_STATUS.skipped, transcriptId: existing.get(entry.videoId) }
+        : { ...entry, status: JOB_STATUS.queued }));
+    reporter.setItems(items);
+
+    const pending = items.filter(item => item.status === JOB_STATUS.queued);
+    reporter.setStatus(JOB_STATUS.transcribing);
+
+    for (const [index, item] of pending.entries()) {
+        // Each video moves the overall progress by an equal share
+        const itemReporter = {
+            setStatus: (status) => {
+                item.status = status;
+                reporter.setItems(items);
+            },
+            setProgress: (percent) => reporter.setProgress(Math.floor(((index + percent / 100) / pending.length) * 100)),
+            setEstimate: () => {}
+        };
+
+        try {
+            const result = await runYouTubeTranscription({ ...options, url: item.url, waitForCapacity: true }, itemReporter);
+            Object.assign(item, { status: JOB_STATUS.done, transcriptId: result.transcriptId, language: result.language });
+        } catch (error) {
+            logger.warn(`⚠️ Playlist video ${item.videoId} failed: ${error.message}`);
+            Object.assign(item, { status: JOB_STATUS.failed, error: { message: error.message, statusCode: error.statusCode || 500 } });
+            cleanupErrorResources(error);
+        }
+        reporter.setItems(items);
+        reporter.setProgress(Math.floor(((index + 1) / pending.length) * 100));
+    }
+
+    const count = status => items.filter(item => item.status === status).length;
+    logger.info(`✅ Playlist ${url}: ${count(JOB_STATUS.done)} transcribed, ${count(JOB_STATUS.skipped)} skipped, ${count(JOB_STATUS.failed)} failed`);
+
+    return {
+        success: true,
+        url,
+        total: items.length,
+        transcribed: count(JOB_STATUS.done),
+        skipped: count(JOB_STATUS.skipped),
+        failed: count(JOB_STATUS.failed),
+        items
+    };
+};
+
+module.exports = {
+    runFileTranscription,
+    runUrlTranscription,
+    runYouTubeTranscription,
+    runPlaylistTranscription
+};
@@ -0,0 +1,284 @@
+/**
+ * @file uploadSessions.js
+ * @description Resumable uploads: a session is created with the file's size,
+ * byte ranges are written into a partial file in any order, and the file is
+ * handed to the transcription pipeline once every byte has arrived. Session
+ * records are kept next to the partial files so uploads survive a restart.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { randomUUID } = require("crypto");
+const { pipeline } = require("stream");
+const { resumableUploads, uploadLimits } = require("../config");
+const { AppError } = require("../utils/errorHandler");
+const logger = require("../utils/logger");
+
+const sessions = new Map();
+
+const partPath = (id) => path.join(resumableUploads.dir, `${id}.part`);
+const recordPath = (id) => path.join(resumableUploads.dir, `${id}.json`);
+
+/**
+ * Adds a byte range to a sorted list of ranges, merging touching ranges.
+ * @param {Object[]} ranges - Received ranges with start and exclusive end.
+ * @param {number} start - First byte of the new range.
+ * @param {number} end - Byte after the last one of the new range.
+ * @returns {Object[]} The merged ranges.
+ */
+const addRange = (ranges, start, end) => {
+    return [...ranges, { start, end }]
+        .sort((a, b) => a.start - b.start)
+        .reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+            return merged;
+        }, []);
+};
+
+/**
+ * Lists the byte ranges still missing from a file.
+ * @param {Object[]} ranges - Received ranges, sorted and merged.
+ * @param {number} size - Total file size.
+ * @returns {Object[]} Missing ranges with start and exclusive end.
+ */
+const getMissingRanges = (ranges, size) => {
+    const missing = [];
+    let position = 0;
+
+    ranges.forEach((range) => {
+        if (range.start > position) {
+            missing.push({ start: position, end: range.start });
+        }
+        position = Math.max(position, range.end);
+    });
+    if (position < size) {
+        missing.push({ start: position, end: size });
+    }
+    return missing;
+};
+
+/**
+ * Writes a session record to disk.
+ * @param {Object} session - The session.
+ */
+const saveSession = (session) => {
+    session.updatedAt = new Date().toISOString();
+    fs.writeFileSync(recordPath(session.id), JSON.stringify(session));
+};
+
+/**
+ * Deletes a session's partial file and record. Done synchronously so a
+ * following lookup cannot read the record back from disk.
+ * @param {string} id - The upload ID.
+ */
+const removeSession = (id) => {
+    sessions.delete(id);
+    fs.rmSync(partPath(id), { force: true });
+    fs.rmSync(recordPath(id), { force: true });
+};
+
+/**
+ * Checks whether a session has been idle for longer than the expiry window.
+ * @param {Object} session - The session.
+ * @returns {boolean} True if the session has expired.
+ */
+const isExpired = (session) => {
+    return Date.now() - new Date(session.updatedAt).getTime() > resumableUploads.expiryHours * 60 * 60 * 1000;
+};
+
+/**
+ * Deletes every expired session, including ones only known from disk.
+ */
+const removeExpiredSessions = () => {
+    if (!fs.existsSync(resumableUploads.dir)) {
+        return;
+    }
+
+    fs.readdirSync(resumableUploads.dir)
+        .filter(file => file.endsWith(".json"))
+        .forEach((file) => {
+            const id = path.basename(file, ".json");
+            try {
+                const session = sessions.get(id) || JSON.parse(fs.readFileSync(recordPath(id), "utf8"));
+                if (isExpired(session)) {
+                    logger.info(`🧹 Removing expired upload ${id}`);
+                    removeSession(id);
+                }
+            } catch (error) {
+                logger.warn(`⚠️ Could not read upload record ${file}: ${error.message}`);
+            }
+        });
+};
+
+/**
+ * Looks up a session, reading its record from disk if needed.
+ * @param {string} id - The upload ID.
+ * @returns {Object} The session.
+ * @throws {AppError} 404 when the upload does not exist or has expired.
+ */
+const getSession = (id) => {
+    if (!/^[0-9a-f-]{36}$/.test(id)) {
+        throw new AppError(`Upload not found: ${id}`, 404);
+    }
+
+    if (!sessions.has(id) && fs.existsSync(recordPath(id))) {
+        sessions.set(id, JSON.parse(fs.readFileSync(recordPath(id), "utf8")));
+    }
+
+    const session = sessions.get(id);
+    if (!session || isExpired(session)) {
+        if (session) {
+            removeSession(id);
+        }
+        throw new AppError(`Upload not found: ${id}`, 404);
+    }
+    return session;
+};
+
+/**
+ * Describes a session for API responses.
+ * @param {Object} session - The session.
+ * @returns {Object} Upload ID, file details, received and missing ranges (end exclusive) and completeness.
+ */
+const toStatus = (session) => {
+    const missing = getMissingRanges(session.ranges, session.size);
+    return {
+        uploadId: session.id,
+        filename: session.filename,
+        mimetype: session.mimetype,
+        size: session.size,
+        receivedBytes: session.ranges.reduce((sum, range) => sum + range.end - range.start, 0),
+        ranges: session.ranges,
+        missing,
+        complete: missing.length === 0,
+        expiresAt: new Date(new Date(session.updatedAt).getTime() + resumableUploads.expiryHours * 60 * 60 * 1000).toISOString()
+    };
+};
+
+/**
+ * Starts a resumable upload and reserves its partial file.
+ * @param {Object} file - The file to be uploaded.
+ * @param {string} file.filename - The client's file name.
+ * @param {number} file.size - Total size in bytes.
+ * @param {string} [file.mimetype] - Declared MIME type.
+ * @returns {Object} The upload status.
+ * @throws {AppError} 400 for a missing size, 413 when the file is larger than allowed.
+ */
+const createUploadSession = ({ filename, size, mimetype = "application/octet-stream" }) => {
+    if (!Number.isSafeInteger(size) || size <= 0) {
+        throw new AppError("The upload size must be a positive number of bytes.", 400);
+    }
+    if (size > uploadLimits.maxBytes) {
+        throw new AppError(`The file is too large. The maximum size is ${uploadLimits.maxBytes} bytes.`, 413);
+    }
+
+    removeExpiredSessions();
+    fs.mkdirSync(resumableUploads.dir, { recursive: true });
+
+    const session = {
+        id: randomUUID(),
+        filename: path.basename(filename),
+        mimetype,
+        size,
+        ranges: [],
+        createdAt: new Date().toISOString()
+    };
+    fs.writeFileSync(partPath(session.id), "");
+    saveSession(session);
+    sessions.set(session.id, session);
+
+    logger.info(`📤 Upload ${session.id} started: ${session.filename} (${size} bytes)`);
+    return toStatus(session);
+};
+
+/**
+ * Writes one byte range from a stream into the partial file. Whatever arrives
+ * before the stream breaks off is kept, so the client can resume from there.
+ * @param {string} id - The upload ID.
+ * @param {number} start - Offset of the first byte.
+ * @param {number} length - Number of bytes the stream should carry.
+ * @param {stream.Readable} source - The request body.
+ * @returns {Promise<Object>} Resolves with the upload status once the stream has ended.
+ * @throws {AppError} 400 when the range falls outside the file.
+ */
+const writeChunk = (id, start, length, source) => {
+    const session = getSession(id);
+    if (start < 0 || length <= 0 || start + length > session.size) {
+        return Promise.reject(new AppError(`Invalid range: bytes ${start}-${start + length - 1} of ${session.size}.`, 400));
+    }
+
+    return new Promise((resolve, reject) => {
+        const destination = fs.createWriteStream(partPath(id), { flags: "r+", start });
+
+        pipeline(source, destination, (error) => {
+            const written = Math.min(destination.bytesWritten, length);
+            if (written > 0) {
+                session.ranges = addRange(session.ranges, start, start + written);
+                saveSession(session);
+            }
+
+            if (error) {
+                logger.warn(`⚠️ Upload ${id} chunk interrupted after ${written} of ${length} bytes: ${error.message}`);
+                return reject(new AppError(`Chunk interrupted after ${written} of ${length} bytes.`, 400));
+            }
+            resolve(toStatus(session));
+        });
+    });
+};
+
+/**
+ * Returns the status of an upload.
+ * @param {string} id - The upload ID.
+ * @returns {Object} The upload status.
+ */
+const getUploadStatus = (id) => toStatus(getSession(id));
+
+/**
+ * Finishes an upload: renames the complete file after the client's file name
+ * and forgets the session.
+ * @param {string} id - The upload ID.
+ * @returns {Object} File details in the shape multer gives req.file (path, originalname, mimetype, size).
+ * @throws {AppError} 409 while bytes are still missing.
+ */
+const completeUpload = (id) => {
+    const session = getSession(id);
+    const missing = getMissingRanges(session.ranges, session.size);
+
+    if (missing.length > 0) {
+        throw new AppError(
+            `Upload incomplete: missing bytes ${missing.map(range => `${range.start}-${range.end - 1}`).join(", ")}.`,
+            409
+        );
+    }
+
+    const filePath = path.join(resumableUploads.dir, `${id}-${session.filename}`);
+    fs.renameSync(partPath(id), filePath);
+    removeSession(id);
+
+    logger.info(`✅ Upload ${id} complete: ${session.filename}`);
+    return { path: filePath, originalname: session.filename, mimetype: session.mimetype, size: session.size };
+};
+
+/**
+ * Cancels an upload and deletes what was received.
+ * @param {string} id - The upload ID.
+ */
+const cancelUpload = (id) => {
+    getSession(id);
+    removeSession(id);
+};
+
+module.exports = {
+    createUploadSession,
+    writeChunk,
+    getUploadStatus,
+    completeUpload,
+    cancelUpload,
+    addRange,
+    getMissingRanges
+};
@@ -0,0 +1,185 @@
+/**
+ * @file urlGuard.js
+ * @description Decides whether a remote URL may be downloaded from: only http and
+ * https, only hosts the remoteMedia allow and deny lists permit, and never an
+ * address in a private, loopback, link-local or otherwise non-public range, so
+ * requests cannot be turned against the server's own network.
+ */
+
+const dns = require("dns");
+const net = require("net");
+const { remoteMedia } = require("../config");
+const { AppError } = require("../utils/errorHandler");
+
+// Ranges that do not belong to the public internet
+const blockedAddresses = new net.BlockList();
+[
+    ["0.0.0.0", 8], // "This" network
+    ["10.0.0.0", 8], // Private
+    ["100.64.0.0", 10], // Carrier-grade NAT
+    ["127.0.0.0", 8], // Loopback
+    ["169.254.0.0", 16], // Link-local, including cloud metadata services
+    ["172.16.0.0", 12], // Private
+    ["192.0.0.0", 24], // IETF protocol assignments
+    ["192.168.0.0", 16], // Private
+    ["198.18.0.0", 15], // Benchmarking
+    ["224.0.0.0", 4], // Multicast
+    ["240.0.0.0", 4] // Reserved and broadcast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv4"));
+[
+    ["::", 128], // Unspecified
+    ["::1", 128], // Loopback
+    ["64:ff9b:1::", 48], // Local-use NAT64
+    ["fc00::", 7], // Unique local
+    ["fe80::", 10], // Link-local
+    ["ff00::", 8] // Multicast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv6"));
+
+/**
+ * Expands an IPv6 address into its eight 16-bit groups.
+ * @param {string} address - An IPv6 address, possibly ending in dotted IPv4.
+ * @returns {number[]} The groups, most significant first.
+ */
+const toIPv6Groups = (address) => {
+    let text = address.replace(/%.*$/, "");
+    const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${(a * 256 + b).toString(16)}:${(c * 256 + d).toString(16)}`;
+    }
+
+    const parse = part => (part ? part.split(":").map(group => parseInt(group, 16)) : []);
+    const [head, tail] = text.split("::");
+    const headGroups = parse(head);
+    const tailGroups = parse(tail);
+    return [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+};
+
+/**
+ * Finds the IPv4 address inside an IPv6 address that carries one: IPv4-mapped
+ * (::ffff:0:0/96), IPv4-compatible (::/96), NAT64 (64:ff9b::/96) and 6to4 (2002::/16).
+ * Traffic to these reaches the IPv4 address, so that is the one to check.
+ * @param {string} address - An IPv6 address.
+ * @returns {string|null} The embedded IPv4 address, or null when there is none.
+ */
+const getEmbeddedIPv4 = (address) => {
+    const groups = toIPv6Groups(address);
+    const toIPv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join(".");
+    const zerosBefore = end => groups.slice(0, end).every(group => group === 0);
+
+    if (zerosBefore(5) && (groups[5] === 0xffff || groups[5] === 0)) {
+        return toIPv4(groups[6], groups[7]);
+    }
+    if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+        return toIPv4(groups[6], groups[7]);
+    }
+    if (groups[0] === 0x2002) {
+        return toIPv4(groups[1], groups[2]);
+    }
+    return null;
+};
+
+/**
+ * Checks whether an IP address lies outside the public internet. IPv6
+ * addresses that carry an IPv4 address (::ffff:10.0.0.1, 64:ff9b::7f00:1)
+ * are judged by that IPv4 address.
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean} True for private and reserved addresses, and for anything that is not an IP address.
+ */
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 0) {
+        return true;
+    }
+    if (family === 6) {
+        const ipv4 = getEmbeddedIPv4(address);
+        if (ipv4) {
+            return isPrivateAddress(ipv4);
+        }
+    }
+    return blockedAddresses.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+/**
+ * Checks whether a host name is, or is a subdomain of, one of the listed hosts.
+ * @param {string} hostname - The host name from the URL.
+ * @param {string[]} hosts - Host names from the configuration.
+ * @returns {boolean} True on a match.
+ */
+const matchesHost = (hostname, hosts) => {
+    return hosts.some((host) => {
+        const listed = host.toLowerCase();
+        return hostname === listed || hostname.endsWith(`.${listed}`);
+    });
+};
+
+/**
+ * dns.lookup replacement for http.get that refuses private addresses. Checking
+ * the address the connection is actually made to means a host cannot pass
+ * checkRemoteUrl and then resolve somewhere else.
+ * @param {string} hostname - The host to resolve.
+ * @param {Object} options - dns.lookup options.
+ * @param {Function} callback - Called with (error, address, family), or (error, addresses) when options.all is set.
+ */
+const guardedLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (addresses.some(entry => isPrivateAddress(entry.address))) {
+            return callback(new AppError(`${hostname} resolves to a private or local address.`, 403));
+        }
+        callback(null, address, family);
+    });
+};
+
+/**
+ * Validates a URL before anything is downloaded from it.
+ * @param {string} url - The URL from the request.
+ * @returns {Promise<URL>} Resolves with the parsed URL.
+ * @throws {AppError} 400 for a malformed URL, another protocol or an unknown host;
+ * 403 when the host is not allowed or resolves to a private address.
+ */
+const checkRemoteUrl = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new AppError(`Invalid URL: ${url}`, 400);
+    }
+
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+        throw new AppError("Only http and https URLs can be transcribed.", 400);
+    }
+
+    // IPv6 hosts keep their brackets in URL.hostname
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+    if (matchesHost(hostname, remoteMedia.deniedHosts)
+        || (remoteMedia.allowedHosts.length > 0 && !matchesHost(hostname, remoteMedia.allowedHosts))) {
+        throw new AppError(`Downloads from ${hostname} are not allowed.`, 403);
+    }
+
+    let addresses;
+    if (net.isIP(hostname)) {
+        addresses = [{ address: hostname }];
+    } else {
+        try {
+            addresses = await dns.promises.lookup(hostname, { all: true });
+        } catch (error) {
+            throw new AppError(`Could not resolve ${hostname}.`, 400);
+        }
+    }
+
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+        throw new AppError(`${hostname} resolves to a private or local address.`, 403);
+    }
+    return parsed;
+};
+
+module.exports = {
+    checkRemoteUrl,
+    guardedLookup,
+    isPrivateAddress
+};
@@ -0,0 +1,207 @@
+/**
+ * @file watchFolder.js
+ * @description Transcribes recordings dropped into a folder on disk and moves
+ * each one to the processed directory, or to the failed one, once its job ends.
+ */
+
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const { resolveAudioFilters } = require("./audioProcessor");
+const { validateMediaFile } = require("./mediaValidator");
+const { createJob } = require("./jobQueue");
+const { writeResultFile } = require("./transcriptExporter");
+const { getModel } = require("./modelRegistry");
+const { getEngine } = require("./engines");
+const { validateTranscriptionRequest } = require("./requestValidator");
+const { runFileTranscription } = require("./transcriptionPipeline");
+const { deleteFile } = require("../utils/fileUtils");
+const { parseBooleanParam } = require("../utils/requestParams");
+const { allowedExtensions, defaultLanguage, watchFolder } = require("../config");
+const logger = require("../utils/logger");
+
+const WORKING_DIR = path.join(__dirname, "../../uploads");
+
+// Size and modification time of each waiting file at the previous scan
+const lastSeen = new Map();
+// Files handed to a job and not yet moved away
+const active = new Set();
+let scanning = false;
+
+/**
+ * Checks whether a file name has one of the allowed extensions.
+ * @param {string} name - The file name.
+ * @returns {boolean} True for recordings.
+ */
+const isRecording = (name) => new RegExp(`\\.(${allowedExtensions.join("|")})$`, "i").test(name);
+
+/**
+ * Reads the transcription options from watchFolder.options.
+ * @returns {Object} Language, model, diarize, translate, audio filters and engine.
+ */
+const readOptions = () => {
+    const { options } = watchFolder;
+    return {
+        // A named model implies its language
+        language: options.language || (options.model ? getModel(options.model).language : defaultLanguage),
+        model: options.model,
+        diarize: parseBooleanParam(options.diarize),
+        translate: parseBooleanParam(options.translate),
+        audioFilters: resolveAudioFilters(options),
+        engine: getEngine(options.engine).name
+    };
+};
+
+/**
+ * Moves a file into a directory, keeping its name unless it is taken. Shared
+ * disks are often other file systems, where only copying works.
+ * @param {string} filePath - The file to move.
+ * @param {string} dir - The target directory.
+ * @returns {Promise<string>} Resolves with the new path.
+ */
+const moveInto = async (filePath, dir) => {
+    await fsp.mkdir(dir, { recursive: true });
+
+    const name = path.basename(filePath);
+    const target = fs.existsSync(path.join(dir, name)) ? path.join(dir, `${Date.now()}-${name}`) : path.join(dir, name);
+    try {
+        await fsp.rename(filePath, target);
+    } catch (error) {
+        if (error.code !== "EXDEV") {
+            throw error;
+        }
+        await fsp.copyFile(filePath, target);
+        await fsp.unlink(filePath);
+    }
+    return target;
+};
+
+/**
+ * Transcribes a recording from the watch folder, writes its transcript and
+ * moves it to the processed directory, or to the failed one with the error.
+ * @param {string} name - The file name inside watchFolder.dir.
+ * @param {Object} reporter - Receives status changes, progress and the processing estimate.
+ * @returns {Promise<Object>} The transcription result with the recording's new path and the transcript path.
+ */
+const transcribeRecording = async (name, reporter) => {
+    const original = path.join(watchFolder.dir, name);
+    // The pipeline deletes its input, so it gets a copy and the original stays to be moved
+    const workingCopy = path.join(WORKING_DIR, `${Date.now()}-${name}`);
+
+    try {
+        await fsp.copyFile(original, workingCopy);
+        const { size } = await fsp.stat(workingCopy);
+        const media = await validateMediaFile({ path: workingCopy, originalname: name, size }).catch((error) => {
+            deleteFile(workingCopy);
+            throw error;
+        });
+
+        const result = await runFileTranscription({
+            ...readOptions(),
+            filePath: workingCopy,
+            originalName: name,
+            sourceDetails: { type: "watch-folder" },
+            format: watchFolder.format,
+            audioTrack: media.audioTrack,
+            waitForCapacity: true
+        }, reporter);
+
+        const recording = await moveInto(original, watchFolder.processedDir);
+        const transcriptPath = await writeResultFile(
+            result,
+            path.join(watchFolder.outputDir || path.dirname(recording), `${path.parse(recording).name}.${watchFolder.format}`)
+        );
+
+        logger.info(`📂 ${name} transcribed to ${transcriptPath}`);
+        return { ...result, recording, transcriptPath };
+    } catch (error) {
+        try {
+            const recording = await moveInto(original, watchFolder.failedDir);
+            await fsp.writeFile(`${recording}.error.txt`, `${error.message}\n`);
+        } catch (moveError) {
+            logger.error(`❌ Could not move ${name} to ${watchFolder.failedDir}: ${moveError.message}`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Looks for recordings in the watch folder and queues a job for each one
+ * whose size and modification time have not changed since the previous scan.
+ * @returns {Promise<Object[]>} The queued recordings, each with filename and jobId.
+ */
+const scanWatchFolder = async () => {
+    if (scanning) {
+        return [];
+    }
+    scanning = true;
+
+    try {
+        const entries = await fsp.readdir(watchFolder.dir, { withFileTypes: true });
+        const present = new Set();
+        const queued = [];
+
+        for (const entry of entries) {
+            if (!entry.isFile() || !isRecording(entry.name) || active.has(entry.name)) {
+                continue;
+            }
+            present.add(entry.name);
+
+            const stats = await fsp.stat(path.join(watchFolder.dir, entry.name)).catch(() => null);
+            if (!stats) {
+                continue;
+            }
+
+            // Recorders are still writing while the size or modification time keeps changing
+            const previous = lastSeen.get(entry.name);
+            lastSeen.set(entry.name, { size: stats.size, mtimeMs: stats.mtimeMs });
+            if (!previous || stats.size === 0 || previous.size !== stats.size || previous.mtimeMs !== stats.mtimeMs) {
+                continue;
+            }
+
+            lastSeen.delete(entry.name);
+            active.add(entry.name);
+            const job = createJob(
+                "watch-folder",
+                (reporter) => transcribeRecording(entry.name, reporter).finally(() => active.delete(entry.name)),
+                { filename: entry.name, format: watchFolder.format, ...readOptions() }
+            );
+            queued.push({ filename: entry.name, jobId: job.id });
+            logger.info(`📂 Picked up ${entry.name} from the watch folder`);
+        }
+
+        // Forget files removed before they settled
+        [...lastSeen.keys()].filter(name => !present.has(name)).forEach(name => lastSeen.delete(name));
+        return queued;
+    } catch (error) {
+        logger.warn(`⚠️ Could not scan the watch folder ${watchFolder.dir}: ${error.message}`);
+        return [];
+    } finally {
+        scanning = false;
+    }
+};
+
+/**
+ * Starts scanning the watch folder every watchFolder.pollIntervalSeconds.
+ * Invalid options are reported once and the folder is not watched.
+ * @returns {Object|null} The interval timer, or null when the options are invalid.
+ */
+const startWatchFolder = () => {
+    const validationError = validateTranscriptionRequest({ ...watchFolder.options, format: watchFolder.format });
+    if (validationError) {
+        logger.error(`❌ Watch folder not started: ${validationError.message}`);
+        return null;
+    }
+
+    fs.mkdirSync(watchFolder.dir, { recursive: true });
+    const timer = setInterval(scanWatchFolder, watchFolder.pollIntervalSeconds * 1000);
+    timer.unref();
+
+    logger.info(`👀 Watching ${watchFolder.dir} for recordings`);
+    return timer;
+};
+
+module.exports = {
+    scanWatchFolder,
+    startWatchFolder
+};
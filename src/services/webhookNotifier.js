@@ -0,0 +1,188 @@
+/**
+ * @file webhookNotifier.js
+ * @description Posts the outcome of a transcription to the callbackUrl given
+ * with the request. Each delivery is signed with an HMAC of the body and
+ * retried with exponential backoff until the receiver answers with a 2xx.
+ * The state of the delivery is recorded on the job (see GET /jobs/:id).
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { webhooks } = require("../config");
+const { guardedLookup, isPrivateAddress } = require("./urlGuard");
+const { recordCallback } = require("./jobQueue");
+const { AppError } = require("../utils/errorHandler");
+const logger = require("../utils/logger");
+
+const SIGNATURE_HEADER = "X-Audinote-Signature";
+const JOB_HEADER = "X-Audinote-Job-Id";
+
+// Lifecycle of a callback delivery: delivering -> delivered | failed
+const DELIVERY_STATUS = {
+    delivering: "delivering",
+    delivered: "delivered",
+    failed: "failed"
+};
+
+/**
+ * Checks a callbackUrl from a request. Host names are resolved when the
+ * callback is delivered, where private addresses are refused.
+ * @param {string} [callbackUrl] - The URL to notify.
+ * @returns {AppError|null} The validation error, or null when the URL can be called back.
+ */
+const validateCallbackUrl = (callbackUrl) => {
+    if (callbackUrl === undefined || callbackUrl === "") {
+        return null;
+    }
+    if (!webhooks.secret) {
+        return new AppError("Callbacks are not enabled on this server.", 400);
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(callbackUrl);
+    } catch (error) {
+        return new AppError(`Invalid callbackUrl: ${callbackUrl}`, 400);
+    }
+
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+        return new AppError("callbackUrl must be an http or https URL.", 400);
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+        return new AppError(`${hostname} is a private or local address.`, 403);
+    }
+    return null;
+};
+
+/**
+ * Computes the signature header value for a callback body.
+ * @param {string} body - The JSON body as sent.
+ * @param {string} [secret=webhooks.secret] - The shared secret.
+ * @returns {string} "sha256=" followed by the hex HMAC-SHA256 of the body.
+ */
+const signPayload = (body, secret = webhooks.secret) => {
+    return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+};
+
+/**
+ * Makes one delivery attempt. Redirects are not followed.
+ * @param {URL} url - The callback URL.
+ * @param {string} body - The JSON body.
+ * @param {Object} headers - Extra request headers.
+ * @returns {Promise<number>} Resolves with the status code of a 2xx answer.
+ * @throws {Error} For any other answer, a timeout or a connection failure.
+ */
+const postOnce = (url, body, headers) => {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === "https:" ? https : http;
+        const request = client.request(url, {
+            method: "POST",
+            lookup: guardedLookup,
+            timeout: webhooks.timeoutSeconds * 1000,
+            headers: {
+                "Content-Type": "application/json",
+                "Content-Length": Buffer.byteLength(body),
+                ...headers
+            }
+        }, (response) => {
+            response.resume();
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+                return resolve(response.statusCode);
+            }
+            reject(new Error(`answered with HTTP ${response.statusCode}`));
+        });
+
+        request.on("timeout", () => {
+            request.destroy(new Error(`no answer within ${webhooks.timeoutSeconds} seconds`));
+        });
+        request.on("error", reject);
+        request.end(body);
+    });
+};
+
+/**
+ * Delivers a payload to a callback URL, waiting webhooks.initialDelaySeconds
+ * after the first failure and twice as long after each further one, for at
+ * most webhooks.maxAttempts attempts.
+ * @param {string} callbackUrl - The URL to notify.
+ * @param {Object} payload - The JSON payload.
+ * @param {string} [jobId] - The job the payload belongs to, sent in a header.
+ * @returns {Promise<Object>} Resolves with the delivery status, the attempts made and the last error, if any. Never rejects.
+ */
+const deliverWebhook = async (callbackUrl, payload, jobId) => {
+    const url = new URL(callbackUrl);
+    const body = JSON.stringify(payload);
+    const headers = {
+        [SIGNATURE_HEADER]: signPayload(body),
+        ...(jobId && { [JOB_HEADER]: jobId })
+    };
+
+    for (let attempt = 1; attempt <= webhooks.maxAttempts; attempt++) {
+        try {
+            await postOnce(url, body, headers);
+            logger.info(`📨 Callback delivered to ${url.host}${jobId ? ` for job ${jobId}` : ""}`);
+            return { status: DELIVERY_STATUS.delivered, attempts: attempt, error: null };
+        } catch (error) {
+            if (attempt === webhooks.maxAttempts) {
+                logger.error(`❌ Callback to ${url.host} failed after ${attempt} attempts: ${error.message}`);
+                return { status: DELIVERY_STATUS.failed, attempts: attempt, error: error.message };
+            }
+
+            const delaySeconds = webhooks.initialDelaySeconds * 2 ** (attempt - 1);
+            logger.warn(`⚠️ Callback to ${url.host} failed (attempt ${attempt} of ${webhooks.maxAttempts}): ${error.message}. Retrying in ${delaySeconds}s`);
+            await new Promise(resolve => setTimeout(resolve, delaySeconds * 1000));
+        }
+    }
+    return { status: DELIVERY_STATUS.failed, attempts: 0, error: null };
+};
+
+/**
+ * Sends the outcome of a pipeline to a callback URL once it settles: the
+ * result on success, the error message and status code on failure, never
+ * the stack trace. The outcome is passed through unchanged and does not wait
+ * for the delivery, whose state is recorded on the job as it goes.
+ * @param {string} [callbackUrl] - The URL to notify; nothing is sent without one.
+ * @param {string} jobId - The job running the pipeline.
+ * @param {Promise<Object>} outcome - The pipeline's promise.
+ * @returns {Promise<Object>} The pipeline's promise, settled the same way.
+ */
+const notifyOnCompletion = (callbackUrl, jobId, outcome) => {
+    if (!callbackUrl) {
+        return outcome;
+    }
+
+    // The job shows "delivering" until the last attempt settles
+    const notify = (payload) => {
+        recordCallback(jobId, { status: DELIVERY_STATUS.delivering, attempts: 0, error: null });
+        deliverWebhook(callbackUrl, payload, jobId).then(delivery => recordCallback(jobId, delivery));
+    };
+
+    return outcome.then(
+        (result) => {
+            notify(result);
+            return result;
+        },
+        (error) => {
+            notify({
+                success: false,
+                message: error.message,
+                statusCode: error.statusCode || 500
+            });
+            throw error;
+        }
+    );
+};
+
+module.exports = {
+    validateCallbackUrl,
+    signPayload,
+    deliverWebhook,
+    notifyOnCompletion,
+    DELIVERY_STATUS,
+    SIGNATURE_HEADER,
+    JOB_HEADER
+};
@@ -0,0 +1,138 @@
+/**
+ * @file youtubeCaptions.js
+ * @description Fetches the captions uploaded with a YouTube video through yt-dlp
+ * and reads them into the shape of a transcription, so videos that already have
+ * subtitles need not be transcribed again.
+ */
+
+const { spawn } = require("child_process");
+const fs = require("fs/promises");
+const path = require("path");
+const { deleteFile } = require("../utils/fileUtils");
+const logger = require("../utils/logger");
+
+const CAPTIONS_DIR = path.join(__dirname, "../../uploads");
+
+// Entities that survive in caption text once the tags are removed
+const ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&nbsp;": " ", "&quot;": "\"", "&#39;": "'" };
+
+/**
+ * Converts a WebVTT timestamp ("01:02:03.456" or "02:03.456") to seconds.
+ * @param {string} value - The timestamp.
+ * @returns {number} - The time in seconds.
+ */
+const parseTimestamp = (value) => {
+    return value.replace(",", ".").split(":").reduce((total, part) => total * 60 + Number(part), 0);
+};
+
+/**
+ * Reads the cues of a WebVTT file into transcript segments. Styling tags are
+ * removed, and a cue that repeats the previous one extends it instead.
+ * @param {string} content - The WebVTT file content.
+ * @returns {Object[]} - Segments with start, end and text.
+ */
+const parseVtt = (content) => {
+    const segments = [];
+
+    content.replace(/\r/g, "").split(/\n{2,}/).forEach((block) => {
+        const lines = block.split("\n");
+        const timingIndex = lines.findIndex(line => line.includes("-->"));
+        const timing = timingIndex === -1 ? null : /([\d:.,]+)\s+-->\s+([\d:.,]+)/.exec(lines[timingIndex]);
+        if (!timing) {
+            return;
+        }
+
+        const text = lines.slice(timingIndex + 1).join(" ")
+            .replace(/<[^>]+>/g, "")
+            .replace(/&(amp|lt|gt|nbsp|quot|#39);/g, entity => ENTITIES[entity])
+            .replace(/\s+/g, " ")
+            .trim();
+        if (!text) {
+            return;
+        }
+
+        const start = parseTimestamp(timing[1]);
+        const end = parseTimestamp(timing[2]);
+        const previous = segments[segments.length - 1];
+        if (previous && previous.text === text) {
+            previous.end = end;
+            return;
+        }
+        segments.push({ start, end, text });
+    });
+
+    return segments;
+};
+
+/**
+ * Fetches the captions of a video in the given language. Only captions uploaded
+ * by the channel are used, not YouTube's automatic ones.
+ * @param {string} url - The YouTube video URL.
+ * @param {string} language - Two- or three-letter language code, or "auto" for whichever captions exist.
+ * @returns {Promise<Object|null>} - Resolves with text, segments, words and language, or null when the video has no such captions.
+ */
+const fetchCaptions = (url, language) => {
+    const baseName = `${Date.now()}-captions`;
+    // Regional variants such as en-GB count as the language itself
+    const subLangs = language === "auto" ? "all,-live_chat" : `${language},${language}-.*`;
+
+    return new Promise((resolve) => {
+        const ytDlp = spawn("yt-dlp", [
+            "--skip-download",
+            "--write-subs",
+            "--sub-langs", subLangs,
+            "--sub-format", "vtt/best",
+            "--convert-subs", "vtt",
+            "-o", path.join(CAPTIONS_DIR, `${baseName}.%(ext)s`),
+            url
+        ]);
+
+        ytDlp.stderr.on("data", (data) => {
+            logger.debug(`yt-dlp (captions): ${data}`);
+        });
+
+        ytDlp.on("error", (err) => {
+            logger.warn(`⚠️ yt-dlp could not fetch captions: ${err.message}`);
+            resolve(null);
+        });
+
+        ytDlp.on("close", async (code) => {
+            const files = (await fs.readdir(CAPTIONS_DIR).catch(() => []))
+                .filter(file => file.startsWith(`${baseName}.`))
+                .sort();
+
+            try {
+                const captionFile = files.find(file => file.endsWith(".vtt"));
+                if (code !== 0 || !captionFile) {
+                    logger.info(`💬 No ${language} captions found for ${url}`);
+                    return resolve(null);
+                }
+
+                const segments = parseVtt(await fs.readFile(path.join(CAPTIONS_DIR, captionFile), "utf8"));
+                if (segments.length === 0) {
+                    return resolve(null);
+                }
+
+                // Files are named <base>.<language>.vtt
+                const captionLanguage = captionFile.slice(baseName.length + 1, -".vtt".length).split("-")[0];
+                logger.info(`💬 Using ${captionLanguage} captions for ${url}`);
+                resolve({
+                    text: segments.map(segment => segment.text).join(" "),
+                    segments,
+                    words: [],
+                    language: captionLanguage
+                });
+            } catch (error) {
+                logger.warn(`⚠️ Could not read captions for ${url}: ${error.message}`);
+                resolve(null);
+            } finally {
+                files.forEach(file => deleteFile(path.join(CAPTIONS_DIR, file)));
+            }
+        });
+    });
+};
+
+module.exports = {
+    fetchCaptions,
+    parseVtt
+};
@@ -0,0 +1,85 @@
+/**
+ * @file youtubePlaylist.js
+ * @description Lists the videos of a YouTube playlist or channel with yt-dlp
+ */
+
+const { spawn } = require("child_process");
+const { youtubeBatch } = require("../config");
+const { AppError } = require("../utils/errorHandler");
+const logger = require("../utils/logger");
+
+/**
+ * Extracts the video ID from a YouTube URL.
+ * @param {string} url - A watch, youtu.be, shorts, embed or live URL.
+ * @returns {string|null} The 11-character video ID, or null when the URL names no video.
+ */
+const getYouTubeVideoId = (url) => {
+    const match = /(?:[?&]v=|youtu\.be\/|\/shorts\/|\/embed\/|\/live\/)([A-Za-z0-9_-]{11})(?![A-Za-z0-9_-])/.exec(url || "");
+    return match ? match[1] : null;
+};
+
+/**
+ * Lists the videos of a playlist or channel without downloading them.
+ * At most youtubeBatch.maxItems entries are returned.
+ * @param {string} url - The playlist or channel URL.
+ * @returns {Promise<Object[]>} Resolves with { videoId, url, title, durationSeconds } for every video, in playlist order.
+ * @throws {AppError} 400 when yt-dlp cannot read the URL or finds no videos.
+ */
+const listPlaylistEntries = (url) => {
+    return new Promise((resolve, reject) => {
+        const ytDlp = spawn("yt-dlp", ["--flat-playlist", "--dump-json", "--playlist-end", String(youtubeBatch.maxItems), url]);
+        let output = "";
+        let errorOutput = "";
+
+        ytDlp.stdout.on("data", (data) => {
+            output += data.toString();
+        });
+
+        ytDlp.stderr.on("data", (data) => {
+            errorOutput += data.toString();
+        });
+
+        ytDlp.on("error", (err) => {
+            reject(new AppError(`yt-dlp could not be started: ${err.message}`, 500));
+        });
+
+        ytDlp.on("close", (code) => {
+            if (code !== 0) {
+                logger.error(`❌ yt-dlp could not list ${url}: ${errorOutput.trim()}`);
+                return reject(new AppError(`Could not list the videos of ${url}.`, 400));
+            }
+
+            // One JSON object per line; channel tabs and other non-video entries are skipped
+            const entries = output
+                .split("\n")
+                .filter(line => line.trim())
+                .map((line) => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (error) {
+                        logger.warn(`⚠️ Skipping unreadable yt-dlp entry: ${line.slice(0, 80)}`);
+                        return null;
+                    }
+                })
+                .filter(entry => entry && entry.id && (!entry.ie_key || entry.ie_key === "Youtube"))
+                .map(entry => ({
+                    videoId: entry.id,
+                    url: `https://www.youtube.com/watch?v=${entry.id}`,
+                    title: entry.title || null,
+                    durationSeconds: entry.duration || null
+                }));
+
+            if (entries.length === 0) {
+                return reject(new AppError(`No videos found at ${url}.`, 400));
+            }
+
+            logger.info(`📃 Found ${entries.length} videos at ${url}`);
+            resolve(entries);
+        });
+    });
+};
+
+module.exports = {
+    listPlaylistEntries,
+    getYouTubeVideoId
+};
@@ -13,6 +13,27 @@ class AppError extends Error {
     }
 }
 
+// Delete any files attached to an error as cleanup resources
+const cleanupErrorResources = (err) => {
+    if (!err || !err.cleanup) {
+        return;
+    }
+
+    try {
+        const files = Array.isArray(err.cleanup) ? err.cleanup : [err.cleanup];
+        files.forEach(file => deleteFile(file));
+    } catch (cleanupError) {
+        logger.warn(`⚠️ Failed to clean up files: ${cleanupError.message}`);
+    }
+};
+
+// The JSON body sent for an error, also posted to callback URLs when a job fails
+const toErrorPayload = (err) => ({
+    success: false,
+    message: err.message,
+    error: process.env.NODE_ENV === 'production' ? 'An error occurred' : err.stack
+});
+
 // Centralized error handler middleware
 const errorHandler = (err, req, res, next) => {
     const statusCode = err.statusCode || 500;
@@ -26,25 +47,19 @@ const errorHandler = (err, req, res, next) => {
     }
 
     // Clean up any resources attached to the error
-    if (err.cleanup) {
-        try {
-            const files = Array.isArray(err.cleanup) ? err.cleanup : [err.cleanup];
-            files.forEach(file => deleteFile(file));
-        } catch (cleanupError) {
-            logger.warn(`⚠️ Failed to clean up files: ${cleanupError.message}`);
-        }
-    }
+    cleanupErrorResources(err);
 
     // Clean up uploaded file from req (fallback)
     if (req.file && req.file.path) {
         deleteFile(req.file.path);
     }
 
-    res.status(statusCode).json({
-        success: false,
-        message: err.message,
-        error: process.env.NODE_ENV === 'production' ? 'An error occurred' : err.stack
-    });
+    // Tell throttled clients when capacity is expected to free up
+    if (err.retryAfter) {
+        res.set('Retry-After', String(err.retryAfter));
+    }
+
+    res.status(statusCode).json(toErrorPayload(err));
 };
 
-module.exports = { errorHandler, AppError };
+module.exports = { errorHandler, AppError, cleanupErrorResources, toErrorPayload };
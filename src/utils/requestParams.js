@@ -0,0 +1,84 @@
+// src/utils/requestParams.js
+/**
+ * @file requestParams.js
+ * @description Helpers for reading options from JSON or multipart request bodies
+ */
+
+const { allowedMimeTypes, allowedExtensions } = require("../config");
+const { AppError } = require("./errorHandler");
+const { parseDurationToSeconds } = require("./timeFormatter");
+
+// A time in seconds ("754.5") or as "m:ss" / "h:mm:ss" ("12:34", "1:02:03")
+const TIME_PATTERN = /^(\d+(\.\d+)?|(\d+:){1,2}\d+(\.\d+)?)$/;
+
+/**
+ * Interprets a boolean request parameter. Multipart fields arrive as strings,
+ * so "true", "1" and "yes" are accepted alongside a real boolean.
+ * @param {*} value - The raw parameter value.
+ * @returns {boolean} True if the parameter is set.
+ */
+const parseBooleanParam = (value) => {
+    if (typeof value === "boolean") {
+        return value;
+    }
+
+    if (typeof value === "string") {
+        return ["true", "1", "yes"].includes(value.trim().toLowerCase());
+    }
+
+    return false;
+};
+
+/**
+ * Reads the start and end parameters that limit transcription to part of the media.
+ * @param {Object} body - The parsed request body.
+ * @param {string|number} [body.start] - Where to start, in seconds or as h:mm:ss.
+ * @param {string|number} [body.end] - Where to stop, in seconds or as h:mm:ss.
+ * @returns {Object|null} The range with start and, when given, end in seconds, or null when neither is set.
+ * @throws {AppError} 400 for a malformed time or an end that is not after the start.
+ */
+const parseTimeRange = ({ start, end } = {}) => {
+    const parseTime = (value, name) => {
+        if (value === undefined || value === null || value === "") {
+            return undefined;
+        }
+        if (!TIME_PATTERN.test(String(value).trim())) {
+            throw new AppError(`Invalid ${name} time: ${value}. Use seconds or h:mm:ss.`, 400);
+        }
+        return parseDurationToSeconds(String(value));
+    };
+
+    const startSeconds = parseTime(start, "start");
+    const endSeconds = parseTime(end, "end");
+    if (startSeconds === undefined && endSeconds === undefined) {
+        return null;
+    }
+    if (endSeconds !== undefined && endSeconds <= (startSeconds || 0)) {
+        throw new AppError("The end time must be after the start time.", 400);
+    }
+    return { start: startSeconds || 0, ...(endSeconds !== undefined && { end: endSeconds }) };
+};
+
+/**
+ * Checks an uploaded file's name and MIME type against the accepted audio and video formats.
+ * @param {string} originalName - The client's file name.
+ * @param {string} mimeType - The declared MIME type.
+ * @returns {AppError|null} The validation error, or null when the file type is accepted.
+ */
+const validateFileType = (originalName, mimeType) => {
+    const hasAllowedExtension = new RegExp(`\\.(${allowedExtensions.join('|')})$`, "i").test(originalName);
+
+    if (!allowedMimeTypes.includes(mimeType) && !hasAllowedExtension) {
+        return new AppError(
+            `Invalid file type: ${mimeType}. Only audio and video files (${allowedExtensions.join(', ').toUpperCase()}) are allowed.`,
+            400
+        );
+    }
+    return null;
+};
+
+module.exports = {
+    parseBooleanParam,
+    parseTimeRange,
+    validateFileType
+};
@@ -0,0 +1,187 @@
+// src/utils/subtitleFormatter.js
+/**
+ * @file subtitleFormatter.js
+ * @description Converts timed transcription results into SRT, WebVTT and plain text
+ */
+
+const { subtitles } = require("../config");
+
+/**
+ * Formats seconds as a subtitle timestamp (e.g., "00:01:02,345").
+ * @param {number} seconds - The time in seconds.
+ * @param {string} separator - Separator before milliseconds ("," for SRT, "." for WebVTT).
+ * @returns {string} The formatted timestamp.
+ */
+const formatTimestamp = (seconds, separator) => {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    const pad = (value, length = 2) => String(value).padStart(length, "0");
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+};
+
+/**
+ * Wraps cue text into lines no longer than the maximum line length.
+ * @param {string} text - The cue text.
+ * @param {number} maxLineLength - Maximum characters per line.
+ * @returns {string[]} The wrapped lines.
+ */
+const wrapLines = (text, maxLineLength) => {
+    const lines = [];
+    let line = "";
+
+    text.split(/\s+/).filter(Boolean).forEach((word) => {
+        if (line && `${line} ${word}`.length > maxLineLength) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    });
+
+    if (line) {
+        lines.push(line);
+    }
+    return lines;
+};
+
+/**
+ * Groups timed words into subtitle cues. A new cue starts when the text would
+ * no longer fit on the allowed lines, the cue would run too long, the
+ * speaker pauses, or (in diarized transcripts) a different speaker talks.
+ * @param {Object} transcription - Transcription result with words and/or segments.
+ * @param {Object} [options] - Cue rules, defaulting to config.subtitles.
+ * @returns {Object[]} Cues with index, start, end, lines and, when diarized, speaker.
+ */
+const buildCues = (transcription, options = subtitles) => {
+    const cues = [];
+    let current = null;
+
+    // Without word timings, fall back to one cue per recognized segment
+    const words = transcription.words && transcription.words.length > 0
+        ? transcription.words
+        : (transcription.segments || []).map((segment) => ({ ...segment, word: segment.text }));
+
+    words.forEach((word) => {
+        if (current) {
+            const text = `${current.text} ${word.word}`;
+            // Wrapped as on output: whole words can need more lines than the character count suggests
+            const fits = wrapLines(text, options.maxLineLength).length <= options.maxLinesPerCue;
+            const shortEnough = word.end - current.start <= options.maxCueDurationSeconds;
+            const continuous = word.start - current.end <= options.maxWordGapSeconds;
+            const sameSpeaker = word.speaker === current.speaker;
+
+            if (fits && shortEnough && continuous && sameSpeaker) {
+                current.text = text;
+                current.end = word.end;
+                return;
+            }
+        }
+
+        current = { start: word.start, end: word.end, text: word.word, speaker: word.speaker };
+        cues.push(current);
+    });
+
+    // Give short cues time to be read without overlapping the next one
+    cues.forEach((cue, index) => {
+        const minEnd = cue.start + options.minCueDurationSeconds;
+        if (cue.end < minEnd) {
+            const next = cues[index + 1];
+            cue.end = next ? Math.max(cue.end, Math.min(minEnd, next.start)) : minEnd;
+        }
+    });
+
+    return cues.map((cue, index) => ({
+        index: index + 1,
+        start: cue.start,
+        end: cue.end,
+        lines: wrapLines(cue.text, options.maxLineLength),
+        ...(cue.speaker && { speaker: cue.speaker })
+    }));
+};
+
+/**
+ * Renders a transcription as an SRT subtitle file.
+ * @param {Object} transcription - Transcription result with words and/or segments.
+ * @returns {string} SRT file content.
+ */
+const toSrt = (transcription) => {
+    return buildCues(transcription)
+        .map((cue) => {
+            const text = cue.speaker ? `[${cue.speaker}] ${cue.lines.join("\n")}` : cue.lines.join("\n");
+            return `${cue.index}\n${formatTimestamp(cue.start, ",")} --> ${formatTimestamp(cue.end, ",")}\n${text}\n`;
+        })
+        .join("\n");
+};
+
+/**
+ * Renders a transcription as a WebVTT subtitle file.
+ * @param {Object} transcription - Transcription result with words and/or segments.
+ * @returns {string} WebVTT file content.
+ */
+const toVtt = (transcription) => {
+    const cues = buildCues(transcription)
+        .map((cue) => {
+            // WebVTT voice spans carry the speaker name
+            const text = cue.speaker ? `<v ${cue.speaker}>${cue.lines.join("\n")}` : cue.lines.join("\n");
+            return `${formatTimestamp(cue.start, ".")} --> ${formatTimestamp(cue.end, ".")}\n${text}\n`;
+        });
+
+    return ["WEBVTT\n", ...cues].join("\n");
+};
+
+/**
+ * Renders a transcription as plain text. Diarized transcripts get one
+ * "Speaker N: ..." paragraph per change of speaker.
+ * @param {Object} transcription - Transcription result with text and segments.
+ * @returns {string} Plain text content.
+ */
+const toText = (transcription) => {
+    const segments = transcription.segments || [];
+    if (!segments.some(segment => segment.speaker)) {
+        return transcription.text;
+    }
+
+    const turns = [];
+    segments.forEach((segment) => {
+        const lastTurn = turns[turns.length - 1];
+        if (lastTurn && lastTurn.speaker === segment.speaker) {
+            lastTurn.text += ` ${segment.text}`;
+        } else {
+            turns.push({ speaker: segment.speaker, text: segment.text });
+        }
+    });
+
+    return turns.map(turn => (turn.speaker ? `${turn.speaker}: ${turn.text}` : turn.text)).join("\n\n");
+};
+
+/**
+ * Renders a transcription in the requested export format.
+ * @param {Object} transcription - Transcription result with text, words and segments.
+ * @param {string} format - One of "json", "txt", "srt" or "vtt".
+ * @returns {string} The file content.
+ */
+const formatTranscript = (transcription, format) => {
+    switch (format) {
+        case "srt":
+            return toSrt(transcription);
+        case "vtt":
+            return toVtt(transcription);
+        case "json":
+            return JSON.stringify(transcription, null, 2);
+        default:
+            return toText(transcription);
+    }
+};
+
+module.exports = {
+    formatTimestamp,
+    buildCues,
+    toSrt,
+    toVtt,
+    toText,
+    formatTranscript
+};
@@ -63,7 +63,15 @@ const formatTime = (seconds) => {
     };
 };
 
+/**
+ * Rounds a time or confidence value to millisecond precision.
+ * @param {number} value - The value to round.
+ * @returns {number} The rounded value.
+ */
+const roundValue = (value) => Math.round(value * 1000) / 1000;
+
 module.exports = {
     parseDurationToSeconds,
-    formatTime
+    formatTime,
+    roundValue
 };
@@ -0,0 +1,45 @@
+import sys
+import json
+from vosk import Model, KaldiRecognizer, SetLogLevel
+
+# Suppress Vosk logs by setting log level to -1
+SetLogLevel(-1)
+
+# Get arguments
+MODEL_PATH = sys.argv[1]
+SAMPLE_RATE = int(sys.argv[2])
+
+# Load the model
+model = Model(MODEL_PATH)
+rec = KaldiRecognizer(model, SAMPLE_RATE)
+rec.SetWords(True)
+
+
+def emit(message):
+    # One JSON message per line so Node can parse the stream incrementally
+    print(json.dumps(message), flush=True)
+
+
+emit({"type": "ready"})
+
+# Read raw 16-bit mono PCM from stdin until it is closed
+last_partial = ""
+while True:
+    data = sys.stdin.buffer.read1(4000)
+    if len(data) == 0:
+        break
+    if rec.AcceptWaveform(data):
+        result = json.loads(rec.Result())
+        last_partial = ""
+        if result.get("text"):
+            emit({"type": "final", "text": result["text"], "result": result.get("result", [])})
+    else:
+        partial = json.loads(rec.PartialResult()).get("partial", "")
+        if partial != last_partial:
+            last_partial = partial
+            emit({"type": "partial", "text": partial})
+
+# Flush whatever audio is left once the client stops sending
+final_result = json.loads(rec.FinalResult())
+if final_result.get("text"):
+    emit({"type": "final", "text": final_result["text"], "result": final_result.get("result", [])})
@@ -0,0 +1,217 @@
+// tests/cli.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/services/mediaValidator', () => ({
+    validateMediaFile: jest.fn()
+}));
+jest.mock('../src/services/mediaDownloader', () => ({
+    downloadRemoteMedia: jest.fn()
+}));
+jest.mock('../src/services/audioProcessor', () => ({
+    resolveAudioFilters: jest.fn(() => [])
+}));
+jest.mock('../src/services/engines', () => ({
+    getEngine: jest.fn(() => ({ name: 'vosk' }))
+}));
+jest.mock('../src/services/modelRegistry', () => ({
+    getModel: jest.fn(),
+    loadModels: jest.fn()
+}));
+jest.mock('../src/services/transcriptionPipeline', () => ({
+    runFileTranscription: jest.fn(),
+    runYouTubeTranscription: jest.fn()
+}));
+jest.mock('../src/services/requestValidator', () => ({
+    validateTranscriptionRequest: jest.fn(() => null)
+}));
+jest.mock('../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { validateMediaFile } = require('../src/services/mediaValidator');
+const { downloadRemoteMedia } = require('../src/services/mediaDownloader');
+const { loadModels } = require('../src/services/modelRegistry');
+const { runFileTranscription, runYouTubeTranscription } = require('../src/services/transcriptionPipeline');
+const { validateTranscriptionRequest } = require('../src/services/requestValidator');
+const { run, parseArgs, expandGlob } = require('../src/cli');
+
+// Collects what the command writes to stdout and stderr
+const createStreams = () => {
+    const output = { stdout: '', stderr: '' };
+    return {
+        output,
+        stdout: { write: (text) => { output.stdout += text; } },
+        stderr: { write: (text) => { output.stderr += text; } }
+    };
+};
+
+describe('audinote CLI', () => {
+    let dir;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audinote-cli-'));
+
+        validateMediaFile.mockResolvedValue({ format: 'mp3', durationSeconds: 60, audioTrack: { index: 0 } });
+        // Stands in for the pipeline: removes its input and exports the transcript
+        runFileTranscription.mockImplementation(async ({ filePath, format }) => {
+            fs.unlinkSync(filePath);
+            const exportFile = path.join(dir, `export.${format}`);
+            fs.writeFileSync(exportFile, 'Hola mundo');
+            return { success: true, text: 'Hola mundo', transcriptId: 'abc', format, exportFile };
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('parseArgs', () => {
+        test('should map options to request parameters', () => {
+            expect(parseArgs(['a.mp3', '--lang', 'es', '-f=srt', '--diarize', '--', '-odd.mp3'])).toEqual({
+                inputs: ['a.mp3', '-odd.mp3'],
+                options: { language: 'es', format: 'srt' },
+                flags: { diarize: true }
+            });
+        });
+
+        test('should refuse unknown options and missing values', () => {
+            expect(() => parseArgs(['--shout'])).toThrow('Unknown option: --shout');
+            expect(() => parseArgs(['a.mp3', '--lang'])).toThrow('--lang needs a value.');
+        });
+    });
+
+    describe('expandGlob', () => {
+        test('should match recordings across directories', () => {
+            fs.mkdirSync(path.join(dir, 'day1', 'morning'), { recursive: true });
+            ['top.mp3', 'day1/a.mp3', 'day1/morning/b.mp3', 'day1/notes.txt', 'day1/c.wav'].forEach(file => fs.writeFileSync(path.join(dir, file), 'x'));
+
+            expect(expandGlob(`${dir}/**/*.mp3`)).toEqual([
+                path.join(dir, 'day1/a.mp3'),
+                path.join(dir, 'day1/morning/b.mp3'),
+                path.join(dir, 'top.mp3')
+            ]);
+            expect(expandGlob(`${dir}/day1/*`)).toEqual([path.join(dir, 'day1/a.mp3'), path.join(dir, 'day1/c.wav')]);
+            expect(expandGlob(`${dir}/?op.mp3`)).toEqual([path.join(dir, 'top.mp3')]);
+        });
+
+        test('should return plain paths as they are', () => {
+            expect(expandGlob('missing.mp3')).toEqual(['missing.mp3']);
+        });
+    });
+
+    test('should transcribe a local file and write the transcript next to it', async () => {
+        const recording = path.join(dir, 'interview.mp3');
+        fs.writeFileSync(recording, 'ID3 audio');
+        const { output, stdout, stderr } = createStreams();
+
+        const code = await run([recording, '--lang', 'es', '--format', 'srt'], { stdout, stderr });
+
+        expect(code).toBe(0);
+        expect(loadModels).toHaveBeenCalled();
+        expect(runFileTranscription).toHaveBeenCalledWith(expect.objectContaining({
+            filePath: expect.stringMatching(new RegExp(`^${path.join(os.tmpdir(), 'audinote')}/\\d+-interview\\.mp3$`)),
+            originalName: 'interview.mp3',
+            sourceDetails: { type: 'cli' },
+            language: 'es',
+            format: 'srt',
+            engine: 'vosk',
+            audioTrack: { index: 0 },
+            waitForCapacity: true
+        }), expect.any(Object));
+        expect(output.stdout).toBe(`${path.join(dir, 'interview.srt')}\n`);
+        expect(fs.readFileSync(path.join(dir, 'interview.srt'), 'utf8')).toBe('Hola mundo');
+        // The original stays where it was
+        expect(fs.existsSync(recording)).toBe(true);
+    });
+
+    test('should transcribe YouTube videos and other URLs into the output directory', async () => {
+        runYouTubeTranscription.mockResolvedValue({ success: true, text: 'From YouTube', transcriptId: 'yt' });
+        downloadRemoteMedia.mockImplementation(async () => {
+            const file = path.join('uploads', `${Date.now()}-remote`);
+            fs.writeFileSync(file, 'ID3 audio');
+            return { path: file, originalname: 'talk.mp3', size: 9, url: 'https://cdn.example.com/talk.mp3' };
+        });
+        const outputDir = path.join(dir, 'out');
+        const { output, stdout, stderr } = createStreams();
+
+        const code = await run(
+            ['https://youtu.be/dQw4w9WgXcQ', 'https://cdn.example.com/talk.mp3', '-f', 'json', '-o', outputDir],
+            { stdout, stderr }
+        );
+
+        expect(code).toBe(0);
+        expect(runYouTubeTranscription).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://youtu.be/dQw4w9WgXcQ', format: 'json' }), expect.any(Object));
+        expect(runFileTranscription).toHaveBeenCalledWith(expect.objectContaining({ originalName: 'talk.mp3', sourceUrl: 'https://cdn.example.com/talk.mp3' }), expect.any(Object));
+        expect(JSON.parse(fs.readFileSync(path.join(outputDir, 'youtube-dQw4w9WgXcQ.json'), 'utf8')).text).toBe('From YouTube');
+        expect(output.stdout.trim().split('\n')).toEqual([path.join(outputDir, 'youtube-dQw4w9WgXcQ.json'), path.join(outputDir, 'talk.json')]);
+    });
+
+    test('should carry on after a failure and exit with 1', async () => {
+        const recording = path.join(dir, 'good.wav');
+        fs.writeFileSync(recording, 'RIFF');
+        const { output, stdout, stderr } = createStreams();
+
+        const code = await run([path.join(dir, 'missing.mp3'), `${dir}/*.mp3`, recording], { stdout, stderr });
+
+        expect(code).toBe(1);
+        expect(output.stderr).toContain(`${path.join(dir, 'missing.mp3')}: failed: No such file: ${path.join(dir, 'missing.mp3')}`);
+        expect(output.stderr).toContain(`${dir}/*.mp3: no recordings match`);
+        expect(output.stdout).toBe(`${path.join(dir, 'good.txt')}\n`);
+    });
+
+    test('should report files that are not valid media', async () => {
+        validateMediaFile.mockRejectedValue(new Error('The file does not contain audio.'));
+        const recording = path.join(dir, 'broken.mp3');
+        fs.writeFileSync(recording, 'not audio');
+        const { output, stdout, stderr } = createStreams();
+
+        expect(await run([recording], { stdout, stderr })).toBe(1);
+        expect(output.stderr).toContain('broken.mp3: failed: The file does not contain audio.');
+        expect(runFileTranscription).not.toHaveBeenCalled();
+    });
+
+    test('should remove the working copy when the pipeline fails without deleting it', async () => {
+        let workingCopy;
+        runFileTranscription.mockImplementation(async ({ filePath }) => {
+            workingCopy = filePath;
+            throw new Error('Transcription failed.');
+        });
+        const recording = path.join(dir, 'lecture.mp3');
+        fs.writeFileSync(recording, 'ID3 audio');
+        const { output, stdout, stderr } = createStreams();
+
+        expect(await run([recording], { stdout, stderr })).toBe(1);
+        expect(output.stderr).toContain('lecture.mp3: failed: Transcription failed.');
+        // deleteFile removes the file in the background
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(fs.existsSync(workingCopy)).toBe(false);
+        expect(fs.existsSync(recording)).toBe(true);
+    });
+
+    test('should exit with 2 for invalid command lines', async () => {
+        const { output, stdout, stderr } = createStreams();
+
+        expect(await run(['--bogus'], { stdout, stderr })).toBe(2);
+        expect(await run([], { stdout, stderr })).toBe(2);
+
+        validateTranscriptionRequest.mockReturnValueOnce(new Error('Invalid format. Supported formats: json, txt, srt, vtt'));
+        expect(await run(['a.mp3', '--format', 'doc'], { stdout, stderr })).toBe(2);
+        expect(output.stderr).toContain('audinote: Invalid format.');
+        expect(runFileTranscription).not.toHaveBeenCalled();
+    });
+
+    test('should print help and the version', async () => {
+        const { output, stdout, stderr } = createStreams();
+
+        expect(await run(['--help'], { stdout, stderr })).toBe(0);
+        expect(output.stdout).toContain('Usage: audinote');
+        expect(await run(['--version'], { stdout, stderr })).toBe(0);
+        expect(output.stdout).toContain(require('../package.json').version);
+    });
+});
@@ -0,0 +1,40 @@
+// tests/routes/engineRoutes.test.js
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/services/engines', () => ({
+    listEngines: jest.fn()
+}));
+
+const { listEngines } = require('../../src/services/engines');
+const engineRoutes = require('../../src/routes/engineRoutes');
+
+const app = express();
+app.use('/engines', engineRoutes);
+
+describe('Engine Routes', () => {
+    test('should list the enabled engines with their capabilities', async () => {
+        const engines = [
+            {
+                name: 'vosk',
+                description: 'Vosk',
+                available: true,
+                default: true,
+                capabilities: { diarization: true, translation: false, languages: ['en'] }
+            },
+            {
+                name: 'whisper',
+                description: 'whisper.cpp',
+                available: false,
+                default: false,
+                capabilities: { diarization: false, translation: true, languages: null }
+            }
+        ];
+        listEngines.mockReturnValue(engines);
+
+        const response = await request(app).get('/engines');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ success: true, count: 2, engines });
+    });
+});
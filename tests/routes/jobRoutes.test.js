@@ -0,0 +1,112 @@
+// tests/routes/jobRoutes.test.js
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/services/jobQueue', () => ({
+    getJob: jest.fn(),
+    subscribeToJob: jest.fn(),
+    JOB_STATUS: { done: 'done', failed: 'failed' }
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { getJob, subscribeToJob } = require('../../src/services/jobQueue');
+const { errorHandler } = require('../../src/utils/errorHandler');
+const jobRoutes = require('../../src/routes/jobRoutes');
+
+const app = express();
+app.use('/jobs', jobRoutes);
+app.use(errorHandler);
+
+describe('Job Routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('GET /jobs/:id', () => {
+        test('should return the job status', async () => {
+            getJob.mockReturnValue({
+                id: 'job-1',
+                type: 'upload',
+                status: 'transcribing',
+                estimatedProcessingTime: { hours: 0, minutes: 1, seconds: 5, totalSeconds: 65 },
+                estimatedTimeRemaining: { hours: 0, minutes: 0, seconds: 40, totalSeconds: 40 },
+                result: null,
+                error: null
+            });
+
+            const response = await request(app).get('/jobs/job-1');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual(expect.objectContaining({
+                success: true,
+                id: 'job-1',
+                status: 'transcribing',
+                estimatedTimeRemaining: { hours: 0, minutes: 0, seconds: 40, totalSeconds: 40 }
+            }));
+            expect(getJob).toHaveBeenCalledWith('job-1');
+        });
+
+        test('should return 404 for an unknown job', async () => {
+            getJob.mockReturnValue(null);
+
+            const response = await request(app).get('/jobs/missing');
+
+            expect(response.status).toBe(404);
+            expect(response.body.success).toBe(false);
+            expect(response.body.message).toBe('Job not found: missing');
+        });
+    });
+
+    describe('GET /jobs/:id/events', () => {
+        test('should stream status and progress events until the job finishes', async () => {
+            const unsubscribe = jest.fn();
+            getJob.mockReturnValue({ id: 'job-1', status: 'queued', progress: { stage: 'queued', percent: null } });
+            subscribeToJob.mockImplementation((id, listener) => {
+                setImmediate(() => {
+                    listener('status', { id, status: 'transcribing', progress: { stage: 'transcribing', percent: null } });
+                    listener('progress', { id, status: 'transcribing', progress: { stage: 'transcribing', percent: 42 } });
+                    listener('done', { id, status: 'done', result: { text: 'hello' } });
+                });
+                return unsubscribe;
+            });
+
+            const response = await request(app).get('/jobs/job-1/events');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toContain('text/event-stream');
+
+            const events = response.text.trim().split('\n\n').map((block) => {
+                const [eventLine, dataLine] = block.split('\n');
+                return [eventLine.replace('event: ', ''), JSON.parse(dataLine.replace('data: ', ''))];
+            });
+
+            expect(events.map(([event]) => event)).toEqual(['status', 'status', 'progress', 'done']);
+            expect(events[2][1].progress.percent).toBe(42);
+            expect(events[3][1].result).toEqual({ text: 'hello' });
+            expect(unsubscribe).toHaveBeenCalled();
+        });
+
+        test('should send the final event immediately for a finished job', async () => {
+            getJob.mockReturnValue({ id: 'job-1', status: 'failed', error: { message: 'boom', statusCode: 500 } });
+
+            const response = await request(app).get('/jobs/job-1/events');
+
+            expect(response.text).toBe('event: failed\ndata: {"id":"job-1","status":"failed","error":{"message":"boom","statusCode":500}}\n\n');
+            expect(subscribeToJob).not.toHaveBeenCalled();
+        });
+
+        test('should return 404 for an unknown job', async () => {
+            getJob.mockReturnValue(null);
+
+            const response = await request(app).get('/jobs/missing/events');
+
+            expect(response.status).toBe(404);
+        });
+    });
+});
@@ -0,0 +1,50 @@
+// tests/routes/modelRoutes.test.js
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/services/modelRegistry', () => ({
+    getModels: jest.fn(),
+    getLanguages: jest.fn()
+}));
+
+const { getModels, getLanguages } = require('../../src/services/modelRegistry');
+const modelRoutes = require('../../src/routes/modelRoutes');
+
+const app = express();
+app.use('/models', modelRoutes);
+
+describe('Model Routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should list installed models without exposing their paths', async () => {
+        getModels.mockReturnValue([
+            { name: 'vosk-model-en-us-0.22', language: 'en', path: 'models/vosk-model-en-us-0.22', sizeBytes: 1800000000, default: true },
+            { name: 'vosk-model-small-en-us-0.15', language: 'en', path: 'models/vosk-model-small-en-us-0.15', sizeBytes: 40000000, default: false }
+        ]);
+        getLanguages.mockReturnValue(['en']);
+
+        const response = await request(app).get('/models');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+            success: true,
+            count: 2,
+            languages: ['en'],
+            models: [
+                { name: 'vosk-model-en-us-0.22', language: 'en', sizeBytes: 1800000000, default: true },
+                { name: 'vosk-model-small-en-us-0.15', language: 'en', sizeBytes: 40000000, default: false }
+            ]
+        });
+    });
+
+    test('should return an empty list when no models are installed', async () => {
+        getModels.mockReturnValue([]);
+        getLanguages.mockReturnValue([]);
+
+        const response = await request(app).get('/models');
+
+        expect(response.body).toEqual({ success: true, count: 0, languages: [], models: [] });
+    });
+});
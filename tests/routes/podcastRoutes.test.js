@@ -0,0 +1,209 @@
+// tests/routes/podcastRoutes.test.js
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const mockPodcastDir = fs.mkdtempSync(path.join(os.tmpdir(), 'podcast-routes-'));
+
+jest.mock('../../src/config', () => ({
+    defaultLanguage: 'en',
+    podcasts: { dir: mockPodcastDir, pollIntervalMinutes: 60, maxNewEpisodesPerPoll: 2, maxEpisodeAttempts: 3, maxFeedBytes: 100000 },
+    remoteMedia: { allowedHosts: [], deniedHosts: [], maxBytes: 100000, maxRedirects: 2, timeoutSeconds: 5 },
+    uploadLimits: { maxBytes: 100000, maxDurationSeconds: 3600 },
+    jobs: { concurrency: 1, retentionMinutes: 60 }
+}));
+// The stand-in feed server listens on loopback, which the real guard refuses
+jest.mock('../../src/services/urlGuard', () => ({
+    checkRemoteUrl: jest.fn(async url => new URL(url)),
+    guardedLookup: jest.fn((...args) => require('dns').lookup(...args))
+}));
+jest.mock('../../src/services/mediaValidator', () => ({
+    validateMediaFile: jest.fn()
+}));
+jest.mock('../../src/services/audioProcessor', () => ({
+    resolveAudioFilters: jest.fn(() => [])
+}));
+jest.mock('../../src/services/engines', () => ({
+    getEngine: jest.fn(() => ({ name: 'vosk' }))
+}));
+jest.mock('../../src/services/modelRegistry', () => ({
+    getModel: jest.fn()
+}));
+jest.mock('../../src/services/concurrencyLimiter', () => ({
+    limiters: { download: { run: jest.fn(task => task()) } }
+}));
+jest.mock('../../src/services/transcriptionPipeline', () => ({
+    runFileTranscription: jest.fn()
+}));
+jest.mock('../../src/services/requestValidator', () => ({
+    validateTranscriptionRequest: jest.fn(() => null)
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { validateMediaFile } = require('../../src/services/mediaValidator');
+const { runFileTranscription } = require('../../src/services/transcriptionPipeline');
+const { getJob } = require('../../src/services/jobQueue');
+const podcastRoutes = require('../../src/routes/podcastRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/podcasts', podcastRoutes);
+app.use((err, req, res, next) => {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+});
+
+// Waits until every listed job has finished
+const waitForJobs = async (jobIds) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        if (jobIds.every(id => ['done', 'failed'].includes(getJob(id).status))) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Jobs did not finish');
+};
+
+describe('Podcast Routes', () => {
+    let server;
+    let baseUrl;
+    let episodes;
+    let serveFeed;
+
+    const item = (number) => `
+        <item>
+            <title>Episode ${number}</title>
+            <guid>ep-${number}</guid>
+            <pubDate>${new Date(Date.UTC(2024, 1, number)).toUTCString()}</pubDate>
+            <enclosure url="${baseUrl}/ep${number}.mp3" type="audio/mpeg"/>
+        </item>`;
+
+    beforeAll((done) => {
+        // Stand-in feed server: the feed lists `episodes`, newest first, and serves their audio
+        serveFeed = (req, res) => {
+            if (req.url === '/feed.xml') {
+                res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+                return res.end(`<rss version="2.0"><channel><title>Tech Talk</title>${[...episodes].reverse().map(item).join('')}</channel></rss>`);
+            }
+            if (/^\/ep\d+\.mp3$/.test(req.url)) {
+                res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+                return res.end('ID3 audio');
+            }
+            res.writeHead(404);
+            res.end();
+        };
+        server = http.createServer(serveFeed);
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        fs.rmSync(mockPodcastDir, { recursive: true, force: true });
+        fs.readdirSync('uploads').filter(file => file.endsWith('-remote')).forEach(file => fs.rmSync(path.join('uploads', file), { force: true }));
+        server.close(done);
+    });
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        episodes = [1, 2, 3];
+        validateMediaFile.mockResolvedValue({ format: 'mp3', durationSeconds: 60 });
+        runFileTranscription.mockImplementation(async ({ originalName }) => ({ success: true, transcriptId: `${originalName}-transcript` }));
+
+        const { body } = await request(app).get('/podcasts');
+        for (const subscription of body.subscriptions) {
+            await request(app).delete(`/podcasts/${subscription.id}`);
+        }
+    });
+
+    test('should subscribe, backfill and transcribe new episodes when polled', async () => {
+        const created = await request(app)
+            .post('/podcasts')
+            .send({ feedUrl: `${baseUrl}/feed.xml`, language: 'en', backfill: 1 });
+
+        expect(created.status).toBe(201);
+        expect(created.body).toMatchObject({
+            success: true,
+            feedUrl: `${baseUrl}/feed.xml`,
+            title: 'Tech Talk',
+            options: { language: 'en', diarize: false, translate: false, audioFilters: [], engine: 'vosk' },
+            episodeCounts: { queued: 1, transcribed: 0, failed: 0, skipped: 2 },
+            queued: [{ guid: 'ep-3', title: 'Episode 3', jobId: expect.any(String) }]
+        });
+        const { id } = created.body;
+        await waitForJobs(created.body.queued.map(episode => episode.jobId));
+
+        expect(runFileTranscription).toHaveBeenCalledWith(expect.objectContaining({
+            originalName: 'ep3.mp3',
+            sourceUrl: `${baseUrl}/ep3.mp3`,
+            sourceDetails: {
+                type: 'podcast',
+                subscriptionId: id,
+                feedUrl: `${baseUrl}/feed.xml`,
+                podcast: 'Tech Talk',
+                episode: { guid: 'ep-3', title: 'Episode 3', publishedAt: '2024-02-03T00:00:00.000Z', link: null }
+            },
+            language: 'en',
+            format: 'json',
+            waitForCapacity: true
+        }), expect.any(Object));
+
+        // Three new episodes: two now, the newest on the next poll
+        episodes = [1, 2, 3, 4, 5, 6];
+        const polled = await request(app).post(`/podcasts/${id}/poll`);
+        expect(polled.status).toBe(200);
+        expect(polled.body.queued.map(episode => episode.guid)).toEqual(['ep-4', 'ep-5']);
+        await waitForJobs(polled.body.queued.map(episode => episode.jobId));
+
+        const details = await request(app).get(`/podcasts/${id}`);
+        expect(details.body.episodeCounts).toEqual({ queued: 0, transcribed: 3, failed: 0, skipped: 2 });
+        expect(details.body.episodes.map(episode => [episode.guid, episode.status, episode.transcriptId])).toEqual([
+            ['ep-5', 'transcribed', 'ep5.mp3-transcript'],
+            ['ep-4', 'transcribed', 'ep4.mp3-transcript'],
+            ['ep-3', 'transcribed', 'ep3.mp3-transcript']
+        ]);
+
+        const next = await request(app).post(`/podcasts/${id}/poll`);
+        expect(next.body.queued.map(episode => episode.guid)).toEqual(['ep-6']);
+        await waitForJobs(next.body.queued.map(episode => episode.jobId));
+    });
+
+    test('should record episodes that fail', async () => {
+        validateMediaFile.mockRejectedValue(Object.assign(new Error('The file does not contain audio.'), { statusCode: 415 }));
+
+        const created = await request(app).post('/podcasts').send({ feedUrl: `${baseUrl}/feed.xml`, backfill: 1 });
+        await waitForJobs(created.body.queued.map(episode => episode.jobId));
+
+        const details = await request(app).get(`/podcasts/${created.body.id}`);
+        expect(details.body.episodes).toEqual([expect.objectContaining({ guid: 'ep-3', status: 'failed', error: 'The file does not contain audio.' })]);
+        expect(runFileTranscription).not.toHaveBeenCalled();
+    });
+
+    test('should validate subscriptions', async () => {
+        expect((await request(app).post('/podcasts').send({})).body.message).toBe('Feed URL is required.');
+
+        const format = await request(app).post('/podcasts').send({ feedUrl: `${baseUrl}/feed.xml`, format: 'srt' });
+        expect(format.status).toBe(400);
+
+        const backfill = await request(app).post('/podcasts').send({ feedUrl: `${baseUrl}/feed.xml`, backfill: -1 });
+        expect(backfill.body.message).toBe('backfill must be a whole number of episodes.');
+
+        const notFeed = await request(app).post('/podcasts').send({ feedUrl: `${baseUrl}/missing.xml` });
+        expect(notFeed.status).toBe(502);
+    });
+
+    test('should return 404 for unknown subscriptions', async () => {
+        const res = await request(app).delete('/podcasts/unknown');
+
+        expect(res.status).toBe(404);
+        expect(res.body.message).toBe('Podcast subscription not found: unknown');
+    });
+});
@@ -0,0 +1,146 @@
+// tests/routes/streamingTranscriptionSocket.test.js
+const http = require('http');
+const WebSocket = require('ws');
+
+jest.mock('../../src/services/streamingTranscriber', () => ({
+    createStreamingSession: jest.fn()
+}));
+
+jest.mock('../../src/config', () => ({
+    defaultLanguage: 'en',
+    ffmpegOptions: { sampleRate: '16000', channels: '1', codec: 'pcm_s16le' },
+    streaming: { path: '/transcribe/stream', maxChunkBytes: 1024, maxSessions: 1 }
+}));
+
+jest.mock('../../src/services/modelRegistry', () => ({
+    getLanguages: jest.fn(() => ['en', 'es'])
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { createStreamingSession } = require('../../src/services/streamingTranscriber');
+const { attachStreamingTranscription } = require('../../src/routes/streamingTranscriptionSocket');
+
+// Connects a client and collects every message until the socket closes
+const connect = (url, onOpen = () => { }) => new Promise((resolve, reject) => {
+    const client = new WebSocket(url);
+    const messages = [];
+
+    client.on('open', () => onOpen(client));
+    client.on('message', (data) => messages.push(JSON.parse(data.toString())));
+    client.on('close', (code) => resolve({ code, messages }));
+    client.on('error', reject);
+});
+
+describe('Streaming Transcription Socket', () => {
+    let server;
+    let wss;
+    let baseUrl;
+    let session;
+
+    beforeAll((done) => {
+        server = http.createServer();
+        wss = attachStreamingTranscription(server);
+        server.listen(0, () => {
+            baseUrl = `ws://localhost:${server.address().port}/transcribe/stream`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        wss.close();
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        // Simulated recognizer: echoes partials for audio and finishes on end()
+        createStreamingSession.mockImplementation((language, handlers) => {
+            setImmediate(handlers.onReady);
+            session = {
+                write: jest.fn(() => handlers.onPartial('hello')),
+                end: jest.fn(() => {
+                    handlers.onFinal({ text: 'hello world', segments: [], words: [] });
+                    handlers.onClose();
+                })
+            };
+            return session;
+        });
+    });
+
+    test('should stream partial and final results for binary audio', async () => {
+        const { code, messages } = await connect(`${baseUrl}?language=es`, (client) => {
+            client.once('message', () => {
+                client.send(Buffer.alloc(640), { binary: true });
+                client.send(JSON.stringify({ type: 'end' }));
+            });
+        });
+
+        expect(createStreamingSession).toHaveBeenCalledWith('es', expect.any(Object));
+        expect(session.write).toHaveBeenCalledWith(expect.any(Buffer));
+        expect(messages).toEqual([
+            { type: 'ready', language: 'es', sampleRate: 16000, channels: 1, encoding: 'pcm_s16le' },
+            { type: 'partial', text: 'hello' },
+            { type: 'final', text: 'hello world', segments: [], words: [] }
+        ]);
+        expect(code).toBe(1000);
+    });
+
+    test('should reject unsupported languages', async () => {
+        const { code, messages } = await connect(`${baseUrl}?language=fr`);
+
+        expect(code).toBe(1008);
+        expect(messages[0]).toEqual({ type: 'error', message: 'Invalid language. Supported languages: en, es' });
+        expect(createStreamingSession).not.toHaveBeenCalled();
+    });
+
+    test('should report unknown text commands', async () => {
+        const { messages } = await connect(baseUrl, (client) => {
+            client.once('message', () => {
+                client.send('pause');
+                client.once('message', () => client.close());
+            });
+        });
+
+        expect(messages[1].type).toBe('error');
+        expect(messages[1].message).toContain('Unknown command');
+    });
+
+    test('should close the connection when the recognizer fails', async () => {
+        createStreamingSession.mockImplementation((language, handlers) => {
+            setImmediate(() => handlers.onError(new Error('Live transcription process exited with code 1')));
+            return { write: jest.fn(), end: jest.fn() };
+        });
+
+        const { code, messages } = await connect(baseUrl);
+
+        expect(code).toBe(1011);
+        expect(messages).toEqual([{ type: 'error', message: 'Live transcription process exited with code 1' }]);
+    });
+
+    test('should turn clients away with 1013 while every session is taken', async () => {
+        let firstClient;
+        const firstReady = new Promise((resolve) => {
+            firstClient = connect(baseUrl, client => client.once('message', () => resolve(client)));
+        });
+        const client = await firstReady;
+
+        const { code, messages } = await connect(baseUrl);
+        expect(code).toBe(1013);
+        expect(messages).toEqual([{ type: 'error', message: 'Server is busy with other live transcriptions. Try again later.' }]);
+        expect(createStreamingSession).toHaveBeenCalledTimes(1);
+
+        client.send(JSON.stringify({ type: 'end' }));
+        await expect(firstClient).resolves.toMatchObject({ code: 1000 });
+        // The server counts the session as closed once its own close handshake finishes
+        await new Promise(resolve => setTimeout(resolve, 50));
+        await expect(connect(baseUrl, client => client.once('message', () => client.close()))).resolves.toMatchObject({ code: 1005 });
+        expect(createStreamingSession).toHaveBeenCalledTimes(2);
+    });
+});
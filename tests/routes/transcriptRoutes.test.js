@@ -0,0 +1,117 @@
+// tests/routes/transcriptRoutes.test.js
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/services/transcriptStore', () => ({
+    listTranscripts: jest.fn(),
+    getTranscript: jest.fn(),
+    deleteTranscript: jest.fn()
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { listTranscripts, getTranscript, deleteTranscript } = require('../../src/services/transcriptStore');
+const { errorHandler } = require('../../src/utils/errorHandler');
+const transcriptRoutes = require('../../src/routes/transcriptRoutes');
+
+const app = express();
+app.use('/transcripts', transcriptRoutes);
+app.use(errorHandler);
+
+const transcript = {
+    id: 'abc.wav',
+    source: { type: 'youtube', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' },
+    language: 'en',
+    durationSeconds: 212,
+    createdAt: '2025-03-01T10:00:00.000Z',
+    text: 'never gonna give you up',
+    segments: [{ start: 0, end: 2, text: 'never gonna give you up', confidence: 0.9 }],
+    words: [
+        { word: 'never', start: 0, end: 0.4, confidence: 0.9 },
+        { word: 'gonna', start: 0.4, end: 0.8, confidence: 0.9 },
+        { word: 'give', start: 0.8, end: 1.2, confidence: 0.9 },
+        { word: 'you', start: 1.2, end: 1.5, confidence: 0.9 },
+        { word: 'up', start: 1.5, end: 2, confidence: 0.9 }
+    ]
+};
+
+describe('Transcript Routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('GET /transcripts', () => {
+        test('should list stored transcripts', async () => {
+            const { text, segments, words, ...metadata } = transcript;
+            listTranscripts.mockResolvedValue([metadata]);
+
+            const response = await request(app).get('/transcripts');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ success: true, count: 1, transcripts: [metadata] });
+        });
+    });
+
+    describe('GET /transcripts/:id', () => {
+        test('should return the transcript as JSON', async () => {
+            getTranscript.mockResolvedValue(transcript);
+
+            const response = await request(app).get('/transcripts/abc.wav');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ success: true, ...transcript });
+            expect(getTranscript).toHaveBeenCalledWith('abc.wav');
+        });
+
+        test('should return the transcript as subtitles when a format is requested', async () => {
+            getTranscript.mockResolvedValue(transcript);
+
+            const response = await request(app).get('/transcripts/abc.wav?format=vtt');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toContain('text/vtt');
+            expect(response.headers['content-disposition']).toContain('abc.wav.vtt');
+            expect(response.text).toBe('WEBVTT\n\n00:00:00.000 --> 00:00:02.000\nnever gonna give you up\n');
+        });
+
+        test('should return 400 for an unsupported format', async () => {
+            const response = await request(app).get('/transcripts/abc.wav?format=docx');
+
+            expect(response.status).toBe(400);
+            expect(getTranscript).not.toHaveBeenCalled();
+        });
+
+        test('should return 404 for an unknown transcript', async () => {
+            getTranscript.mockResolvedValue(null);
+
+            const response = await request(app).get('/transcripts/missing.wav');
+
+            expect(response.status).toBe(404);
+            expect(response.body.message).toBe('Transcript not found: missing.wav');
+        });
+    });
+
+    describe('DELETE /transcripts/:id', () => {
+        test('should delete the transcript', async () => {
+            deleteTranscript.mockResolvedValue(true);
+
+            const response = await request(app).delete('/transcripts/abc.wav');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ success: true, id: 'abc.wav' });
+        });
+
+        test('should return 404 for an unknown transcript', async () => {
+            deleteTranscript.mockResolvedValue(false);
+
+            const response = await request(app).delete('/transcripts/missing.wav');
+
+            expect(response.status).toBe(404);
+        });
+    });
+});
@@ -7,7 +7,13 @@ const fs = require('fs');
 
 // Mocking dependencies
 jest.mock('../../src/services/audioProcessor', () => ({
-    processAudio: jest.fn()
+    processAudio: jest.fn(),
+    resolveAudioFilters: jest.fn()
+}));
+
+jest.mock('../../src/services/mediaValidator', () => ({
+    ...jest.requireActual('../../src/services/mediaValidator'),
+    validateMediaFile: jest.fn()
 }));
 
 jest.mock('../../src/services/transcriber', () => ({
@@ -21,14 +27,61 @@ jest.mock('../../src/services/timeEstimator', () => ({
     calculateTimeDifference: jest.fn()
 }));
 
+jest.mock('../../src/services/transcriptExporter', () => ({
+    exportTranscript: jest.fn()
+}));
+
+jest.mock('../../src/services/transcriptStore', () => ({
+    saveTranscript: jest.fn()
+}));
+
+jest.mock('../../src/services/modelRegistry', () => {
+    const { AppError } = jest.requireActual('../../src/utils/errorHandler');
+    const models = [
+        { name: 'vosk-model-en-us-0.22', language: 'en' },
+        { name: 'vosk-model-small-en-us-0.15', language: 'en' },
+        { name: 'vosk-model-es-0.42', language: 'es' }
+    ];
+    const getModel = jest.fn(name => models.find(model => model.name === name) || null);
+    return {
+        getLanguages: jest.fn(() => ['en', 'es']),
+        getModel,
+        resolveModel: jest.fn((language, name) => {
+            const model = getModel(name);
+            if (!model) {
+                throw new AppError(`Unknown model: ${name}`, 400);
+            }
+            if (language && model.language !== language) {
+                throw new AppError(`Model ${name} is for language "${model.language}", not "${language}".`, 400);
+            }
+            return model;
+        })
+    };
+});
+
+jest.mock('../../src/services/languageDetector', () => ({
+    AUTO_LANGUAGE: 'auto',
+    detectLanguage: jest.fn()
+}));
+
 jest.mock('../../src/utils/fileUtils', () => ({
     deleteFile: jest.fn()
 }));
 
+jest.mock('../../src/services/webhookNotifier', () => ({
+    validateCallbackUrl: jest.fn(() => null),
+    notifyOnCompletion: jest.fn((callbackUrl, jobId, outcome) => outcome)
+}));
+
 // Import mocked modules
-const { processAudio } = require('../../src/services/audioProcessor');
+const { processAudio, resolveAudioFilters } = require('../../src/services/audioProcessor');
+const { validateMediaFile } = require('../../src/services/mediaValidator');
 const { transcribeAudio } = require('../../src/services/transcriber');
 const { getAudioDuration, formatTime, calculateEstimatedProcessingTime, calculateTimeDifference } = require('../../src/services/timeEstimator');
+const { exportTranscript } = require('../../src/services/transcriptExporter');
+const { saveTranscript } = require('../../src/services/transcriptStore');
+const { detectLanguage } = require('../../src/services/languageDetector');
+const { validateCallbackUrl, notifyOnCompletion } = require('../../src/services/webhookNotifier');
 const { deleteFile } = require('../../src/utils/fileUtils');
 const { AppError } = require('../../src/utils/errorHandler');
 
@@ -38,14 +91,24 @@ const upload = multer({ dest: 'test/uploads/' });
 
 // Mock config values
 jest.mock('../../src/config', () => ({
-    allowedMimeTypes: ['audio/mpeg', 'audio/mp3', 'audio/wav'],
-    allowedExtensions: ['mp3', 'wav', 'mpeg'],
-    allowedLanguages: ['en', 'es'],
-    defaultLanguage: 'en'
+    allowedMimeTypes: ['audio/mpeg', 'audio/mp3', 'audio/wav', 'video/mp4'],
+    allowedExtensions: ['mp3', 'wav', 'mpeg', 'mp4'],
+    defaultLanguage: 'en',
+    exportFormats: ['json', 'txt', 'srt', 'vtt'],
+    defaultExportFormat: 'json',
+    jobs: { concurrency: 1, retentionMinutes: 60 },
+    transcription: { defaultEngine: 'vosk', engines: ['vosk', 'whisper'] },
+    whisper: { binaryPath: 'whisper-cli', modelPath: '/path/to/models/ggml-base.bin', threads: 4 },
+    concurrency: {
+        limits: { download: 1, conversion: 1, transcription: 1 },
+        maxQueued: 0,
+        defaultTaskSeconds: 30
+    }
 }));
 
 // Import routes after all mocks are set up
 const transcriptionRoutes = require('../../src/routes/transcriptionRoutes');
+const { getJob } = require('../../src/services/jobQueue');
 
 // Configure app with routes
 app.use('/transcribe', upload.single('audio'), transcriptionRoutes);
@@ -88,6 +151,8 @@ describe('Transcription Routes', () => {
         jest.clearAllMocks();
 
         // Set up default mock implementations
+        validateMediaFile.mockResolvedValue({ format: 'mp3', durationSeconds: 60 });
+        resolveAudioFilters.mockReturnValue([]);
         processAudio.mockResolvedValue('processed-file.wav');
         getAudioDuration.mockResolvedValue(60); // 1 minute
         formatTime.mockImplementation((seconds) => {
@@ -105,6 +170,7 @@ describe('Transcription Routes', () => {
             text: 'Sample transcription',
             confidence: 0.95
         });
+        saveTranscript.mockResolvedValue({ id: 'processed-file.wav' });
     });
 
     // Clean up after tests
@@ -131,14 +197,51 @@ describe('Transcription Routes', () => {
                 actualProcessingTime: { hours: 0, minutes: 0, seconds: 0 }, // This will be 0 in test since we're mocking
                 timeDifference: { hours: 0, minutes: 0, seconds: 5 },
                 timeDifferenceText: 'Processing was 5 seconds faster than estimated',
+                audioFilters: [],
                 text: 'Sample transcription',
-                confidence: 0.95
+                confidence: 0.95,
+                transcriptId: 'processed-file.wav'
             });
 
             // Verify service calls
-            expect(processAudio).toHaveBeenCalledWith(expect.any(String));
+            expect(processAudio).toHaveBeenCalledWith(expect.any(String), { audioTrack: undefined, filters: [], range: null });
             expect(getAudioDuration).toHaveBeenCalledWith('processed-file.wav');
-            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'en');
+            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'en', { onProgress: expect.any(Function), diarize: false, translate: false, engine: 'vosk', durationSeconds: 60, offsetSeconds: 0 });
+            expect(saveTranscript).toHaveBeenCalledWith(
+                { text: 'Sample transcription', confidence: 0.95 },
+                { source: { type: 'upload', filename: 'test-audio.mp3' }, language: 'en', durationSeconds: 60, audioFilters: [] }
+            );
+            expect(exportTranscript).not.toHaveBeenCalled();
+        });
+
+        test('should return the exported subtitle file when a format is requested', async () => {
+            const testFile = createTestFile('test-audio.mp3');
+            const exportFile = createTestFile('transcript.srt', '1\n00:00:00,000 --> 00:00:01,000\nSample transcription\n');
+            exportTranscript.mockResolvedValue(exportFile);
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('format', 'srt');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-disposition']).toContain('transcript.srt');
+            expect(response.text).toContain('00:00:00,000 --> 00:00:01,000');
+            expect(exportTranscript).toHaveBeenCalledWith({ text: 'Sample transcription', confidence: 0.95 }, 'srt');
+        });
+
+        test('should return 400 when an unsupported format is provided', async () => {
+            const testFile = createTestFile('test-audio.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('format', 'docx');
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('Invalid format. Supported formats: json, txt, srt, vtt');
+            expect(deleteFile).toHaveBeenCalled();
+            expect(processAudio).not.toHaveBeenCalled();
         });
 
         test('should return 400 when no file is provided', async () => {
@@ -171,6 +274,111 @@ describe('Transcription Routes', () => {
             expect(deleteFile).toHaveBeenCalled();
         });
 
+        test('should refuse files whose content is not audio before converting them', async () => {
+            validateMediaFile.mockRejectedValue(new AppError('Unsupported media type. The file content must be MP3, WAV, M4A, AAC audio or video.', 415));
+            const testFile = createTestFile('renamed-document.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile);
+
+            expect(response.status).toBe(415);
+            expect(response.body.message).toContain('Unsupported media type');
+            expect(validateMediaFile).toHaveBeenCalledWith(expect.objectContaining({ originalname: 'renamed-document.mp3' }), undefined);
+            expect(deleteFile).toHaveBeenCalled();
+            expect(processAudio).not.toHaveBeenCalled();
+        });
+
+        test('should extract the requested audio track from a video and report it', async () => {
+            const tracks = [
+                { index: 0, language: 'eng', title: null, codec: 'aac', channels: 2, default: true },
+                { index: 1, language: 'fre', title: 'Doublage', codec: 'aac', channels: 2, default: false }
+            ];
+            validateMediaFile.mockResolvedValue({ format: 'mp4', durationSeconds: 60, audioTracks: tracks, audioTrack: tracks[1] });
+            const testFile = createTestFile('film.mp4');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile, { contentType: 'video/mp4' })
+                .field('language', 'en')
+                .field('audioTrack', 'fre');
+
+            expect(response.status).toBe(200);
+            expect(response.body.audioTrack).toEqual(tracks[1]);
+            expect(validateMediaFile).toHaveBeenCalledWith(expect.objectContaining({ originalname: 'film.mp4' }), 'fre');
+            expect(processAudio).toHaveBeenCalledWith(expect.any(String), { audioTrack: 1, filters: [], range: null });
+        });
+
+        test('should apply the requested audio filters and report them', async () => {
+            resolveAudioFilters.mockReturnValue(['highpass', 'afftdn', 'loudnorm']);
+            const testFile = createTestFile('test-audio.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('language', 'en')
+                .field('filterPreset', 'phone');
+
+            expect(response.status).toBe(200);
+            expect(response.body.audioFilters).toEqual(['highpass', 'afftdn', 'loudnorm']);
+            expect(resolveAudioFilters).toHaveBeenCalledWith(expect.objectContaining({ filterPreset: 'phone' }));
+            expect(processAudio).toHaveBeenCalledWith(expect.any(String), { audioTrack: undefined, filters: ['highpass', 'afftdn', 'loudnorm'], range: null });
+            expect(saveTranscript).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ audioFilters: ['highpass', 'afftdn', 'loudnorm'] }));
+        });
+
+        test('should return 400 for an unknown audio filter', async () => {
+            resolveAudioFilters.mockImplementation(() => {
+                throw new AppError('Unknown audio filter: reverb. Supported filters: highpass, afftdn, loudnorm, silenceremove', 400);
+            });
+            const testFile = createTestFile('test-audio.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('filters', 'reverb');
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toContain('Unknown audio filter: reverb');
+            expect(deleteFile).toHaveBeenCalled();
+            expect(processAudio).not.toHaveBeenCalled();
+        });
+
+        test('should transcribe only the requested range and keep its timestamps', async () => {
+            const testFile = createTestFile('test-audio.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('language', 'en')
+                .field('start', '0:12')
+                .field('end', '48.5');
+
+            expect(response.status).toBe(200);
+            expect(response.body.range).toEqual({ start: 12, end: 48.5 });
+            expect(processAudio).toHaveBeenCalledWith(expect.any(String), { audioTrack: undefined, filters: [], range: { start: 12, end: 48.5 } });
+            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'en', expect.objectContaining({ offsetSeconds: 12 }));
+        });
+
+        test('should return 400 for a malformed time or a start past the end of the recording', async () => {
+            const malformed = await request(app)
+                .post('/transcribe')
+                .attach('audio', createTestFile('test-audio.mp3'))
+                .field('start', 'soon');
+
+            expect(malformed.status).toBe(400);
+            expect(malformed.body.message).toBe('Invalid start time: soon. Use seconds or h:mm:ss.');
+
+            const pastEnd = await request(app)
+                .post('/transcribe')
+                .attach('audio', createTestFile('test-audio.mp3'))
+                .field('start', '1:30');
+
+            expect(pastEnd.status).toBe(400);
+            expect(pastEnd.body.message).toBe('The start time (90 seconds) is past the end of the recording (60 seconds).');
+            expect(deleteFile).toHaveBeenCalledTimes(2);
+            expect(processAudio).not.toHaveBeenCalled();
+        });
+
         test('should return 400 when an unsupported language is provided', async () => {
             // Create a test audio file
             const testFile = createTestFile('test-audio.mp3');
@@ -195,7 +403,162 @@ describe('Transcription Routes', () => {
 
             expect(response.status).toBe(200);
             expect(response.body.language).toBe('en'); // Default language
-            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'en');
+            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'en', { onProgress: expect.any(Function), diarize: false, translate: false, engine: 'vosk', durationSeconds: 60, offsetSeconds: 0 });
+        });
+
+        test('should detect the language when auto is requested', async () => {
+            detectLanguage.mockResolvedValue({ language: 'es', confidence: 0.8, scores: { en: 0.2, es: 0.8 } });
+            const testFile = createTestFile('test-audio.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('language', 'auto');
+
+            expect(response.status).toBe(200);
+            expect(detectLanguage).toHaveBeenCalledWith('processed-file.wav');
+            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'es', { onProgress: expect.any(Function), diarize: false, translate: false, engine: 'vosk', durationSeconds: 60, offsetSeconds: 0 });
+            expect(saveTranscript).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ language: 'es' }));
+            expect(response.body).toEqual(expect.objectContaining({
+                language: 'es',
+                detectedLanguage: 'es',
+                languageConfidence: 0.8
+            }));
+        });
+
+        test('should not detect the language when one is given', async () => {
+            const testFile = createTestFile('test-audio.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('language', 'es');
+
+            expect(response.status).toBe(200);
+            expect(detectLanguage).not.toHaveBeenCalled();
+            expect(response.body.detectedLanguage).toBeUndefined();
+        });
+
+        test('should transcribe with a specific model and take its language', async () => {
+            const testFile = createTestFile('test-audio.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('model', 'vosk-model-small-en-us-0.15');
+
+            expect(response.status).toBe(200);
+            expect(response.body.language).toBe('en');
+            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'en', {
+                onProgress: expect.any(Function),
+                diarize: false,
+                translate: false,
+                engine: 'vosk',
+                model: 'vosk-model-small-en-us-0.15',
+                durationSeconds: 60,
+                offsetSeconds: 0
+            });
+        });
+
+        test('should return 400 when the model does not match the language', async () => {
+            const testFile = createTestFile('test-audio.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('language', 'es')
+                .field('model', 'vosk-model-small-en-us-0.15');
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('Model vosk-model-small-en-us-0.15 is for language "en", not "es".');
+            expect(deleteFile).toHaveBeenCalled();
+            expect(processAudio).not.toHaveBeenCalled();
+        });
+
+        test('should return 400 when a model is combined with language detection', async () => {
+            const testFile = createTestFile('test-audio.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('language', 'auto')
+                .field('model', 'vosk-model-es-0.42');
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('A model cannot be combined with language=auto.');
+        });
+
+        test('should request speaker labels when diarize is set', async () => {
+            const testFile = createTestFile('test-audio.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('diarize', 'true');
+
+            expect(response.status).toBe(200);
+            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'en', { onProgress: expect.any(Function), diarize: true, translate: false, engine: 'vosk', durationSeconds: 60, offsetSeconds: 0 });
+        });
+
+        test('should let an engine that detects languages handle auto and translation itself', async () => {
+            transcribeAudio.mockResolvedValue({ text: 'Good morning', language: 'de' });
+            const testFile = createTestFile('test-audio.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('engine', 'whisper')
+                .field('language', 'auto')
+                .field('translate', 'true');
+
+            expect(response.status).toBe(200);
+            expect(detectLanguage).not.toHaveBeenCalled();
+            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'auto', {
+                onProgress: expect.any(Function),
+                diarize: false,
+                translate: true,
+                engine: 'whisper',
+                durationSeconds: 60,
+                offsetSeconds: 0
+            });
+            expect(saveTranscript).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ language: 'de' }));
+            expect(response.body.language).toBe('de');
+        });
+
+        test('should return 400 for unknown engines', async () => {
+            const testFile = createTestFile('test-audio.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('engine', 'deepspeech');
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('Unknown engine: deepspeech. Supported engines: vosk, whisper');
+            expect(deleteFile).toHaveBeenCalled();
+        });
+
+        test('should return 400 when the engine lacks a requested feature', async () => {
+            const diarizeResponse = await request(app)
+                .post('/transcribe')
+                .attach('audio', createTestFile('test-audio.mp3'))
+                .field('engine', 'whisper')
+                .field('diarize', 'true');
+            const translateResponse = await request(app)
+                .post('/transcribe')
+                .attach('audio', createTestFile('test-audio.mp3'))
+                .field('translate', 'true');
+            const modelResponse = await request(app)
+                .post('/transcribe')
+                .attach('audio', createTestFile('test-audio.mp3'))
+                .field('engine', 'whisper')
+                .field('model', 'vosk-model-es-0.42');
+
+            expect(diarizeResponse.status).toBe(400);
+            expect(diarizeResponse.body.message).toBe('The whisper engine does not support speaker diarization.');
+            expect(translateResponse.body.message).toBe('The vosk engine does not support translation.');
+            expect(modelResponse.body.message).toBe('The whisper engine does not support model selection.');
+            expect(processAudio).not.toHaveBeenCalled();
         });
 
         test('should handle an internal error from processAudio', async () => {
@@ -237,5 +600,137 @@ describe('Transcription Routes', () => {
                 stack: undefined
             });
         });
+
+        test('should return 429 while every conversion slot is busy', async () => {
+            let finishConversion = null;
+            processAudio.mockImplementationOnce(() => new Promise((resolve) => {
+                finishConversion = () => resolve('processed-file.wav');
+            }));
+
+            // Hold the only conversion slot with a first request
+            const firstResponse = request(app)
+                .post('/transcribe')
+                .attach('audio', createTestFile('first-audio.mp3'))
+                .then(response => response);
+            while (!finishConversion) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', createTestFile('second-audio.mp3'));
+
+            finishConversion();
+            expect((await firstResponse).status).toBe(200);
+
+            expect(response.status).toBe(429);
+            expect(response.body.message).toMatch(/^Server is busy with other conversion tasks\. Retry in \d+ seconds\.$/);
+            expect(processAudio).toHaveBeenCalledTimes(1);
+        });
+
+        test('should queue a background job when async is requested', async () => {
+            calculateEstimatedProcessingTime.mockReturnValue({ hours: 0, minutes: 2, seconds: 0, totalSeconds: 120 });
+            const testFile = createTestFile('test-audio.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('language', 'es')
+                .field('async', 'true');
+
+            expect(response.status).toBe(202);
+            expect(response.body).toEqual({
+                success: true,
+                jobId: expect.any(String),
+                status: 'queued',
+                statusUrl: `/jobs/${response.body.jobId}`
+            });
+
+            // Let the background job run to completion
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            const job = getJob(response.body.jobId);
+            expect(job.status).toBe('done');
+            expect(job.metadata).toEqual({ filename: 'test-audio.mp3', language: 'es', format: 'json', diarize: false, translate: false, engine: 'vosk', audioFilters: [] });
+            expect(job.result).toEqual(expect.objectContaining({
+                success: true,
+                language: 'es',
+                text: 'Sample transcription'
+            }));
+            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'es', { onProgress: expect.any(Function), diarize: false, translate: false, engine: 'vosk', durationSeconds: 60, offsetSeconds: 0 });
+        });
+
+        test('should record a failed background job', async () => {
+            calculateEstimatedProcessingTime.mockReturnValue({ hours: 0, minutes: 2, seconds: 0, totalSeconds: 120 });
+            const testFile = createTestFile('test-audio.mp3');
+            transcribeAudio.mockRejectedValue(new Error('Transcription service unavailable'));
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('async', 'true');
+
+            expect(response.status).toBe(202);
+
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            const job = getJob(response.body.jobId);
+            expect(job.status).toBe('failed');
+            expect(job.error).toEqual({ message: 'Transcription service unavailable', statusCode: 500 });
+        });
+
+        test('should record the URL of downloaded remote media', async () => {
+            calculateEstimatedProcessingTime.mockReturnValue({ hours: 0, minutes: 2, seconds: 0, totalSeconds: 120 });
+            const req = {
+                file: { path: 'uploads/123-remote', originalname: 'episode.mp3', url: 'https://podcasts.example.com/episode.mp3' },
+                body: { language: 'en', async: 'true' }
+            };
+            const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+            await transcriptionRoutes.transcribeUpload(req, res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(202);
+            const job = getJob(res.json.mock.calls[0][0].jobId);
+            expect(job.type).toBe('url');
+            expect(job.metadata).toMatchObject({ filename: 'episode.mp3', url: 'https://podcasts.example.com/episode.mp3' });
+
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            expect(saveTranscript).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({
+                source: { type: 'url', url: 'https://podcasts.example.com/episode.mp3', filename: 'episode.mp3' }
+            }));
+        });
+
+        test('should run requests with a callbackUrl as jobs that report back', async () => {
+            calculateEstimatedProcessingTime.mockReturnValue({ hours: 0, minutes: 2, seconds: 0, totalSeconds: 120 });
+            const testFile = createTestFile('test-audio.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('callbackUrl', 'https://hooks.example.com/transcribed');
+
+            expect(response.status).toBe(202);
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            expect(getJob(response.body.jobId).status).toBe('done');
+            expect(validateCallbackUrl).toHaveBeenCalledWith('https://hooks.example.com/transcribed');
+            expect(notifyOnCompletion).toHaveBeenCalledWith('https://hooks.example.com/transcribed', response.body.jobId, expect.any(Promise));
+        });
+
+        test('should refuse an invalid callbackUrl before transcribing', async () => {
+            validateCallbackUrl.mockReturnValueOnce(new AppError('callbackUrl must be an http or https URL.', 400));
+            const testFile = createTestFile('test-audio.mp3');
+
+            const response = await request(app)
+                .post('/transcribe')
+                .attach('audio', testFile)
+                .field('callbackUrl', 'ftp://hooks.example.com');
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('callbackUrl must be an http or https URL.');
+            expect(deleteFile).toHaveBeenCalled();
+            expect(processAudio).not.toHaveBeenCalled();
+        });
     });
-});
\ No newline at end of file
+});
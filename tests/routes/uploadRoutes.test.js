@@ -0,0 +1,129 @@
+// tests/routes/uploadRoutes.test.js
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockUploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-routes-'));
+
+jest.mock('../../src/config', () => ({
+    allowedMimeTypes: ['audio/mpeg', 'audio/wav'],
+    allowedExtensions: ['mp3', 'wav'],
+    exportFormats: ['json', 'txt', 'srt', 'vtt'],
+    resumableUploads: { dir: mockUploadDir, expiryHours: 1 },
+    uploadLimits: { maxBytes: 1000, maxDurationSeconds: 3600 },
+    webhooks: { secret: 'test-secret' }
+}));
+jest.mock('../../src/routes/transcriptionRoutes', () => ({
+    validateRequest: jest.fn((req, res, next) => next()),
+    transcribeUpload: jest.fn((req, res) => res.json({ success: true, file: req.file, language: req.body.language }))
+}));
+jest.mock('../../src/services/requestValidator', () => ({
+    validateTranscriptionRequest: jest.fn(body => (body.format === 'pdf' ? { statusCode: 400, message: 'Invalid format.' } : null))
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { transcribeUpload } = require('../../src/routes/transcriptionRoutes');
+const uploadRoutes = require('../../src/routes/uploadRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/uploads', uploadRoutes);
+app.use((err, req, res, next) => {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+});
+
+// Sends one byte range of an upload
+const sendChunk = (uploadId, start, data, total) => request(app)
+    .patch(`/uploads/${uploadId}`)
+    .set('Content-Type', 'application/octet-stream')
+    .set('Content-Range', `bytes ${start}-${start + data.length - 1}/${total}`)
+    .send(Buffer.from(data));
+
+describe('Upload Routes', () => {
+    afterAll(() => {
+        fs.rmSync(mockUploadDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should upload in chunks, report progress and transcribe once complete', async () => {
+        const init = await request(app).post('/uploads').send({ filename: 'lecture.mp3', size: 8, mimetype: 'audio/mpeg' });
+
+        expect(init.status).toBe(201);
+        expect(init.body).toMatchObject({ success: true, size: 8, receivedBytes: 0, uploadUrl: `/uploads/${init.body.uploadId}` });
+        const { uploadId } = init.body;
+
+        const first = await sendChunk(uploadId, 0, 'abcd', 8);
+        expect(first.status).toBe(200);
+        expect(first.body).toMatchObject({ receivedBytes: 4, missing: [{ start: 4, end: 8 }], complete: false });
+
+        const early = await request(app).post(`/uploads/${uploadId}/complete`).send({ language: 'en' });
+        expect(early.status).toBe(409);
+        expect(transcribeUpload).not.toHaveBeenCalled();
+
+        await sendChunk(uploadId, 4, 'efgh', 8);
+        const status = await request(app).get(`/uploads/${uploadId}`);
+        expect(status.body).toMatchObject({ receivedBytes: 8, complete: true });
+
+        const complete = await request(app).post(`/uploads/${uploadId}/complete`).send({ language: 'en' });
+
+        expect(complete.status).toBe(200);
+        expect(complete.body).toEqual({
+            success: true,
+            language: 'en',
+            file: { path: path.join(mockUploadDir, `${uploadId}-lecture.mp3`), originalname: 'lecture.mp3', mimetype: 'audio/mpeg', size: 8 }
+        });
+        expect(fs.readFileSync(complete.body.file.path, 'utf8')).toBe('abcdefgh');
+    });
+
+    test('should reject files that are not audio before any bytes are sent', async () => {
+        const response = await request(app).post('/uploads').send({ filename: 'notes.pdf', size: 8, mimetype: 'application/pdf' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toContain('Invalid file type: application/pdf');
+    });
+
+    test('should reject chunks without a usable Content-Range', async () => {
+        const { body: { uploadId } } = await request(app).post('/uploads').send({ filename: 'talk.wav', size: 8 });
+
+        const missing = await request(app).patch(`/uploads/${uploadId}`).set('Content-Type', 'application/octet-stream').send(Buffer.from('abcd'));
+        const wrongTotal = await sendChunk(uploadId, 0, 'abcd', 9);
+
+        expect(missing.status).toBe(400);
+        expect(missing.body.message).toContain('Content-Range');
+        expect(wrongTotal.status).toBe(400);
+        expect(wrongTotal.body.message).toBe('Content-Range total 9 does not match the upload size 8.');
+    });
+
+    test('should keep the upload when the transcription options are invalid', async () => {
+        const { body: { uploadId } } = await request(app).post('/uploads').send({ filename: 'talk.wav', size: 4 });
+        await sendChunk(uploadId, 0, 'abcd', 4);
+
+        const response = await request(app).post(`/uploads/${uploadId}/complete`).send({ format: 'pdf' });
+        expect(response.status).toBe(400);
+
+        const callback = await request(app).post(`/uploads/${uploadId}/complete`).send({ callbackUrl: 'http://169.254.169.254/latest' });
+        expect(callback.status).toBe(403);
+
+        expect((await request(app).get(`/uploads/${uploadId}`)).body.complete).toBe(true);
+        expect(transcribeUpload).not.toHaveBeenCalled();
+    });
+
+    test('should cancel uploads', async () => {
+        const { body: { uploadId } } = await request(app).post('/uploads').send({ filename: 'talk.wav', size: 4 });
+
+        const response = await request(app).delete(`/uploads/${uploadId}`);
+
+        expect(response.body).toEqual({ success: true, message: 'Upload cancelled.' });
+        expect((await request(app).get(`/uploads/${uploadId}`)).status).toBe(404);
+    });
+});
@@ -0,0 +1,133 @@
+// tests/routes/urlTranscriptionRoutes.test.js
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/services/mediaDownloader', () => ({
+    downloadRemoteMedia: jest.fn()
+}));
+jest.mock('../../src/services/concurrencyLimiter', () => ({
+    limiters: { download: { run: jest.fn(task => task()) } }
+}));
+jest.mock('../../src/routes/transcriptionRoutes', () => ({
+    validateRequest: jest.fn((req, res, next) => next()),
+    transcribeUpload: jest.fn((req, res) => res.json({ success: true, file: req.file, language: req.body.language })),
+    readTranscriptionParams: jest.fn(body => ({ language: body.language || 'en', format: 'json' })),
+    toJobMetadata: jest.fn(params => ({ language: params.language, format: params.format }))
+}));
+jest.mock('../../src/services/transcriptionPipeline', () => ({
+    runUrlTranscription: jest.fn()
+}));
+jest.mock('../../src/services/requestValidator', () => ({
+    validateTranscriptionRequest: jest.fn(body => (body.format === 'pdf' ? { statusCode: 400, message: 'Invalid format.' } : null))
+}));
+
+const { downloadRemoteMedia } = require('../../src/services/mediaDownloader');
+const { limiters } = require('../../src/services/concurrencyLimiter');
+const { validateRequest, transcribeUpload } = require('../../src/routes/transcriptionRoutes');
+const { runUrlTranscription } = require('../../src/services/transcriptionPipeline');
+const { getJob } = require('../../src/services/jobQueue');
+const { AppError } = require('../../src/utils/errorHandler');
+const urlRoutes = require('../../src/routes/urlTranscriptionRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/transcribe/url', urlRoutes);
+app.use((err, req, res, next) => {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+});
+
+const downloadedFile = {
+    path: 'uploads/123-remote',
+    originalname: 'episode-42.mp3',
+    mimetype: 'audio/mpeg',
+    size: 2048,
+    url: 'https://podcasts.example.com/episode-42.mp3'
+};
+
+describe('URL Transcription Routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should download the media and transcribe it like an upload', async () => {
+        downloadRemoteMedia.mockResolvedValue(downloadedFile);
+
+        const res = await request(app)
+            .post('/transcribe/url')
+            .send({ url: 'https://podcasts.example.com/episode-42.mp3', language: 'en' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ success: true, file: downloadedFile, language: 'en' });
+        expect(downloadRemoteMedia).toHaveBeenCalledWith('https://podcasts.example.com/episode-42.mp3');
+        expect(limiters.download.run).toHaveBeenCalled();
+        expect(validateRequest).toHaveBeenCalled();
+    });
+
+    test('should require a URL', async () => {
+        const res = await request(app).post('/transcribe/url').send({ language: 'en' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Media URL is required.');
+        expect(downloadRemoteMedia).not.toHaveBeenCalled();
+    });
+
+    test('should check the options before downloading', async () => {
+        const res = await request(app)
+            .post('/transcribe/url')
+            .send({ url: 'https://podcasts.example.com/episode-42.mp3', format: 'pdf' });
+
+        expect(res.status).toBe(400);
+        expect(downloadRemoteMedia).not.toHaveBeenCalled();
+    });
+
+    test('should pass download errors on', async () => {
+        downloadRemoteMedia.mockRejectedValue(new AppError('localhost resolves to a private or local address.', 403));
+
+        const res = await request(app)
+            .post('/transcribe/url')
+            .send({ url: 'http://localhost:8080/admin' });
+
+        expect(res.status).toBe(403);
+        expect(res.body.message).toBe('localhost resolves to a private or local address.');
+        expect(transcribeUpload).not.toHaveBeenCalled();
+    });
+
+    test('should answer async requests with a job before the download finishes', async () => {
+        let finishDownload;
+        downloadRemoteMedia.mockReturnValue(new Promise((resolve) => {
+            finishDownload = () => resolve(downloadedFile);
+        }));
+        // Stands in for the pipeline, which downloads inside the job
+        runUrlTranscription.mockImplementation(async ({ url }) => {
+            const file = await downloadRemoteMedia(url);
+            return { success: true, filename: file.originalname };
+        });
+
+        const res = await request(app)
+            .post('/transcribe/url')
+            .send({ url: 'https://podcasts.example.com/episode-42.mp3', language: 'en', async: true, audioTrack: 1 });
+
+        expect(res.status).toBe(202);
+        expect(res.body).toEqual({ success: true, jobId: expect.any(String), status: 'queued', statusUrl: `/jobs/${res.body.jobId}` });
+        expect(limiters.download.run).not.toHaveBeenCalled();
+        expect(transcribeUpload).not.toHaveBeenCalled();
+        expect(getJob(res.body.jobId).metadata).toEqual({ language: 'en', format: 'json', url: 'https://podcasts.example.com/episode-42.mp3', audioTrack: 1 });
+
+        // The job is waiting for the download
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(runUrlTranscription).toHaveBeenCalledWith({
+            language: 'en',
+            format: 'json',
+            url: 'https://podcasts.example.com/episode-42.mp3',
+            audioTrack: 1,
+            waitForCapacity: true
+        }, expect.any(Object));
+        expect(getJob(res.body.jobId).status).not.toBe('done');
+
+        finishDownload();
+        for (let attempt = 0; attempt < 100 && getJob(res.body.jobId).status !== 'done'; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        expect(getJob(res.body.jobId).result).toEqual({ success: true, filename: 'episode-42.mp3' });
+    });
+});
@@ -20,11 +20,17 @@ jest.mock('child_process', () => {
 });
 
 jest.mock('../../src/services/audioProcessor', () => ({
-    processAudio: jest.fn()
+    processAudio: jest.fn(),
+    resolveAudioFilters: jest.fn()
 }));
 
 jest.mock('../../src/services/transcriber', () => ({
-    transcribeAudio: jest.fn()
+    transcribeAudio: jest.fn(),
+    writeTranscriptFile: jest.fn()
+}));
+
+jest.mock('../../src/services/youtubeCaptions', () => ({
+    fetchCaptions: jest.fn()
 }));
 
 jest.mock('../../src/services/timeEstimator', () => ({
@@ -34,6 +40,54 @@ jest.mock('../../src/services/timeEstimator', () => ({
     calculateTimeDifference: jest.fn()
 }));
 
+jest.mock('../../src/services/transcriptExporter', () => ({
+    exportTranscript: jest.fn()
+}));
+
+jest.mock('../../src/services/transcriptStore', () => ({
+    saveTranscript: jest.fn(),
+    listTranscripts: jest.fn()
+}));
+
+jest.mock('../../src/services/youtubePlaylist', () => ({
+    ...jest.requireActual('../../src/services/youtubePlaylist'),
+    listPlaylistEntries: jest.fn()
+}));
+
+jest.mock('../../src/services/modelRegistry', () => {
+    const { AppError } = jest.requireActual('../../src/utils/errorHandler');
+    const models = [
+        { name: 'vosk-model-en-us-0.22', language: 'en' },
+        { name: 'vosk-model-small-en-us-0.15', language: 'en' },
+        { name: 'vosk-model-es-0.42', language: 'es' }
+    ];
+    const getModel = jest.fn(name => models.find(model => model.name === name) || null);
+    return {
+        getLanguages: jest.fn(() => ['en', 'es']),
+        getModel,
+        resolveModel: jest.fn((language, name) => {
+            const model = getModel(name);
+            if (!model) {
+                throw new AppError(`Unknown model: ${name}`, 400);
+            }
+            if (language && model.language !== language) {
+                throw new AppError(`Model ${name} is for language "${model.language}", not "${language}".`, 400);
+            }
+            return model;
+        })
+    };
+});
+
+jest.mock('../../src/services/languageDetector', () => ({
+    AUTO_LANGUAGE: 'auto',
+    detectLanguage: jest.fn()
+}));
+
+jest.mock('../../src/services/webhookNotifier', () => ({
+    validateCallbackUrl: jest.fn(() => null),
+    notifyOnCompletion: jest.fn((callbackUrl, jobId, outcome) => outcome)
+}));
+
 jest.mock('../../src/utils/fileUtils', () => ({
     deleteFile: jest.fn()
 }));
@@ -44,16 +98,34 @@ jest.mock('fs', () => ({
 }));
 
 jest.mock('../../src/config', () => ({
-    defaultLanguage: 'en'
+    defaultLanguage: 'en',
+    exportFormats: ['json', 'txt', 'srt', 'vtt'],
+    defaultExportFormat: 'json',
+    jobs: { concurrency: 1, retentionMinutes: 60 },
+    youtubeBatch: { maxItems: 100 },
+    transcription: { defaultEngine: 'vosk', engines: ['vosk', 'whisper'] },
+    whisper: { binaryPath: 'whisper-cli', modelPath: '/path/to/models/ggml-base.bin', threads: 4 },
+    concurrency: {
+        limits: { download: 1, conversion: 1, transcription: 1 },
+        maxQueued: 0,
+        defaultTaskSeconds: 30
+    }
 }));
 
 // Import dependencies after mocking
 const { spawn } = require('child_process');
-const { processAudio } = require('../../src/services/audioProcessor');
-const { transcribeAudio } = require('../../src/services/transcriber');
+const { processAudio, resolveAudioFilters } = require('../../src/services/audioProcessor');
+const { transcribeAudio, writeTranscriptFile } = require('../../src/services/transcriber');
+const { fetchCaptions } = require('../../src/services/youtubeCaptions');
 const { getVideoDuration, formatTime, calculateEstimatedProcessingTime, calculateTimeDifference } = require('../../src/services/timeEstimator');
+const { exportTranscript } = require('../../src/services/transcriptExporter');
+const { saveTranscript, listTranscripts } = require('../../src/services/transcriptStore');
+const { listPlaylistEntries } = require('../../src/services/youtubePlaylist');
+const { detectLanguage } = require('../../src/services/languageDetector');
 const { deleteFile } = require('../../src/utils/fileUtils');
 const { AppError } = require('../../src/utils/errorHandler');
+const { getJob } = require('../../src/services/jobQueue');
+const { validateCallbackUrl, notifyOnCompletion } = require('../../src/services/webhookNotifier');
 
 // Create a mock request/response helper
 const mockRequest = (body = {}) => {
@@ -64,6 +136,7 @@ const mockResponse = () => {
     const res = {};
     res.status = jest.fn().mockReturnValue(res);
     res.json = jest.fn().mockReturnValue(res);
+    res.download = jest.fn().mockReturnValue(res);
     return res;
 };
 
@@ -102,6 +175,7 @@ const mockSpawnImplementation = (exitCode = 0, emitStdout = false, emitStderr =
 const youtubeRoutes = require('../../src/routes/youtubeTranscriptionRoutes');
 // Extract the POST route handler
 const postHandler = youtubeRoutes.stack[0].route.stack[0].handle;
+const playlistHandler = youtubeRoutes.stack[1].route.stack[0].handle;
 
 describe('YouTube Transcription Routes', () => {
     // Setup before each test
@@ -111,6 +185,7 @@ describe('YouTube Transcription Routes', () => {
         // Default mock implementations
         spawn.mockImplementation(() => mockSpawnImplementation(0));
 
+        resolveAudioFilters.mockReturnValue([]);
         processAudio.mockResolvedValue('processed-file.wav');
 
         getVideoDuration.mockResolvedValue(120); // 2 minutes
@@ -134,6 +209,8 @@ describe('YouTube Transcription Routes', () => {
             confidence: 0.92
         });
 
+        saveTranscript.mockResolvedValue({ id: 'processed-file.wav' });
+
         fs.existsSync.mockReturnValue(true);
     });
 
@@ -178,15 +255,104 @@ describe('YouTube Transcription Routes', () => {
                 actualProcessingTime: expect.any(Object),
                 timeDifference: { hours: 0, minutes: 1, seconds: 30 },
                 timeDifferenceText: 'Processing was 1 minute and 30 seconds faster than estimated',
+                transcriptSource: 'speech-recognition',
+                audioFilters: [],
                 text: 'Sample YouTube transcription',
-                confidence: 0.92
+                confidence: 0.92,
+                transcriptId: 'processed-file.wav'
             });
 
             // Verify service calls
             expect(getVideoDuration).toHaveBeenCalledWith('https://www.youtube.com/watch?v=dQw4w9WgXcQ');
             expect(spawn).toHaveBeenCalledWith('yt-dlp', expect.arrayContaining(['-f', 'bestaudio', expect.any(String)]));
-            expect(processAudio).toHaveBeenCalled();
-            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'en');
+            expect(processAudio).toHaveBeenCalledWith(expect.any(String), { filters: [] });
+            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'en', { onProgress: expect.any(Function), diarize: false, translate: false, engine: 'vosk', durationSeconds: 120, offsetSeconds: 0 });
+            expect(saveTranscript).toHaveBeenCalledWith(
+                { text: 'Sample YouTube transcription', confidence: 0.92 },
+                { source: { type: 'youtube', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' }, language: 'en', durationSeconds: 120, audioFilters: [] }
+            );
+        });
+
+        test('should download and transcribe only the requested section', async () => {
+            const req = mockRequest({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', start: '0:30', end: 90 });
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await postHandler(req, res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(spawn).toHaveBeenCalledWith('yt-dlp', expect.arrayContaining(['--download-sections', '*30-90']));
+            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'en', expect.objectContaining({ durationSeconds: 60, offsetSeconds: 30 }));
+            expect(saveTranscript).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({
+                source: { type: 'youtube', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', range: { start: 30, end: 90 } }
+            }));
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ range: { start: 30, end: 90 } }));
+        });
+
+        test('should return 400 when the end time is not after the start time', async () => {
+            const req = mockRequest({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', start: '1:00', end: '0:45' });
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await postHandler(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400, message: 'The end time must be after the start time.' }));
+            expect(spawn).not.toHaveBeenCalled();
+        });
+
+        test('should use the uploaded captions instead of transcribing when asked to', async () => {
+            fetchCaptions.mockResolvedValue({
+                text: 'Never gonna give you up Never gonna let you down',
+                segments: [
+                    { start: 18.5, end: 21, text: 'Never gonna give you up' },
+                    { start: 21, end: 23.2, text: 'Never gonna let you down' }
+                ],
+                words: [],
+                language: 'en'
+            });
+            writeTranscriptFile.mockResolvedValue('/transcriptions/123-youtube-captions.txt');
+            saveTranscript.mockResolvedValue({ id: '123-youtube-captions' });
+            const req = mockRequest({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', useCaptions: 'true', start: 20 });
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await postHandler(req, res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(fetchCaptions).toHaveBeenCalledWith('https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'en');
+            expect(writeTranscriptFile).toHaveBeenCalledWith(expect.stringMatching(/-youtube-captions$/), 'Never gonna let you down');
+            expect(spawn).not.toHaveBeenCalled();
+            expect(processAudio).not.toHaveBeenCalled();
+            expect(transcribeAudio).not.toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                transcriptSource: 'youtube-captions',
+                language: 'en',
+                text: 'Never gonna let you down',
+                segments: [{ start: 21, end: 23.2, text: 'Never gonna let you down' }],
+                transcriptId: '123-youtube-captions'
+            }));
+        });
+
+        test('should transcribe the audio when the video has no captions', async () => {
+            fetchCaptions.mockResolvedValue(null);
+            const req = mockRequest({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', useCaptions: true, language: 'es', translate: true, engine: 'whisper' });
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await postHandler(req, res, next);
+
+            expect(fetchCaptions).toHaveBeenCalledWith('https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'en');
+            expect(transcribeAudio).toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ transcriptSource: 'speech-recognition', text: 'Sample YouTube transcription' }));
+        });
+
+        test('should not look for captions when speaker labels are requested', async () => {
+            const req = mockRequest({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', useCaptions: true, diarize: true });
+
+            await postHandler(req, mockResponse(), jest.fn());
+
+            expect(fetchCaptions).not.toHaveBeenCalled();
+            expect(transcribeAudio).toHaveBeenCalled();
         });
 
         test('should return 400 when URL is missing', async () => {
@@ -282,6 +448,37 @@ describe('YouTube Transcription Routes', () => {
             expect(formatTime).toHaveBeenCalledWith(600);
         });
 
+        test('should send the exported file when a subtitle format is requested', async () => {
+            exportTranscript.mockResolvedValue('transcriptions/processed-file.wav.vtt');
+
+            const req = mockRequest({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', format: 'vtt' });
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await postHandler(req, res, next);
+
+            expect(exportTranscript).toHaveBeenCalledWith({
+                text: 'Sample YouTube transcription',
+                confidence: 0.92
+            }, 'vtt');
+            expect(res.download).toHaveBeenCalledWith('transcriptions/processed-file.wav.vtt');
+            expect(res.json).not.toHaveBeenCalled();
+        });
+
+        test('should return 400 when an unsupported format is requested', async () => {
+            const req = mockRequest({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', format: 'docx' });
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await postHandler(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(expect.objectContaining({
+                message: 'Invalid format. Supported formats: json, txt, srt, vtt',
+                statusCode: 400
+            }));
+            expect(getVideoDuration).not.toHaveBeenCalled();
+        });
+
         test('should use specified language for transcription', async () => {
             // Set a longer timeout for this test
             jest.setTimeout(10000);
@@ -297,11 +494,108 @@ describe('YouTube Transcription Routes', () => {
             await postHandler(req, res, next);
 
             // Verify transcribeAudio was called with the specified language
-            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'es');
+            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'es', { onProgress: expect.any(Function), diarize: false, translate: false, engine: 'vosk', durationSeconds: 120, offsetSeconds: 0 });
             expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
                 language: 'es'
             }));
         });
+
+        test('should detect the language when auto is requested', async () => {
+            detectLanguage.mockResolvedValue({ language: 'es', confidence: 0.8, scores: { en: 0.2, es: 0.8 } });
+            const req = mockRequest({
+                url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+                language: 'auto'
+            });
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await postHandler(req, res, next);
+
+            expect(detectLanguage).toHaveBeenCalledWith('processed-file.wav');
+            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'es', { onProgress: expect.any(Function), diarize: false, translate: false, engine: 'vosk', durationSeconds: 120, offsetSeconds: 0 });
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                language: 'es',
+                detectedLanguage: 'es',
+                languageConfidence: 0.8
+            }));
+        });
+
+        test('should attach the converted audio for cleanup when language detection fails', async () => {
+            detectLanguage.mockRejectedValue(new Error('No model could recognize the sample.'));
+            const next = jest.fn();
+
+            await postHandler(mockRequest({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', language: 'auto' }), mockResponse(), next);
+
+            expect(next).toHaveBeenCalledWith(expect.objectContaining({
+                message: 'No model could recognize the sample.',
+                cleanup: 'processed-file.wav'
+            }));
+            expect(transcribeAudio).not.toHaveBeenCalled();
+        });
+
+        test('should reject unknown models before downloading', async () => {
+            const req = mockRequest({
+                url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+                model: 'vosk-model-fr-0.22'
+            });
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await postHandler(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(expect.objectContaining({
+                message: 'Unknown model: vosk-model-fr-0.22',
+                statusCode: 400
+            }));
+            expect(getVideoDuration).not.toHaveBeenCalled();
+        });
+
+        test('should reject languages without an installed model', async () => {
+            const req = mockRequest({
+                url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+                language: 'fr'
+            });
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await postHandler(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(expect.objectContaining({
+                message: 'Invalid language. Supported languages: en, es, auto',
+                statusCode: 400
+            }));
+        });
+
+        test('should reject features the selected engine does not support before downloading', async () => {
+            const req = mockRequest({
+                url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+                engine: 'whisper',
+                diarize: 'true'
+            });
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await postHandler(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(expect.objectContaining({
+                message: 'The whisper engine does not support speaker diarization.',
+                statusCode: 400
+            }));
+            expect(getVideoDuration).not.toHaveBeenCalled();
+        });
+
+        test('should request speaker labels when diarize is set', async () => {
+            const req = mockRequest({
+                url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+                diarize: 'true'
+            });
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await postHandler(req, res, next);
+
+            expect(transcribeAudio).toHaveBeenCalledWith('processed-file.wav', 'en', { onProgress: expect.any(Function), diarize: true, translate: false, engine: 'vosk', durationSeconds: 120, offsetSeconds: 0 });
+        });
     });
 
     test('should handle stdout and stderr events from yt-dlp', async () => {
@@ -322,6 +616,24 @@ describe('YouTube Transcription Routes', () => {
         expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('yt-dlp error:'));
     });
 
+    test('should report yt-dlp download progress', async () => {
+        const downloadAudioWithYtDlp = youtubeRoutes.downloadAudioWithYtDlp;
+        const processEmitter = new EventEmitter();
+        processEmitter.stdout = new EventEmitter();
+        processEmitter.stderr = new EventEmitter();
+        spawn.mockReturnValue(processEmitter);
+        const onProgress = jest.fn();
+
+        const download = downloadAudioWithYtDlp('https://www.youtube.com/watch?v=test', 'test-output.mp3', onProgress);
+        processEmitter.stdout.emit('data', Buffer.from('[download]  12.5% of 3.00MiB at 1.00MiB/s ETA 00:02\n[download]  40.0% of 3.00MiB\n'));
+        processEmitter.stdout.emit('data', Buffer.from('[download] 100% of 3.00MiB in 00:03\n'));
+        processEmitter.emit('close', 0);
+        await download;
+
+        expect(onProgress.mock.calls).toEqual([[40], [100]]);
+        expect(spawn).toHaveBeenCalledWith('yt-dlp', expect.arrayContaining(['--newline']));
+    });
+
     test('should pass error to next() without deleting file if temp file does not exist', async () => {
         const req = mockRequest({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' });
         const res = mockResponse();
@@ -346,4 +658,107 @@ describe('YouTube Transcription Routes', () => {
         expect(res.json).not.toHaveBeenCalled();
     });
 
-});
\ No newline at end of file
+    test('should queue a background job when async is requested', async () => {
+        calculateEstimatedProcessingTime.mockReturnValue({ hours: 0, minutes: 4, seconds: 0, totalSeconds: 240 });
+        const req = mockRequest({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', async: true });
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await postHandler(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(202);
+        const { jobId } = res.json.mock.calls[0][0];
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            jobId,
+            status: 'queued',
+            statusUrl: `/jobs/${jobId}`
+        });
+
+        // Allow the download, conversion and transcription mocks to settle
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const job = getJob(jobId);
+        expect(job.status).toBe('done');
+        expect(job.metadata).toEqual({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', language: 'en', format: 'json', diarize: false, translate: false, engine: 'vosk', audioFilters: [] });
+        expect(job.result.text).toBe('Sample YouTube transcription');
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should run requests with a callbackUrl as jobs that report back', async () => {
+        calculateEstimatedProcessingTime.mockReturnValue({ hours: 0, minutes: 4, seconds: 0, totalSeconds: 240 });
+        const req = mockRequest({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', callbackUrl: 'https://hooks.example.com/transcribed' });
+        const res = mockResponse();
+
+        await postHandler(req, res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(202);
+        const { jobId } = res.json.mock.calls[0][0];
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(getJob(jobId).status).toBe('done');
+        expect(notifyOnCompletion).toHaveBeenCalledWith('https://hooks.example.com/transcribed', jobId, expect.any(Promise));
+    });
+
+    test('should refuse an invalid callbackUrl before downloading', async () => {
+        validateCallbackUrl.mockReturnValueOnce(new AppError('Callbacks are not enabled on this server.', 400));
+        const next = jest.fn();
+
+        await postHandler(mockRequest({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', callbackUrl: 'https://hooks.example.com' }), mockResponse(), next);
+
+        expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Callbacks are not enabled on this server.', statusCode: 400 }));
+        expect(spawn).not.toHaveBeenCalled();
+    });
+
+    describe('POST /transcribe/youtube/playlist', () => {
+        const entry = (videoId) => ({ videoId, url: `https://www.youtube.com/watch?v=${videoId}`, title: `Video ${videoId}`, durationSeconds: 120 });
+
+        test('should transcribe every new video, skip earlier ones and report failures', async () => {
+            listPlaylistEntries.mockResolvedValue([entry('aaaaaaaaaaa'), entry('bbbbbbbbbbb'), entry('ccccccccccc')]);
+            listTranscripts.mockResolvedValue([
+                { id: 'old.wav', source: { type: 'youtube', url: 'https://youtu.be/bbbbbbbbbbb' } },
+                { id: 'part.wav', source: { type: 'youtube', url: 'https://youtu.be/ccccccccccc', range: { start: 0, end: 60 } } }
+            ]);
+            saveTranscript
+                .mockResolvedValueOnce({ id: 'first.wav' })
+                .mockRejectedValueOnce(new AppError('Disk full', 500));
+
+            const req = mockRequest({ url: 'https://www.youtube.com/playlist?list=PL1234', language: 'en' });
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await playlistHandler(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(202);
+            const { jobId } = res.json.mock.calls[0][0];
+
+            await new Promise(resolve => setTimeout(resolve, 150));
+
+            const job = getJob(jobId);
+            expect(job.type).toBe('youtube-playlist');
+            expect(job.status).toBe('done');
+            expect(job.result).toMatchObject({ url: 'https://www.youtube.com/playlist?list=PL1234', total: 3, transcribed: 1, skipped: 1, failed: 1 });
+            expect(job.result.items.map(item => [item.videoId, item.status, item.transcriptId])).toEqual([
+                ['aaaaaaaaaaa', 'done', 'first.wav'],
+                ['bbbbbbbbbbb', 'skipped', 'old.wav'],
+                ['ccccccccccc', 'failed', undefined]
+            ]);
+            expect(job.result.items[2].error).toEqual({ message: 'Disk full', statusCode: 500 });
+            expect(job.items).toEqual(job.result.items);
+            expect(transcribeAudio).toHaveBeenCalledTimes(2);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        test('should refuse export formats and time ranges', async () => {
+            const next = jest.fn();
+
+            await playlistHandler(mockRequest({ url: 'https://www.youtube.com/playlist?list=PL1234', format: 'srt' }), mockResponse(), next);
+            await playlistHandler(mockRequest({ url: 'https://www.youtube.com/playlist?list=PL1234', start: 30 }), mockResponse(), next);
+            await playlistHandler(mockRequest({}), mockResponse(), next);
+
+            expect(next.mock.calls.map(([error]) => error.statusCode)).toEqual([400, 400, 400]);
+            expect(next.mock.calls[2][0].message).toBe('Playlist or channel URL is required.');
+            expect(listPlaylistEntries).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * @file audioChunker.test.js
+ * @description Unit tests for splitting long recordings at silences
+ */
+
+const { EventEmitter } = require('events');
+
+jest.mock('child_process');
+jest.mock('../../src/config', () => ({
+    ffmpegPath: 'ffmpeg',
+    errorMessages: { ffmpegFailed: 'FFmpeg conversion failed' }
+}));
+
+const { spawn } = require('child_process');
+const { detectSilences, planChunks, extractChunk } = require('../../src/services/audioChunker');
+
+const CHUNK_OPTIONS = { targetChunkSeconds: 300, maxChunkSeconds: 420, overlapSeconds: 2 };
+
+// Fake ffmpeg process that prints the given stderr and exits with the given code
+const mockFfmpeg = ({ exitCode = 0, stderr = '' } = {}) => {
+    spawn.mockImplementation(() => {
+        const ffmpeg = new EventEmitter();
+        ffmpeg.stderr = new EventEmitter();
+        setImmediate(() => {
+            if (stderr) {
+                ffmpeg.stderr.emit('data', Buffer.from(stderr));
+            }
+            ffmpeg.emit('close', exitCode);
+        });
+        return ffmpeg;
+    });
+};
+
+describe('Audio Chunker Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('detectSilences', () => {
+        test('should parse silencedetect output and drop a silence that runs to the end', async () => {
+            mockFfmpeg({
+                stderr: [
+                    '[silencedetect @ 0x1] silence_start: -0.01',
+                    '[silencedetect @ 0x1] silence_end: 1.2 | silence_duration: 1.21',
+                    '[silencedetect @ 0x1] silence_start: 298.5',
+                    '[silencedetect @ 0x1] silence_end: 299.5 | silence_duration: 1',
+                    '[silencedetect @ 0x1] silence_start: 3599.2'
+                ].join('\n')
+            });
+
+            const silences = await detectSilences('uploads/audio.wav', { silenceThresholdDb: -35, minSilenceSeconds: 0.4 });
+
+            expect(spawn).toHaveBeenCalledWith('ffmpeg', [
+                '-hide_banner', '-i', 'uploads/audio.wav', '-af', 'silencedetect=noise=-35dB:d=0.4', '-f', 'null', '-'
+            ]);
+            expect(silences).toEqual([{ start: 0, end: 1.2 }, { start: 298.5, end: 299.5 }]);
+        });
+
+        test('should reject when ffmpeg fails', async () => {
+            mockFfmpeg({ exitCode: 1 });
+
+            await expect(detectSilences('uploads/audio.wav', { silenceThresholdDb: -35, minSilenceSeconds: 0.4 }))
+                .rejects.toThrow('FFmpeg conversion failed with code 1');
+        });
+    });
+
+    describe('planChunks', () => {
+        test('should cut at the silence nearest the target length and overlap neighbours', () => {
+            const silences = [{ start: 200, end: 201 }, { start: 310, end: 312 }, { start: 650, end: 651 }];
+
+            expect(planChunks(900, silences, CHUNK_OPTIONS)).toEqual([
+                { start: 0, end: 312, keepFrom: 0, keepTo: 311 },
+                { start: 310, end: 651.5, keepFrom: 311, keepTo: 650.5 },
+                { start: 649.5, end: 900, keepFrom: 650.5, keepTo: Infinity }
+            ]);
+        });
+
+        test('should cut at the target length when no silence is close enough', () => {
+            const chunks = planChunks(700, [{ start: 50, end: 51 }], CHUNK_OPTIONS);
+
+            expect(chunks.map(chunk => chunk.keepFrom)).toEqual([0, 300]);
+        });
+
+        test('should keep recordings up to the maximum length in one chunk', () => {
+            expect(planChunks(400, [], CHUNK_OPTIONS)).toEqual([{ start: 0, end: 400, keepFrom: 0, keepTo: Infinity }]);
+        });
+    });
+
+    describe('extractChunk', () => {
+        test('should copy the chunk into its own file', async () => {
+            mockFfmpeg();
+
+            const chunkFile = await extractChunk('uploads/audio.wav', { start: 310, end: 651.5 }, 1);
+
+            expect(chunkFile).toBe('uploads/audio.wav.chunk1.wav');
+            expect(spawn).toHaveBeenCalledWith('ffmpeg', [
+                '-y', '-ss', '310', '-t', '341.5', '-i', 'uploads/audio.wav', '-c', 'copy', 'uploads/audio.wav.chunk1.wav'
+            ]);
+        });
+    });
+});
@@ -1,6 +1,6 @@
 /**
  * @file audioProcessor.test.js
- * @description Unit tests for the audioProcessor service's processAudio function
+ * @description Unit tests for the audioProcessor service's processAudio and resolveAudioFilters functions
  */
 
 jest.mock('fs');
@@ -20,7 +20,17 @@ jest.mock('../../src/config', () => ({
     ffmpegOptions: {
         sampleRate: '16000',
         channels: '1',
-        codec: 'pcm_s16le'
+        codec: 'pcm_s16le',
+        filters: {
+            highpass: 'highpass=f=100',
+            afftdn: 'afftdn=nf=-25',
+            loudnorm: 'loudnorm=I=-16'
+        },
+        filterPresets: {
+            none: [],
+            phone: ['highpass', 'afftdn', 'loudnorm']
+        },
+        defaultFilterPreset: 'none'
     },
     audioFormat: 'wav',
     ffmpegPath: '/usr/bin/ffmpeg',
@@ -35,7 +45,7 @@ const fs = require('fs');
 const { spawn } = require('child_process');
 const { deleteFile } = require('../../src/utils/fileUtils.js');
 const { AppError } = require('../../src/utils/errorHandler.js');
-const { processAudio } = require('../../src/services/audioProcessor');
+const { processAudio, resolveAudioFilters } = require('../../src/services/audioProcessor');
 const logger = require('../../src/utils/logger');
 
 beforeEach(() => {
@@ -241,6 +251,58 @@ describe('Audio Processor Service', () => {
             expect(result).toBe(expectedWavPath);
         });
 
+        it('should extract the requested audio track', async () => {
+            fs.existsSync.mockReturnValue(true);
+            spawn.mockImplementation(createMockSpawn(0));
+
+            await processAudio(testFilePath, { audioTrack: 1 });
+
+            expect(spawn).toHaveBeenCalledWith('/usr/bin/ffmpeg', [
+                '-i', testFilePath,
+                '-map', '0:a:1',
+                '-ar', '16000',
+                '-ac', '1',
+                '-c:a', 'pcm_s16le',
+                expectedWavPath
+            ]);
+        });
+
+        it('should run the requested filters in order', async () => {
+            fs.existsSync.mockReturnValue(true);
+            spawn.mockImplementation(createMockSpawn(0));
+
+            await processAudio(testFilePath, { filters: ['afftdn', 'loudnorm'] });
+
+            expect(spawn).toHaveBeenCalledWith('/usr/bin/ffmpeg', [
+                '-i', testFilePath,
+                '-af', 'afftdn=nf=-25,loudnorm=I=-16',
+                '-ar', '16000',
+                '-ac', '1',
+                '-c:a', 'pcm_s16le',
+                expectedWavPath
+            ]);
+        });
+
+        it('should trim the conversion to the requested range', async () => {
+            fs.existsSync.mockReturnValue(true);
+            spawn.mockImplementation(createMockSpawn(0));
+
+            await processAudio(testFilePath, { range: { start: 720, end: 1080 } });
+            await processAudio(testFilePath, { range: { start: 0, end: 90.5 } });
+
+            expect(spawn).toHaveBeenNthCalledWith(1, '/usr/bin/ffmpeg', [
+                '-ss', '720',
+                '-i', testFilePath,
+                '-t', '360',
+                '-ar', '16000',
+                '-ac', '1',
+                '-c:a', 'pcm_s16le',
+                expectedWavPath
+            ]);
+            expect(spawn).toHaveBeenNthCalledWith(2, '/usr/bin/ffmpeg', expect.arrayContaining(['-t', '90.5']));
+            expect(spawn.mock.calls[1][1]).not.toContain('-ss');
+        });
+
         it('should reject with AppError when file does not exist', async () => {
             // Mock file not existing
             fs.existsSync.mockReturnValue(false);
@@ -349,4 +411,28 @@ describe('Audio Processor Service', () => {
             expect(deleteFile).toHaveBeenCalledTimes(1);
         });
     });
+
+    describe('resolveAudioFilters', () => {
+        it('should use the default preset when nothing is requested', () => {
+            expect(resolveAudioFilters()).toEqual([]);
+            expect(resolveAudioFilters({ filters: '' })).toEqual([]);
+        });
+
+        it('should expand a named preset', () => {
+            expect(resolveAudioFilters({ filterPreset: 'phone' })).toEqual(['highpass', 'afftdn', 'loudnorm']);
+        });
+
+        it('should prefer an explicit filter list over a preset', () => {
+            expect(resolveAudioFilters({ filterPreset: 'phone', filters: 'loudnorm, highpass,loudnorm' })).toEqual(['loudnorm', 'highpass']);
+            expect(resolveAudioFilters({ filters: ['afftdn'] })).toEqual(['afftdn']);
+        });
+
+        it('should reject unknown presets and filters with 400', () => {
+            expect(() => resolveAudioFilters({ filterPreset: 'studio' })).toThrow('Unknown filter preset: studio. Supported presets: none, phone');
+            expect(() => resolveAudioFilters({ filters: 'afftdn,reverb' })).toThrow(expect.objectContaining({
+                statusCode: 400,
+                message: 'Unknown audio filter: reverb. Supported filters: highpass, afftdn, loudnorm'
+            }));
+        });
+    });
 });
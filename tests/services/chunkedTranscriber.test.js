@@ -0,0 +1,179 @@
+/**
+ * @file chunkedTranscriber.test.js
+ * @description Unit tests for parallel chunk transcription and stitching
+ */
+
+jest.mock('../../src/config', () => ({
+    chunking: {
+        targetChunkSeconds: 300,
+        maxChunkSeconds: 420,
+        overlapSeconds: 2,
+        parallelism: 2,
+        silenceThresholdDb: -35,
+        minSilenceSeconds: 0.4
+    },
+    concurrency: { limits: { transcription: 2 }, maxQueued: 0, defaultTaskSeconds: 30 }
+}));
+jest.mock('../../src/services/audioChunker', () => ({
+    detectSilences: jest.fn(),
+    planChunks: jest.fn(),
+    extractChunk: jest.fn()
+}));
+jest.mock('../../src/utils/fileUtils', () => ({
+    deleteFile: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { detectSilences, planChunks, extractChunk } = require('../../src/services/audioChunker');
+const { deleteFile } = require('../../src/utils/fileUtils');
+const { limiters } = require('../../src/services/concurrencyLimiter');
+const { transcribeInChunks, stitchChunkResults } = require('../../src/services/chunkedTranscriber');
+
+const CHUNKS = [
+    { start: 0, end: 11, keepFrom: 0, keepTo: 10 },
+    { start: 9, end: 20, keepFrom: 10, keepTo: Infinity }
+];
+
+const word = (text, start, end, confidence = 1) => ({ word: text, start, end, confidence });
+
+// Both chunks hear "world" in the overlap around the cut at 10 seconds
+const RESULTS = [
+    {
+        text: 'hello world',
+        segments: [{ start: 8, end: 10.6, text: 'hello world', confidence: 0.9 }],
+        words: [word('hello', 8, 9.5, 0.8), word('world', 9.7, 10.6)],
+        language: 'en'
+    },
+    {
+        text: 'world again',
+        segments: [{ start: 0.6, end: 3, text: 'world again', confidence: 0.75 }],
+        words: [word('world', 0.6, 1.6, 0.5), word('again', 2, 3)],
+        language: 'en'
+    }
+];
+
+describe('Chunked Transcriber Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        detectSilences.mockResolvedValue([{ start: 9.5, end: 10.5 }]);
+        planChunks.mockReturnValue(CHUNKS);
+        extractChunk.mockImplementation((wavFile, chunk, index) => Promise.resolve(`${wavFile}.chunk${index}.wav`));
+    });
+
+    describe('stitchChunkResults', () => {
+        test('should shift times, keep overlapping words once and trim segments to their kept words', () => {
+            expect(stitchChunkResults(CHUNKS, RESULTS)).toEqual({
+                text: 'hello world again',
+                segments: [
+                    { start: 8, end: 9.5, text: 'hello', confidence: 0.8 },
+                    { start: 9.6, end: 12, text: 'world again', confidence: 0.75 }
+                ],
+                words: [word('hello', 8, 9.5, 0.8), word('world', 9.6, 10.6, 0.5), word('again', 11, 12)],
+                language: 'en'
+            });
+        });
+
+        test('should keep or drop whole segments when the engine gives no word timings', () => {
+            const results = [
+                { segments: [{ start: 2, end: 4, text: 'first' }, { start: 9.5, end: 10.9, text: 'edge' }] },
+                { segments: [{ start: 0.5, end: 1.9, text: 'edge' }, { start: 5, end: 6, text: 'second' }] }
+            ];
+
+            expect(stitchChunkResults(CHUNKS, results).segments.map(segment => segment.text)).toEqual(['first', 'edge', 'second']);
+        });
+
+        test('should report the language most chunks were in', () => {
+            const results = [{ ...RESULTS[0], language: 'de' }, RESULTS[1], { ...RESULTS[1], segments: [], words: [] }];
+            const chunks = [...CHUNKS, { start: 19, end: 25, keepFrom: 20, keepTo: Infinity }];
+
+            expect(stitchChunkResults(chunks, results).language).toBe('en');
+        });
+    });
+
+    describe('transcribeInChunks', () => {
+        test('should transcribe every chunk, report overall progress and delete the chunk files', async () => {
+            const engine = { transcribe: jest.fn((file, { onProgress }) => {
+                onProgress(50);
+                return Promise.resolve(RESULTS[file.endsWith('chunk0.wav') ? 0 : 1]);
+            }) };
+            const onProgress = jest.fn();
+
+            const result = await transcribeInChunks(engine, 'uploads/audio.wav', 20, { language: 'en', onProgress });
+
+            expect(planChunks).toHaveBeenCalledWith(20, [{ start: 9.5, end: 10.5 }], expect.objectContaining({ targetChunkSeconds: 300 }));
+            expect(engine.transcribe).toHaveBeenCalledWith('uploads/audio.wav.chunk0.wav', { language: 'en', onProgress: expect.any(Function) });
+            expect(engine.transcribe).toHaveBeenCalledWith('uploads/audio.wav.chunk1.wav', { language: 'en', onProgress: expect.any(Function) });
+            expect(onProgress).toHaveBeenLastCalledWith(100);
+            expect(result.text).toBe('hello world again');
+            expect(deleteFile.mock.calls).toEqual([['uploads/audio.wav.chunk0.wav'], ['uploads/audio.wav.chunk1.wav']]);
+        });
+
+        test('should run the second chunk alongside in a free transcription slot', async () => {
+            let finishFirstChunk;
+            const engine = { transcribe: jest.fn((file) => {
+                if (file.endsWith('chunk0.wav')) {
+                    return new Promise((resolve) => {
+                        finishFirstChunk = () => resolve(RESULTS[0]);
+                    });
+                }
+                return Promise.resolve(RESULTS[1]);
+            }) };
+
+            const transcription = transcribeInChunks(engine, 'uploads/audio.wav', 20, { language: 'en' });
+            await new Promise(resolve => setImmediate(resolve));
+            expect(engine.transcribe).toHaveBeenCalledTimes(2);
+            finishFirstChunk();
+
+            await expect(transcription).resolves.toMatchObject({ text: 'hello world again' });
+            expect(limiters.transcription.getStats().running).toBe(0);
+        });
+
+        test('should transcribe chunks one after another while every transcription slot is taken', async () => {
+            const blockers = [];
+            const occupySlot = () => limiters.transcription.run(() => new Promise(resolve => blockers.push(resolve)));
+            const slots = [occupySlot(), occupySlot()];
+            let running = 0;
+            let mostRunning = 0;
+            const engine = { transcribe: jest.fn(async (file) => {
+                running++;
+                mostRunning = Math.max(mostRunning, running);
+                await new Promise(resolve => setImmediate(resolve));
+                running--;
+                return RESULTS[file.endsWith('chunk0.wav') ? 0 : 1];
+            }) };
+
+            await expect(transcribeInChunks(engine, 'uploads/audio.wav', 20, { language: 'en' }))
+                .resolves.toMatchObject({ text: 'hello world again' });
+            expect(engine.transcribe).toHaveBeenCalledTimes(2);
+            expect(mostRunning).toBe(1);
+
+            blockers.forEach(resolve => resolve());
+            await Promise.all(slots);
+        });
+
+        test('should wait for every chunk before failing and still delete the chunk files', async () => {
+            let finishSecondChunk;
+            const engine = { transcribe: jest.fn((file) => {
+                if (file.endsWith('chunk0.wav')) {
+                    return Promise.reject(new Error('❌ Transcription process failed.'));
+                }
+                return new Promise((resolve) => {
+                    finishSecondChunk = () => resolve(RESULTS[1]);
+                });
+            }) };
+
+            const transcription = transcribeInChunks(engine, 'uploads/audio.wav', 20, { language: 'en' });
+            await new Promise(resolve => setImmediate(resolve));
+            expect(deleteFile).not.toHaveBeenCalled();
+            finishSecondChunk();
+
+            await expect(transcription).rejects.toThrow('Transcription process failed');
+            expect(deleteFile).toHaveBeenCalledTimes(2);
+        });
+    });
+});
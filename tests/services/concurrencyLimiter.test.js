@@ -0,0 +1,149 @@
+/**
+ * @file concurrencyLimiter.test.js
+ * @description Unit tests for the pipeline concurrency limiter
+ */
+
+jest.mock('../../src/config', () => ({
+    concurrency: {
+        limits: { download: 2, conversion: 3, transcription: 1 },
+        maxQueued: 5,
+        defaultTaskSeconds: 30
+    }
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { AppError } = require('../../src/utils/errorHandler');
+const { createConcurrencyLimiter, limiters } = require('../../src/services/concurrencyLimiter');
+
+// A task whose completion is controlled by the test
+const createDeferredTask = () => {
+    const task = {};
+    task.run = jest.fn(() => new Promise((resolve, reject) => {
+        task.resolve = resolve;
+        task.reject = reject;
+    }));
+    return task;
+};
+
+// Lets queued promise callbacks run
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Concurrency Limiter Service', () => {
+    const createLimiter = (overrides = {}) => createConcurrencyLimiter({
+        name: 'transcription',
+        maxConcurrent: 2,
+        maxQueued: 1,
+        defaultTaskSeconds: 30,
+        ...overrides
+    });
+
+    test('should create a limiter for each configured stage', () => {
+        expect(Object.keys(limiters)).toEqual(['download', 'conversion', 'transcription']);
+        expect(limiters.download.getStats()).toEqual({ running: 0, waiting: 0, averageTaskSeconds: 30 });
+    });
+
+    test('should run tasks immediately while slots are free', async () => {
+        const limiter = createLimiter();
+
+        await expect(limiter.run(() => Promise.resolve('done'))).resolves.toBe('done');
+        expect(limiter.getStats().running).toBe(0);
+    });
+
+    test('should queue tasks over the limit and start them as slots free up', async () => {
+        const limiter = createLimiter();
+        const first = createDeferredTask();
+        const second = createDeferredTask();
+        const third = createDeferredTask();
+
+        const firstResult = limiter.run(first.run);
+        limiter.run(second.run);
+        const thirdResult = limiter.run(third.run);
+
+        expect(third.run).not.toHaveBeenCalled();
+        expect(limiter.getStats()).toMatchObject({ running: 2, waiting: 1 });
+
+        first.resolve('first');
+        await expect(firstResult).resolves.toBe('first');
+        await flushPromises();
+
+        expect(third.run).toHaveBeenCalled();
+        third.resolve('third');
+        await expect(thirdResult).resolves.toBe('third');
+    });
+
+    test('should reject with a 429 and Retry-After estimate when the queue is full', async () => {
+        const limiter = createLimiter();
+        [1, 2, 3].forEach(() => limiter.run(createDeferredTask().run));
+
+        const rejected = limiter.run(jest.fn());
+
+        await expect(rejected).rejects.toBeInstanceOf(AppError);
+        await expect(rejected).rejects.toMatchObject({
+            statusCode: 429,
+            retryAfter: 30,
+            message: 'Server is busy with other transcription tasks. Retry in 30 seconds.'
+        });
+    });
+
+    test('should let background work wait even when the queue is full', () => {
+        const limiter = createLimiter({ maxQueued: 0 });
+        [1, 2].forEach(() => limiter.run(createDeferredTask().run));
+
+        limiter.run(createDeferredTask().run, { waitForCapacity: true });
+
+        expect(limiter.getStats().waiting).toBe(1);
+    });
+
+    test('should free the slot and continue the queue when a task fails', async () => {
+        const limiter = createLimiter({ maxConcurrent: 1 });
+        const failing = createDeferredTask();
+        const next = createDeferredTask();
+
+        const failed = limiter.run(failing.run);
+        limiter.run(next.run);
+
+        failing.reject(new Error('ffmpeg crashed'));
+        await expect(failed).rejects.toThrow('ffmpeg crashed');
+        await flushPromises();
+
+        expect(next.run).toHaveBeenCalled();
+    });
+
+    test('should only try to run a task when a slot is free and nothing waits', async () => {
+        const limiter = createLimiter({ maxConcurrent: 1 });
+        const first = createDeferredTask();
+        const second = createDeferredTask();
+
+        const running = limiter.tryRun(first.run);
+        expect(limiter.tryRun(second.run)).toBeNull();
+        expect(second.run).not.toHaveBeenCalled();
+
+        first.resolve('done');
+        await expect(running).resolves.toBe('done');
+        expect(limiter.getStats()).toMatchObject({ running: 0, waiting: 0 });
+    });
+
+    test('should base Retry-After on the observed task duration', async () => {
+        jest.useFakeTimers();
+        const limiter = createLimiter({ maxConcurrent: 1, maxQueued: 0 });
+
+        // A 10 second task pulls the 30 second default towards 10 seconds
+        const task = createDeferredTask();
+        const result = limiter.run(task.run);
+        jest.advanceTimersByTime(10000);
+        task.resolve();
+        await result;
+
+        expect(limiter.getStats().averageTaskSeconds).toBe(26);
+
+        limiter.run(createDeferredTask().run);
+        await expect(limiter.run(jest.fn())).rejects.toMatchObject({ retryAfter: 26 });
+
+        jest.useRealTimers();
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * @file diarizer.test.js
+ * @description Unit tests for speaker diarization from Vosk speaker vectors
+ */
+
+jest.mock('../../src/config', () => ({
+    diarization: { distanceThreshold: 0.3, maxSpeakers: 3 }
+}));
+
+const { cosineDistance, clusterSpeakerVectors, diarizeUtterances } = require('../../src/services/diarizer');
+
+const utterance = (text, spk) => ({ text, result: [], ...(spk && { spk }) });
+
+describe('Diarizer Service', () => {
+    describe('cosineDistance', () => {
+        test('should measure the angle between vectors', () => {
+            expect(cosineDistance([1, 0], [2, 0])).toBeCloseTo(0);
+            expect(cosineDistance([1, 0], [0, 1])).toBeCloseTo(1);
+            expect(cosineDistance([1, 0], [-1, 0])).toBeCloseTo(2);
+        });
+
+        test('should treat zero vectors as unrelated', () => {
+            expect(cosineDistance([0, 0], [1, 0])).toBe(1);
+        });
+    });
+
+    describe('clusterSpeakerVectors', () => {
+        test('should group similar vectors in order of first appearance', () => {
+            const vectors = [[1, 0.1], [0.1, 1], [0.9, 0], [0, 0.8]];
+
+            expect(clusterSpeakerVectors(vectors, { distanceThreshold: 0.3, maxSpeakers: 4 })).toEqual([[0, 2], [1, 3]]);
+        });
+
+        test('should keep merging until no more than maxSpeakers remain', () => {
+            const vectors = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+            expect(clusterSpeakerVectors(vectors, { distanceThreshold: 0.3, maxSpeakers: 2 })).toHaveLength(2);
+        });
+
+        test('should follow nearest neighbours across many merges', () => {
+            // Two speakers alternating, each vector slightly off its speaker's direction
+            const vectors = Array.from({ length: 200 }, (value, index) => {
+                const wobble = (index % 7) / 100;
+                return index % 2 === 0 ? [1, wobble, 0] : [wobble, 0, 1];
+            });
+
+            const clusters = clusterSpeakerVectors(vectors, { distanceThreshold: 0.3, maxSpeakers: 4 });
+
+            expect(clusters).toHaveLength(2);
+            expect(clusters[0].every(index => index % 2 === 0)).toBe(true);
+            expect(clusters[1]).toHaveLength(100);
+        });
+
+        test('should return no clusters without vectors', () => {
+            expect(clusterSpeakerVectors([], { distanceThreshold: 0.3, maxSpeakers: 2 })).toEqual([]);
+        });
+    });
+
+    describe('diarizeUtterances', () => {
+        test('should label utterances by speaker', () => {
+            const utterances = [
+                utterance('hello there', [1, 0.1]),
+                utterance('hi', [0.1, 1]),
+                utterance('how are you', [0.9, 0.05])
+            ];
+
+            expect(diarizeUtterances(utterances).map(u => u.speaker)).toEqual(['Speaker 1', 'Speaker 2', 'Speaker 1']);
+        });
+
+        test('should give utterances without a vector the previous speaker', () => {
+            const utterances = [
+                utterance('um'),
+                utterance('hello there', [1, 0]),
+                utterance('yes'),
+                utterance('hi', [0, 1])
+            ];
+
+            const result = diarizeUtterances(utterances);
+
+            expect(result[0].speaker).toBeUndefined();
+            expect(result.slice(1).map(u => u.speaker)).toEqual(['Speaker 1', 'Speaker 1', 'Speaker 2']);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * @file index.test.js
+ * @description Unit tests for transcription engine selection
+ */
+
+jest.mock('../../../src/config', () => ({
+    transcription: { defaultEngine: 'vosk', engines: ['whisper', 'fake', 'unknown'] },
+    whisper: { binaryPath: 'whisper-cli', modelPath: '/path/to/models/ggml-base.bin', threads: 4 }
+}));
+jest.mock('../../../src/services/modelRegistry', () => ({
+    getLanguages: jest.fn(() => ['en', 'es']),
+    resolveModel: jest.fn()
+}));
+jest.mock('fs', () => ({
+    ...jest.requireActual('fs'),
+    existsSync: jest.fn(() => false)
+}));
+
+const { getEngine, listEngines } = require('../../../src/services/engines');
+const fakeEngine = require('../../../src/services/engines/fakeEngine');
+
+describe('Transcription Engines', () => {
+    describe('getEngine', () => {
+        test('should return the default engine when none is named', () => {
+            expect(getEngine().name).toBe('vosk');
+        });
+
+        test('should return an enabled engine by name', () => {
+            expect(getEngine('whisper').name).toBe('whisper');
+        });
+
+        test('should reject unknown engines with 400', () => {
+            expect(() => getEngine('deepspeech')).toThrow(expect.objectContaining({
+                statusCode: 400,
+                message: 'Unknown engine: deepspeech. Supported engines: vosk, whisper, fake'
+            }));
+        });
+    });
+
+    describe('listEngines', () => {
+        test('should describe each enabled engine and skip unknown names', () => {
+            const engines = listEngines();
+
+            expect(engines.map(({ name, available, default: isDefault }) => [name, available, isDefault])).toEqual([
+                ['vosk', true, true],
+                ['whisper', false, false],
+                ['fake', true, false]
+            ]);
+            expect(engines[0].capabilities).toMatchObject({ diarization: true, translation: false, languages: ['en', 'es'] });
+            expect(engines[1].capabilities).toMatchObject({ diarization: false, translation: true, languageDetection: true, languages: null });
+        });
+    });
+
+    describe('fake engine', () => {
+        test('should return the same evenly timed transcript every time', async () => {
+            const onProgress = jest.fn();
+
+            const first = await fakeEngine.transcribe('a.wav', { language: 'es', onProgress });
+            const second = await fakeEngine.transcribe('b.wav', { language: 'es' });
+
+            expect(first).toEqual(second);
+            expect(first.language).toBe('es');
+            expect(first.words.slice(0, 2)).toEqual([
+                { word: 'this', start: 0, end: 0.5, confidence: 1 },
+                { word: 'is', start: 0.5, end: 1, confidence: 1 }
+            ]);
+            expect(first.segments.map(segment => segment.text).join(' ')).toBe(first.text);
+            expect(onProgress).toHaveBeenCalledWith(100);
+        });
+
+        test('should report English when asked to detect the language', async () => {
+            expect((await fakeEngine.transcribe('a.wav', { language: 'auto' })).language).toBe('en');
+        });
+    });
+});
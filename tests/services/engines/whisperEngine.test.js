@@ -0,0 +1,130 @@
+/**
+ * @file whisperEngine.test.js
+ * @description Unit tests for the whisper.cpp transcription engine
+ */
+
+const { EventEmitter } = require('events');
+
+jest.mock('child_process');
+jest.mock('fs');
+jest.mock('../../../src/config', () => ({
+    whisper: { binaryPath: 'whisper-cli', modelPath: '/path/to/models/ggml-base.bin', threads: 4 }
+}));
+jest.mock('../../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const whisperEngine = require('../../../src/services/engines/whisperEngine');
+
+const WAV_FILE = 'uploads/audio.wav';
+const OUTPUT_FILE = 'uploads/audio.wav.whisper.json';
+
+const token = (text, from, to, p) => ({ text, offsets: { from, to }, p });
+
+const WHISPER_OUTPUT = {
+    result: { language: 'de' },
+    transcription: [
+        {
+            offsets: { from: 0, to: 2000 },
+            text: ' Guten Morgen.',
+            tokens: [
+                token('[_BEG_]', 0, 0, 1),
+                token(' Gut', 0, 400, 0.9),
+                token('en', 400, 700, 0.7),
+                token(' Morgen', 800, 1500, 0.6),
+                token('.', 1500, 1600, 1),
+                token('[_TT_100]', 2000, 2000, 1)
+            ]
+        },
+        { offsets: { from: 2000, to: 2500 }, text: ' ', tokens: [] }
+    ]
+};
+
+// Fake whisper.cpp process that prints the given stderr and exits with the given code
+const mockWhisper = ({ exitCode = 0, stderr = '' } = {}) => {
+    spawn.mockImplementation(() => {
+        const whisperProcess = new EventEmitter();
+        whisperProcess.stderr = new EventEmitter();
+        setImmediate(() => {
+            if (stderr) {
+                whisperProcess.stderr.emit('data', Buffer.from(stderr));
+            }
+            whisperProcess.emit('close', exitCode);
+        });
+        return whisperProcess;
+    });
+};
+
+describe('Whisper Engine', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue(JSON.stringify(WHISPER_OUTPUT));
+        mockWhisper();
+    });
+
+    describe('buildWhisperResult', () => {
+        test('should merge tokens into words and skip special tokens and empty segments', () => {
+            expect(whisperEngine.buildWhisperResult(WHISPER_OUTPUT)).toEqual({
+                text: 'Guten Morgen.',
+                segments: [{ start: 0, end: 2, text: 'Guten Morgen.', confidence: 0.8 }],
+                words: [
+                    { word: 'Guten', start: 0, end: 0.7, confidence: 0.8 },
+                    { word: 'Morgen.', start: 0.8, end: 1.6, confidence: 0.8 }
+                ],
+                language: 'de'
+            });
+        });
+    });
+
+    describe('transcribe', () => {
+        test('should run whisper.cpp, report progress and return the detected language', async () => {
+            const onProgress = jest.fn();
+            mockWhisper({ stderr: 'whisper_print_progress_callback: progress =  40%\nwhisper_print_progress_callback: progress = 80%\n' });
+
+            const result = await whisperEngine.transcribe(WAV_FILE, { language: 'auto', onProgress });
+
+            expect(spawn).toHaveBeenCalledWith('whisper-cli', [
+                '-m', '/path/to/models/ggml-base.bin',
+                '-f', WAV_FILE,
+                '-l', 'auto',
+                '-t', '4',
+                '-ojf',
+                '-of', 'uploads/audio.wav.whisper',
+                '-pp'
+            ]);
+            expect(onProgress.mock.calls).toEqual([[40], [80]]);
+            expect(result.language).toBe('de');
+            expect(result.text).toBe('Guten Morgen.');
+            expect(fs.rm).toHaveBeenCalledWith(OUTPUT_FILE, { force: true }, expect.any(Function));
+        });
+
+        test('should ask whisper.cpp to translate when requested', async () => {
+            await whisperEngine.transcribe(WAV_FILE, { language: 'de', translate: true });
+
+            expect(spawn.mock.calls[0][1]).toEqual(expect.arrayContaining(['-l', 'de', '-tr']));
+        });
+
+        test('should fail with 503 when the model is missing', async () => {
+            fs.existsSync.mockReturnValue(false);
+
+            await expect(whisperEngine.transcribe(WAV_FILE, { language: 'en' })).rejects.toMatchObject({
+                statusCode: 503,
+                message: 'The whisper engine is unavailable: model not found at /path/to/models/ggml-base.bin'
+            });
+            expect(spawn).not.toHaveBeenCalled();
+        });
+
+        test('should reject when whisper.cpp fails', async () => {
+            mockWhisper({ exitCode: 1 });
+
+            await expect(whisperEngine.transcribe(WAV_FILE, { language: 'en' })).rejects.toThrow('whisper.cpp exited with code 1');
+            expect(fs.readFileSync).not.toHaveBeenCalled();
+        });
+    });
+});
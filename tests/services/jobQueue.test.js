@@ -0,0 +1,198 @@
+/**
+ * @file jobQueue.test.js
+ * @description Unit tests for the background job queue
+ */
+
+jest.mock('../../src/config', () => ({
+    jobs: {
+        concurrency: 1,
+        retentionMinutes: 60
+    }
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+jest.mock('../../src/utils/fileUtils', () => ({
+    deleteFile: jest.fn()
+}));
+
+// Wait until the queue has had a chance to start and settle jobs
+const flushQueue = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('Job Queue Service', () => {
+    let createJob, getJob, recordCallback, subscribeToJob, JOB_STATUS, deleteFile, AppError;
+
+    beforeEach(() => {
+        // Each test gets a fresh queue so stuck jobs do not block later ones
+        jest.resetModules();
+        ({ createJob, getJob, recordCallback, subscribeToJob, JOB_STATUS } = require('../../src/services/jobQueue'));
+        ({ deleteFile } = require('../../src/utils/fileUtils'));
+        ({ AppError } = require('../../src/utils/errorHandler'));
+    });
+
+    test('should create a queued job and return its public representation', () => {
+        const job = createJob('upload', () => new Promise(() => { }), { filename: 'test.mp3' });
+
+        expect(job).toEqual(expect.objectContaining({
+            id: expect.any(String),
+            type: 'upload',
+            status: JOB_STATUS.queued,
+            metadata: { filename: 'test.mp3' },
+            result: null,
+            error: null
+        }));
+        expect(job.task).toBeUndefined();
+    });
+
+    test('should return null for unknown job IDs', () => {
+        expect(getJob('does-not-exist')).toBeNull();
+    });
+
+    test('should record the result of a successful job', async () => {
+        const job = createJob('upload', async (reporter) => {
+            reporter.setStatus(JOB_STATUS.converting);
+            reporter.setStatus(JOB_STATUS.transcribing);
+            return { text: 'hello world' };
+        });
+
+        await flushQueue();
+
+        const finished = getJob(job.id);
+        expect(finished.status).toBe(JOB_STATUS.done);
+        expect(finished.result).toEqual({ text: 'hello world' });
+        expect(finished.finishedAt).toEqual(expect.any(String));
+        expect(finished.estimatedTimeRemaining).toBeNull();
+    });
+
+    test('should report the estimated completion time while running', async () => {
+        const job = createJob('youtube', (reporter) => {
+            reporter.setEstimate({ hours: 0, minutes: 2, seconds: 0, totalSeconds: 120 });
+            reporter.setStatus(JOB_STATUS.downloading);
+            return new Promise(() => { });
+        });
+
+        await flushQueue();
+
+        const running = getJob(job.id);
+        expect(running.status).toBe(JOB_STATUS.downloading);
+        expect(running.estimatedProcessingTime.totalSeconds).toBe(120);
+        expect(Date.parse(running.estimatedCompletionAt) - Date.parse(running.startedAt)).toBe(120000);
+        expect(running.estimatedTimeRemaining.totalSeconds).toBeGreaterThan(110);
+        expect(running.schedule).toBe('on-track');
+    });
+
+    test('should mark a job as overdue once the estimate has passed', async () => {
+        const job = createJob('upload', (reporter) => {
+            reporter.setEstimate({ hours: 0, minutes: 0, seconds: 0, totalSeconds: 0 });
+            return new Promise(() => { });
+        });
+
+        await flushQueue();
+
+        const running = getJob(job.id);
+        expect(running.schedule).toBe('overdue');
+        expect(running.estimatedTimeRemaining.totalSeconds).toBe(0);
+    });
+
+    test('should publish status, progress and completion events to subscribers', async () => {
+        const events = [];
+        let finish;
+
+        const job = createJob('upload', (reporter) => {
+            reporter.setStatus(JOB_STATUS.transcribing);
+            reporter.setProgress(10);
+            reporter.setProgress(10);
+            reporter.setProgress(55);
+            return new Promise(resolve => { finish = resolve; });
+        });
+        const unsubscribe = subscribeToJob(job.id, (event, data) => events.push([event, data.progress]));
+
+        await flushQueue();
+        finish({ text: 'done' });
+        await flushQueue();
+
+        expect(events).toEqual([
+            ['status', { stage: 'transcribing', percent: null }],
+            ['progress', { stage: 'transcribing', percent: 10 }],
+            ['progress', { stage: 'transcribing', percent: 55 }],
+            ['done', { stage: 'done', percent: 100 }]
+        ]);
+
+        unsubscribe();
+    });
+
+    test('should expose the items of batch jobs as they change', async () => {
+        const items = [{ videoId: 'a', status: 'queued' }, { videoId: 'b', status: 'skipped' }];
+        let finish;
+
+        const job = createJob('youtube-playlist', (reporter) => {
+            reporter.setItems(items);
+            items[0].status = 'transcribing';
+            return new Promise(resolve => { finish = resolve; });
+        });
+        expect(job.items).toBeUndefined();
+
+        await flushQueue();
+        expect(getJob(job.id).items).toEqual([{ videoId: 'a', status: 'queued' }, { videoId: 'b', status: 'skipped' }]);
+
+        finish({ total: 2 });
+        await flushQueue();
+    });
+
+    test('should show the state of the callback once one is recorded', async () => {
+        const job = createJob('upload', async () => ({ success: true }));
+        await flushQueue();
+        expect(getJob(job.id).callback).toBeUndefined();
+
+        recordCallback(job.id, { status: 'failed', attempts: 3, error: 'answered with HTTP 500' });
+        expect(getJob(job.id)).toMatchObject({ status: 'done', callback: { status: 'failed', attempts: 3, error: 'answered with HTTP 500' } });
+        expect(() => recordCallback('unknown-job', { status: 'delivered', attempts: 1, error: null })).not.toThrow();
+    });
+
+    test('should stop notifying a listener after it unsubscribes', async () => {
+        const listener = jest.fn();
+        const job = createJob('upload', async (reporter) => {
+            reporter.setStatus(JOB_STATUS.converting);
+            return { text: 'done' };
+        });
+
+        subscribeToJob(job.id, listener)();
+        await flushQueue();
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('should record failures and clean up attached resources', async () => {
+        const job = createJob('upload', async () => {
+            throw new AppError('FFmpeg conversion failed', 500, '/tmp/file.wav');
+        });
+
+        await flushQueue();
+
+        const failed = getJob(job.id);
+        expect(failed.status).toBe(JOB_STATUS.failed);
+        expect(failed.error).toEqual({ message: 'FFmpeg conversion failed', statusCode: 500 });
+        expect(deleteFile).toHaveBeenCalledWith('/tmp/file.wav');
+    });
+
+    test('should run jobs one at a time with the configured concurrency', async () => {
+        let finishFirst;
+        const first = createJob('upload', () => new Promise(resolve => { finishFirst = resolve; }));
+        const second = createJob('upload', async () => ({ text: 'second' }));
+
+        await flushQueue();
+        expect(getJob(first.id).startedAt).not.toBeNull();
+        expect(getJob(second.id).status).toBe(JOB_STATUS.queued);
+
+        finishFirst({ text: 'first' });
+        await flushQueue();
+
+        expect(getJob(first.id).status).toBe(JOB_STATUS.done);
+        expect(getJob(second.id).status).toBe(JOB_STATUS.done);
+    });
+});
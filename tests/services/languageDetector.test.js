@@ -0,0 +1,116 @@
+/**
+ * @file languageDetector.test.js
+ * @description Unit tests for automatic language detection
+ */
+
+const { EventEmitter } = require('events');
+
+jest.mock('child_process');
+jest.mock('../../src/config', () => ({
+    ffmpegPath: 'ffmpeg',
+    languageDetection: { sampleSeconds: 20 },
+    errorMessages: { ffmpegFailed: 'FFmpeg conversion failed' }
+}));
+jest.mock('../../src/services/engines/voskEngine', () => ({
+    recognizeSpeech: jest.fn()
+}));
+jest.mock('../../src/services/modelRegistry', () => {
+    const models = {
+        en: { name: 'vosk-model-en-us-0.22', language: 'en', path: '/path/to/models/vosk-model-en-us-0.22' },
+        es: { name: 'vosk-model-es-0.42', language: 'es', path: '/path/to/models/vosk-model-es-0.42' }
+    };
+    return {
+        getLanguages: jest.fn(() => Object.keys(models)),
+        getDefaultModel: jest.fn(language => models[language] || null)
+    };
+});
+jest.mock('../../src/utils/fileUtils', () => ({
+    deleteFile: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { spawn } = require('child_process');
+const { recognizeSpeech } = require('../../src/services/engines/voskEngine');
+const { deleteFile } = require('../../src/utils/fileUtils');
+const { detectLanguage, scoreRecognition } = require('../../src/services/languageDetector');
+
+const SAMPLE_FILE = 'uploads/audio.wav.sample.wav';
+
+// Recognizer output whose words have the given confidences
+const outputWithConfidences = (...confidences) => ({
+    text: 'sample',
+    results: [{ text: 'sample', result: confidences.map((conf, i) => ({ word: `w${i}`, start: i, end: i + 1, conf })) }]
+});
+
+// Fake ffmpeg process that exits with the given code
+const mockFfmpeg = (exitCode = 0) => {
+    spawn.mockImplementation(() => {
+        const ffmpeg = new EventEmitter();
+        setImmediate(() => ffmpeg.emit('close', exitCode));
+        return ffmpeg;
+    });
+};
+
+describe('Language Detector Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockFfmpeg();
+    });
+
+    describe('scoreRecognition', () => {
+        test('should average word confidences', () => {
+            expect(scoreRecognition(outputWithConfidences(1, 0.5))).toBe(0.75);
+        });
+
+        test('should score empty output as zero', () => {
+            expect(scoreRecognition({ text: '', results: [] })).toBe(0);
+        });
+    });
+
+    describe('detectLanguage', () => {
+        test('should transcribe a sample with each installed language and pick the best', async () => {
+            recognizeSpeech
+                .mockResolvedValueOnce(outputWithConfidences(0.3, 0.5))
+                .mockResolvedValueOnce(outputWithConfidences(0.9, 0.7));
+
+            const result = await detectLanguage('uploads/audio.wav');
+
+            expect(spawn).toHaveBeenCalledWith('ffmpeg', ['-y', '-i', 'uploads/audio.wav', '-t', '20', '-c', 'copy', SAMPLE_FILE]);
+            expect(recognizeSpeech.mock.calls).toEqual([
+                [SAMPLE_FILE, '/path/to/models/vosk-model-en-us-0.22'],
+                [SAMPLE_FILE, '/path/to/models/vosk-model-es-0.42']
+            ]);
+            expect(result).toEqual({ language: 'es', confidence: 0.667, scores: { en: 0.4, es: 0.8 } });
+            expect(deleteFile).toHaveBeenCalledWith(SAMPLE_FILE);
+        });
+
+        test('should fail with 422 when no model recognizes any speech', async () => {
+            recognizeSpeech.mockResolvedValue({ text: '', results: [] });
+
+            await expect(detectLanguage('uploads/audio.wav')).rejects.toMatchObject({
+                statusCode: 422,
+                message: expect.stringContaining('no speech was recognized')
+            });
+            expect(deleteFile).toHaveBeenCalledWith(SAMPLE_FILE);
+        });
+
+        test('should delete the sample when recognition fails', async () => {
+            recognizeSpeech.mockRejectedValue(new Error('❌ Transcription process failed.'));
+
+            await expect(detectLanguage('uploads/audio.wav')).rejects.toThrow('Transcription process failed');
+            expect(deleteFile).toHaveBeenCalledWith(SAMPLE_FILE);
+        });
+
+        test('should reject when the sample cannot be extracted', async () => {
+            mockFfmpeg(1);
+
+            await expect(detectLanguage('uploads/audio.wav')).rejects.toThrow('FFmpeg conversion failed with code 1');
+            expect(recognizeSpeech).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,202 @@
+// tests/services/mediaDownloader.test.js
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/config', () => ({
+    remoteMedia: { allowedHosts: [], deniedHosts: [], maxBytes: 1000, maxRedirects: 2, timeoutSeconds: 5 },
+    uploadLimits: { maxBytes: 1000, maxDurationSeconds: 3600 },
+    timeEstimation: { fixedOverheadSeconds: 60, processingSpeedFactor: 30 }
+}));
+// The test server listens on loopback, which the real guard refuses
+jest.mock('../../src/services/urlGuard', () => ({
+    checkRemoteUrl: jest.fn(async url => new URL(url)),
+    guardedLookup: jest.fn((...args) => require('dns').lookup(...args))
+}));
+jest.mock('../../src/services/videoDurationDetector', () => ({
+    getVideoDuration: jest.fn()
+}));
+jest.mock('child_process', () => ({
+    spawn: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { remoteMedia } = require('../../src/config');
+const { checkRemoteUrl } = require('../../src/services/urlGuard');
+const { getVideoDuration } = require('../../src/services/videoDurationDetector');
+const { spawn } = require('child_process');
+const { downloadDirect, downloadRemoteMedia, downloadAudioWithYtDlp } = require('../../src/services/mediaDownloader');
+
+// Routes served by the test server
+const responses = {
+    '/episode.mp3': (res) => {
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': 4 });
+        res.end('ID3!');
+    },
+    '/moved': (res) => {
+        res.writeHead(302, { Location: '/episode.mp3' });
+        res.end();
+    },
+    '/loop': (res) => {
+        res.writeHead(302, { Location: '/loop' });
+        res.end();
+    },
+    '/page': (res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end('<html></html>');
+    },
+    '/huge.mp4': (res) => {
+        res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': 5000 });
+        res.end();
+    },
+    '/unannounced.mp3': (res) => {
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        res.end(Buffer.alloc(2000));
+    }
+};
+
+describe('mediaDownloader', () => {
+    let server;
+    let baseUrl;
+    let tempDir;
+
+    beforeAll((done) => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-downloader-'));
+        server = http.createServer((req, res) => {
+            (responses[req.url] || ((response) => {
+                response.writeHead(404);
+                response.end();
+            }))(res);
+        });
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        remoteMedia.allowedHosts = [];
+    });
+
+    describe('downloadDirect', () => {
+        test('should save audio files and report progress', async () => {
+            const outputPath = path.join(tempDir, 'episode');
+            const onProgress = jest.fn();
+
+            const file = await downloadDirect(new URL(`${baseUrl}/episode.mp3`), outputPath, onProgress);
+
+            expect(file).toEqual({ path: outputPath, originalname: 'episode.mp3', mimetype: 'audio/mpeg', size: 4 });
+            expect(fs.readFileSync(outputPath, 'utf8')).toBe('ID3!');
+            expect(onProgress).toHaveBeenLastCalledWith(100);
+        });
+
+        test('should check redirect targets before following them', async () => {
+            const file = await downloadDirect(new URL(`${baseUrl}/moved`), path.join(tempDir, 'moved'));
+
+            expect(checkRemoteUrl).toHaveBeenCalledWith(`${baseUrl}/episode.mp3`);
+            expect(file.originalname).toBe('episode.mp3');
+        });
+
+        test('should stop after too many redirects', async () => {
+            await expect(downloadDirect(new URL(`${baseUrl}/loop`), path.join(tempDir, 'loop'))).rejects.toMatchObject({ statusCode: 502 });
+            expect(checkRemoteUrl).toHaveBeenCalledTimes(2);
+        });
+
+        test('should resolve with null for web pages', async () => {
+            await expect(downloadDirect(new URL(`${baseUrl}/page`), path.join(tempDir, 'page'))).resolves.toBeNull();
+        });
+
+        test('should report HTTP errors', async () => {
+            await expect(downloadDirect(new URL(`${baseUrl}/missing.mp3`), path.join(tempDir, 'missing'))).rejects.toMatchObject({
+                statusCode: 502,
+                message: '127.0.0.1 answered with HTTP 404.'
+            });
+        });
+
+        test('should refuse files larger than the cap', async () => {
+            await expect(downloadDirect(new URL(`${baseUrl}/huge.mp4`), path.join(tempDir, 'huge'))).rejects.toMatchObject({ statusCode: 413 });
+        });
+
+        test('should stop reading once more than the cap arrives', async () => {
+            const outputPath = path.join(tempDir, 'unannounced');
+
+            await expect(downloadDirect(new URL(`${baseUrl}/unannounced.mp3`), outputPath)).rejects.toMatchObject({ statusCode: 413 });
+        });
+    });
+
+    describe('downloadRemoteMedia', () => {
+        test('should download direct links with the URL they came from', async () => {
+            const file = await downloadRemoteMedia(`${baseUrl}/episode.mp3`);
+
+            expect(file).toMatchObject({ originalname: 'episode.mp3', size: 4, url: `${baseUrl}/episode.mp3` });
+            expect(getVideoDuration).not.toHaveBeenCalled();
+            expect(spawn).not.toHaveBeenCalled();
+            fs.unlinkSync(file.path);
+        });
+
+        test('should not hand pages to yt-dlp unless their hosts are allowed', async () => {
+            await expect(downloadRemoteMedia(`${baseUrl}/page`)).rejects.toMatchObject({
+                statusCode: 415,
+                message: `${baseUrl}/page is a web page, not an audio or video file. Pages are only downloaded from the hosts in remoteMedia.allowedHosts.`
+            });
+            expect(getVideoDuration).not.toHaveBeenCalled();
+            expect(spawn).not.toHaveBeenCalled();
+        });
+
+        test('should refuse pages whose media is too long before downloading it', async () => {
+            remoteMedia.allowedHosts = ['127.0.0.1'];
+            getVideoDuration.mockResolvedValue(7200);
+
+            await expect(downloadRemoteMedia(`${baseUrl}/page`)).rejects.toMatchObject({ statusCode: 413 });
+            expect(getVideoDuration).toHaveBeenCalledWith(`${baseUrl}/page`);
+            expect(spawn).not.toHaveBeenCalled();
+        });
+
+        test('should pass download errors from the URL check on', async () => {
+            checkRemoteUrl.mockRejectedValueOnce(Object.assign(new Error('Downloads from 127.0.0.1 are not allowed.'), { statusCode: 403 }));
+
+            await expect(downloadRemoteMedia(`${baseUrl}/episode.mp3`)).rejects.toMatchObject({ statusCode: 403 });
+        });
+    });
+
+    describe('downloadAudioWithYtDlp', () => {
+        test('should reject when yt-dlp cannot be started', async () => {
+            spawn.mockReturnValue({
+                stdout: { on: jest.fn() },
+                stderr: { on: jest.fn() },
+                on: jest.fn((event, callback) => event === 'error' && callback(new Error('spawn yt-dlp ENOENT')))
+            });
+
+            await expect(downloadAudioWithYtDlp('https://video.example.com/watch/1', 'out.%(ext)s')).rejects.toMatchObject({
+                statusCode: 500,
+                message: 'yt-dlp could not be started: spawn yt-dlp ENOENT'
+            });
+        });
+
+        test('should pass the size cap and playlist option to yt-dlp', async () => {
+            spawn.mockReturnValue({
+                stdout: { on: jest.fn() },
+                stderr: { on: jest.fn() },
+                on: jest.fn((event, callback) => event === 'close' && callback(0))
+            });
+
+            await downloadAudioWithYtDlp('https://video.example.com/watch/1', 'out.%(ext)s', null, { format: 'bestaudio/best', maxBytes: 1000, noPlaylist: true });
+
+            expect(spawn).toHaveBeenCalledWith('yt-dlp', [
+                '-f', 'bestaudio/best', '--newline', '--max-filesize', '1000', '--no-playlist', '-o', 'out.%(ext)s', 'https://video.example.com/watch/1'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * @file mediaValidator.test.js
+ * @description Unit tests for upload size, content and ffprobe checks and audio track selection
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('fluent-ffmpeg', () => ({
+    ffprobe: jest.fn()
+}));
+jest.mock('../../src/config', () => ({
+    allowedExtensions: ['mp3', 'wav', 'm4a', 'aac', 'mp4', 'mkv'],
+    uploadLimits: { maxBytes: 1000, maxDurationSeconds: 3600 }
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const ffmpeg = require('fluent-ffmpeg');
+const { validateMediaFile, detectFormat, selectAudioTrack } = require('../../src/services/mediaValidator');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-validator-'));
+
+// Writes a file that starts with the given bytes
+const createFile = (name, header) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, Buffer.concat([Buffer.from(header), Buffer.alloc(32)]));
+    return { path: filePath, size: 100 };
+};
+
+const WAV_HEADER = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVE')]);
+
+// Makes ffprobe report the given streams and duration
+const mockProbe = (streams, duration = 60) => {
+    ffmpeg.ffprobe.mockImplementation((file, callback) => callback(null, { streams, format: { duration } }));
+};
+
+describe('Media Validator Service', () => {
+    afterAll(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockProbe([{ codec_type: 'audio' }]);
+    });
+
+    describe('detectFormat', () => {
+        test('should recognize formats from their magic bytes', () => {
+            expect(detectFormat(Buffer.from('ID3\x04\x00'))).toBe('mp3');
+            expect(detectFormat(Buffer.from([0xff, 0xfb, 0x90, 0x00]))).toBe('mp3');
+            expect(detectFormat(Buffer.from([0xff, 0xf1, 0x50, 0x80]))).toBe('aac');
+            expect(detectFormat(WAV_HEADER)).toBe('wav');
+            expect(detectFormat(Buffer.concat([Buffer.alloc(4), Buffer.from('ftypM4A ')]))).toBe('mp4');
+            expect(detectFormat(Buffer.concat([Buffer.alloc(4), Buffer.from('moov')]))).toBe('mp4');
+            expect(detectFormat(Buffer.from('OggS\x00'))).toBe('ogg');
+            expect(detectFormat(Buffer.from([0x1a, 0x45, 0xdf, 0xa3]))).toBe('matroska');
+            expect(detectFormat(Buffer.from('%PDF-1.7'))).toBeNull();
+            expect(detectFormat(Buffer.alloc(0))).toBeNull();
+        });
+    });
+
+    describe('validateMediaFile', () => {
+        test('should accept audio files and report their format and duration', async () => {
+            const file = createFile('speech.bin', WAV_HEADER);
+
+            await expect(validateMediaFile(file)).resolves.toEqual({
+                format: 'wav',
+                durationSeconds: 60,
+                audioTracks: [{ index: 0, language: null, title: null, codec: null, channels: null, default: false }],
+                audioTrack: { index: 0, language: null, title: null, codec: null, channels: null, default: false }
+            });
+            expect(ffmpeg.ffprobe).toHaveBeenCalledWith(file.path, expect.any(Function));
+        });
+
+        test('should refuse files over the size limit with 413 without reading them', async () => {
+            await expect(validateMediaFile({ path: path.join(tempDir, 'missing.mp3'), size: 1001 })).rejects.toMatchObject({ statusCode: 413 });
+            expect(ffmpeg.ffprobe).not.toHaveBeenCalled();
+        });
+
+        test('should refuse content that is not an accepted format with 415', async () => {
+            await expect(validateMediaFile(createFile('notes.mp3', '%PDF-1.7'))).rejects.toMatchObject({
+                statusCode: 415,
+                message: 'Unsupported media type. The file content must be MP3, WAV, M4A, AAC, MP4, MKV audio or video.'
+            });
+            await expect(validateMediaFile(createFile('song.mp3', 'OggS'))).rejects.toMatchObject({
+                statusCode: 415,
+                message: expect.stringContaining('Unsupported media type (ogg)')
+            });
+            expect(ffmpeg.ffprobe).not.toHaveBeenCalled();
+        });
+
+        test('should refuse files ffprobe cannot read or that hold no audio with 422', async () => {
+            ffmpeg.ffprobe.mockImplementationOnce((file, callback) => callback(new Error('Invalid data found')));
+            await expect(validateMediaFile(createFile('broken.wav', WAV_HEADER))).rejects.toMatchObject({ statusCode: 422 });
+
+            mockProbe([{ codec_type: 'video' }]);
+            await expect(validateMediaFile(createFile('silent.m4a', Buffer.concat([Buffer.alloc(4), Buffer.from('ftyp')])))).rejects.toMatchObject({
+                statusCode: 422,
+                message: 'The file contains no audio stream.'
+            });
+        });
+
+        test('should accept videos and pick the requested audio track', async () => {
+            mockProbe([
+                { codec_type: 'video', codec_name: 'h264' },
+                { codec_type: 'audio', codec_name: 'aac', channels: 2, tags: { language: 'eng' }, disposition: { default: 1 } },
+                { codec_type: 'audio', codec_name: 'ac3', channels: 6, tags: { language: 'fre', title: 'Doublage' }, disposition: { default: 0 } }
+            ]);
+            const file = createFile('film.mkv', [0x1a, 0x45, 0xdf, 0xa3]);
+
+            const result = await validateMediaFile(file, 'FRE');
+
+            expect(result.format).toBe('matroska');
+            expect(result.audioTracks).toHaveLength(2);
+            expect(result.audioTrack).toEqual({ index: 1, language: 'fre', title: 'Doublage', codec: 'ac3', channels: 6, default: false });
+            await expect(validateMediaFile(file)).resolves.toMatchObject({ audioTrack: { index: 0, language: 'eng' } });
+        });
+
+        test('should refuse recordings over the duration limit with 413', async () => {
+            mockProbe([{ codec_type: 'audio' }], 3601.4);
+
+            await expect(validateMediaFile(createFile('long.wav', WAV_HEADER))).rejects.toMatchObject({
+                statusCode: 413,
+                message: 'The recording is too long (3601 seconds). The maximum is 3600 seconds.'
+            });
+        });
+    });
+
+    describe('selectAudioTrack', () => {
+        const tracks = [
+            { index: 0, language: 'eng', default: false },
+            { index: 1, language: 'spa', default: true },
+            { index: 2, language: null, default: false }
+        ];
+
+        test('should use the default track, or the first, when none is requested', () => {
+            expect(selectAudioTrack(tracks).index).toBe(1);
+            expect(selectAudioTrack(tracks, '').index).toBe(1);
+            expect(selectAudioTrack([tracks[0], tracks[2]]).index).toBe(0);
+        });
+
+        test('should select tracks by index or language', () => {
+            expect(selectAudioTrack(tracks, 2).index).toBe(2);
+            expect(selectAudioTrack(tracks, '0').index).toBe(0);
+            expect(selectAudioTrack(tracks, 'ENG').index).toBe(0);
+        });
+
+        test('should reject tracks that do not exist with 400', () => {
+            expect(() => selectAudioTrack(tracks, 3)).toThrow('Audio track not found: 3. Available tracks: 0 (eng), 1 (spa), 2');
+            expect(() => selectAudioTrack(tracks, 'deu')).toThrow(expect.objectContaining({ statusCode: 400 }));
+        });
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * @file modelRegistry.test.js
+ * @description Unit tests for Vosk model discovery and resolution
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockModelsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vosk-models-'));
+
+jest.mock('../../src/config', () => ({
+    modelsDir: mockModelsDir,
+    modelPaths: {},
+    diarization: { speakerModelPath: require('path').join(mockModelsDir, 'vosk-model-spk-0.4') }
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const config = require('../../src/config');
+const logger = require('../../src/utils/logger');
+const {
+    loadModels,
+    getModels,
+    getLanguages,
+    getModel,
+    getDefaultModel,
+    resolveModel,
+    parseModelLanguage
+} = require('../../src/services/modelRegistry');
+
+// Writes a model directory with the given files, each filled with `size` bytes
+const createModel = (name, files = ['am/final.mdl', 'conf/mfcc.conf', 'graph/HCLG.fst'], size = 10) => {
+    files.forEach((file) => {
+        const filePath = path.join(mockModelsDir, name, file);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, Buffer.alloc(size));
+    });
+};
+
+describe('Model Registry Service', () => {
+    beforeAll(() => {
+        createModel('vosk-model-en-us-0.22', undefined, 100);
+        createModel('vosk-model-small-en-us-0.15', ['am/final.mdl', 'conf/mfcc.conf', 'graph/HCLr.fst', 'graph/Gr.fst']);
+        createModel('vosk-model-es-0.42');
+        createModel('vosk-model-fr-broken', ['am/final.mdl']);
+        createModel('vosk-model-spk-0.4', ['final.ext.raw', 'mfcc.conf']);
+        createModel('custom-model');
+    });
+
+    afterAll(() => {
+        fs.rmSync(mockModelsDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Object.keys(config.modelPaths).forEach(language => delete config.modelPaths[language]);
+        loadModels();
+    });
+
+    describe('parseModelLanguage', () => {
+        test('should read the language from standard model names', () => {
+            expect(parseModelLanguage('vosk-model-en-us-0.22')).toBe('en');
+            expect(parseModelLanguage('vosk-model-small-es-0.42')).toBe('es');
+            expect(parseModelLanguage('my-model')).toBeNull();
+        });
+    });
+
+    describe('loadModels', () => {
+        test('should keep valid models, largest first within a language', () => {
+            expect(getModels().map(model => [model.name, model.language, model.default])).toEqual([
+                ['vosk-model-en-us-0.22', 'en', true],
+                ['vosk-model-small-en-us-0.15', 'en', false],
+                ['vosk-model-es-0.42', 'es', true]
+            ]);
+            expect(getModel('vosk-model-en-us-0.22').sizeBytes).toBe(300);
+            expect(getLanguages()).toEqual(['en', 'es']);
+        });
+
+        test('should warn about incomplete models and unknown languages but not the speaker model', () => {
+            const warnings = logger.warn.mock.calls.map(([message]) => message);
+
+            expect(warnings).toEqual(expect.arrayContaining([
+                expect.stringContaining('vosk-model-fr-broken: missing conf/mfcc.conf, graph/HCLG.fst or graph/HCLr.fst + graph/Gr.fst'),
+                expect.stringContaining('custom-model: cannot tell its language')
+            ]));
+            expect(warnings.some(message => message.includes('vosk-model-spk-0.4'))).toBe(false);
+        });
+
+        test('should prefer the configured model for a language', () => {
+            Object.assign(config.modelPaths, { en: path.join(mockModelsDir, 'vosk-model-small-en-us-0.15') });
+            loadModels();
+
+            expect(getDefaultModel('en').name).toBe('vosk-model-small-en-us-0.15');
+        });
+
+        test('should register configured models whose names do not reveal the language', () => {
+            Object.assign(config.modelPaths, { de: path.join(mockModelsDir, 'custom-model') });
+            loadModels();
+
+            expect(getDefaultModel('de').name).toBe('custom-model');
+        });
+
+        test('should warn when a configured model is missing', () => {
+            Object.assign(config.modelPaths, { it: path.join(mockModelsDir, 'vosk-model-it-0.22') });
+            loadModels();
+
+            expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Configured it model not found'));
+            expect(getDefaultModel('it')).toBeNull();
+        });
+    });
+
+    describe('resolveModel', () => {
+        test('should return the default model for a language', () => {
+            expect(resolveModel('es').name).toBe('vosk-model-es-0.42');
+        });
+
+        test('should return a named model', () => {
+            expect(resolveModel('en', 'vosk-model-small-en-us-0.15').name).toBe('vosk-model-small-en-us-0.15');
+            expect(resolveModel(undefined, 'vosk-model-es-0.42').language).toBe('es');
+        });
+
+        test('should reject languages without an installed model instead of falling back', () => {
+            expect(() => resolveModel('fr')).toThrow('No model installed for language "fr". Installed languages: en, es');
+        });
+
+        test('should reject unknown models and language mismatches', () => {
+            expect(() => resolveModel('en', 'vosk-model-de-0.21')).toThrow('Unknown model: vosk-model-de-0.21');
+            expect(() => resolveModel('es', 'vosk-model-en-us-0.22')).toThrow('Model vosk-model-en-us-0.22 is for language "en", not "es".');
+        });
+    });
+});
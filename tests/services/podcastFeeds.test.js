@@ -0,0 +1,119 @@
+// tests/services/podcastFeeds.test.js
+const http = require('http');
+
+jest.mock('../../src/config', () => ({
+    remoteMedia: { allowedHosts: [], deniedHosts: [], maxBytes: 1000, maxRedirects: 2, timeoutSeconds: 5 },
+    podcasts: { maxFeedBytes: 2000 }
+}));
+// The stand-in feed server listens on loopback, which the real guard refuses
+jest.mock('../../src/services/urlGuard', () => ({
+    checkRemoteUrl: jest.fn(async url => new URL(url)),
+    guardedLookup: jest.fn((...args) => require('dns').lookup(...args))
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { checkRemoteUrl } = require('../../src/services/urlGuard');
+const { fetchFeed, parseFeed } = require('../../src/services/podcastFeeds');
+
+const FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+  <channel>
+    <title>Tech &amp; Talk</title>
+    <itunes:title>Ignored</itunes:title>
+    <item>
+      <title><![CDATA[Episode 1: <Hello> & welcome]]></title>
+      <guid isPermaLink="false">ep-1</guid>
+      <pubDate>Mon, 05 Feb 2024 10:00:00 GMT</pubDate>
+      <enclosure url="https://cdn.example.com/ep1.mp3?a=1&amp;b=2" type="audio/mpeg" length="1234"/>
+    </item>
+    <item>
+      <title>Episode 2 &#8211; News</title>
+      <pubDate>Mon, 12 Feb 2024 10:00:00 GMT</pubDate>
+      <link>https://example.com/ep2</link>
+      <enclosure type='audio/mpeg' url='https://cdn.example.com/ep2.mp3'/>
+    </item>
+    <item>
+      <title>Blog post without audio</title>
+      <guid>post-1</guid>
+    </item>
+  </channel>
+</rss>`;
+
+describe('podcastFeeds', () => {
+    describe('parseFeed', () => {
+        test('should read the channel title and episodes with enclosures, newest first', () => {
+            const feed = parseFeed(FEED);
+
+            expect(feed.title).toBe('Tech & Talk');
+            expect(feed.episodes).toEqual([
+                {
+                    guid: 'https://cdn.example.com/ep2.mp3',
+                    title: 'Episode 2 – News',
+                    publishedAt: '2024-02-12T10:00:00.000Z',
+                    link: 'https://example.com/ep2',
+                    enclosure: { url: 'https://cdn.example.com/ep2.mp3', type: 'audio/mpeg', length: null }
+                },
+                {
+                    guid: 'ep-1',
+                    title: 'Episode 1: <Hello> & welcome',
+                    publishedAt: '2024-02-05T10:00:00.000Z',
+                    link: null,
+                    enclosure: { url: 'https://cdn.example.com/ep1.mp3?a=1&b=2', type: 'audio/mpeg', length: 1234 }
+                }
+            ]);
+        });
+
+        test('should reject content that is not an RSS feed', () => {
+            expect(() => parseFeed('<html><body>Hello</body></html>')).toThrow('The URL does not serve an RSS feed.');
+        });
+    });
+
+    describe('fetchFeed', () => {
+        let server;
+        let baseUrl;
+
+        beforeAll((done) => {
+            server = http.createServer((req, res) => {
+                if (req.url === '/feed.xml') {
+                    res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+                    return res.end(FEED);
+                }
+                if (req.url === '/huge.xml') {
+                    res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+                    return res.end(`<rss><channel>${' '.repeat(5000)}</channel></rss>`);
+                }
+                res.writeHead(404);
+                res.end();
+            });
+            server.listen(0, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}`;
+                done();
+            });
+        });
+
+        afterAll((done) => {
+            server.close(done);
+        });
+
+        test('should check the URL and read the feed', async () => {
+            const feed = await fetchFeed(`${baseUrl}/feed.xml`);
+
+            expect(checkRemoteUrl).toHaveBeenCalledWith(`${baseUrl}/feed.xml`);
+            expect(feed.title).toBe('Tech & Talk');
+            expect(feed.episodes).toHaveLength(2);
+        });
+
+        test('should refuse feeds over the size limit', async () => {
+            await expect(fetchFeed(`${baseUrl}/huge.xml`)).rejects.toMatchObject({ statusCode: 413 });
+        });
+
+        test('should report missing feeds', async () => {
+            await expect(fetchFeed(`${baseUrl}/missing.xml`)).rejects.toMatchObject({ statusCode: 502 });
+        });
+    });
+});
@@ -0,0 +1,173 @@
+// tests/services/podcastPolling.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockPodcastDir = fs.mkdtempSync(path.join(os.tmpdir(), 'podcast-polling-'));
+
+jest.mock('../../src/config', () => ({
+    podcasts: { dir: mockPodcastDir, pollIntervalMinutes: 60, maxNewEpisodesPerPoll: 2, maxEpisodeAttempts: 3 },
+    jobs: { concurrency: 1, retentionMinutes: 60 }
+}));
+jest.mock('../../src/services/podcastFeeds', () => ({
+    fetchFeed: jest.fn()
+}));
+jest.mock('../../src/services/mediaDownloader', () => ({
+    downloadRemoteMedia: jest.fn()
+}));
+jest.mock('../../src/services/mediaValidator', () => ({
+    validateMediaFile: jest.fn()
+}));
+jest.mock('../../src/services/concurrencyLimiter', () => ({
+    limiters: { download: { run: jest.fn(task => task()) } }
+}));
+jest.mock('../../src/services/transcriptionPipeline', () => ({
+    runFileTranscription: jest.fn()
+}));
+jest.mock('../../src/utils/fileUtils', () => ({
+    deleteFile: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { fetchFeed } = require('../../src/services/podcastFeeds');
+const { downloadRemoteMedia } = require('../../src/services/mediaDownloader');
+const { validateMediaFile } = require('../../src/services/mediaValidator');
+const { runFileTranscription } = require('../../src/services/transcriptionPipeline');
+const { deleteFile } = require('../../src/utils/fileUtils');
+const { getJob } = require('../../src/services/jobQueue');
+const logger = require('../../src/utils/logger');
+const {
+    createSubscription,
+    getSubscriptionDetails,
+    listSubscriptions,
+    recordPoll,
+    removeSubscription
+} = require('../../src/services/podcastSubscriptions');
+const { pollSubscription, pollAllSubscriptions, startPodcastPolling } = require('../../src/services/podcastPolling');
+
+// Episodes in the shape parseFeed returns
+const episode = (number) => ({
+    guid: `ep-${number}`,
+    title: `Episode ${number}`,
+    publishedAt: `2024-02-0${number}T10:00:00.000Z`,
+    link: null,
+    enclosure: { url: `https://cdn.example.com/ep${number}.mp3`, type: 'audio/mpeg', length: null }
+});
+// A feed lists its episodes newest first
+const feedOf = (...numbers) => ({ title: 'Tech Talk', episodes: numbers.reverse().map(episode) });
+const options = { language: 'en', diarize: false, translate: false, audioFilters: [], engine: 'vosk' };
+
+// Waits until every listed job has finished
+const waitForJobs = async (jobIds) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        if (jobIds.every(id => ['done', 'failed'].includes(getJob(id).status))) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Jobs did not finish');
+};
+
+describe('podcastPolling', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        downloadRemoteMedia.mockImplementation(async url => ({ path: `uploads/${path.basename(url)}`, originalname: path.basename(url), url }));
+        validateMediaFile.mockResolvedValue({ format: 'mp3', durationSeconds: 60, audioTrack: { index: 0 } });
+        runFileTranscription.mockImplementation(async ({ originalName }) => ({ success: true, transcriptId: `${originalName}-transcript` }));
+    });
+
+    afterEach(() => {
+        listSubscriptions().forEach(subscription => removeSubscription(subscription.id));
+    });
+
+    afterAll(() => {
+        fs.rmSync(mockPodcastDir, { recursive: true, force: true });
+    });
+
+    test('should queue new episodes oldest first, at most maxNewEpisodesPerPoll at a time', async () => {
+        const { id } = createSubscription({ feedUrl: 'https://example.com/feed.xml', feed: feedOf(1), options });
+        fetchFeed.mockResolvedValue(feedOf(1, 2, 3, 4));
+
+        const queued = await pollSubscription(id);
+        expect(queued.map(item => item.guid)).toEqual(['ep-2', 'ep-3']);
+        await waitForJobs(queued.map(item => item.jobId));
+
+        expect(runFileTranscription).toHaveBeenCalledWith(expect.objectContaining({
+            ...options,
+            filePath: 'uploads/ep2.mp3',
+            sourceDetails: expect.objectContaining({ type: 'podcast', subscriptionId: id, episode: expect.objectContaining({ guid: 'ep-2' }) }),
+            format: 'json',
+            audioTrack: { index: 0 },
+            waitForCapacity: true
+        }), expect.any(Object));
+        expect(getSubscriptionDetails(id).episodeCounts).toMatchObject({ transcribed: 2, skipped: 1 });
+    });
+
+    test('should record episodes that fail and remove their download', async () => {
+        validateMediaFile.mockRejectedValue(new Error('The file does not contain audio.'));
+        const { id } = createSubscription({ feedUrl: 'https://example.com/feed.xml', feed: feedOf(1), options });
+
+        const queued = await pollSubscription(id, feedOf(1, 2));
+        await waitForJobs(queued.map(item => item.jobId));
+
+        expect(fetchFeed).not.toHaveBeenCalled();
+        expect(deleteFile).toHaveBeenCalledWith('uploads/ep2.mp3');
+        expect(runFileTranscription).not.toHaveBeenCalled();
+        expect(getSubscriptionDetails(id).episodes).toEqual([expect.objectContaining({ guid: 'ep-2', status: 'failed', error: 'The file does not contain audio.' })]);
+    });
+
+    test('should retry a failed episode on the next poll', async () => {
+        validateMediaFile.mockRejectedValueOnce(new Error('The file does not contain audio.'));
+        const { id } = createSubscription({ feedUrl: 'https://example.com/feed.xml', feed: feedOf(1), options });
+
+        const first = await pollSubscription(id, feedOf(1, 2));
+        await waitForJobs(first.map(item => item.jobId));
+        const second = await pollSubscription(id, feedOf(1, 2));
+        await waitForJobs(second.map(item => item.jobId));
+
+        expect(second.map(item => item.guid)).toEqual(['ep-2']);
+        expect(getSubscriptionDetails(id).episodes).toEqual([expect.objectContaining({ guid: 'ep-2', status: 'transcribed', attempts: 2 })]);
+    });
+
+    test('should requeue an episode whose job was lost when the server stopped', async () => {
+        const { id } = createSubscription({ feedUrl: 'https://example.com/feed.xml', feed: feedOf(1), options });
+        recordPoll(id, { queued: [{ ...episode(2), jobId: 'job-from-before-restart' }] });
+
+        const queued = await pollSubscription(id, feedOf(1, 2));
+        await waitForJobs(queued.map(item => item.jobId));
+
+        expect(queued.map(item => item.guid)).toEqual(['ep-2']);
+        expect(getSubscriptionDetails(id).episodeCounts).toMatchObject({ queued: 0, transcribed: 1 });
+    });
+
+    test('should poll every subscription and record feeds that cannot be read', async () => {
+        const broken = createSubscription({ feedUrl: 'https://broken.example.com/feed.xml', feed: feedOf(1), options });
+        const working = createSubscription({ feedUrl: 'https://example.com/feed.xml', feed: feedOf(1), options });
+        fetchFeed.mockImplementation(async (url) => {
+            if (url.includes('broken')) {
+                throw new Error('broken.example.com answered with HTTP 500.');
+            }
+            return feedOf(1, 2);
+        });
+
+        await pollAllSubscriptions();
+
+        expect(getSubscriptionDetails(broken.id).lastError).toBe('broken.example.com answered with HTTP 500.');
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Could not poll https://broken.example.com/feed.xml'));
+        const { episodes } = getSubscriptionDetails(working.id);
+        expect(episodes.map(item => item.guid)).toEqual(['ep-2']);
+        await waitForJobs([episodes[0].jobId]);
+    });
+
+    test('should poll on an interval that does not keep the process alive', () => {
+        const timer = startPodcastPolling();
+
+        expect(timer.hasRef()).toBe(false);
+        clearInterval(timer);
+    });
+});
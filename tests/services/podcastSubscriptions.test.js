@@ -0,0 +1,161 @@
+// tests/services/podcastSubscriptions.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockPodcastDir = fs.mkdtempSync(path.join(os.tmpdir(), 'podcast-subscriptions-'));
+
+jest.mock('../../src/config', () => ({
+    podcasts: { dir: mockPodcastDir, maxEpisodeAttempts: 2 }
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const {
+    createSubscription,
+    getSubscription,
+    getSubscriptionDetails,
+    listSubscriptions,
+    findEpisodesToTranscribe,
+    recordPoll,
+    recordEpisode,
+    removeSubscription
+} = require('../../src/services/podcastSubscriptions');
+
+// Episodes in the shape parseFeed returns, newest first
+const episode = (number) => ({
+    guid: `ep-${number}`,
+    title: `Episode ${number}`,
+    publishedAt: `2024-02-0${number}T10:00:00.000Z`,
+    link: null,
+    enclosure: { url: `https://cdn.example.com/ep${number}.mp3`, type: 'audio/mpeg', length: null }
+});
+const feed = { title: 'Tech Talk', episodes: [episode(3), episode(2), episode(1)] };
+const options = { language: 'en', diarize: false, translate: false, audioFilters: [], engine: 'vosk' };
+
+describe('podcastSubscriptions', () => {
+    afterEach(() => {
+        listSubscriptions().forEach(subscription => removeSubscription(subscription.id));
+    });
+
+    afterAll(() => {
+        fs.rmSync(mockPodcastDir, { recursive: true, force: true });
+    });
+
+    test('should skip the episodes already in the feed except the backfilled ones', () => {
+        const subscription = createSubscription({ feedUrl: 'https://example.com/feed.xml', feed, options, backfill: 1 });
+
+        expect(subscription).toMatchObject({
+            feedUrl: 'https://example.com/feed.xml',
+            title: 'Tech Talk',
+            options,
+            lastPolledAt: null,
+            episodeCounts: { queued: 0, transcribed: 0, failed: 0, skipped: 2 }
+        });
+        expect(findEpisodesToTranscribe(subscription.id, feed.episodes)).toEqual([episode(3)]);
+        expect(getSubscription(subscription.id)).not.toHaveProperty('episodes');
+    });
+
+    test('should return new episodes oldest first', () => {
+        const { id } = createSubscription({ feedUrl: 'https://example.com/feed.xml', feed, options });
+
+        expect(findEpisodesToTranscribe(id, [episode(5), episode(4), ...feed.episodes])).toEqual([episode(4), episode(5)]);
+    });
+
+    test('should refuse a second subscription to the same feed', () => {
+        const { id } = createSubscription({ feedUrl: 'https://example.com/feed.xml', feed, options });
+
+        expect(() => createSubscription({ feedUrl: 'https://example.com/feed.xml', feed, options }))
+            .toThrow(`Already subscribed to https://example.com/feed.xml (subscription ${id}).`);
+    });
+
+    test('should record polls and episode outcomes', () => {
+        const { id } = createSubscription({ feedUrl: 'https://example.com/feed.xml', feed, options });
+
+        recordPoll(id, { title: 'Tech Talk Weekly', queued: [{ ...episode(4), jobId: 'job-4' }] });
+        recordEpisode(id, 'ep-4', { status: 'transcribed', transcriptId: 'ep4-transcript' });
+
+        const details = getSubscriptionDetails(id);
+        expect(details.title).toBe('Tech Talk Weekly');
+        expect(details.lastPolledAt).not.toBeNull();
+        expect(details.episodeCounts).toEqual({ queued: 0, transcribed: 1, failed: 0, skipped: 3 });
+        expect(details.episodes).toEqual([{
+            guid: 'ep-4',
+            title: 'Episode 4',
+            publishedAt: '2024-02-04T10:00:00.000Z',
+            link: null,
+            enclosureUrl: 'https://cdn.example.com/ep4.mp3',
+            status: 'transcribed',
+            jobId: 'job-4',
+            attempts: 1,
+            transcriptId: 'ep4-transcript'
+        }]);
+
+        recordPoll(id, { error: 'example.com answered with HTTP 500.' });
+        expect(getSubscriptionDetails(id).lastError).toBe('example.com answered with HTTP 500.');
+    });
+
+    test('should retry failed episodes until they run out of attempts', () => {
+        const { id } = createSubscription({ feedUrl: 'https://example.com/feed.xml', feed, options });
+        const episodes = [episode(4), ...feed.episodes];
+
+        recordPoll(id, { queued: [{ ...episode(4), jobId: 'job-1' }] });
+        recordEpisode(id, 'ep-4', { status: 'failed', error: 'Download failed.' });
+        expect(findEpisodesToTranscribe(id, episodes)).toEqual([episode(4)]);
+
+        recordPoll(id, { queued: [{ ...episode(4), jobId: 'job-2' }] });
+        recordEpisode(id, 'ep-4', { status: 'failed', error: 'Download failed.' });
+        expect(findEpisodesToTranscribe(id, episodes)).toEqual([]);
+        expect(getSubscriptionDetails(id).episodes).toEqual([expect.objectContaining({ guid: 'ep-4', status: 'failed', jobId: 'job-2', attempts: 2 })]);
+    });
+
+    test('should requeue queued episodes whose job no longer exists', () => {
+        const { id } = createSubscription({ feedUrl: 'https://example.com/feed.xml', feed, options });
+        const episodes = [episode(5), episode(4), ...feed.episodes];
+        recordPoll(id, { queued: [{ ...episode(4), jobId: 'job-4' }, { ...episode(5), jobId: 'job-5' }] });
+
+        expect(findEpisodesToTranscribe(id, episodes, jobId => jobId === 'job-5')).toEqual([episode(4)]);
+        expect(findEpisodesToTranscribe(id, episodes)).toEqual([]);
+    });
+
+    test('should ignore outcomes for removed subscriptions', () => {
+        const { id } = createSubscription({ feedUrl: 'https://example.com/feed.xml', feed, options });
+        removeSubscription(id);
+
+        expect(() => recordEpisode(id, 'ep-1', { status: 'failed' })).not.toThrow();
+        expect(() => getSubscription(id)).toThrow(`Podcast subscription not found: ${id}`);
+        expect(fs.existsSync(path.join(mockPodcastDir, `${id}.json`))).toBe(false);
+    });
+
+    test('should keep episodes whose guids match Object properties', () => {
+        const tricky = ['__proto__', 'constructor', 'toString'].map((guid, index) => ({ ...episode(index + 1), guid }));
+        const { id } = createSubscription({ feedUrl: 'https://example.com/feed.xml', feed: { title: 'Tech Talk', episodes: tricky }, options, backfill: 1 });
+
+        expect(findEpisodesToTranscribe(id, tricky).map(item => item.guid)).toEqual(['__proto__']);
+        recordPoll(id, { queued: [{ ...tricky[0], jobId: 'job-1' }] });
+        recordEpisode(id, '__proto__', { status: 'transcribed', transcriptId: 'abc' });
+
+        expect(findEpisodesToTranscribe(id, tricky)).toEqual([]);
+        expect(getSubscriptionDetails(id).episodeCounts).toMatchObject({ transcribed: 1, skipped: 2 });
+
+        jest.isolateModules(() => {
+            const reloaded = require('../../src/services/podcastSubscriptions');
+            expect(reloaded.findEpisodesToTranscribe(id, tricky)).toEqual([]);
+            expect(reloaded.getSubscriptionDetails(id).episodes).toEqual([expect.objectContaining({ guid: '__proto__', transcriptId: 'abc' })]);
+        });
+    });
+
+    test('should read subscriptions back after a restart', () => {
+        const { id } = createSubscription({ feedUrl: 'https://example.com/feed.xml', feed, options });
+
+        jest.isolateModules(() => {
+            const reloaded = require('../../src/services/podcastSubscriptions');
+            expect(reloaded.listSubscriptions().map(subscription => subscription.id)).toEqual([id]);
+            expect(reloaded.findEpisodesToTranscribe(id, feed.episodes)).toEqual([]);
+        });
+    });
+});
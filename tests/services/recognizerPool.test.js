@@ -0,0 +1,262 @@
+/**
+ * @file recognizerPool.test.js
+ * @description Unit tests for the persistent recognizer worker pool
+ */
+
+const { EventEmitter } = require('events');
+const path = require('path');
+
+jest.mock('child_process');
+jest.mock('../../src/config', () => ({
+    recognizerPool: {
+        enabled: true,
+        size: 2,
+        preloadLanguages: ['en', 'fr'],
+        restartDelayMs: 10,
+        maxStartupFailures: 3,
+        requestTimeoutSeconds: 3600
+    }
+}));
+jest.mock('../../src/services/modelRegistry', () => {
+    const models = {
+        en: { name: 'vosk-model-en-us-0.22', language: 'en', path: '/path/to/models/vosk-model-en-us-0.22' },
+        es: { name: 'vosk-model-es-0.42', language: 'es', path: '/path/to/models/vosk-model-es-0.42' }
+    };
+    return {
+        getLanguages: jest.fn(() => Object.keys(models)),
+        getDefaultModel: jest.fn(language => models[language] || null)
+    };
+});
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { spawn } = require('child_process');
+const logger = require('../../src/utils/logger');
+const { createRecognizerPool, getRecognizerPool } = require('../../src/services/recognizerPool');
+
+// Fake worker process that records requests written to stdin
+const createMockWorker = () => {
+    const worker = new EventEmitter();
+    worker.stdout = new EventEmitter();
+    worker.stderr = new EventEmitter();
+    worker.requests = [];
+    worker.stdin = Object.assign(new EventEmitter(), {
+        write: jest.fn((line) => worker.requests.push(JSON.parse(line))),
+        end: jest.fn()
+    });
+    worker.kill = jest.fn(() => worker.emit('close', null));
+    worker.reply = (message) => worker.stdout.emit('data', Buffer.from(`${JSON.stringify(message)}\n`));
+    return worker;
+};
+
+describe('Recognizer Pool Service', () => {
+    let workers;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        workers = [];
+        spawn.mockImplementation(() => {
+            const worker = createMockWorker();
+            workers.push(worker);
+            return worker;
+        });
+    });
+
+    test('should start the configured number of workers with preloaded models', () => {
+        const pool = createRecognizerPool({ size: 2, preloadModels: ['/models/en'] });
+
+        expect(spawn).toHaveBeenCalledTimes(2);
+        expect(spawn).toHaveBeenCalledWith(
+            path.join(__dirname, '../../venv/bin/python3'),
+            [path.join(__dirname, '../../recognizer_worker.py'), '/models/en'],
+            { stdio: ['pipe', 'pipe', 'pipe'] }
+        );
+
+        pool.shutdown();
+    });
+
+    test('should send requests to ready workers and resolve with their results', async () => {
+        const pool = createRecognizerPool({ size: 1 });
+        const onProgress = jest.fn();
+
+        const transcription = pool.transcribe('uploads/a.wav', '/models/en', { onProgress });
+
+        // Nothing is sent until the worker reports that it is ready
+        expect(workers[0].requests).toHaveLength(0);
+        workers[0].reply({ type: 'ready' });
+
+        const [request] = workers[0].requests;
+        expect(request).toEqual({ id: expect.any(String), audio: 'uploads/a.wav', model: '/models/en' });
+
+        workers[0].reply({ id: request.id, type: 'progress', percent: 50 });
+        workers[0].reply({ id: request.id, type: 'result', text: 'hello', results: [] });
+
+        await expect(transcription).resolves.toEqual({ text: 'hello', results: [] });
+        expect(onProgress).toHaveBeenCalledWith(50);
+
+        pool.shutdown();
+    });
+
+    test('should include the speaker model when diarization is requested', async () => {
+        const pool = createRecognizerPool({ size: 1 });
+        workers[0].reply({ type: 'ready' });
+
+        const transcription = pool.transcribe('uploads/a.wav', '/models/en', { speakerModelPath: '/models/spk' });
+
+        const [request] = workers[0].requests;
+        expect(request).toEqual({ id: expect.any(String), audio: 'uploads/a.wav', model: '/models/en', spkModel: '/models/spk' });
+
+        workers[0].reply({ id: request.id, type: 'result', text: 'hello', results: [] });
+        await transcription;
+
+        pool.shutdown();
+    });
+
+    test('should queue requests while every worker is busy', async () => {
+        const pool = createRecognizerPool({ size: 1 });
+        workers[0].reply({ type: 'ready' });
+
+        const first = pool.transcribe('uploads/a.wav', '/models/en');
+        const second = pool.transcribe('uploads/b.wav', '/models/es');
+        expect(workers[0].requests).toHaveLength(1);
+
+        workers[0].reply({ id: workers[0].requests[0].id, type: 'result', text: 'first', results: [] });
+        await expect(first).resolves.toEqual({ text: 'first', results: [] });
+
+        expect(workers[0].requests[1].audio).toBe('uploads/b.wav');
+        workers[0].reply({ id: workers[0].requests[1].id, type: 'error', message: 'bad wav' });
+        await expect(second).rejects.toThrow('Transcription process failed: bad wav');
+
+        pool.shutdown();
+    });
+
+    test('should reassemble messages split across stdout chunks', async () => {
+        const pool = createRecognizerPool({ size: 1 });
+        workers[0].reply({ type: 'ready' });
+
+        const transcription = pool.transcribe('uploads/a.wav', '/models/en');
+        const message = JSON.stringify({ id: workers[0].requests[0].id, type: 'result', text: 'split', results: [] });
+        workers[0].stdout.emit('data', Buffer.from(message.slice(0, 10)));
+        workers[0].stdout.emit('data', Buffer.from(`${message.slice(10)}\n`));
+
+        await expect(transcription).resolves.toEqual({ text: 'split', results: [] });
+
+        pool.shutdown();
+    });
+
+    test('should fail the in-flight request and restart a crashed worker', async () => {
+        const pool = createRecognizerPool({ size: 1, restartDelayMs: 5 });
+        workers[0].reply({ type: 'ready' });
+
+        const transcription = pool.transcribe('uploads/a.wav', '/models/en');
+        workers[0].emit('close', 137);
+
+        await expect(transcription).rejects.toThrow('recognizer worker exited with code 137');
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('restarting in 5ms'));
+
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(spawn).toHaveBeenCalledTimes(2);
+
+        // The replacement worker picks up new requests
+        workers[1].reply({ type: 'ready' });
+        const retry = pool.transcribe('uploads/a.wav', '/models/en');
+        workers[1].reply({ id: workers[1].requests[0].id, type: 'result', text: 'recovered', results: [] });
+        await expect(retry).resolves.toEqual({ text: 'recovered', results: [] });
+
+        pool.shutdown();
+    });
+
+    test('should reject pending and new requests after shutdown without restarting workers', async () => {
+        const pool = createRecognizerPool({ size: 1, restartDelayMs: 5 });
+        const pending = pool.transcribe('uploads/a.wav', '/models/en');
+
+        pool.shutdown();
+        workers[0].emit('close', 0);
+
+        await expect(pending).rejects.toThrow('Recognizer pool is shut down');
+        await expect(pool.transcribe('uploads/b.wav', '/models/en')).rejects.toThrow('Recognizer pool is shut down');
+        expect(workers[0].stdin.end).toHaveBeenCalled();
+
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(spawn).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fail pending and new requests when workers never become ready', async () => {
+        // As without a venv: every worker exits right after starting
+        spawn.mockImplementation(() => {
+            const worker = createMockWorker();
+            workers.push(worker);
+            setImmediate(() => worker.emit('close', 1));
+            return worker;
+        });
+        const pool = createRecognizerPool({ size: 1, restartDelayMs: 1, maxStartupFailures: 3 });
+
+        await expect(pool.transcribe('uploads/a.wav', '/models/en')).rejects.toThrow(
+            'Recognizer workers could not be started: worker 0 exited 3 times before becoming ready (last exit code 1)'
+        );
+        await expect(pool.transcribe('uploads/b.wav', '/models/en')).rejects.toThrow('Recognizer workers could not be started');
+
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(spawn).toHaveBeenCalledTimes(3);
+        pool.shutdown();
+    });
+
+    test('should keep restarting workers that crash after becoming ready', async () => {
+        const pool = createRecognizerPool({ size: 1, restartDelayMs: 1, maxStartupFailures: 2 });
+
+        for (let crash = 0; crash < 3; crash++) {
+            workers[crash].reply({ type: 'ready' });
+            workers[crash].emit('close', 137);
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+
+        expect(spawn).toHaveBeenCalledTimes(4);
+        workers[3].reply({ type: 'ready' });
+        const transcription = pool.transcribe('uploads/a.wav', '/models/en');
+        workers[3].reply({ id: workers[3].requests[0].id, type: 'result', text: 'still here', results: [] });
+        await expect(transcription).resolves.toEqual({ text: 'still here', results: [] });
+        pool.shutdown();
+    });
+
+    test('should fail requests that take too long and restart their worker', async () => {
+        const pool = createRecognizerPool({ size: 1, restartDelayMs: 1, requestTimeoutMs: 10 });
+        workers[0].reply({ type: 'ready' });
+
+        await expect(pool.transcribe('uploads/a.wav', '/models/en')).rejects.toThrow('Transcription process failed: no result within');
+        expect(workers[0].kill).toHaveBeenCalled();
+
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(spawn).toHaveBeenCalledTimes(2);
+        pool.shutdown();
+    });
+
+    test('should time out requests still waiting for a worker', async () => {
+        const pool = createRecognizerPool({ size: 1, requestTimeoutMs: 10 });
+
+        await expect(pool.transcribe('uploads/a.wav', '/models/en')).rejects.toThrow('no result within');
+
+        // The worker that finally starts gets no stale request
+        workers[0].reply({ type: 'ready' });
+        expect(workers[0].requests).toEqual([]);
+        pool.shutdown();
+    });
+
+    test('should build the shared pool from config once', () => {
+        const pool = getRecognizerPool();
+
+        expect(getRecognizerPool()).toBe(pool);
+        expect(spawn).toHaveBeenCalledTimes(2);
+        // Languages without an installed model are skipped
+        expect(spawn).toHaveBeenCalledWith(
+            path.join(__dirname, '../../venv/bin/python3'),
+            [path.join(__dirname, '../../recognizer_worker.py'), '/path/to/models/vosk-model-en-us-0.22'],
+            expect.any(Object)
+        );
+
+        pool.shutdown();
+    });
+});
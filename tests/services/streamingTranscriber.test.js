@@ -0,0 +1,127 @@
+/**
+ * @file streamingTranscriber.test.js
+ * @description Unit tests for live transcription sessions
+ */
+
+const { EventEmitter } = require('events');
+const path = require('path');
+
+jest.mock('child_process');
+jest.mock('fs');
+jest.mock('../../src/config', () => ({
+    ffmpegOptions: { sampleRate: '16000', channels: '1', codec: 'pcm_s16le' }
+}));
+jest.mock('../../src/services/modelRegistry', () => ({
+    resolveModel: jest.fn(language => ({
+        name: `vosk-model-${language}`,
+        language,
+        path: language === 'es' ? '/path/to/models/vosk-model-es-0.42' : '/path/to/models/vosk-model-en-us-0.22'
+    }))
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { spawn } = require('child_process');
+const logger = require('../../src/utils/logger');
+const { createStreamingSession } = require('../../src/services/streamingTranscriber');
+
+// Builds a fake Python process whose streams can be driven by the test
+const createMockProcess = () => {
+    const processEmitter = new EventEmitter();
+    processEmitter.stdout = new EventEmitter();
+    processEmitter.stderr = new EventEmitter();
+    processEmitter.stdin = Object.assign(new EventEmitter(), {
+        write: jest.fn(),
+        end: jest.fn()
+    });
+    return processEmitter;
+};
+
+describe('Streaming Transcriber Service', () => {
+    let mockProcess;
+    let handlers;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockProcess = createMockProcess();
+        spawn.mockReturnValue(mockProcess);
+        handlers = {
+            onReady: jest.fn(),
+            onPartial: jest.fn(),
+            onFinal: jest.fn(),
+            onError: jest.fn(),
+            onClose: jest.fn()
+        };
+    });
+
+    test('should start the streaming recognizer with the language model and sample rate', () => {
+        createStreamingSession('es', handlers);
+
+        expect(spawn).toHaveBeenCalledWith(
+            path.join(__dirname, '../../venv/bin/python3'),
+            [path.join(__dirname, '../../stream_transcribe.py'), '/path/to/models/vosk-model-es-0.42', '16000'],
+            { stdio: ['pipe', 'pipe', 'pipe'] }
+        );
+    });
+
+    test('should dispatch ready, partial and final messages, even when split across chunks', () => {
+        createStreamingSession('en', handlers);
+
+        mockProcess.stdout.emit('data', Buffer.from('{"type":"ready"}\n{"type":"partial","text":"hel'));
+        mockProcess.stdout.emit('data', Buffer.from('lo"}\n{"type":"final","text":"hello","result":[{"word":"hello","start":0.5,"end":0.9,"conf":0.8}]}\n'));
+
+        expect(handlers.onReady).toHaveBeenCalled();
+        expect(handlers.onPartial).toHaveBeenCalledWith('hello');
+        expect(handlers.onFinal).toHaveBeenCalledWith({
+            text: 'hello',
+            segments: [{ start: 0.5, end: 0.9, text: 'hello', confidence: 0.8 }],
+            words: [{ word: 'hello', start: 0.5, end: 0.9, confidence: 0.8 }]
+        });
+    });
+
+    test('should log malformed recognizer output', () => {
+        createStreamingSession('en', handlers);
+
+        mockProcess.stdout.emit('data', Buffer.from('not json\n'));
+
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Invalid recognizer output'));
+    });
+
+    test('should forward audio and close stdin when the session ends', () => {
+        const session = createStreamingSession('en', handlers);
+        const chunk = Buffer.alloc(3200);
+
+        session.write(chunk);
+        session.end();
+
+        expect(mockProcess.stdin.write).toHaveBeenCalledWith(chunk);
+        expect(mockProcess.stdin.end).toHaveBeenCalled();
+    });
+
+    test('should ignore audio written after the recognizer exited', () => {
+        const session = createStreamingSession('en', handlers);
+
+        mockProcess.emit('close', 0);
+        session.write(Buffer.alloc(10));
+        session.end();
+
+        expect(handlers.onClose).toHaveBeenCalled();
+        expect(handlers.onError).not.toHaveBeenCalled();
+        expect(mockProcess.stdin.write).not.toHaveBeenCalled();
+        expect(mockProcess.stdin.end).not.toHaveBeenCalled();
+    });
+
+    test('should report a failure only once when spawning fails', () => {
+        createStreamingSession('en', handlers);
+
+        mockProcess.emit('error', new Error('spawn ENOENT'));
+        mockProcess.emit('close', -2);
+
+        expect(handlers.onError).toHaveBeenCalledTimes(1);
+        expect(handlers.onError.mock.calls[0][0].message).toContain('failed to start');
+    });
+});
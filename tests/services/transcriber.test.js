@@ -8,10 +8,21 @@ jest.mock('child_process');
 jest.mock('fs/promises');
 jest.mock('fs');
 jest.mock('../../src/config', () => ({
-    modelPaths: {
-        en: '/path/to/models/vosk-model-en-us-0.22',
-        es: '/path/to/models/vosk-model-es-0.42'
-    }
+    recognizerPool: { enabled: false },
+    chunking: { enabled: true, minDurationSeconds: 900 },
+    transcription: { defaultEngine: 'vosk', engines: ['vosk', 'fake'] },
+    whisper: { binaryPath: 'whisper-cli', modelPath: '/path/to/models/ggml-base.bin', threads: 4 },
+    diarization: { speakerModelPath: '/path/to/models/vosk-model-spk-0.4', distanceThreshold: 0.5, maxSpeakers: 4 }
+}));
+jest.mock('../../src/services/recognizerPool', () => ({
+    getRecognizerPool: jest.fn()
+}));
+jest.mock('../../src/services/chunkedTranscriber', () => ({
+    transcribeInChunks: jest.fn()
+}));
+jest.mock('../../src/services/modelRegistry', () => ({
+    resolveModel: jest.fn(),
+    getLanguages: jest.fn(() => ['en', 'es'])
 }));
 
 // Import after mocking
@@ -19,6 +30,11 @@ const { spawn } = require('child_process');
 const fs = require('fs/promises');
 const fsSync = require('fs');
 const path = require('path');
+const config = require('../../src/config');
+const { getRecognizerPool } = require('../../src/services/recognizerPool');
+const { resolveModel } = require('../../src/services/modelRegistry');
+const { transcribeInChunks } = require('../../src/services/chunkedTranscriber');
+const { AppError } = require('../../src/utils/errorHandler');
 const { transcribeAudio } = require('../../src/services/transcriber');
 
 // Define constants for testing
@@ -27,6 +43,46 @@ const TEST_LANGUAGE = 'en';
 const TRANSCRIPTIONS_DIR = path.join(__dirname, '../../transcriptions');
 const EXPECTED_TRANSCRIPT_FILE = path.join(TRANSCRIPTIONS_DIR, `${path.basename(TEST_WAV_FILE)}.txt`);
 const TEST_TRANSCRIPT_TEXT = 'This is a test transcription result';
+const TEST_RECOGNIZER_OUTPUT = JSON.stringify({
+    text: TEST_TRANSCRIPT_TEXT,
+    results: [
+        {
+            text: 'this is a test',
+            result: [
+                { word: 'this', start: 0.12, end: 0.3, conf: 1 },
+                { word: 'is', start: 0.3, end: 0.42, conf: 0.9 },
+                { word: 'a', start: 0.42, end: 0.5, conf: 0.8 },
+                { word: 'test', start: 0.5, end: 0.91, conf: 0.7 }
+            ]
+        },
+        {
+            text: 'transcription result',
+            result: [
+                { word: 'transcription', start: 1.5, end: 2.1, conf: 0.951234 },
+                { word: 'result', start: 2.1, end: 2.6, conf: 1 }
+            ]
+        }
+    ]
+});
+const EXPECTED_SEGMENTS = [
+    { start: 0.12, end: 0.91, text: 'this is a test', confidence: 0.85 },
+    { start: 1.5, end: 2.6, text: 'transcription result', confidence: 0.976 }
+];
+const EXPECTED_WORDS = [
+    { word: 'this', start: 0.12, end: 0.3, confidence: 1 },
+    { word: 'is', start: 0.3, end: 0.42, confidence: 0.9 },
+    { word: 'a', start: 0.42, end: 0.5, confidence: 0.8 },
+    { word: 'test', start: 0.5, end: 0.91, confidence: 0.7 },
+    { word: 'transcription', start: 1.5, end: 2.1, confidence: 0.951 },
+    { word: 'result', start: 2.1, end: 2.6, confidence: 1 }
+];
+
+// Installed models by name, as the registry would report them
+const INSTALLED_MODELS = {
+    'vosk-model-en-us-0.22': { name: 'vosk-model-en-us-0.22', language: 'en', path: '/path/to/models/vosk-model-en-us-0.22' },
+    'vosk-model-small-en-us-0.15': { name: 'vosk-model-small-en-us-0.15', language: 'en', path: '/path/to/models/vosk-model-small-en-us-0.15' },
+    'vosk-model-es-0.42': { name: 'vosk-model-es-0.42', language: 'es', path: '/path/to/models/vosk-model-es-0.42' }
+};
 
 // Mock logger
 jest.mock('../../src/utils/logger', () => ({
@@ -39,6 +95,15 @@ const logger = require('../../src/utils/logger');
 
 beforeEach(() => {
     fsSync.existsSync.mockReturnValue(true);
+    resolveModel.mockImplementation((language, modelName) => {
+        const model = modelName
+            ? INSTALLED_MODELS[modelName]
+            : Object.values(INSTALLED_MODELS).find(installed => installed.language === language);
+        if (!model) {
+            throw new AppError(`No model installed for language "${language}". Installed languages: en, es`, 400);
+        }
+        return model;
+    });
     jest.clearAllMocks();
 });
 
@@ -50,7 +115,7 @@ describe('Transcriber Service', () => {
     describe('transcribeAudio', () => {
         const createMockProcess = (options = {}) => {
             const {
-                stdoutData = TEST_TRANSCRIPT_TEXT,
+                stdoutData = TEST_RECOGNIZER_OUTPUT,
                 stderrData = '',
                 exitCode = 0
             } = options;
@@ -92,8 +157,8 @@ describe('Transcriber Service', () => {
             const result = await transcribeAudio(TEST_WAV_FILE, TEST_LANGUAGE);
 
             expect(spawn).toHaveBeenCalledWith(
-                './venv/bin/python3',
-                ['transcribe.py', TEST_WAV_FILE, '/path/to/models/vosk-model-en-us-0.22'],
+                path.join(__dirname, '../../venv/bin/python3'),
+                [path.join(__dirname, '../../transcribe.py'), TEST_WAV_FILE, '/path/to/models/vosk-model-en-us-0.22'],
                 { stdio: ['pipe', 'pipe', 'pipe'] }
             );
 
@@ -106,10 +171,14 @@ describe('Transcriber Service', () => {
 
             expect(result).toEqual({
                 text: TEST_TRANSCRIPT_TEXT,
+                segments: EXPECTED_SEGMENTS,
+                words: EXPECTED_WORDS,
+                language: 'en',
+                engine: 'vosk',
                 transcriptFile: EXPECTED_TRANSCRIPT_FILE
             });
 
-            expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Transcribing with model'));
+            expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Transcribing with vosk'));
             expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Transcription saved'));
         });
 
@@ -119,20 +188,33 @@ describe('Transcriber Service', () => {
             await transcribeAudio(TEST_WAV_FILE, 'es');
 
             expect(spawn).toHaveBeenCalledWith(
-                './venv/bin/python3',
-                ['transcribe.py', TEST_WAV_FILE, '/path/to/models/vosk-model-es-0.42'],
+                path.join(__dirname, '../../venv/bin/python3'),
+                [path.join(__dirname, '../../transcribe.py'), TEST_WAV_FILE, '/path/to/models/vosk-model-es-0.42'],
                 { stdio: ['pipe', 'pipe', 'pipe'] }
             );
         });
 
-        it('should fall back to English model if language is not supported', async () => {
+        it('should reject instead of falling back when no model serves the language', async () => {
+            fs.unlink.mockResolvedValue(undefined);
+
+            await expect(transcribeAudio(TEST_WAV_FILE, 'fr')).rejects.toMatchObject({
+                statusCode: 400,
+                message: 'No model installed for language "fr". Installed languages: en, es'
+            });
+            expect(spawn).not.toHaveBeenCalled();
+            expect(fs.unlink).toHaveBeenCalledWith(TEST_WAV_FILE);
+        });
+
+        it('should use a specific installed model when one is requested', async () => {
             spawn.mockReturnValue(createMockProcess());
             fs.writeFile.mockResolvedValue(undefined);
-            await transcribeAudio(TEST_WAV_FILE, 'fr');
 
+            await transcribeAudio(TEST_WAV_FILE, 'en', { model: 'vosk-model-small-en-us-0.15' });
+
+            expect(resolveModel).toHaveBeenCalledWith('en', 'vosk-model-small-en-us-0.15');
             expect(spawn).toHaveBeenCalledWith(
-                './venv/bin/python3',
-                ['transcribe.py', TEST_WAV_FILE, '/path/to/models/vosk-model-en-us-0.22'],
+                path.join(__dirname, '../../venv/bin/python3'),
+                [path.join(__dirname, '../../transcribe.py'), TEST_WAV_FILE, '/path/to/models/vosk-model-small-en-us-0.15'],
                 { stdio: ['pipe', 'pipe', 'pipe'] }
             );
         });
@@ -172,6 +254,10 @@ describe('Transcriber Service', () => {
             expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Failed to delete WAV file'));
             expect(result).toEqual({
                 text: TEST_TRANSCRIPT_TEXT,
+                segments: EXPECTED_SEGMENTS,
+                words: EXPECTED_WORDS,
+                language: 'en',
+                engine: 'vosk',
                 transcriptFile: EXPECTED_TRANSCRIPT_FILE
             });
         });
@@ -183,5 +269,183 @@ describe('Transcriber Service', () => {
             await expect(transcribeAudio(TEST_WAV_FILE, TEST_LANGUAGE)).rejects.toThrow('Write failed');
             expect(fs.unlink).toHaveBeenCalledWith(TEST_WAV_FILE);
         });
+
+        it('should return empty segments when nothing was recognized', async () => {
+            spawn.mockReturnValue(createMockProcess({
+                stdoutData: JSON.stringify({ text: '', results: [] })
+            }));
+            fs.writeFile.mockResolvedValue(undefined);
+
+            const result = await transcribeAudio(TEST_WAV_FILE, TEST_LANGUAGE);
+
+            expect(result).toEqual({
+                text: '',
+                segments: [],
+                words: [],
+                language: 'en',
+                engine: 'vosk',
+                transcriptFile: EXPECTED_TRANSCRIPT_FILE
+            });
+        });
+
+        it('should reject when the recognizer output is not valid JSON', async () => {
+            spawn.mockReturnValue(createMockProcess({ stdoutData: 'not json' }));
+
+            await expect(transcribeAudio(TEST_WAV_FILE, TEST_LANGUAGE)).rejects.toThrow('Failed to parse transcription output');
+            expect(fs.writeFile).not.toHaveBeenCalled();
+        });
+
+        it('should report progress lines from stderr without logging them as errors', async () => {
+            spawn.mockReturnValue(createMockProcess({
+                stderrData: 'PROGRESS 25\nPROGRESS 50\n',
+                exitCode: 0
+            }));
+            fs.writeFile.mockResolvedValue(undefined);
+            const onProgress = jest.fn();
+
+            await transcribeAudio(TEST_WAV_FILE, TEST_LANGUAGE, { onProgress });
+
+            expect(onProgress.mock.calls).toEqual([[25], [50]]);
+            expect(logger.error).not.toHaveBeenCalled();
+        });
+
+        it('should load the speaker model and label segments by speaker when diarizing', async () => {
+            const output = JSON.parse(TEST_RECOGNIZER_OUTPUT);
+            output.results[0].spk = [1, 0, 0];
+            output.results[1].spk = [0, 1, 0];
+            spawn.mockReturnValue(createMockProcess({ stdoutData: JSON.stringify(output) }));
+            fs.writeFile.mockResolvedValue(undefined);
+
+            const result = await transcribeAudio(TEST_WAV_FILE, TEST_LANGUAGE, { diarize: true });
+
+            expect(spawn).toHaveBeenCalledWith(
+                path.join(__dirname, '../../venv/bin/python3'),
+                [path.join(__dirname, '../../transcribe.py'), TEST_WAV_FILE, '/path/to/models/vosk-model-en-us-0.22', '/path/to/models/vosk-model-spk-0.4'],
+                { stdio: ['pipe', 'pipe', 'pipe'] }
+            );
+            expect(result.segments.map(segment => segment.speaker)).toEqual(['Speaker 1', 'Speaker 2']);
+            expect(result.words[0].speaker).toBe('Speaker 1');
+            expect(result.words[5].speaker).toBe('Speaker 2');
+        });
+
+        it('should fail clearly when the speaker model is missing', async () => {
+            fsSync.existsSync.mockImplementation(filePath => filePath !== '/path/to/models/vosk-model-spk-0.4');
+            fs.unlink.mockResolvedValue(undefined);
+
+            await expect(transcribeAudio(TEST_WAV_FILE, TEST_LANGUAGE, { diarize: true }))
+                .rejects.toThrow('Speaker diarization is unavailable: speaker model not found at /path/to/models/vosk-model-spk-0.4');
+            expect(spawn).not.toHaveBeenCalled();
+            expect(fs.unlink).toHaveBeenCalledWith(TEST_WAV_FILE);
+        });
+
+        it('should transcribe with the engine named in the request', async () => {
+            fs.writeFile.mockResolvedValue(undefined);
+            fs.unlink.mockResolvedValue(undefined);
+
+            const result = await transcribeAudio(TEST_WAV_FILE, 'auto', { engine: 'fake' });
+
+            expect(spawn).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ engine: 'fake', language: 'en', text: expect.any(String) });
+            expect(fs.writeFile).toHaveBeenCalledWith(EXPECTED_TRANSCRIPT_FILE, result.text);
+            expect(fs.unlink).toHaveBeenCalledWith(TEST_WAV_FILE);
+        });
+
+        it('should reject engines that are not enabled and still delete the WAV file', async () => {
+            fs.unlink.mockResolvedValue(undefined);
+
+            await expect(transcribeAudio(TEST_WAV_FILE, TEST_LANGUAGE, { engine: 'whisper' })).rejects.toMatchObject({
+                statusCode: 400,
+                message: 'Unknown engine: whisper. Supported engines: vosk, fake'
+            });
+            expect(fs.unlink).toHaveBeenCalledWith(TEST_WAV_FILE);
+        });
+
+        it('should transcribe long recordings in parallel chunks', async () => {
+            const stitched = { text: TEST_TRANSCRIPT_TEXT, segments: EXPECTED_SEGMENTS, words: EXPECTED_WORDS, language: 'en' };
+            transcribeInChunks.mockResolvedValue(stitched);
+            fs.writeFile.mockResolvedValue(undefined);
+            fs.unlink.mockResolvedValue(undefined);
+            const onProgress = jest.fn();
+
+            const result = await transcribeAudio(TEST_WAV_FILE, TEST_LANGUAGE, { onProgress, durationSeconds: 3600 });
+
+            expect(transcribeInChunks).toHaveBeenCalledWith(
+                expect.objectContaining({ name: 'vosk' }),
+                TEST_WAV_FILE,
+                3600,
+                { language: TEST_LANGUAGE, model: undefined, onProgress, diarize: false, translate: false }
+            );
+            expect(spawn).not.toHaveBeenCalled();
+            expect(result).toEqual({ ...stitched, engine: 'vosk', transcriptFile: EXPECTED_TRANSCRIPT_FILE });
+            expect(fs.unlink).toHaveBeenCalledWith(TEST_WAV_FILE);
+        });
+
+        it('should not split recordings that are short or diarized', async () => {
+            spawn.mockReturnValue(createMockProcess());
+            fs.writeFile.mockResolvedValue(undefined);
+
+            await transcribeAudio(TEST_WAV_FILE, TEST_LANGUAGE, { durationSeconds: 600 });
+            await transcribeAudio(TEST_WAV_FILE, TEST_LANGUAGE, { durationSeconds: 3600, diarize: true });
+
+            expect(transcribeInChunks).not.toHaveBeenCalled();
+            expect(spawn).toHaveBeenCalledTimes(2);
+        });
+
+        it('should keep timestamps relative to the original media when given an offset', async () => {
+            spawn.mockReturnValue(createMockProcess());
+            fs.writeFile.mockResolvedValue(undefined);
+
+            const result = await transcribeAudio(TEST_WAV_FILE, TEST_LANGUAGE, { offsetSeconds: 720 });
+
+            expect(result.segments[0]).toEqual({ start: 720.12, end: 720.91, text: 'this is a test', confidence: 0.85 });
+            expect(result.words[5]).toEqual({ word: 'result', start: 722.1, end: 722.6, confidence: 1 });
+            expect(result.text).toBe(TEST_TRANSCRIPT_TEXT);
+        });
+
+        describe('with the recognizer pool enabled', () => {
+            const pool = { transcribe: jest.fn() };
+
+            beforeEach(() => {
+                config.recognizerPool.enabled = true;
+                getRecognizerPool.mockReturnValue(pool);
+            });
+
+            afterEach(() => {
+                config.recognizerPool.enabled = false;
+            });
+
+            it('should transcribe through a pooled worker instead of spawning Python', async () => {
+                pool.transcribe.mockResolvedValue(JSON.parse(TEST_RECOGNIZER_OUTPUT));
+                fs.writeFile.mockResolvedValue(undefined);
+                fs.unlink.mockResolvedValue(undefined);
+                const onProgress = jest.fn();
+
+                const result = await transcribeAudio(TEST_WAV_FILE, 'es', { onProgress });
+
+                expect(spawn).not.toHaveBeenCalled();
+                expect(pool.transcribe).toHaveBeenCalledWith(TEST_WAV_FILE, '/path/to/models/vosk-model-es-0.42', {
+                    onProgress,
+                    speakerModelPath: undefined
+                });
+                expect(result).toEqual({
+                    text: TEST_TRANSCRIPT_TEXT,
+                    segments: EXPECTED_SEGMENTS,
+                    words: EXPECTED_WORDS,
+                    language: 'es',
+                    engine: 'vosk',
+                    transcriptFile: EXPECTED_TRANSCRIPT_FILE
+                });
+                expect(fs.unlink).toHaveBeenCalledWith(TEST_WAV_FILE);
+            });
+
+            it('should delete the WAV file when the worker fails', async () => {
+                pool.transcribe.mockRejectedValue(new Error('❌ Transcription process failed: recognizer worker exited with code 1'));
+                fs.unlink.mockResolvedValue(undefined);
+
+                await expect(transcribeAudio(TEST_WAV_FILE, TEST_LANGUAGE)).rejects.toThrow('recognizer worker exited');
+                expect(fs.unlink).toHaveBeenCalledWith(TEST_WAV_FILE);
+                expect(fs.writeFile).not.toHaveBeenCalled();
+            });
+        });
     });
 });
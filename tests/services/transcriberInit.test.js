@@ -32,7 +32,8 @@ describe('Transcriber Module Initialization', () => {
             modelPaths: {
                 en: '/path/to/models/vosk-model-en-us-0.22',
                 es: '/path/to/models/vosk-model-es-0.42'
-            }
+            },
+            concurrency: { limits: {}, maxQueued: 0, defaultTaskSeconds: 30 }
         }));
 
         // Get references to the mocked modules
@@ -0,0 +1,79 @@
+/**
+ * @file transcriptExporter.test.js
+ * @description Unit tests for writing transcripts in export formats
+ */
+
+jest.mock('fs/promises');
+jest.mock('../../src/utils/logger', () => ({
+    info: jest.fn()
+}));
+jest.mock('../../src/utils/subtitleFormatter', () => ({
+    formatTranscript: jest.fn()
+}));
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { formatTranscript } = require('../../src/utils/subtitleFormatter');
+const { exportTranscript, writeResultFile } = require('../../src/services/transcriptExporter');
+
+describe('Transcript Exporter Service', () => {
+    const transcription = {
+        text: 'hello world',
+        segments: [],
+        words: [],
+        transcriptFile: '/transcriptions/abc.wav.txt'
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        fs.mkdir.mockResolvedValue(undefined);
+        fs.writeFile.mockResolvedValue(undefined);
+        formatTranscript.mockReturnValue('formatted content');
+    });
+
+    test('should write the formatted transcript into the exports directory', async () => {
+        const exportFile = await exportTranscript(transcription, 'srt');
+
+        expect(exportFile).toBe('/transcriptions/exports/abc.wav.srt');
+        expect(fs.mkdir).toHaveBeenCalledWith('/transcriptions/exports', { recursive: true });
+        expect(formatTranscript).toHaveBeenCalledWith({ text: 'hello world', segments: [], words: [] }, 'srt');
+        expect(fs.writeFile).toHaveBeenCalledWith('/transcriptions/exports/abc.wav.srt', 'formatted content');
+    });
+
+    test('should leave the stored transcript unchanged after a txt export', async () => {
+        const realFs = jest.requireActual('fs/promises');
+        fs.mkdir.mockImplementation(realFs.mkdir);
+        fs.writeFile.mockImplementation(realFs.writeFile);
+        const dir = await realFs.mkdtemp(path.join(os.tmpdir(), 'transcript-exporter-'));
+        const transcriptFile = path.join(dir, 'abc.wav.txt');
+        await realFs.writeFile(transcriptFile, 'hello world');
+
+        try {
+            const exportFile = await exportTranscript({ ...transcription, transcriptFile }, 'txt');
+
+            expect(exportFile).toBe(path.join(dir, 'exports', 'abc.wav.txt'));
+            expect(await realFs.readFile(exportFile, 'utf8')).toBe('formatted content');
+            expect(await realFs.readFile(transcriptFile, 'utf8')).toBe('hello world');
+        } finally {
+            await realFs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should propagate write failures', async () => {
+        fs.writeFile.mockRejectedValue(new Error('Disk full'));
+
+        await expect(exportTranscript(transcription, 'vtt')).rejects.toThrow('Disk full');
+    });
+
+    test('should copy the exported file, or write the result as JSON without one', async () => {
+        fs.copyFile.mockResolvedValue(undefined);
+
+        await expect(writeResultFile({ exportFile: '/transcriptions/abc.wav.srt' }, '/out/talk.srt')).resolves.toBe('/out/talk.srt');
+        expect(fs.mkdir).toHaveBeenCalledWith('/out', { recursive: true });
+        expect(fs.copyFile).toHaveBeenCalledWith('/transcriptions/abc.wav.srt', '/out/talk.srt');
+
+        await writeResultFile({ text: 'hello' }, '/out/talk.json');
+        expect(fs.writeFile).toHaveBeenCalledWith('/out/talk.json', JSON.stringify({ text: 'hello' }, null, 2));
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * @file transcriptStore.test.js
+ * @description Unit tests for transcript metadata storage
+ */
+
+jest.mock('fs/promises');
+jest.mock('../../src/services/transcriber', () => ({
+    TRANSCRIPTIONS_DIR: '/data/transcriptions'
+}));
+jest.mock('../../src/config', () => ({
+    exportFormats: ['json', 'txt', 'srt', 'vtt']
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn()
+}));
+
+const fs = require('fs/promises');
+const {
+    saveTranscript,
+    listTranscripts,
+    getTranscript,
+    deleteTranscript
+} = require('../../src/services/transcriptStore');
+
+const notFound = () => Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+
+const storedRecord = {
+    id: 'abc.wav',
+    source: { type: 'upload', filename: 'meeting.mp3' },
+    language: 'en',
+    durationSeconds: 61,
+    createdAt: '2025-03-01T10:00:00.000Z',
+    segments: [{ start: 0, end: 1, text: 'hello', confidence: 1 }],
+    words: [{ word: 'hello', start: 0, end: 1, confidence: 1 }]
+};
+
+describe('Transcript Store Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('saveTranscript', () => {
+        test('should write metadata next to the transcript and return it without timing data', async () => {
+            fs.writeFile.mockResolvedValue(undefined);
+
+            const metadata = await saveTranscript({
+                text: 'hello',
+                segments: storedRecord.segments,
+                words: storedRecord.words,
+                transcriptFile: '/data/transcriptions/abc.wav.txt'
+            }, {
+                source: { type: 'upload', filename: 'meeting.mp3' },
+                language: 'en',
+                durationSeconds: 61
+            });
+
+            expect(metadata).toEqual({
+                id: 'abc.wav',
+                source: { type: 'upload', filename: 'meeting.mp3' },
+                language: 'en',
+                durationSeconds: 61,
+                audioFilters: [],
+                createdAt: expect.any(String)
+            });
+
+            const [file, content] = fs.writeFile.mock.calls[0];
+            expect(file).toBe('/data/transcriptions/abc.wav.meta.json');
+            expect(JSON.parse(content).words).toEqual(storedRecord.words);
+        });
+    });
+
+    describe('listTranscripts', () => {
+        test('should list transcripts newest first, including ones without metadata', async () => {
+            fs.readdir.mockResolvedValue(['abc.wav.txt', 'abc.wav.meta.json', 'abc.wav.srt', 'old.wav.txt']);
+            fs.readFile.mockImplementation(async (file) => {
+                if (file === '/data/transcriptions/abc.wav.meta.json') {
+                    return JSON.stringify(storedRecord);
+                }
+                throw notFound();
+            });
+            fs.stat.mockResolvedValue({ mtime: new Date('2024-01-01T00:00:00.000Z') });
+
+            const transcripts = await listTranscripts();
+
+            expect(transcripts).toEqual([
+                {
+                    id: 'abc.wav',
+                    source: { type: 'upload', filename: 'meeting.mp3' },
+                    language: 'en',
+                    durationSeconds: 61,
+                    createdAt: '2025-03-01T10:00:00.000Z'
+                },
+                {
+                    id: 'old.wav',
+                    source: null,
+                    language: null,
+                    durationSeconds: null,
+                    createdAt: '2024-01-01T00:00:00.000Z'
+                }
+            ]);
+        });
+    });
+
+    describe('getTranscript', () => {
+        test('should return metadata, text and timing data', async () => {
+            fs.readFile.mockImplementation(async (file) => {
+                return file.endsWith('.meta.json') ? JSON.stringify(storedRecord) : 'hello';
+            });
+
+            const transcript = await getTranscript('abc.wav');
+
+            expect(transcript).toEqual({ ...storedRecord, text: 'hello' });
+            expect(fs.readFile).toHaveBeenCalledWith('/data/transcriptions/abc.wav.txt', 'utf8');
+        });
+
+        test('should return null for an unknown transcript', async () => {
+            fs.readFile.mockRejectedValue(notFound());
+            fs.stat.mockRejectedValue(notFound());
+
+            await expect(getTranscript('missing.wav')).resolves.toBeNull();
+        });
+
+        test('should reject IDs that could escape the transcriptions directory', async () => {
+            await expect(getTranscript('../secrets')).rejects.toMatchObject({ statusCode: 400 });
+            await expect(getTranscript('a/b')).rejects.toMatchObject({ statusCode: 400 });
+            expect(fs.readFile).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('deleteTranscript', () => {
+        test('should remove the transcript, its metadata and exports', async () => {
+            fs.readFile.mockResolvedValue(JSON.stringify(storedRecord));
+            fs.rm.mockResolvedValue(undefined);
+
+            await expect(deleteTranscript('abc.wav')).resolves.toBe(true);
+
+            const removed = fs.rm.mock.calls.map(([file]) => file);
+            expect(removed).toEqual(expect.arrayContaining([
+                '/data/transcriptions/abc.wav.txt',
+                '/data/transcriptions/abc.wav.meta.json',
+                '/data/transcriptions/exports/abc.wav.srt',
+                '/data/transcriptions/exports/abc.wav.vtt',
+                '/data/transcriptions/exports/abc.wav.json'
+            ]));
+        });
+
+        test('should return false when the transcript does not exist', async () => {
+            fs.readFile.mockRejectedValue(notFound());
+            fs.stat.mockRejectedValue(notFound());
+
+            await expect(deleteTranscript('missing.wav')).resolves.toBe(false);
+            expect(fs.rm).not.toHaveBeenCalled();
+        });
+    });
+});
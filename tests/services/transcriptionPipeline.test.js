@@ -0,0 +1,82 @@
+// tests/services/transcriptionPipeline.test.js
+jest.mock('../../src/services/mediaDownloader', () => ({
+    downloadRemoteMedia: jest.fn(),
+    downloadAudioWithYtDlp: jest.fn()
+}));
+jest.mock('../../src/services/mediaValidator', () => ({
+    ...jest.requireActual('../../src/services/mediaValidator'),
+    validateMediaFile: jest.fn()
+}));
+jest.mock('../../src/services/audioProcessor', () => ({
+    processAudio: jest.fn()
+}));
+jest.mock('../../src/services/concurrencyLimiter', () => ({
+    limiters: {
+        download: { run: jest.fn(task => task()) },
+        conversion: { run: jest.fn(task => task()) }
+    }
+}));
+jest.mock('../../src/utils/fileUtils', () => ({
+    deleteFile: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { downloadRemoteMedia } = require('../../src/services/mediaDownloader');
+const { validateMediaFile } = require('../../src/services/mediaValidator');
+const { processAudio } = require('../../src/services/audioProcessor');
+const { limiters } = require('../../src/services/concurrencyLimiter');
+const { deleteFile } = require('../../src/utils/fileUtils');
+const { runUrlTranscription } = require('../../src/services/transcriptionPipeline');
+
+const downloadedFile = {
+    path: 'uploads/123-remote',
+    originalname: 'episode-42.mp3',
+    size: 2048,
+    url: 'https://podcasts.example.com/episode-42.mp3'
+};
+
+describe('Transcription Pipeline', () => {
+    const reporter = { setStatus: jest.fn(), setProgress: jest.fn(), setEstimate: jest.fn() };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        downloadRemoteMedia.mockResolvedValue(downloadedFile);
+        validateMediaFile.mockResolvedValue({ format: 'mp3', durationSeconds: 60, audioTrack: { index: 1 } });
+    });
+
+    describe('runUrlTranscription', () => {
+        test('should wait for a download slot and hand the checked file to the upload pipeline', async () => {
+            processAudio.mockRejectedValue(new Error('ffmpeg failed'));
+
+            await expect(runUrlTranscription({ url: downloadedFile.url, audioTrack: 'eng', waitForCapacity: true }, reporter))
+                .rejects.toThrow('ffmpeg failed');
+
+            expect(reporter.setStatus).toHaveBeenNthCalledWith(1, 'downloading');
+            expect(limiters.download.run).toHaveBeenCalledWith(expect.any(Function), { waitForCapacity: true });
+            expect(downloadRemoteMedia).toHaveBeenCalledWith(downloadedFile.url, reporter.setProgress);
+            expect(validateMediaFile).toHaveBeenCalledWith(downloadedFile, 'eng');
+            expect(processAudio).toHaveBeenCalledWith('uploads/123-remote', expect.objectContaining({ audioTrack: 1 }));
+        });
+
+        test('should remove the download when the file is refused', async () => {
+            validateMediaFile.mockRejectedValue(new Error('The file contains no audio stream.'));
+
+            await expect(runUrlTranscription({ url: downloadedFile.url }, reporter)).rejects.toThrow('no audio stream');
+
+            expect(deleteFile).toHaveBeenCalledWith('uploads/123-remote');
+            expect(processAudio).not.toHaveBeenCalled();
+        });
+
+        test('should remove the download when the range starts past its end', async () => {
+            await expect(runUrlTranscription({ url: downloadedFile.url, range: { start: 90 } }, reporter))
+                .rejects.toThrow('The start time (90 seconds) is past the end of the recording (60 seconds).');
+
+            expect(deleteFile).toHaveBeenCalledWith('uploads/123-remote');
+        });
+    });
+});
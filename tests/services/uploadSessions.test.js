@@ -0,0 +1,134 @@
+/**
+ * @file uploadSessions.test.js
+ * @description Unit tests for resumable upload sessions
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, PassThrough } = require('stream');
+
+const mockUploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resumable-uploads-'));
+
+jest.mock('../../src/config', () => ({
+    resumableUploads: { dir: mockUploadDir, expiryHours: 1 },
+    uploadLimits: { maxBytes: 1000, maxDurationSeconds: 3600 }
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const {
+    createUploadSession,
+    writeChunk,
+    getUploadStatus,
+    completeUpload,
+    cancelUpload,
+    addRange,
+    getMissingRanges
+} = require('../../src/services/uploadSessions');
+
+describe('Upload Sessions Service', () => {
+    afterAll(() => {
+        fs.rmSync(mockUploadDir, { recursive: true, force: true });
+    });
+
+    describe('addRange and getMissingRanges', () => {
+        test('should merge touching and overlapping ranges', () => {
+            const ranges = addRange(addRange(addRange([], 10, 20), 0, 5), 5, 12);
+
+            expect(ranges).toEqual([{ start: 0, end: 20 }]);
+            expect(addRange(ranges, 30, 40)).toEqual([{ start: 0, end: 20 }, { start: 30, end: 40 }]);
+        });
+
+        test('should list the gaps up to the file size', () => {
+            expect(getMissingRanges([{ start: 5, end: 10 }, { start: 12, end: 15 }], 20)).toEqual([
+                { start: 0, end: 5 },
+                { start: 10, end: 12 },
+                { start: 15, end: 20 }
+            ]);
+            expect(getMissingRanges([{ start: 0, end: 20 }], 20)).toEqual([]);
+        });
+    });
+
+    describe('uploading', () => {
+        test('should accept ranges in any order and hand over the complete file', async () => {
+            const upload = createUploadSession({ filename: '../lecture.mp3', size: 10, mimetype: 'audio/mpeg' });
+
+            expect(upload).toMatchObject({ filename: 'lecture.mp3', size: 10, receivedBytes: 0, complete: false });
+
+            await writeChunk(upload.uploadId, 6, 4, Readable.from([Buffer.from('6789')]));
+            const status = await writeChunk(upload.uploadId, 0, 3, Readable.from([Buffer.from('012')]));
+
+            expect(status).toMatchObject({ receivedBytes: 7, ranges: [{ start: 0, end: 3 }, { start: 6, end: 10 }], missing: [{ start: 3, end: 6 }] });
+            expect(() => completeUpload(upload.uploadId)).toThrow(expect.objectContaining({
+                statusCode: 409,
+                message: 'Upload incomplete: missing bytes 3-5.'
+            }));
+
+            await writeChunk(upload.uploadId, 3, 3, Readable.from([Buffer.from('345')]));
+            const file = completeUpload(upload.uploadId);
+
+            expect(file).toEqual({
+                path: path.join(mockUploadDir, `${upload.uploadId}-lecture.mp3`),
+                originalname: 'lecture.mp3',
+                mimetype: 'audio/mpeg',
+                size: 10
+            });
+            expect(fs.readFileSync(file.path, 'utf8')).toBe('0123456789');
+            expect(() => getUploadStatus(upload.uploadId)).toThrow('Upload not found');
+        });
+
+        test('should keep the bytes received before a chunk breaks off', async () => {
+            const upload = createUploadSession({ filename: 'talk.wav', size: 10 });
+            const source = new PassThrough();
+
+            const writing = writeChunk(upload.uploadId, 0, 10, source);
+            source.write(Buffer.from('abcd'));
+            await new Promise(resolve => setTimeout(resolve, 20));
+            source.destroy(new Error('socket hang up'));
+
+            await expect(writing).rejects.toMatchObject({ statusCode: 400, message: 'Chunk interrupted after 4 of 10 bytes.' });
+            expect(getUploadStatus(upload.uploadId)).toMatchObject({ receivedBytes: 4, missing: [{ start: 4, end: 10 }] });
+        });
+
+        test('should reject ranges outside the file', async () => {
+            const upload = createUploadSession({ filename: 'talk.wav', size: 10 });
+
+            await expect(writeChunk(upload.uploadId, 8, 5, Readable.from([Buffer.from('xxxxx')]))).rejects.toMatchObject({
+                statusCode: 400,
+                message: 'Invalid range: bytes 8-12 of 10.'
+            });
+        });
+
+        test('should reject sizes that are missing or too large', () => {
+            expect(() => createUploadSession({ filename: 'talk.wav', size: NaN })).toThrow(expect.objectContaining({ statusCode: 400 }));
+            expect(() => createUploadSession({ filename: 'talk.wav', size: 1001 })).toThrow(expect.objectContaining({ statusCode: 413 }));
+        });
+
+        test('should delete cancelled uploads', () => {
+            const upload = createUploadSession({ filename: 'talk.wav', size: 10 });
+
+            cancelUpload(upload.uploadId);
+
+            expect(fs.existsSync(path.join(mockUploadDir, `${upload.uploadId}.part`))).toBe(false);
+            expect(() => getUploadStatus(upload.uploadId)).toThrow(expect.objectContaining({ statusCode: 404 }));
+        });
+
+        test('should expire idle uploads', () => {
+            const upload = createUploadSession({ filename: 'talk.wav', size: 10 });
+            const twoHoursLater = Date.now() + 2 * 60 * 60 * 1000;
+            jest.spyOn(Date, 'now').mockReturnValue(twoHoursLater);
+
+            expect(() => getUploadStatus(upload.uploadId)).toThrow('Upload not found');
+            Date.now.mockRestore();
+        });
+
+        test('should reject malformed upload IDs', () => {
+            expect(() => getUploadStatus('../../etc/passwd')).toThrow(expect.objectContaining({ statusCode: 404 }));
+        });
+    });
+});
@@ -0,0 +1,141 @@
+// tests/services/urlGuard.test.js
+const dns = require('dns');
+
+jest.mock('../../src/config', () => ({
+    remoteMedia: { allowedHosts: [], deniedHosts: ['blocked.example'] }
+}));
+
+const { remoteMedia } = require('../../src/config');
+const { checkRemoteUrl, guardedLookup, isPrivateAddress } = require('../../src/services/urlGuard');
+
+describe('urlGuard', () => {
+    let lookupSpy;
+
+    beforeEach(() => {
+        remoteMedia.allowedHosts = [];
+        lookupSpy = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('isPrivateAddress', () => {
+        test.each([
+            '10.1.2.3', '127.0.0.1', '169.254.169.254', '172.20.0.1', '192.168.1.1', '100.64.0.1', '0.0.0.0',
+            '::1', '::', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1', '::ffff:127.0.0.1', '::ffff:7f00:1',
+            '64:ff9b::7f00:1', '64:ff9b::10.0.0.1', '64:ff9b:1::a00:1', '::127.0.0.1', '::a9fe:a9fe',
+            '2002:7f00:1::1', '2002:c0a8:101::', 'not-an-ip'
+        ])('should refuse %s', (address) => {
+            expect(isPrivateAddress(address)).toBe(true);
+        });
+
+        test.each([
+            '93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8', '64:ff9b::808:808', '2002:808:808::1'
+        ])('should accept %s', (address) => {
+            expect(isPrivateAddress(address)).toBe(false);
+        });
+    });
+
+    describe('checkRemoteUrl', () => {
+        test('should accept public http and https URLs', async () => {
+            const url = await checkRemoteUrl('https://podcasts.example.com/episode.mp3');
+
+            expect(url.href).toBe('https://podcasts.example.com/episode.mp3');
+            expect(lookupSpy).toHaveBeenCalledWith('podcasts.example.com', { all: true });
+        });
+
+        test('should reject malformed URLs and other protocols', async () => {
+            await expect(checkRemoteUrl('not a url')).rejects.toMatchObject({ statusCode: 400, message: 'Invalid URL: not a url' });
+            await expect(checkRemoteUrl('file:///etc/passwd')).rejects.toMatchObject({
+                statusCode: 400,
+                message: 'Only http and https URLs can be transcribed.'
+            });
+        });
+
+        test('should reject hosts that resolve to private addresses', async () => {
+            lookupSpy.mockResolvedValue([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+
+            await expect(checkRemoteUrl('http://internal.example.com/')).rejects.toMatchObject({
+                statusCode: 403,
+                message: 'internal.example.com resolves to a private or local address.'
+            });
+        });
+
+        test('should reject private IP literals without a DNS lookup', async () => {
+            await expect(checkRemoteUrl('http://169.254.169.254/latest/meta-data')).rejects.toMatchObject({ statusCode: 403 });
+            await expect(checkRemoteUrl('http://[::1]:8080/')).rejects.toMatchObject({ statusCode: 403 });
+            expect(lookupSpy).not.toHaveBeenCalled();
+        });
+
+        test.each([
+            'http://[64:ff9b::7f00:1]/', 'http://[::127.0.0.1]/', 'http://[::ffff:127.0.0.1]/', 'http://[2002:a9fe:a9fe::]/latest'
+        ])('should reject %s, which reaches a private IPv4 address', async (url) => {
+            await expect(checkRemoteUrl(url)).rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        test.each(['64:ff9b::7f00:1', '::ffff:169.254.169.254', '2002:0a00:0001::1'])('should reject hosts that resolve to %s', async (address) => {
+            lookupSpy.mockResolvedValue([{ address, family: 6 }]);
+
+            await expect(checkRemoteUrl('http://translated.example.com/')).rejects.toMatchObject({
+                statusCode: 403,
+                message: 'translated.example.com resolves to a private or local address.'
+            });
+        });
+
+        test('should reject hosts that do not resolve', async () => {
+            lookupSpy.mockRejectedValue(new Error('ENOTFOUND'));
+
+            await expect(checkRemoteUrl('https://nowhere.invalid/')).rejects.toMatchObject({
+                statusCode: 400,
+                message: 'Could not resolve nowhere.invalid.'
+            });
+        });
+
+        test('should apply the deny list to subdomains', async () => {
+            await expect(checkRemoteUrl('https://cdn.blocked.example/a.mp3')).rejects.toMatchObject({
+                statusCode: 403,
+                message: 'Downloads from cdn.blocked.example are not allowed.'
+            });
+        });
+
+        test('should only accept allowed hosts when an allow list is set', async () => {
+            remoteMedia.allowedHosts = ['example.com'];
+
+            await expect(checkRemoteUrl('https://media.example.com/a.mp3')).resolves.toBeInstanceOf(URL);
+            await expect(checkRemoteUrl('https://example.org/a.mp3')).rejects.toMatchObject({ statusCode: 403 });
+            await expect(checkRemoteUrl('https://notexample.com/a.mp3')).rejects.toMatchObject({ statusCode: 403 });
+        });
+    });
+
+    describe('guardedLookup', () => {
+        test('should refuse connections to private addresses', (done) => {
+            jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+            guardedLookup('rebind.example.com', { all: true }, (err) => {
+                expect(err).toMatchObject({ statusCode: 403 });
+                done();
+            });
+        });
+
+        test('should refuse connections to IPv4 addresses behind NAT64', (done) => {
+            jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, '64:ff9b::a9fe:a9fe', 6));
+
+            guardedLookup('rebind.example.com', {}, (err) => {
+                expect(err).toMatchObject({ statusCode: 403 });
+                done();
+            });
+        });
+
+        test('should pass public addresses through', (done) => {
+            jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, '93.184.216.34', 4));
+
+            guardedLookup('example.com', {}, (err, address, family) => {
+                expect(err).toBeNull();
+                expect(address).toBe('93.184.216.34');
+                expect(family).toBe(4);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,160 @@
+// tests/services/watchFolder.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockWatchRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-folder-'));
+
+jest.mock('../../src/config', () => ({
+    allowedExtensions: ['mp3', 'wav'],
+    defaultLanguage: 'en',
+    jobs: { concurrency: 1, retentionMinutes: 60 },
+    watchFolder: {
+        enabled: true,
+        dir: `${mockWatchRoot}/incoming`,
+        processedDir: `${mockWatchRoot}/processed`,
+        failedDir: `${mockWatchRoot}/failed`,
+        outputDir: null,
+        pollIntervalSeconds: 5,
+        format: 'srt',
+        options: { language: 'en', filterPreset: 'none' }
+    }
+}));
+jest.mock('../../src/services/mediaValidator', () => ({
+    validateMediaFile: jest.fn()
+}));
+jest.mock('../../src/services/audioProcessor', () => ({
+    resolveAudioFilters: jest.fn(() => [])
+}));
+jest.mock('../../src/services/engines', () => ({
+    getEngine: jest.fn(() => ({ name: 'vosk' }))
+}));
+jest.mock('../../src/services/modelRegistry', () => ({
+    getModel: jest.fn()
+}));
+jest.mock('../../src/services/transcriptionPipeline', () => ({
+    runFileTranscription: jest.fn()
+}));
+jest.mock('../../src/services/requestValidator', () => ({
+    validateTranscriptionRequest: jest.fn(() => null)
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { validateMediaFile } = require('../../src/services/mediaValidator');
+const { runFileTranscription } = require('../../src/services/transcriptionPipeline');
+const { validateTranscriptionRequest } = require('../../src/services/requestValidator');
+const { getJob } = require('../../src/services/jobQueue');
+const { watchFolder } = require('../../src/config');
+const { scanWatchFolder, startWatchFolder } = require('../../src/services/watchFolder');
+
+const incoming = (name) => path.join(watchFolder.dir, name);
+
+// Waits until every listed job has finished
+const waitForJobs = async (queued) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        if (queued.every(({ jobId }) => ['done', 'failed'].includes(getJob(jobId).status))) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Jobs did not finish');
+};
+
+describe('Watch folder', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        fs.rmSync(mockWatchRoot, { recursive: true, force: true });
+        fs.mkdirSync(watchFolder.dir, { recursive: true });
+        watchFolder.outputDir = null;
+
+        validateMediaFile.mockResolvedValue({ format: 'mp3', durationSeconds: 60 });
+        // Stands in for the pipeline: removes its input and exports the transcript
+        runFileTranscription.mockImplementation(async ({ filePath }) => {
+            fs.unlinkSync(filePath);
+            const exportFile = path.join(mockWatchRoot, 'export.srt');
+            fs.writeFileSync(exportFile, '1\n00:00:00,000 --> 00:00:01,000\nHello\n');
+            return { success: true, text: 'Hello', transcriptId: 'abc', format: 'srt', exportFile };
+        });
+    });
+
+    afterAll(() => {
+        fs.rmSync(mockWatchRoot, { recursive: true, force: true });
+    });
+
+    test('should wait until a file stops growing, then transcribe and move it', async () => {
+        fs.writeFileSync(incoming('meeting.mp3'), 'ID3 part');
+        expect(await scanWatchFolder()).toEqual([]);
+
+        // Still being written
+        fs.appendFileSync(incoming('meeting.mp3'), ' more audio');
+        expect(await scanWatchFolder()).toEqual([]);
+
+        const queued = await scanWatchFolder();
+        expect(queued).toEqual([{ filename: 'meeting.mp3', jobId: expect.any(String) }]);
+        await waitForJobs(queued);
+
+        expect(getJob(queued[0].jobId)).toMatchObject({ type: 'watch-folder', status: 'done', metadata: { filename: 'meeting.mp3', format: 'srt', language: 'en' } });
+        expect(runFileTranscription).toHaveBeenCalledWith(expect.objectContaining({
+            originalName: 'meeting.mp3',
+            sourceDetails: { type: 'watch-folder' },
+            format: 'srt',
+            language: 'en',
+            engine: 'vosk'
+        }), expect.any(Object));
+
+        expect(fs.existsSync(incoming('meeting.mp3'))).toBe(false);
+        expect(fs.readFileSync(path.join(watchFolder.processedDir, 'meeting.mp3'), 'utf8')).toBe('ID3 part more audio');
+        expect(fs.readFileSync(path.join(watchFolder.processedDir, 'meeting.srt'), 'utf8')).toContain('Hello');
+    });
+
+    test('should write transcripts to the output folder when one is set', async () => {
+        watchFolder.outputDir = path.join(mockWatchRoot, 'transcripts');
+        fs.writeFileSync(incoming('call.wav'), 'RIFF');
+
+        await scanWatchFolder();
+        await waitForJobs(await scanWatchFolder());
+
+        expect(fs.existsSync(path.join(mockWatchRoot, 'transcripts', 'call.srt'))).toBe(true);
+        expect(fs.existsSync(path.join(watchFolder.processedDir, 'call.wav'))).toBe(true);
+    });
+
+    test('should move recordings that fail to the failed folder with the error', async () => {
+        validateMediaFile.mockRejectedValue(new Error('The file does not contain audio.'));
+        fs.writeFileSync(incoming('broken.mp3'), 'not audio');
+
+        await scanWatchFolder();
+        const queued = await scanWatchFolder();
+        await waitForJobs(queued);
+
+        expect(getJob(queued[0].jobId).status).toBe('failed');
+        expect(fs.existsSync(path.join(watchFolder.failedDir, 'broken.mp3'))).toBe(true);
+        expect(fs.readFileSync(path.join(watchFolder.failedDir, 'broken.mp3.error.txt'), 'utf8')).toBe('The file does not contain audio.\n');
+        expect(runFileTranscription).not.toHaveBeenCalled();
+    });
+
+    test('should ignore other files and empty recordings', async () => {
+        fs.writeFileSync(incoming('notes.docx'), 'text');
+        fs.writeFileSync(incoming('empty.mp3'), '');
+
+        await scanWatchFolder();
+        expect(await scanWatchFolder()).toEqual([]);
+    });
+
+    test('should not start with invalid options', () => {
+        validateTranscriptionRequest.mockReturnValueOnce(new Error('Invalid format.'));
+
+        expect(startWatchFolder()).toBeNull();
+    });
+
+    test('should start scanning with valid options', () => {
+        const timer = startWatchFolder();
+
+        expect(validateTranscriptionRequest).toHaveBeenCalledWith({ language: 'en', filterPreset: 'none', format: 'srt' });
+        clearInterval(timer);
+    });
+});
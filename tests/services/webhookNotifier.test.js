@@ -0,0 +1,226 @@
+// tests/services/webhookNotifier.test.js
+const crypto = require('crypto');
+const http = require('http');
+
+jest.mock('../../src/config', () => ({
+    webhooks: { secret: 'test-secret', maxAttempts: 3, initialDelaySeconds: 0.01, timeoutSeconds: 1 },
+    jobs: { concurrency: 1, retentionMinutes: 60 }
+}));
+// The stand-in receiver listens on loopback, which the real lookup refuses
+jest.mock('../../src/services/urlGuard', () => ({
+    ...jest.requireActual('../../src/services/urlGuard'),
+    guardedLookup: jest.fn((...args) => require('dns').lookup(...args))
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { webhooks } = require('../../src/config');
+const logger = require('../../src/utils/logger');
+const { AppError } = require('../../src/utils/errorHandler');
+const { createJob, getJob } = require('../../src/services/jobQueue');
+const {
+    validateCallbackUrl,
+    signPayload,
+    deliverWebhook,
+    notifyOnCompletion
+} = require('../../src/services/webhookNotifier');
+
+describe('webhookNotifier', () => {
+    let server;
+    let callbackUrl;
+    let deliveries;
+    let statusCodes;
+
+    beforeAll((done) => {
+        // Stand-in receiver: answers with the next of statusCodes, 200 once they run out
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                deliveries.push({ headers: req.headers, body });
+                res.writeHead(statusCodes.shift() || 200);
+                res.end();
+            });
+        });
+        server.listen(0, '127.0.0.1', () => {
+            callbackUrl = `http://127.0.0.1:${server.address().port}/hooks/transcribed`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        deliveries = [];
+        statusCodes = [];
+        webhooks.secret = 'test-secret';
+    });
+
+    describe('validateCallbackUrl', () => {
+        test('should accept public http and https URLs and no URL at all', () => {
+            expect(validateCallbackUrl('https://hooks.example.com/done')).toBeNull();
+            expect(validateCallbackUrl(undefined)).toBeNull();
+        });
+
+        test('should refuse malformed URLs, other protocols and private addresses', () => {
+            expect(validateCallbackUrl('not a url').message).toBe('Invalid callbackUrl: not a url');
+            expect(validateCallbackUrl('ftp://hooks.example.com').message).toBe('callbackUrl must be an http or https URL.');
+            expect(validateCallbackUrl('http://169.254.169.254/latest')).toMatchObject({ statusCode: 403 });
+            expect(validateCallbackUrl('http://[::1]:8080/')).toMatchObject({ statusCode: 403 });
+        });
+
+        test('should refuse callbacks until a secret is configured', () => {
+            webhooks.secret = null;
+
+            expect(validateCallbackUrl('https://hooks.example.com/done').message).toBe('Callbacks are not enabled on this server.');
+        });
+    });
+
+    test('should post the payload with its signature and job ID', async () => {
+        await expect(deliverWebhook(callbackUrl, { success: true, text: 'hello' }, 'job-1')).resolves.toEqual({ status: 'delivered', attempts: 1, error: null });
+
+        expect(deliveries).toHaveLength(1);
+        const [{ headers, body }] = deliveries;
+        expect(JSON.parse(body)).toEqual({ success: true, text: 'hello' });
+        expect(headers['content-type']).toBe('application/json');
+        expect(headers['x-audinote-job-id']).toBe('job-1');
+        expect(headers['x-audinote-signature']).toBe(`sha256=${crypto.createHmac('sha256', 'test-secret').update(body).digest('hex')}`);
+        expect(headers['x-audinote-signature']).toBe(signPayload(body));
+    });
+
+    test('should retry failed deliveries with growing delays', async () => {
+        statusCodes = [500, 503];
+
+        await expect(deliverWebhook(callbackUrl, { success: true })).resolves.toEqual({ status: 'delivered', attempts: 3, error: null });
+
+        expect(deliveries).toHaveLength(3);
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('(attempt 1 of 3): answered with HTTP 500. Retrying in 0.01s'));
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('(attempt 2 of 3): answered with HTTP 503. Retrying in 0.02s'));
+    });
+
+    test('should give up after the last attempt', async () => {
+        statusCodes = [500, 500, 500];
+
+        await expect(deliverWebhook(callbackUrl, { success: true })).resolves.toEqual({ status: 'failed', attempts: 3, error: 'answered with HTTP 500' });
+
+        expect(deliveries).toHaveLength(3);
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('failed after 3 attempts: answered with HTTP 500'));
+    });
+
+    test('should report connection failures without throwing', async () => {
+        await expect(deliverWebhook('http://127.0.0.1:1/unreachable', { success: true })).resolves.toMatchObject({ status: 'failed', attempts: 3 });
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('failed after 3 attempts'));
+    });
+
+    describe('with fake timers', () => {
+        // Lets the connection attempts settle; setImmediate is left real for this
+        const waitForCalls = async (mockFn, count) => {
+            for (let tick = 0; tick < 10000 && mockFn.mock.calls.length < count; tick++) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        };
+
+        beforeEach(() => {
+            jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+            webhooks.initialDelaySeconds = 30;
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            webhooks.initialDelaySeconds = 0.01;
+        });
+
+        test('should back off between attempts and report the failure once every attempt fails', async () => {
+            const delivery = deliverWebhook('http://127.0.0.1:1/unreachable', { success: true }, 'job-5');
+
+            await waitForCalls(logger.warn, 1);
+            expect(logger.warn).toHaveBeenLastCalledWith(expect.stringContaining('(attempt 1 of 3)'));
+            expect(logger.warn).toHaveBeenLastCalledWith(expect.stringContaining('Retrying in 30s'));
+
+            // Nothing is retried before the delay has passed
+            jest.advanceTimersByTime(29999);
+            await waitForCalls(logger.warn, 2);
+            expect(logger.warn).toHaveBeenCalledTimes(1);
+
+            jest.advanceTimersByTime(1);
+            await waitForCalls(logger.warn, 2);
+            expect(logger.warn).toHaveBeenLastCalledWith(expect.stringContaining('(attempt 2 of 3)'));
+            expect(logger.warn).toHaveBeenLastCalledWith(expect.stringContaining('Retrying in 60s'));
+
+            jest.advanceTimersByTime(60000);
+            await expect(delivery).resolves.toEqual({ status: 'failed', attempts: 3, error: expect.stringContaining('ECONNREFUSED') });
+            expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('failed after 3 attempts'));
+            expect(logger.info).not.toHaveBeenCalledWith(expect.stringContaining('Callback delivered'));
+        });
+    });
+
+    describe('notifyOnCompletion', () => {
+        // Waits until the receiver has seen the expected number of deliveries
+        const waitForDeliveries = async (count) => {
+            for (let attempt = 0; attempt < 100 && deliveries.length < count; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+        };
+
+        // Waits until the callback of a job has been delivered or given up
+        const waitForCallback = async (jobId) => {
+            const isSettled = () => ['delivered', 'failed'].includes((getJob(jobId).callback || {}).status);
+            for (let attempt = 0; attempt < 100 && !isSettled(); attempt++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+        };
+
+        test('should send the result and pass it on', async () => {
+            await expect(notifyOnCompletion(callbackUrl, 'job-2', Promise.resolve({ success: true, transcriptId: 'abc' })))
+                .resolves.toEqual({ success: true, transcriptId: 'abc' });
+
+            await waitForDeliveries(1);
+            expect(JSON.parse(deliveries[0].body)).toEqual({ success: true, transcriptId: 'abc' });
+        });
+
+        test('should send the error payload and rethrow', async () => {
+            const error = new AppError('Transcription service unavailable', 503);
+
+            await expect(notifyOnCompletion(callbackUrl, 'job-3', Promise.reject(error))).rejects.toBe(error);
+
+            await waitForDeliveries(1);
+            expect(JSON.parse(deliveries[0].body)).toEqual({
+                success: false,
+                message: 'Transcription service unavailable',
+                statusCode: 503
+            });
+            expect(deliveries[0].headers['x-audinote-job-id']).toBe('job-3');
+        });
+
+        test('should record the state of the delivery on the job', async () => {
+            statusCodes = [500, 500, 500];
+            const failing = createJob('upload', () => notifyOnCompletion(callbackUrl, failing.id, Promise.resolve({ success: true })));
+            await waitForCallback(failing.id);
+
+            expect(getJob(failing.id)).toMatchObject({
+                status: 'done',
+                callback: { status: 'failed', attempts: 3, error: 'answered with HTTP 500' }
+            });
+
+            const delivered = createJob('upload', () => notifyOnCompletion(callbackUrl, delivered.id, Promise.resolve({ success: true })));
+            await waitForCallback(delivered.id);
+
+            expect(getJob(delivered.id).callback).toEqual({ status: 'delivered', attempts: 1, error: null });
+        });
+
+        test('should leave the outcome alone without a callback URL', async () => {
+            const outcome = Promise.resolve({ success: true });
+
+            expect(notifyOnCompletion(undefined, 'job-4', outcome)).toBe(outcome);
+        });
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * @file youtubeCaptions.test.js
+ * @description Unit tests for fetching and reading YouTube captions
+ */
+
+const path = require('path');
+const { EventEmitter } = require('events');
+
+jest.mock('child_process', () => ({
+    spawn: jest.fn()
+}));
+jest.mock('fs/promises', () => ({
+    readdir: jest.fn(),
+    readFile: jest.fn()
+}));
+jest.mock('../../src/utils/fileUtils', () => ({
+    deleteFile: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const { deleteFile } = require('../../src/utils/fileUtils');
+const { fetchCaptions, parseVtt } = require('../../src/services/youtubeCaptions');
+
+const SAMPLE_VTT = [
+    'WEBVTT',
+    'Kind: captions',
+    'Language: en',
+    '',
+    '1',
+    '00:00:01.000 --> 00:00:03.500 align:start position:0%',
+    '<c.colorE5E5E5>Hello</c> &amp; welcome',
+    '',
+    '00:00:03.500 --> 00:00:04.000',
+    'Hello &amp; welcome',
+    '',
+    'NOTE a comment',
+    '',
+    '01:02.250 --> 01:04.000',
+    'to the',
+    'show',
+    '',
+    '00:01:05.000 --> 00:01:06.000',
+    '<i></i>',
+    ''
+].join('\n');
+
+// Makes yt-dlp exit with the given code, leaving caption files named after its -o template
+const mockYtDlp = (exitCode, languages = []) => {
+    spawn.mockImplementation((command, args) => {
+        const base = path.basename(args[args.indexOf('-o') + 1], '.%(ext)s');
+        fs.readdir.mockResolvedValue(['other.mp3', ...languages.map(language => `${base}.${language}.vtt`)]);
+
+        const process = new EventEmitter();
+        process.stderr = new EventEmitter();
+        setImmediate(() => process.emit('close', exitCode));
+        return process;
+    });
+};
+
+describe('YouTube Captions Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('parseVtt', () => {
+        test('should read cues into segments without tags, entities or repeats', () => {
+            expect(parseVtt(SAMPLE_VTT)).toEqual([
+                { start: 1, end: 4, text: 'Hello & welcome' },
+                { start: 62.25, end: 64, text: 'to the show' }
+            ]);
+        });
+
+        test('should return no segments for a file without cues', () => {
+            expect(parseVtt('WEBVTT\n\n')).toEqual([]);
+        });
+    });
+
+    describe('fetchCaptions', () => {
+        test('should fetch captions in the requested language and delete the files', async () => {
+            mockYtDlp(0, ['en-GB']);
+            fs.readFile.mockResolvedValue(SAMPLE_VTT);
+
+            const captions = await fetchCaptions('https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'en');
+
+            expect(spawn).toHaveBeenCalledWith('yt-dlp', expect.arrayContaining(['--skip-download', '--write-subs', '--sub-langs', 'en,en-.*']));
+            expect(spawn.mock.calls[0][1]).not.toContain('--write-auto-subs');
+            expect(captions).toEqual({
+                text: 'Hello & welcome to the show',
+                segments: [
+                    { start: 1, end: 4, text: 'Hello & welcome' },
+                    { start: 62.25, end: 64, text: 'to the show' }
+                ],
+                words: [],
+                language: 'en'
+            });
+            expect(deleteFile).toHaveBeenCalledTimes(1);
+            expect(deleteFile).toHaveBeenCalledWith(expect.stringMatching(/-captions\.en-GB\.vtt$/));
+        });
+
+        test('should accept captions in any language for auto', async () => {
+            mockYtDlp(0, ['de']);
+            fs.readFile.mockResolvedValue(SAMPLE_VTT);
+
+            const captions = await fetchCaptions('https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'auto');
+
+            expect(spawn).toHaveBeenCalledWith('yt-dlp', expect.arrayContaining(['--sub-langs', 'all,-live_chat']));
+            expect(captions.language).toBe('de');
+        });
+
+        test('should resolve with null when there are no captions or yt-dlp fails', async () => {
+            mockYtDlp(0);
+            await expect(fetchCaptions('https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'fr')).resolves.toBeNull();
+
+            mockYtDlp(1, ['fr']);
+            await expect(fetchCaptions('https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'fr')).resolves.toBeNull();
+            expect(deleteFile).toHaveBeenCalledTimes(1);
+            expect(fs.readFile).not.toHaveBeenCalled();
+        });
+    });
+});
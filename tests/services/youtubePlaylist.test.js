@@ -0,0 +1,94 @@
+/**
+ * @file youtubePlaylist.test.js
+ * @description Unit tests for listing playlist and channel videos with yt-dlp
+ */
+
+const { EventEmitter } = require('events');
+
+jest.mock('child_process', () => ({
+    spawn: jest.fn()
+}));
+jest.mock('../../src/config', () => ({
+    youtubeBatch: { maxItems: 50 }
+}));
+jest.mock('../../src/utils/logger', () => ({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+}));
+
+const { spawn } = require('child_process');
+const { listPlaylistEntries, getYouTubeVideoId } = require('../../src/services/youtubePlaylist');
+
+// Makes yt-dlp print the given output and exit with the given code
+const mockYtDlp = (stdout, exitCode = 0, stderr = '') => {
+    spawn.mockImplementation(() => {
+        const process = new EventEmitter();
+        process.stdout = new EventEmitter();
+        process.stderr = new EventEmitter();
+        setImmediate(() => {
+            process.stdout.emit('data', Buffer.from(stdout));
+            if (stderr) {
+                process.stderr.emit('data', Buffer.from(stderr));
+            }
+            process.emit('close', exitCode);
+        });
+        return process;
+    });
+};
+
+describe('YouTube Playlist Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('getYouTubeVideoId', () => {
+        test('should read the video ID from the usual URL forms', () => {
+            expect(getYouTubeVideoId('https://www.youtube.com/watch?v=dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ');
+            expect(getYouTubeVideoId('https://www.youtube.com/watch?list=PL1&v=dQw4w9WgXcQ&t=42')).toBe('dQw4w9WgXcQ');
+            expect(getYouTubeVideoId('https://youtu.be/dQw4w9WgXcQ?si=abc')).toBe('dQw4w9WgXcQ');
+            expect(getYouTubeVideoId('https://www.youtube.com/shorts/dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ');
+        });
+
+        test('should return null for URLs that name no video', () => {
+            expect(getYouTubeVideoId('https://www.youtube.com/playlist?list=PL1234')).toBeNull();
+            expect(getYouTubeVideoId('https://www.youtube.com/@channel')).toBeNull();
+            expect(getYouTubeVideoId(undefined)).toBeNull();
+        });
+    });
+
+    describe('listPlaylistEntries', () => {
+        test('should list the videos in playlist order, skipping non-video entries', async () => {
+            mockYtDlp([
+                JSON.stringify({ id: 'aaaaaaaaaaa', title: 'Episode 1', duration: 600, ie_key: 'Youtube' }),
+                JSON.stringify({ id: 'UCchannelTab', title: 'Shorts', ie_key: 'YoutubeTab' }),
+                'not json',
+                JSON.stringify({ id: 'bbbbbbbbbbb', title: 'Episode 2' }),
+                ''
+            ].join('\n'));
+
+            const entries = await listPlaylistEntries('https://www.youtube.com/playlist?list=PL1234');
+
+            expect(spawn).toHaveBeenCalledWith('yt-dlp', ['--flat-playlist', '--dump-json', '--playlist-end', '50', 'https://www.youtube.com/playlist?list=PL1234']);
+            expect(entries).toEqual([
+                { videoId: 'aaaaaaaaaaa', url: 'https://www.youtube.com/watch?v=aaaaaaaaaaa', title: 'Episode 1', durationSeconds: 600 },
+                { videoId: 'bbbbbbbbbbb', url: 'https://www.youtube.com/watch?v=bbbbbbbbbbb', title: 'Episode 2', durationSeconds: null }
+            ]);
+        });
+
+        test('should reject with 400 when yt-dlp fails or finds no videos', async () => {
+            mockYtDlp('', 1, 'ERROR: The playlist does not exist');
+            await expect(listPlaylistEntries('https://www.youtube.com/playlist?list=missing')).rejects.toMatchObject({
+                statusCode: 400,
+                message: 'Could not list the videos of https://www.youtube.com/playlist?list=missing.'
+            });
+
+            mockYtDlp('');
+            await expect(listPlaylistEntries('https://www.youtube.com/playlist?list=empty')).rejects.toMatchObject({
+                statusCode: 400,
+                message: 'No videos found at https://www.youtube.com/playlist?list=empty.'
+            });
+        });
+    });
+});
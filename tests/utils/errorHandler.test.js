@@ -19,6 +19,7 @@ const mockResponse = () => {
     const res = {};
     res.status = jest.fn().mockReturnValue(res);
     res.json = jest.fn().mockReturnValue(res);
+    res.set = jest.fn().mockReturnValue(res);
     return res;
 };
 
@@ -99,6 +100,16 @@ describe('errorHandler middleware', () => {
         expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('❌ Error [404]'));
     });
 
+    test('should send a Retry-After header for throttled requests', () => {
+        const error = new AppError('Server is busy', 429);
+        error.retryAfter = 45;
+
+        errorHandler(error, req, res, next);
+
+        expect(res.set).toHaveBeenCalledWith('Retry-After', '45');
+        expect(res.status).toHaveBeenCalledWith(429);
+    });
+
     test('should handle cleanup for a single file', () => {
         const filePath = '/tmp/upload.jpg';
         const error = new AppError('Upload failed', 400, filePath);
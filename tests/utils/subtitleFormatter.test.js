@@ -0,0 +1,193 @@
+/**
+ * @file subtitleFormatter.test.js
+ * @description Unit tests for SRT/WebVTT subtitle formatting
+ */
+
+jest.mock('../../src/config', () => ({
+    subtitles: {
+        maxLineLength: 20,
+        maxLinesPerCue: 2,
+        maxCueDurationSeconds: 5,
+        minCueDurationSeconds: 1,
+        maxWordGapSeconds: 1.5
+    }
+}));
+
+const {
+    formatTimestamp,
+    buildCues,
+    toSrt,
+    toVtt,
+    toText,
+    formatTranscript
+} = require('../../src/utils/subtitleFormatter');
+
+const word = (text, start, end) => ({ word: text, start, end, confidence: 1 });
+const spoken = (speaker, text, start, end) => ({ ...word(text, start, end), speaker });
+
+const transcription = {
+    text: 'hello world this is a test',
+    segments: [
+        { start: 0, end: 1.2, text: 'hello world', confidence: 1 },
+        { start: 4, end: 5.1, text: 'this is a test', confidence: 1 }
+    ],
+    words: [
+        word('hello', 0, 0.5),
+        word('world', 0.6, 1.2),
+        word('this', 4, 4.3),
+        word('is', 4.3, 4.5),
+        word('a', 4.5, 4.6),
+        word('test', 4.6, 5.1)
+    ]
+};
+
+// Two speakers talking back to back without a pause
+const diarizedTranscription = {
+    text: 'hi there hello',
+    segments: [
+        { start: 0, end: 0.8, text: 'hi there', confidence: 1, speaker: 'Speaker 1' },
+        { start: 0.9, end: 1.4, text: 'hello', confidence: 1, speaker: 'Speaker 2' }
+    ],
+    words: [
+        spoken('Speaker 1', 'hi', 0, 0.3),
+        spoken('Speaker 1', 'there', 0.4, 0.8),
+        spoken('Speaker 2', 'hello', 0.9, 1.4)
+    ]
+};
+
+describe('Subtitle Formatter', () => {
+    describe('formatTimestamp', () => {
+        test('should format SRT and WebVTT timestamps', () => {
+            expect(formatTimestamp(3723.456, ',')).toBe('01:02:03,456');
+            expect(formatTimestamp(0.5, '.')).toBe('00:00:00.500');
+        });
+
+        test('should clamp negative times to zero', () => {
+            expect(formatTimestamp(-2, ',')).toBe('00:00:00,000');
+        });
+    });
+
+    describe('buildCues', () => {
+        test('should start a new cue after a pause', () => {
+            const cues = buildCues(transcription);
+
+            expect(cues).toEqual([
+                { index: 1, start: 0, end: 1.2, lines: ['hello world'] },
+                { index: 2, start: 4, end: 5.1, lines: ['this is a test'] }
+            ]);
+        });
+
+        test('should wrap long cues onto multiple lines', () => {
+            const words = 'the quick brown fox jumps over the lazy dog'
+                .split(' ')
+                .map((text, index) => word(text, index * 0.4, index * 0.4 + 0.3));
+
+            const cues = buildCues({ words });
+
+            cues.forEach((cue) => {
+                expect(cue.lines.length).toBeLessThanOrEqual(2);
+                cue.lines.forEach(line => expect(line.length).toBeLessThanOrEqual(20));
+            });
+            expect(cues.map(cue => cue.lines.join(' ')).join(' ')).toBe('the quick brown fox jumps over the lazy dog');
+        });
+
+        test('should start a new cue when long words would wrap onto too many lines', () => {
+            // 38 characters fit in two 20-character lines, but these words wrap onto three
+            const words = ['abcdefghijklmn', 'opqrstuvw', 'xyzabcdefghij']
+                .map((text, index) => word(text, index * 0.4, index * 0.4 + 0.3));
+
+            const cues = buildCues({ words });
+
+            expect(cues.map(cue => cue.lines)).toEqual([['abcdefghijklmn', 'opqrstuvw'], ['xyzabcdefghij']]);
+        });
+
+        test('should split cues that exceed the maximum duration', () => {
+            const words = [word('one', 0, 2), word('two', 2, 4), word('three', 4, 6)];
+
+            const cues = buildCues({ words });
+
+            expect(cues.map(cue => cue.lines[0])).toEqual(['one two', 'three']);
+        });
+
+        test('should extend short cues to the minimum duration without overlapping', () => {
+            const words = [word('hi', 0, 0.2), word('there', 1.8, 2.0)];
+
+            const cues = buildCues({ words });
+
+            expect(cues[0]).toEqual(expect.objectContaining({ start: 0, end: 1 }));
+            expect(cues[1]).toEqual(expect.objectContaining({ start: 1.8, end: 2.8 }));
+        });
+
+        test('should fall back to segments when no word timings exist', () => {
+            const cues = buildCues({ segments: transcription.segments, words: [] });
+
+            expect(cues).toHaveLength(2);
+            expect(cues[1].lines).toEqual(['this is a test']);
+        });
+
+        test('should start a new cue when the speaker changes', () => {
+            const cues = buildCues(diarizedTranscription);
+
+            expect(cues).toHaveLength(2);
+            expect(cues[0]).toMatchObject({ lines: ['hi there'], speaker: 'Speaker 1' });
+            expect(cues[1]).toMatchObject({ lines: ['hello'], speaker: 'Speaker 2' });
+        });
+    });
+
+    describe('toSrt', () => {
+        test('should render numbered SRT cues', () => {
+            expect(toSrt(transcription)).toBe(
+                '1\n00:00:00,000 --> 00:00:01,200\nhello world\n\n' +
+                '2\n00:00:04,000 --> 00:00:05,100\nthis is a test\n'
+            );
+        });
+
+        test('should prefix cues with the speaker label', () => {
+            expect(toSrt(diarizedTranscription)).toBe(
+                '1\n00:00:00,000 --> 00:00:00,900\n[Speaker 1] hi there\n\n' +
+                '2\n00:00:00,900 --> 00:00:01,900\n[Speaker 2] hello\n'
+            );
+        });
+    });
+
+    describe('toVtt', () => {
+        test('should render a WebVTT document', () => {
+            expect(toVtt(transcription)).toBe(
+                'WEBVTT\n\n' +
+                '00:00:00.000 --> 00:00:01.200\nhello world\n\n' +
+                '00:00:04.000 --> 00:00:05.100\nthis is a test\n'
+            );
+        });
+
+        test('should mark speakers with voice spans', () => {
+            expect(toVtt(diarizedTranscription)).toContain('00:00:00.900 --> 00:00:01.900\n<v Speaker 2>hello\n');
+        });
+    });
+
+    describe('toText', () => {
+        test('should return the plain text when there are no speakers', () => {
+            expect(toText(transcription)).toBe('hello world this is a test');
+        });
+
+        test('should write one paragraph per speaker turn', () => {
+            const transcript = {
+                ...diarizedTranscription,
+                segments: [
+                    ...diarizedTranscription.segments,
+                    { start: 2, end: 2.5, text: 'how are you', confidence: 1, speaker: 'Speaker 2' }
+                ]
+            };
+
+            expect(toText(transcript)).toBe('Speaker 1: hi there\n\nSpeaker 2: hello how are you');
+        });
+    });
+
+    describe('formatTranscript', () => {
+        test('should dispatch to the requested format', () => {
+            expect(formatTranscript(transcription, 'srt')).toBe(toSrt(transcription));
+            expect(formatTranscript(transcription, 'vtt')).toBe(toVtt(transcription));
+            expect(formatTranscript(transcription, 'txt')).toBe('hello world this is a test');
+            expect(JSON.parse(formatTranscript(transcription, 'json'))).toEqual(transcription);
+        });
+    });
+});
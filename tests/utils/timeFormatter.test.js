@@ -3,7 +3,7 @@
  * @description Unit tests for the timeFormatter utility
  */
 
-const { parseDurationToSeconds, formatTime } = require('../../src/utils/timeFormatter');
+const { parseDurationToSeconds, formatTime, roundValue } = require('../../src/utils/timeFormatter');
 const logger = require('../../src/utils/logger');
 
 // Mock logger.error to prevent cluttering test output
@@ -177,4 +177,12 @@ describe('Time Formatter Utils', () => {
             expect(formatTime('not a number').totalSeconds).toBe(0);
         });
     });
+
+    describe('roundValue', () => {
+        it('should round to millisecond precision', () => {
+            expect(roundValue(1.23456)).toBe(1.235);
+            expect(roundValue(0.0004)).toBe(0);
+            expect(roundValue(12)).toBe(12);
+        });
+    });
 });
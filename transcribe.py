@@ -1,8 +1,7 @@
 import sys
-import wave
 import json
-import os
-from vosk import Model, KaldiRecognizer, SetLogLevel
+from vosk import Model, SpkModel, SetLogLevel
+from vosk_recognizer import transcribe_file
 
 # Suppress Vosk logs by setting log level to -1
 SetLogLevel(-1)
@@ -10,23 +9,16 @@ SetLogLevel(-1)
 # Get arguments
 AUDIO_FILE = sys.argv[1]
 MODEL_PATH = sys.argv[2]
+SPK_MODEL_PATH = sys.argv[3] if len(sys.argv) > 3 else None  # Enables speaker vectors for diarization
 
-# Load the model
-model = Model(MODEL_PATH)
-wf = wave.open(AUDIO_FILE, "rb")
-rec = KaldiRecognizer(model, wf.getframerate())
 
-result_text = ""
-while True:
-    data = wf.readframes(4000)
-    if len(data) == 0:
-        break
-    if rec.AcceptWaveform(data):
-        result = json.loads(rec.Result())
-        result_text += result.get("text", "") + " "
+def report_progress(percent):
+    # Progress goes to stderr as "PROGRESS <percent>" so stdout stays pure JSON
+    print(f"PROGRESS {percent}", file=sys.stderr, flush=True)
+
 
-# Get final bits of audio
-final_result = json.loads(rec.FinalResult())
-result_text += final_result.get("text", "")
+# Load the model
+model = Model(MODEL_PATH)
+spk_model = SpkModel(SPK_MODEL_PATH) if SPK_MODEL_PATH else None
 
-print(result_text.strip())
\ No newline at end of file
+print(json.dumps(transcribe_file(model, AUDIO_FILE, report_progress, spk_model)))
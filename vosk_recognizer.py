@@ -0,0 +1,56 @@
+import json
+import wave
+from vosk import KaldiRecognizer
+
+# Frames read from the WAV file per recognizer step
+CHUNK_FRAMES = 4000
+
+
+def transcribe_file(model, audio_file, on_progress=None, spk_model=None):
+    """Transcribes a WAV file with a loaded Vosk model.
+
+    Returns {"text": ..., "results": [{"text": ..., "result": [words]}]}, where
+    each word has start/end times and a confidence score. on_progress, when
+    given, is called with the percentage processed whenever it changes. With a
+    spk_model, each result also carries the utterance's speaker vector ("spk").
+    """
+    wf = wave.open(audio_file, "rb")
+    rec = KaldiRecognizer(model, wf.getframerate())
+
+    # Include per-word start/end times and confidence in each result
+    rec.SetWords(True)
+    if spk_model:
+        rec.SetSpkModel(spk_model)
+
+    total_frames = wf.getnframes()
+    frames_read = 0
+    last_percent = -1
+
+    results = []
+    while True:
+        data = wf.readframes(CHUNK_FRAMES)
+        if len(data) == 0:
+            break
+        if rec.AcceptWaveform(data):
+            results.append(json.loads(rec.Result()))
+
+        frames_read += CHUNK_FRAMES
+        percent = min(100, frames_read * 100 // total_frames) if total_frames else 100
+        if on_progress and percent != last_percent:
+            last_percent = percent
+            on_progress(percent)
+
+    # Get final bits of audio
+    results.append(json.loads(rec.FinalResult()))
+    wf.close()
+
+    # Keep only utterances that produced text
+    results = [r for r in results if r.get("text")]
+
+    return {
+        "text": " ".join(r["text"] for r in results),
+        "results": [
+            {"text": r["text"], "result": r.get("result", []), **({"spk": r["spk"]} if "spk" in r else {})}
+            for r in results
+        ]
+    }